@@ -1,5 +1,11 @@
 const Admin = require('../models/Admin');
 const User = require('../models/User');
+const { resolveTenant } = require('./tenant');
+
+// Permissions that B2B/B2E owners may use for their own organization or school.
+// Routes must still restrict queries to req.tenant (see middleware/tenant.js).
+const OWNER_PERMISSIONS = ['organizations', 'users', 'transactions'];
+const OWNER_ROLES = ['b2b_user', 'b2e_user'];
 
 const checkPermission = (requiredPermission) => {
   return async (req, res, next) => {
@@ -9,17 +15,34 @@ const checkPermission = (requiredPermission) => {
       }
 
       const admin = await Admin.findById(req.userId);
-      if (admin && admin.isActive) {
-        return next(); // admin allowed
+      if (admin) {
+        if (!admin.isActive) {
+          return res.status(403).json({ error: 'Admin account is inactive' });
+        }
+        if (!admin.hasPermission(requiredPermission)) {
+          return res.status(403).json({ error: `Your role (${admin.role}) does not have the '${requiredPermission}' permission` });
+        }
+        req.admin = admin;
+        return next();
       }
 
-      // Fallback: allow authenticated app users (B2B/B2E owners) to proceed
-      const user = await User.findById(req.userId).select('isActive');
-      if (user && user.isActive !== false) {
-        return next();
+      // B2B/B2E owners: only owner-facing permissions, scoped to their own organization/school
+      const user = await User.findById(req.userId).select('role isActive');
+      if (!user || user.isActive === false) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!OWNER_ROLES.includes(user.role) || !OWNER_PERMISSIONS.includes(requiredPermission)) {
+        return res.status(403).json({ error: 'Access denied' });
       }
 
-      return res.status(403).json({ error: 'Admin not found or inactive' });
+      const tenant = await resolveTenant(user._id);
+      if (tenant.organizationIds.length === 0 && tenant.schoolIds.length === 0) {
+        return res.status(403).json({ error: 'Access denied. You do not own an organization or institute.' });
+      }
+
+      req.tenant = tenant;
+      return next();
     } catch (error) {
       console.error('Permission check error:', error);
       return res.status(500).json({ error: 'Permission check failed' });
@@ -27,6 +50,7 @@ const checkPermission = (requiredPermission) => {
   };
 };
 
+// Admin-only role check. super_admin satisfies every role requirement.
 const requireRole = (...allowedRoles) => {
   return async (req, res, next) => {
     try {
@@ -35,17 +59,16 @@ const requireRole = (...allowedRoles) => {
       }
 
       const admin = await Admin.findById(req.userId);
-      if (admin && admin.isActive) {
-        return next(); // admin allowed
+      if (!admin || !admin.isActive) {
+        return res.status(403).json({ error: 'Admin not found or inactive' });
       }
 
-      // Fallback: allow authenticated app users (B2B/B2E owners) to proceed
-      const user = await User.findById(req.userId).select('isActive');
-      if (user && user.isActive !== false) {
-        return next();
+      if (admin.role !== 'super_admin' && !allowedRoles.includes(admin.role)) {
+        return res.status(403).json({ error: `This action requires one of the following roles: ${allowedRoles.join(', ')}` });
       }
 
-      return res.status(403).json({ error: 'Admin not found or inactive' });
+      req.admin = admin;
+      return next();
     } catch (error) {
       console.error('Role check error:', error);
       return res.status(500).json({ error: 'Role check failed' });
@@ -53,5 +76,4 @@ const requireRole = (...allowedRoles) => {
   };
 };
 
-module.exports = { checkPermission, requireRole };
-
+module.exports = { checkPermission, requireRole, OWNER_PERMISSIONS };
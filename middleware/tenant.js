@@ -0,0 +1,110 @@
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const School = require('../models/School');
+
+// Resolve the organizations/schools a user owns, plus the ones they are a member of
+const resolveTenant = async (userId) => {
+  const [organizations, schools, user] = await Promise.all([
+    Organization.find({ ownerId: userId }).select('_id'),
+    School.find({ ownerId: userId }).select('_id'),
+    User.findById(userId).select('organizationId schoolId')
+  ]);
+
+  return {
+    userId: userId.toString(),
+    organizationIds: organizations.map(org => org._id.toString()),
+    schoolIds: schools.map(school => school._id.toString()),
+    memberOrganizationId: user?.organizationId?.toString() || null,
+    memberSchoolId: user?.schoolId?.toString() || null
+  };
+};
+
+const toIdString = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object' && value._id) {
+    return value._id.toString();
+  }
+  return value.toString();
+};
+
+// True when the caller is an admin, or owns the given organization/school
+const ownsTenant = (req, { organizationId, schoolId } = {}) => {
+  if (req.admin) return true;
+  if (!req.tenant) return false;
+
+  const orgId = toIdString(organizationId);
+  const schId = toIdString(schoolId);
+  return Boolean(
+    (orgId && req.tenant.organizationIds.includes(orgId)) ||
+    (schId && req.tenant.schoolIds.includes(schId))
+  );
+};
+
+// Restrict a Mongo query to the caller's own organizations/schools (no-op for admins).
+// Uses $and so existing $or conditions (e.g. search) are preserved.
+const applyTenantScope = (query, req, { organizationField = 'organizationId', schoolField = 'schoolId' } = {}) => {
+  if (req.admin || !req.tenant) return query;
+
+  const conditions = [];
+  if (organizationField) {
+    conditions.push({ [organizationField]: { $in: req.tenant.organizationIds } });
+  }
+  if (schoolField) {
+    conditions.push({ [schoolField]: { $in: req.tenant.schoolIds } });
+  }
+
+  query.$and = [...(query.$and || []), { $or: conditions }];
+  return query;
+};
+
+// Use after checkPermission() on routes owners must never reach (pricing, billing, deletes of other tenants' data)
+const requireAdmin = (req, res, next) => {
+  if (!req.admin) {
+    return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
+  }
+  next();
+};
+
+// Use after checkPermission() on routes where :param is an Organization or School id
+const requireTenantAccess = (type, param = 'id') => {
+  return (req, res, next) => {
+    const id = req.params[param];
+    const target = type === 'school' ? { schoolId: id } : { organizationId: id };
+
+    if (!ownsTenant(req, target)) {
+      return res.status(403).json({ error: `You do not have access to this ${type === 'school' ? 'institute' : 'organization'}` });
+    }
+    next();
+  };
+};
+
+// Use after checkPermission() on routes where :param is a document carrying organizationId/schoolId
+const requireTenantDocument = (Model, { param = 'id', label = 'Record' } = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (req.admin) return next();
+
+      const doc = await Model.findById(req.params[param]).select('organizationId schoolId');
+      if (!doc) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+
+      if (!ownsTenant(req, { organizationId: doc.organizationId, schoolId: doc.schoolId })) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      next();
+    } catch (error) {
+      console.error('Tenant access check error:', error);
+      return res.status(500).json({ error: 'Access check failed' });
+    }
+  };
+};
+
+module.exports = {
+  resolveTenant,
+  ownsTenant,
+  applyTenantScope,
+  requireAdmin,
+  requireTenantAccess,
+  requireTenantDocument
+};
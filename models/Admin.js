@@ -1,6 +1,18 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+const ADMIN_ROLES = ['super_admin', 'content_editor', 'sales', 'finance', 'support'];
+
+// Permission matrix - permission names match checkPermission() calls in routes
+// '*' grants every permission
+const ROLE_PERMISSIONS = {
+  super_admin: ['*'],
+  content_editor: ['cards', 'blog', 'packages', 'products', 'partners', 'email_templates', 'newsletters', 'dashboard'],
+  sales: ['leads', 'organizations', 'packages', 'coupons', 'users', 'newsletters', 'dashboard'],
+  finance: ['transactions', 'coupons', 'organizations', 'users', 'dashboard'],
+  support: ['users', 'leads', 'organizations', 'emails', 'data_requests', 'dashboard']
+};
+
 const AdminSchema = new Schema(
   {
     email: {
@@ -18,6 +30,11 @@ const AdminSchema = new Schema(
       type: String,
       trim: true
     },
+    role: {
+      type: String,
+      enum: ADMIN_ROLES,
+      default: 'support'
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -29,4 +46,35 @@ const AdminSchema = new Schema(
   { timestamps: true }
 );
 
-module.exports = mongoose.model('Admin', AdminSchema);
+AdminSchema.methods.getPermissions = function() {
+  return ROLE_PERMISSIONS[this.role] || [];
+};
+
+AdminSchema.methods.hasPermission = function(permission) {
+  const permissions = this.getPermissions();
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+const Admin = mongoose.model('Admin', AdminSchema);
+
+Admin.ROLES = ADMIN_ROLES;
+Admin.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+// Admins created before roles existed had full access - keep that by making them super admins (migration helper)
+Admin.assignLegacyRoles = async function() {
+  try {
+    const result = await this.collection.updateMany(
+      { role: { $exists: false } },
+      { $set: { role: 'super_admin' } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`✅ Assigned super_admin role to ${result.modifiedCount} existing admin(s)`);
+    }
+    return result.modifiedCount;
+  } catch (error) {
+    console.log('Note: Could not assign legacy admin roles:', error.message);
+    return 0;
+  }
+};
+
+module.exports = Admin;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+const AUDIT_ACTOR_KINDS = ['Admin', 'User'];
+
+// Who changed what through the API (written by utils/auditLog.js for every create/update/delete in a request).
+// changes lists the changed fields as { path, from, to } - creates have no from, deletes no to.
+const AuditLogSchema = new Schema(
+  {
+    actor: {
+      // Empty for public forms, confirmation links and the like
+      kind: {
+        type: String,
+        enum: AUDIT_ACTOR_KINDS
+      },
+      id: {
+        type: Schema.Types.ObjectId,
+        refPath: 'actor.kind'
+      },
+      // Email/role at the time of the change - the account may be renamed or deleted later
+      email: String,
+      role: String
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true
+    },
+    // Model name, e.g. Card, Transaction, User
+    entityType: {
+      type: String,
+      required: true
+    },
+    entityId: {
+      type: Schema.Types.ObjectId
+    },
+    changes: [{
+      _id: false,
+      path: String,
+      from: Schema.Types.Mixed,
+      to: Schema.Types.Mixed
+    }],
+    // Bulk updates/deletes over the per-request limit: documents that matched but are not logged one by one
+    unloggedCount: {
+      type: Number
+    },
+    // Set when the values were removed from changes (GDPR erasure)
+    redactedAt: {
+      type: Date
+    },
+    request: {
+      method: String,
+      path: String,
+      ip: String,
+      userAgent: String
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+AuditLog.ACTIONS = AUDIT_ACTIONS;
+AuditLog.ACTOR_KINDS = AUDIT_ACTOR_KINDS;
+
+module.exports = AuditLog;
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+const REVIEW_STATUSES = ['draft', 'in_review', 'approved', 'published'];
+const REVIEW_ENTRY_ACTIONS = ['comment', 'submitted', 'assigned', 'approved', 'changes_requested', 'published', 'unpublished', 'reopened'];
+
 const BlogPostSchema = new Schema(
   {
     title: { type: String, required: true },
@@ -27,9 +30,30 @@ const BlogPostSchema = new Schema(
       default: 'news'
     },
     publishedAt: { type: Date },
-    isPublished: { type: Boolean, default: false }
+    // Only set by publishing an approved post (see review)
+    isPublished: { type: Boolean, default: false },
+    // Editorial review (utils/editorialWorkflow.js)
+    review: {
+      status: { type: String, enum: REVIEW_STATUSES, default: 'draft', index: true },
+      reviewerId: { type: Schema.Types.ObjectId, ref: 'Admin' },
+      submittedAt: { type: Date },
+      submittedBy: { type: Schema.Types.ObjectId, ref: 'Admin' },
+      approvedAt: { type: Date },
+      approvedBy: { type: Schema.Types.ObjectId, ref: 'Admin' },
+      publishedBy: { type: Schema.Types.ObjectId, ref: 'Admin' },
+      comments: [{
+        adminId: { type: Schema.Types.ObjectId, ref: 'Admin' },
+        action: { type: String, enum: REVIEW_ENTRY_ACTIONS, default: 'comment' },
+        text: { type: String, trim: true },
+        createdAt: { type: Date, default: Date.now }
+      }]
+    }
   },
   { timestamps: true }
 );
 
-module.exports = mongoose.model('BlogPost', BlogPostSchema);
+const BlogPost = mongoose.model('BlogPost', BlogPostSchema);
+
+BlogPost.REVIEW_STATUSES = REVIEW_STATUSES;
+
+module.exports = BlogPost;
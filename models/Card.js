@@ -1,6 +1,13 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+// Languages card content can be written and translated in (see utils/cardTranslations.js)
+const CARD_LOCALES = ['en', 'de'];
+// How a question is answered and scored (see utils/questionTypes.js)
+const QUESTION_TYPES = ['single_choice', 'multi_select', 'ordering', 'true_false', 'hotspot'];
+const REVIEW_STATUSES = ['draft', 'in_review', 'approved', 'published'];
+const REVIEW_ENTRY_ACTIONS = ['comment', 'submitted', 'assigned', 'approved', 'changes_requested', 'published', 'unpublished', 'reopened'];
+
 const CardSchema = new Schema(
   {
     title: {
@@ -37,12 +44,25 @@ const CardSchema = new Schema(
       type: String,
       trim: true
     }],
+    // Language of title and question below; translations hold the other languages
+    locale: {
+      type: String,
+      enum: CARD_LOCALES,
+      default: 'en'
+    },
     question: {
+      type: {
+        type: String,
+        enum: QUESTION_TYPES,
+        default: 'single_choice'
+      },
       description: {
         type: String,
         required: true,
         trim: true
       },
+      // Answers scoring above 0 are the right ones (multi_select, true_false), ordering items are listed in the
+      // right order and hotspot answers are the areas of the image (scoring above 0 = red flag)
       answers: [{
         text: {
           type: String,
@@ -54,6 +74,13 @@ const CardSchema = new Schema(
           required: true,
           default: 0,
           min: 0
+        },
+        // hotspot only: area on the image attachment, in percent of its width/height
+        region: {
+          x: { type: Number, min: 0, max: 100 },
+          y: { type: Number, min: 0, max: 100 },
+          width: { type: Number, min: 0, max: 100 },
+          height: { type: Number, min: 0, max: 100 }
         }
       }],
       feedback: {
@@ -63,7 +90,7 @@ const CardSchema = new Schema(
       attachments: [{
         type: {
           type: String,
-          enum: ['audio', 'video', 'pdf', 'word', 'link'],
+          enum: ['audio', 'video', 'pdf', 'word', 'link', 'image'],
           required: true
         },
         url: {
@@ -76,6 +103,36 @@ const CardSchema = new Schema(
         }
       }]
     },
+    // One entry per translated string. key: title, question.description, question.feedback or
+    // question.answers.<index>.text; source is the text it was translated from (outdated once that changes).
+    translations: [{
+      _id: false,
+      locale: {
+        type: String,
+        enum: CARD_LOCALES,
+        required: true
+      },
+      key: {
+        type: String,
+        required: true
+      },
+      text: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      source: {
+        type: String
+      },
+      updatedAt: {
+        type: Date,
+        default: Date.now
+      },
+      updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'Admin'
+      }
+    }],
     isDeleted: {
       type: Boolean,
       default: false
@@ -89,10 +146,72 @@ const CardSchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: 'CustomPackageRequest',
       default: null
+    },
+    // Latest CardRevision.version (0 = no revision recorded yet)
+    revision: {
+      type: Number,
+      default: 0
+    },
+    // Editorial review (utils/editorialWorkflow.js). Players get publishedRevision - while an edit waits for
+    // review, that is an older version than the card itself.
+    review: {
+      status: {
+        type: String,
+        enum: REVIEW_STATUSES,
+        default: 'draft',
+        index: true
+      },
+      reviewerId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Admin'
+      },
+      submittedAt: Date,
+      submittedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'Admin'
+      },
+      approvedAt: Date,
+      approvedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'Admin'
+      },
+      publishedAt: Date,
+      publishedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'Admin'
+      },
+      publishedRevision: {
+        type: Number
+      },
+      comments: [{
+        adminId: {
+          type: Schema.Types.ObjectId,
+          ref: 'Admin'
+        },
+        action: {
+          type: String,
+          enum: REVIEW_ENTRY_ACTIONS,
+          default: 'comment'
+        },
+        text: {
+          type: String,
+          trim: true
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        }
+      }]
     }
   },
   { timestamps: true }
 );
 
-module.exports = mongoose.model('Card', CardSchema);
+const Card = mongoose.model('Card', CardSchema);
+
+Card.LOCALES = CARD_LOCALES;
+Card.QUESTION_TYPES = QUESTION_TYPES;
+Card.REVIEW_STATUSES = REVIEW_STATUSES;
+
+module.exports = Card;
 
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const CARD_REVISION_ACTIONS = ['baseline', 'created', 'updated', 'imported', 'restored', 'translated'];
+
+// Immutable snapshot of a card's content after each edit (see utils/cardRevisions.js). Card.revision is the
+// latest version; GameProgress.cards[].cardRevision points at the version the answers were scored against.
+const CardRevisionSchema = new Schema(
+  {
+    cardId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Card',
+      required: true
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    action: {
+      type: String,
+      enum: CARD_REVISION_ACTIONS,
+      required: true
+    },
+    // Title, referenceCode, category, visibility, targetAudiences, tags, locale, question (answers keep their _id)
+    // and translations
+    snapshot: {
+      type: Schema.Types.Mixed,
+      required: true
+    },
+    // Changed fields against the previous version: [{ path, from, to }]
+    changes: {
+      type: Schema.Types.Mixed,
+      default: []
+    },
+    restoredFrom: {
+      type: Number
+    },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    // Email at the time of the edit
+    authorEmail: {
+      type: String
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+CardRevisionSchema.index({ cardId: 1, version: -1 }, { unique: true });
+
+// Revisions are never changed once written
+CardRevisionSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('Card revisions cannot be changed');
+  }
+});
+
+CardRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function () {
+  throw new Error('Card revisions cannot be changed');
+});
+
+const CardRevision = mongoose.model('CardRevision', CardRevisionSchema);
+
+CardRevision.ACTIONS = CARD_REVISION_ACTIONS;
+
+module.exports = CardRevision;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Named sequences (e.g. invoice numbers per year) - incremented atomically
+const CounterSchema = new Schema(
+  {
+    _id: {
+      type: String
+    },
+    seq: {
+      type: Number,
+      default: 0
+    }
+  },
+  { timestamps: true }
+);
+
+const Counter = mongoose.model('Counter', CounterSchema);
+
+Counter.next = async (name) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = Counter;
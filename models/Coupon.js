@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const CouponSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    // Promotion campaign the code belongs to (e.g. "Launch 2026", "School year 2026/27")
+    campaign: {
+      type: String,
+      trim: true
+    },
+    discountType: {
+      type: String,
+      enum: ['percent', 'fixed'],
+      required: true
+    },
+    // Percentage (0-100) for 'percent', amount in `currency` for 'fixed'
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+      uppercase: true
+    },
+    // Empty = every audience / package / product
+    audiences: [{
+      type: String,
+      enum: ['B2C', 'B2B', 'B2E']
+    }],
+    packageIds: [{
+      type: Schema.Types.ObjectId,
+      ref: 'Package'
+    }],
+    productIds: [{
+      type: Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    // null = unlimited
+    maxRedemptions: {
+      type: Number,
+      default: null,
+      min: 1
+    },
+    maxRedemptionsPerUser: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    validFrom: {
+      type: Date
+    },
+    validUntil: {
+      type: Date
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    // Matching Stripe coupon, created on first use and reset whenever the discount changes
+    stripeCouponId: {
+      type: String
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  { timestamps: true }
+);
+
+CouponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percent' && this.discountValue > 100) {
+    return next(new Error('Percentage discount cannot exceed 100'));
+  }
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    return next(new Error('validUntil must be after validFrom'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', CouponSchema);
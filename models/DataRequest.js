@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const DATA_REQUEST_TYPES = ['export', 'erasure'];
+const DATA_REQUEST_STATUSES = ['pending', 'completed', 'rejected', 'cancelled'];
+
+// GDPR data subject requests (see utils/gdpr.js). Exports are self-service and logged as completed right away;
+// erasure requests wait in the admin queue until they are carried out or rejected.
+const DataRequestSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: DATA_REQUEST_TYPES,
+      required: true
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    // Email at the time of the request - the user record no longer has it after erasure
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: DATA_REQUEST_STATUSES,
+      default: 'pending',
+      index: true
+    },
+    // Reason given by the user
+    reason: {
+      type: String,
+      trim: true
+    },
+    // Reason for a rejection, shown to the user
+    rejectionReason: {
+      type: String,
+      trim: true
+    },
+    processedAt: {
+      type: Date
+    },
+    processedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    // What was exported / erased / kept, per collection
+    result: {
+      type: Schema.Types.Mixed
+    },
+    // Audit trail: every step of the request
+    history: [{
+      _id: false,
+      action: {
+        type: String,
+        enum: ['requested', 'exported', 'note_added', 'completed', 'rejected', 'cancelled'],
+        required: true
+      },
+      actor: {
+        type: String,
+        enum: ['user', 'admin', 'system'],
+        required: true
+      },
+      adminId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Admin'
+      },
+      note: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  { timestamps: true }
+);
+
+DataRequestSchema.index({ type: 1, status: 1, createdAt: -1 });
+
+const DataRequest = mongoose.model('DataRequest', DataRequestSchema);
+
+DataRequest.TYPES = DATA_REQUEST_TYPES;
+DataRequest.STATUSES = DATA_REQUEST_STATUSES;
+
+module.exports = DataRequest;
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const EMAIL_OUTBOX_STATUSES = ['queued', 'sending', 'sent', 'failed', 'cancelled', 'suppressed'];
+
+// A message left in 'sending' longer than this is assumed to have crashed mid-delivery and is retried
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+// Every outgoing email (see utils/emailOutbox.js). Messages are persisted before delivery is attempted,
+// so an SMTP outage delays them instead of losing them or failing the request that sent them.
+const EmailOutboxSchema = new Schema(
+  {
+    category: {
+      type: String,
+      default: 'general',
+      index: true
+    },
+    from: {
+      type: String
+    },
+    to: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true
+    },
+    cc: String,
+    bcc: String,
+    replyTo: String,
+    subject: {
+      type: String,
+      default: ''
+    },
+    html: {
+      type: String
+    },
+    text: {
+      type: String
+    },
+    // Set once html/text and attachment contents were removed (sensitive categories after delivery, all
+    // messages after the retention period - see utils/emailOutbox.js)
+    bodyPurgedAt: {
+      type: Date
+    },
+    headers: {
+      type: Schema.Types.Mixed
+    },
+    attachments: [{
+      _id: false,
+      filename: String,
+      contentType: String,
+      content: Buffer,
+      cid: String
+    }],
+    // Ids of the records the message is about (transactionId, invoiceId, ...)
+    meta: {
+      type: Schema.Types.Mixed
+    },
+    // Email template the content was rendered from (version 0 = built-in default)
+    template: {
+      key: String,
+      locale: String,
+      version: Number
+    },
+    status: {
+      type: String,
+      enum: EMAIL_OUTBOX_STATUSES,
+      default: 'queued',
+      index: true
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 8
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastAttemptAt: {
+      type: Date
+    },
+    lastError: {
+      type: String
+    },
+    // Delivery log: one entry per failed attempt
+    failures: [{
+      _id: false,
+      attempt: Number,
+      message: String,
+      responseCode: Number,
+      occurredAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    sentAt: {
+      type: Date
+    },
+    // SMTP result of the successful attempt
+    smtpMessageId: {
+      type: String
+    },
+    smtpResponse: {
+      type: String
+    },
+    accepted: [String],
+    rejected: [String],
+    // Open pixel / tracked link hits (see utils/emailTracking.js)
+    tracking: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      opens: {
+        type: Number,
+        default: 0
+      },
+      firstOpenedAt: Date,
+      lastOpenedAt: Date,
+      clicks: {
+        type: Number,
+        default: 0
+      },
+      firstClickedAt: Date,
+      lastClickedAt: Date,
+      unsubscribedAt: Date
+    },
+    // Manual resends are new messages pointing at the original
+    resendOf: {
+      type: Schema.Types.ObjectId,
+      ref: 'EmailOutbox'
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  { timestamps: true }
+);
+
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailOutboxSchema.index({ createdAt: -1 });
+EmailOutboxSchema.index({ 'meta.campaignId': 1 }, { sparse: true });
+
+const EmailOutbox = mongoose.model('EmailOutbox', EmailOutboxSchema);
+
+EmailOutbox.STATUSES = EMAIL_OUTBOX_STATUSES;
+
+// Atomically take the next due message for delivery (or one whose delivery attempt went stale).
+// Returns null when nothing is due.
+EmailOutbox.claimNext = async function() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_SENDING_MS);
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lastAttemptAt: { $lt: staleBefore } }
+      ]
+    },
+    {
+      $set: { status: 'sending', lastAttemptAt: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+module.exports = EmailOutbox;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Addresses we must not email (see utils/emailOutbox.js - checked for every queued message).
+// scope 'marketing' only blocks marketing categories (unsubscribes), 'all' blocks every email (hard bounces, complaints).
+const EmailSuppressionSchema = new Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    scope: {
+      type: String,
+      enum: ['marketing', 'all'],
+      default: 'marketing'
+    },
+    reason: {
+      type: String,
+      enum: ['unsubscribe', 'bounce', 'complaint', 'manual'],
+      required: true
+    },
+    // Where it came from: the category of the email that was unsubscribed from / bounced, or 'admin'
+    source: {
+      type: String,
+      trim: true
+    },
+    note: {
+      type: String,
+      trim: true
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  { timestamps: true }
+);
+
+EmailSuppressionSchema.index({ email: 1, scope: 1 }, { unique: true });
+EmailSuppressionSchema.index({ createdAt: -1 });
+
+const EmailSuppression = mongoose.model('EmailSuppression', EmailSuppressionSchema);
+
+EmailSuppression.SCOPES = ['marketing', 'all'];
+EmailSuppression.REASONS = ['unsubscribe', 'bounce', 'complaint', 'manual'];
+
+// Suppressed addresses among `emails` for a marketing or a regular email
+EmailSuppression.findSuppressed = async function(emails, marketing) {
+  const addresses = emails.map(email => String(email).toLowerCase().trim()).filter(Boolean);
+  if (addresses.length === 0) return [];
+  const entries = await this.find({
+    email: { $in: addresses },
+    scope: { $in: marketing ? ['marketing', 'all'] : ['all'] }
+  }).select('email').lean();
+  return [...new Set(entries.map(entry => entry.email))];
+};
+
+// Add (or keep) a suppression; an existing entry for the same email/scope is left as it is
+EmailSuppression.suppress = function(email, { scope = 'marketing', reason, source, note, createdBy } = {}) {
+  return this.findOneAndUpdate(
+    { email: String(email).toLowerCase().trim(), scope },
+    { $setOnInsert: { reason, source, note, createdBy } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = EmailSuppression;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Admin-edited email templates (see utils/emailTemplates.js for the keys, variables and built-in defaults).
+// Every save creates a new version; the active version per key/locale is the one that is sent.
+const EmailTemplateSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    locale: {
+      type: String,
+      enum: ['en', 'de'],
+      required: true
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    html: {
+      type: String,
+      required: true
+    },
+    text: {
+      type: String,
+      default: ''
+    },
+    // Wrap the html in the standard header/footer; off when the template is a complete document
+    layout: {
+      type: Boolean,
+      default: true
+    },
+    isActive: {
+      type: Boolean,
+      default: false
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    activatedAt: {
+      type: Date
+    },
+    activatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  { timestamps: true }
+);
+
+EmailTemplateSchema.index({ key: 1, locale: 1, version: -1 }, { unique: true });
+EmailTemplateSchema.index({ key: 1, locale: 1, isActive: 1 });
+
+const EmailTemplate = mongoose.model('EmailTemplate', EmailTemplateSchema);
+
+EmailTemplate.getActive = function(key, locale) {
+  return this.findOne({ key, locale, isActive: true }).lean();
+};
+
+// Make one version the active one for its key/locale (or none, with version null)
+EmailTemplate.activate = async function(key, locale, version, adminId) {
+  await this.updateMany({ key, locale, isActive: true, version: { $ne: version } }, { $set: { isActive: false } });
+  if (version === null) return null;
+  return this.findOneAndUpdate(
+    { key, locale, version },
+    { $set: { isActive: true, activatedAt: new Date(), activatedBy: adminId } },
+    { new: true }
+  );
+};
+
+module.exports = EmailTemplate;
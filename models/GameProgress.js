@@ -48,6 +48,10 @@ const GameProgressSchema = new Schema(
       cardTitle: {
         type: String
       },
+      // CardRevision.version the answers were scored against
+      cardRevision: {
+        type: Number
+      },
       questions: [{
         questionNo: {
           type: Number,
@@ -59,9 +63,29 @@ const GameProgressSchema = new Schema(
         questionText: {
           type: String
         },
+        // Card.question.type; answers below are texts joined with '; ' (ordering: ' > ')
+        questionType: {
+          type: String,
+          default: 'single_choice'
+        },
         selectedAnswer: {
           type: String
         },
+        // Answer _ids in the order given (ordering), or the areas hit (hotspot)
+        selectedAnswerIds: [{
+          type: String
+        }],
+        // true_false only
+        confidence: {
+          type: String,
+          enum: ['low', 'medium', 'high']
+        },
+        // hotspot only, in percent of the image
+        clicks: [{
+          _id: false,
+          x: Number,
+          y: Number
+        }],
         correctAnswer: {
           type: String
         },
@@ -73,6 +97,9 @@ const GameProgressSchema = new Schema(
           type: Number,
           default: 0
         },
+        maxPoints: {
+          type: Number
+        },
         answeredAt: {
           type: Date,
           default: Date.now
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const PartySchema = new Schema(
+  {
+    name: String,
+    organizationName: String,
+    email: String,
+    address: String,
+    country: String,
+    vatId: String
+  },
+  { _id: false }
+);
+
+// Invoices and credit notes are snapshots: the PDF is always rendered from what was stored when they were issued
+const InvoiceSchema = new Schema(
+  {
+    number: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    type: {
+      type: String,
+      enum: ['invoice', 'credit_note'],
+      default: 'invoice'
+    },
+    transactionId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Transaction',
+      required: true
+    },
+    // Credit notes: the invoice they correct and the Stripe refund they were issued for
+    originalInvoiceId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    stripeRefundId: {
+      type: String
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+      uppercase: true
+    },
+    seller: PartySchema,
+    buyer: PartySchema,
+    lineItems: [{
+      _id: false,
+      description: String,
+      quantity: {
+        type: Number,
+        default: 1
+      },
+      unitPrice: Number,
+      amount: Number
+    }],
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    taxAmount: {
+      type: Number,
+      default: 0
+    },
+    taxRate: {
+      type: Number
+    },
+    reverseCharge: {
+      type: Boolean,
+      default: false
+    },
+    total: {
+      type: Number,
+      default: 0
+    },
+    paymentReference: {
+      type: String
+    },
+    // Bank transfer invoices are issued 'open' and settled when finance records the payment
+    status: {
+      type: String,
+      enum: ['open', 'paid'],
+      default: 'paid'
+    },
+    paymentTerms: {
+      type: String
+    },
+    dueDate: {
+      type: Date
+    },
+    purchaseOrderNumber: {
+      type: String
+    },
+    bankDetails: {
+      accountHolder: String,
+      iban: String,
+      bic: String,
+      bankName: String
+    },
+    paidAt: {
+      type: Date
+    },
+    emailedAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+// One invoice per transaction and one credit note per refund
+InvoiceSchema.index({ transactionId: 1, type: 1 });
+InvoiceSchema.index({ transactionId: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+InvoiceSchema.index({ stripeRefundId: 1 }, { unique: true, partialFilterExpression: { type: 'credit_note' } });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
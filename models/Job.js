@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Persisted state of a scheduled background job (see utils/scheduler.js). The _id is the job name.
+// lockedBy/lockedUntil act as a lease so only one server instance runs a job at a time.
+const JobSchema = new Schema(
+  {
+    _id: {
+      type: String
+    },
+    nextRunAt: {
+      type: Date
+    },
+    lockedBy: {
+      type: String,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    lastRunAt: {
+      type: Date
+    },
+    lastFinishedAt: {
+      type: Date
+    },
+    lastStatus: {
+      type: String,
+      enum: ['succeeded', 'failed']
+    },
+    lastError: {
+      type: String
+    },
+    lastRunId: {
+      type: Schema.Types.ObjectId,
+      ref: 'JobRun'
+    }
+  },
+  { timestamps: true }
+);
+
+const Job = mongoose.model('Job', JobSchema);
+
+// Make sure a job has a state document, scheduling its first run (existing schedules are kept)
+Job.ensure = async function(name, nextRunAt) {
+  return this.findOneAndUpdate(
+    { _id: name },
+    { $setOnInsert: { nextRunAt } },
+    { upsert: true, new: true }
+  );
+};
+
+// Atomically take the job's lock. Scheduled claims also require the job to be due.
+// Returns null when another instance holds an unexpired lock (or the job is not due yet).
+Job.claim = async function(name, { instanceId, lockMs, onlyIfDue = false }) {
+  const now = new Date();
+  const query = {
+    _id: name,
+    lockedUntil: { $not: { $gt: now } }
+  };
+  if (onlyIfDue) {
+    query.nextRunAt = { $not: { $gt: now } };
+  }
+
+  return this.findOneAndUpdate(
+    query,
+    { $set: { lockedBy: instanceId, lockedUntil: new Date(now.getTime() + lockMs), lastRunAt: now } },
+    { new: true }
+  );
+};
+
+// Release the lock held by this instance and record the outcome
+Job.release = async function(name, instanceId, update) {
+  return this.updateOne(
+    { _id: name, lockedBy: instanceId },
+    { $set: { ...update, lockedBy: null, lockedUntil: null, lastFinishedAt: new Date() } }
+  );
+};
+
+module.exports = Job;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// History kept for JOB_RUN_RETENTION_DAYS (default 90)
+const RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS, 10) || 90;
+
+// One execution of a background job (see utils/scheduler.js)
+const JobRunSchema = new Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+      index: true
+    },
+    status: {
+      type: String,
+      enum: ['running', 'succeeded', 'failed'],
+      default: 'running',
+      index: true
+    },
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'manual'],
+      default: 'scheduled'
+    },
+    triggeredBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    instanceId: {
+      type: String
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    },
+    finishedAt: {
+      type: Date
+    },
+    durationMs: {
+      type: Number
+    },
+    // Whatever the job handler returned, e.g. counts of records it transitioned
+    result: {
+      type: Schema.Types.Mixed
+    },
+    error: {
+      type: String
+    }
+  },
+  { timestamps: true }
+);
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+JobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', JobRunSchema);
@@ -14,6 +14,38 @@ const LeadSchema = new Schema(
       lowercase: true,
       trim: true
     },
+    // Language for emails (see SUPPORTED_LOCALES in utils/emailTemplates.js)
+    language: {
+      type: String,
+      enum: ['en', 'de'],
+      default: 'en'
+    },
+    // Proof of consent (GDPR). contact: processing of the enquiry from the form;
+    // marketing: newsletter opt-in from the same form, confirmed by double opt-in (see utils/consent.js)
+    consent: {
+      contact: {
+        givenAt: Date,
+        ip: String,
+        userAgent: String,
+        formSource: String,
+        textVersion: String
+      },
+      marketing: {
+        status: {
+          type: String,
+          enum: ['none', 'pending', 'confirmed', 'withdrawn'],
+          default: 'none'
+        },
+        givenAt: Date,
+        ip: String,
+        userAgent: String,
+        formSource: String,
+        textVersion: String,
+        confirmedAt: Date,
+        confirmationIp: String,
+        withdrawnAt: Date
+      }
+    },
     organizationName: {
       type: String,
       trim: true
@@ -236,7 +268,10 @@ const LeadSchema = new Schema(
           'quote_lost',
           'note_added',
           'engagement_logged',
-          'converted'
+          'converted',
+          'email_opened',
+          'email_clicked',
+          'email_unsubscribed'
         ],
         required: true
       },
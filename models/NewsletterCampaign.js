@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'sent', 'cancelled'];
+
+// Newsletter sent to Subscriber records (see utils/newsletterCampaigns.js). Recipients are queued in batches
+// by the newsletter-campaigns job in email order; progress.lastEmail is where the next batch continues.
+const NewsletterCampaignSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    // Template (utils/templateEngine.js syntax) - {{email}}, {{#posts}}...{{/posts}} and {{{digest}}} are available
+    html: {
+      type: String,
+      required: true
+    },
+    text: {
+      type: String,
+      default: ''
+    },
+    locale: {
+      type: String,
+      enum: ['en', 'de'],
+      default: 'en'
+    },
+    audience: {
+      subscriptionTypes: [{
+        type: String,
+        enum: ['latest-news', 'weekly-insights', 'general', 'waitlist']
+      }],
+      // Subscriber.source values; empty = any
+      sources: [String],
+      // Only subscribers who opened or clicked a tracked email in the last N days
+      engagedWithinDays: {
+        type: Number,
+        min: 1
+      }
+    },
+    // Digest campaigns list the latest published blog posts
+    digest: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      postCount: {
+        type: Number,
+        default: 5,
+        min: 1,
+        max: 20
+      },
+      // BlogPost categories; empty = any
+      categories: [String],
+      // Posts picked when sending started, so every batch gets the same list
+      posts: [{
+        _id: false,
+        postId: {
+          type: Schema.Types.ObjectId,
+          ref: 'BlogPost'
+        },
+        title: String,
+        excerpt: String,
+        slug: String,
+        featuredImage: String,
+        publishedAt: Date
+      }]
+    },
+    status: {
+      type: String,
+      enum: CAMPAIGN_STATUSES,
+      default: 'draft',
+      index: true
+    },
+    scheduledAt: {
+      type: Date
+    },
+    // Recipients queued per job run (the job runs every minute)
+    batchSize: {
+      type: Number,
+      default: 100,
+      min: 1,
+      max: 1000
+    },
+    progress: {
+      queued: {
+        type: Number,
+        default: 0
+      },
+      lastEmail: {
+        type: String
+      }
+    },
+    startedAt: {
+      type: Date
+    },
+    completedAt: {
+      type: Date
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  { timestamps: true }
+);
+
+NewsletterCampaignSchema.index({ status: 1, scheduledAt: 1 });
+
+const NewsletterCampaign = mongoose.model('NewsletterCampaign', NewsletterCampaignSchema);
+
+NewsletterCampaign.STATUSES = CAMPAIGN_STATUSES;
+
+module.exports = NewsletterCampaign;
@@ -45,7 +45,22 @@ const PackageSchema = new Schema(
         type: String,
         enum: ['one_time', 'subscription', 'per_seat'],
         required: true
-      }
+      },
+      // Prices in other currencies; amount/currency above is used where no entry exists
+      prices: [{
+        _id: false,
+        currency: {
+          type: String,
+          enum: ['USD', 'EUR', 'GBP', 'CHF'],
+          uppercase: true,
+          required: true
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0
+        }
+      }]
     },
     targetAudiences: [{
       type: String,
@@ -17,6 +17,12 @@ const ProductSchema = new Schema(
     imageUrl: { type: String, required: true },
     title: { type: String, required: true },
     price: { type: Number, required: true },
+    // Prices in other currencies; `price` (USD) is used where no entry exists
+    prices: [{
+      _id: false,
+      currency: { type: String, enum: ['USD', 'EUR', 'GBP', 'CHF'], uppercase: true, required: true },
+      amount: { type: Number, required: true, min: 0 }
+    }],
     targetAudience: [{
       type: String,
       enum: ['private-users', 'schools', 'businesses']
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Log of renewal reminders / expiry notices sent (see utils/renewals.js). The unique index makes each
+// reminder go out once per end date - a renewal moves the end date, so the next period gets its own reminders.
+const RenewalReminderSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['membership', 'contract', 'free_trial'],
+      required: true
+    },
+    // Membership subdocument, CustomPackage or FreeTrial the reminder is about
+    subjectId: {
+      type: Schema.Types.ObjectId,
+      required: true
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: {
+      type: String
+    },
+    endDate: {
+      type: Date,
+      required: true
+    },
+    // Days-before-expiry offset the reminder was sent for; 0 is the notice sent after expiry
+    offsetDays: {
+      type: Number,
+      required: true
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { timestamps: true }
+);
+
+RenewalReminderSchema.index({ kind: 1, subjectId: 1, endDate: 1, offsetDays: 1 }, { unique: true });
+
+module.exports = mongoose.model('RenewalReminder', RenewalReminderSchema);
@@ -17,13 +17,61 @@ const SubscriberSchema = new Schema(
     },
     source: {
       type: String,
-      enum: ['newsletter-form', 'insights-form', 'waitlist-form', 'early-access-form', 'other'],
+      enum: ['newsletter-form', 'insights-form', 'waitlist-form', 'early-access-form', 'contact-form', 'other'],
       default: 'other',
     },
     subscribedAt: {
       type: Date,
       default: Date.now,
     },
+    // pending until the double opt-in link is confirmed; only subscribed records are mailed
+    status: {
+      type: String,
+      enum: ['pending', 'subscribed', 'unsubscribed'],
+      default: 'pending',
+      index: true,
+    },
+    unsubscribedAt: {
+      type: Date,
+    },
+    // Proof of consent (GDPR): when/where it was given and confirmed, and which consent text was shown
+    consent: {
+      givenAt: Date,
+      ip: String,
+      userAgent: String,
+      formSource: String,
+      textVersion: String,
+      confirmedAt: Date,
+      confirmationIp: String,
+      confirmationUserAgent: String,
+    },
+    confirmationSentAt: {
+      type: Date,
+    },
+    // Opens, clicks and unsubscribes from tracked emails (last 100, see utils/emailTracking.js)
+    emailEvents: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['opened', 'clicked', 'unsubscribed'],
+      },
+      category: String,
+      outboxId: {
+        type: Schema.Types.ObjectId,
+        ref: 'EmailOutbox',
+      },
+      url: String,
+      occurredAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    lastOpenedAt: {
+      type: Date,
+    },
+    lastClickedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
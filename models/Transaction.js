@@ -47,7 +47,7 @@ const TransactionSchema = new Schema(
     },
     status: {
       type: String,
-      enum: ['paid', 'pending', 'failed', 'refunded'],
+      enum: ['paid', 'pending', 'failed', 'refunded', 'disputed'],
       default: 'pending'
     },
     // paymentProvider: {
@@ -68,6 +68,38 @@ const TransactionSchema = new Schema(
       sparse: true,
       index: true
     },
+    // Set for purchases with billingType 'subscription'
+    stripeSubscriptionId: {
+      type: String,
+      index: true,
+      sparse: true
+    },
+    stripeCustomerId: {
+      type: String
+    },
+    subscription: {
+      status: {
+        type: String
+      },
+      currentPeriodEnd: {
+        type: Date
+      },
+      cancelAtPeriodEnd: {
+        type: Boolean
+      },
+      canceledAt: {
+        type: Date
+      },
+      lastInvoiceId: {
+        type: String
+      },
+      lastPaymentFailedAt: {
+        type: Date
+      },
+      renewalCount: {
+        type: Number
+      }
+    },
     webhookData: {
       type: Schema.Types.Mixed,
       default: null
@@ -80,6 +112,167 @@ const TransactionSchema = new Schema(
       type: Date,
       default: null
     },
+    // Refunds issued through Stripe (partial refunds keep access; a full refund revokes it)
+    refunds: [{
+      stripeRefundId: {
+        type: String
+      },
+      amount: {
+        type: Number,
+        required: true
+      },
+      currency: {
+        type: String,
+        uppercase: true
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'requires_action', 'succeeded', 'failed', 'canceled'],
+        default: 'pending'
+      },
+      reason: {
+        type: String
+      },
+      refundedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'Admin'
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    amountRefunded: {
+      type: Number,
+      default: 0
+    },
+    refundedAt: {
+      type: Date
+    },
+    dispute: {
+      stripeDisputeId: {
+        type: String
+      },
+      status: {
+        type: String
+      },
+      reason: {
+        type: String
+      },
+      amount: {
+        type: Number
+      },
+      openedAt: {
+        type: Date
+      },
+      closedAt: {
+        type: Date
+      }
+    },
+    accessRevokedAt: {
+      type: Date
+    },
+    // Discount code applied at checkout (amount is already the discounted total)
+    coupon: {
+      couponId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Coupon',
+        index: true
+      },
+      code: {
+        type: String
+      },
+      discountAmount: {
+        type: Number
+      },
+      originalAmount: {
+        type: Number
+      }
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['card', 'bank_transfer'],
+      default: 'card'
+    },
+    // Invoice-based (bank transfer) contracts: pending until finance marks the payment as received
+    invoicePayment: {
+      terms: {
+        type: String,
+        enum: ['net_30', 'net_60']
+      },
+      dueDate: {
+        type: Date,
+        index: true
+      },
+      purchaseOrderNumber: {
+        type: String
+      },
+      remindersSent: {
+        type: Number
+      },
+      lastReminderAt: {
+        type: Date
+      },
+      paidAt: {
+        type: Date
+      },
+      receivedAmount: {
+        type: Number
+      },
+      remittanceNote: {
+        type: String
+      },
+      markedPaidBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'Admin'
+      }
+    },
+    // Number of the invoice issued for this transaction (see models/Invoice.js)
+    invoiceNumber: {
+      type: String
+    },
+    // Tax charged at checkout (amount is the total including tax)
+    tax: {
+      mode: {
+        type: String,
+        enum: ['none', 'local', 'stripe', 'reverse_charge'],
+        default: 'none'
+      },
+      amount: {
+        type: Number,
+        default: 0
+      },
+      rate: {
+        type: Number
+      },
+      country: {
+        type: String
+      },
+      // Buyer VAT ID (B2B invoices / reverse charge)
+      vatId: {
+        type: String
+      },
+      reverseCharge: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // Set on transactions that bought extra seats for an existing custom package contract
+    seatTopUp: {
+      seats: {
+        type: Number
+      },
+      unitPrice: {
+        type: Number
+      },
+      prorationFactor: {
+        type: Number
+      },
+      parentTransactionId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Transaction'
+      }
+    },
     contractPeriod: {
       startDate: {
         type: Date
@@ -125,5 +318,11 @@ const TransactionSchema = new Schema(
   { timestamps: true }
 );
 
+// At most one bank transfer invoice awaiting payment per custom package
+TransactionSchema.index(
+  { customPackageId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending', paymentMethod: 'bank_transfer' } }
+);
+
 module.exports = mongoose.model('Transaction', TransactionSchema);
 
@@ -22,6 +22,12 @@ const UserSchema = new Schema(
       type: String,
       trim: true
     },
+    // Language for emails (see SUPPORTED_LOCALES in utils/emailTemplates.js)
+    language: {
+      type: String,
+      enum: ['en', 'de'],
+      default: 'en'
+    },
     role: {
       type: String,
       enum: ['admin', 'b2c_user', 'b2b_user', 'b2e_user', 'b2b_member', 'b2e_member'],
@@ -70,6 +76,10 @@ const UserSchema = new Schema(
     lastLogin: {
       type: Date
     },
+    // Set when the account's personal data was erased on request (GDPR, see utils/gdpr.js)
+    erasedAt: {
+      type: Date
+    },
     referredBy: {
       type: Schema.Types.ObjectId,
       ref: 'User'
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const WEBHOOK_EVENT_STATUSES = ['received', 'processing', 'processed', 'ignored', 'failed'];
+
+// An event left in 'processing' longer than this is assumed to have crashed mid-way and may be claimed again
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+const WebhookEventSchema = new Schema(
+  {
+    stripeEventId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    type: {
+      type: String,
+      required: true,
+      index: true
+    },
+    livemode: {
+      type: Boolean,
+      default: false
+    },
+    // Full Stripe event as received, used to re-run processing on retry
+    payload: {
+      type: Schema.Types.Mixed,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: WEBHOOK_EVENT_STATUSES,
+      default: 'received',
+      index: true
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String
+    },
+    failures: [{
+      attempt: Number,
+      message: String,
+      occurredAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Response body returned by the last processing attempt
+    result: {
+      type: Schema.Types.Mixed
+    },
+    transactionId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Transaction',
+      index: true
+    },
+    paymentIntentId: {
+      type: String,
+      index: true
+    },
+    checkoutSessionId: {
+      type: String,
+      index: true
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastAttemptAt: {
+      type: Date
+    },
+    processedAt: {
+      type: Date
+    },
+    lastRetriedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  { timestamps: true }
+);
+
+WebhookEventSchema.index({ createdAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', WebhookEventSchema);
+
+WebhookEvent.STATUSES = WEBHOOK_EVENT_STATUSES;
+
+// Record receipt of a Stripe event. Redeliveries of the same event id return the existing document.
+WebhookEvent.recordReceipt = async function(event) {
+  const object = event.data?.object || {};
+  const isSession = object.object === 'checkout.session';
+
+  return this.findOneAndUpdate(
+    { stripeEventId: event.id },
+    {
+      $setOnInsert: {
+        stripeEventId: event.id,
+        type: event.type,
+        livemode: !!event.livemode,
+        payload: event,
+        status: 'received',
+        paymentIntentId: object.object === 'payment_intent' ? object.id : (object.payment_intent || null),
+        checkoutSessionId: isSession ? object.id : null,
+        receivedAt: new Date()
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Atomically move an event into 'processing' so concurrent deliveries cannot process it twice.
+// Returns null when the event is already processed/ignored or another attempt is still running.
+WebhookEvent.claim = async function(id) {
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: { $in: ['received', 'failed'] } },
+        { status: 'processing', lastAttemptAt: { $lt: staleBefore } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lastAttemptAt: new Date() },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+};
+
+module.exports = WebhookEvent;
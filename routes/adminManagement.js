@@ -6,6 +6,11 @@ const Admin = require('../models/Admin');
 
 const router = express.Router();
 
+// Give admins created before roles existed the super_admin role (one-time migration)
+Admin.assignLegacyRoles().catch(err => {
+  console.log('Admin role migration check:', err.message);
+});
+
 // Get current admin info
 router.get('/me', authenticateToken, async (req, res) => {
   try {
@@ -13,15 +18,23 @@ router.get('/me', authenticateToken, async (req, res) => {
     if (!admin) {
       return res.status(404).json({ error: 'Admin not found' });
     }
-    res.json(admin);
+    res.json({ ...admin.toObject(), permissions: admin.getPermissions() });
   } catch (error) {
     console.error('Error fetching admin info:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Roles and the permissions they grant
+router.get('/roles', authenticateToken, async (req, res) => {
+  res.json(Admin.ROLES.map(role => ({
+    role,
+    permissions: Admin.ROLE_PERMISSIONS[role]
+  })));
+});
+
 // List all admins
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requireRole('super_admin'), async (req, res) => {
   try {
     const admins = await Admin.find().select('-passwordHash').sort({ createdAt: -1 });
     res.json(admins);
@@ -31,6 +44,42 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Change an admin's role
+router.put(
+  '/:id/role',
+  authenticateToken,
+  requireRole('super_admin'),
+  [
+    body('role').isIn(Admin.ROLES).withMessage('Invalid admin role')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.userId === req.params.id && req.body.role !== 'super_admin') {
+        return res.status(400).json({ error: 'Cannot remove your own super_admin role' });
+      }
+
+      const admin = await Admin.findByIdAndUpdate(
+        req.params.id,
+        { role: req.body.role },
+        { new: true, runValidators: true }
+      ).select('-passwordHash');
+
+      if (!admin) {
+        return res.status(404).json({ error: 'Admin not found' });
+      }
+      res.json({ ...admin.toObject(), permissions: admin.getPermissions() });
+    } catch (error) {
+      console.error('Error updating admin role:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
 module.exports = router;
 
 
@@ -0,0 +1,88 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware/rbac');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('super_admin'));
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ?actorId=&actorKind=Admin|User&actorEmail=&action=create|update|delete&entityType=Card&entityId=&path=/api/cards&ip=&field=title&from=&to=
+router.get('/', async (req, res) => {
+  try {
+    const { actorId, actorKind, actorEmail, action, entityType, entityId, path, ip, field, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    for (const id of [actorId, entityId]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid id' });
+      }
+    }
+
+    const query = {};
+    if (actorId) query['actor.id'] = actorId;
+    if (actorKind) query['actor.kind'] = actorKind;
+    if (actorEmail) query['actor.email'] = { $regex: escapeRegex(String(actorEmail)), $options: 'i' };
+    if (action) query.action = action;
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (path) query['request.path'] = { $regex: `^${escapeRegex(String(path))}` };
+    if (ip) query['request.ip'] = ip;
+    if (field) query['changes.path'] = field;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({ entries, total, page, limit });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Entity types that have entries, for the filter
+router.get('/entity-types', async (req, res) => {
+  try {
+    const entityTypes = await AuditLog.distinct('entityType');
+    res.json(entityTypes.sort());
+  } catch (error) {
+    console.error('Error fetching audit log entity types:', error);
+    res.status(500).json({ error: 'Failed to fetch entity types' });
+  }
+});
+
+// History of one record, e.g. /Card/:id or /Transaction/:id - newest first
+router.get('/:entityType/:entityId', async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      return res.status(400).json({ error: 'Invalid id' });
+    }
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = { entityType, entityId };
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({ entityType, entityId, entries, total, page, limit });
+  } catch (error) {
+    console.error('Error fetching entity history:', error);
+    res.status(500).json({ error: 'Failed to fetch history' });
+  }
+});
+
+module.exports = router;
@@ -4,11 +4,13 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { body, validationResult, custom } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware/rbac');
 const Admin = require('../models/Admin');
 const User = require('../models/User');
 const Organization = require('../models/Organization');
 const School = require('../models/School');
-const { createTransporter } = require('../utils/emailService');
+const { queueEmail } = require('../utils/emailOutbox');
+const { renderEmail, SUPPORTED_LOCALES, normalizeLocale } = require('../utils/emailTemplates');
 
 // Password strength validator
 const validateStrongPassword = (value) => {
@@ -62,12 +64,31 @@ const generateReferralCode = async () => {
   return code;
 };
 
+// The very first admin can self-register (and becomes super_admin).
+// After that, only an authenticated super_admin can register new admins.
+const allowAdminRegistration = async (req, res, next) => {
+  try {
+    const adminCount = await Admin.countDocuments();
+    if (adminCount === 0) {
+      req.isFirstAdmin = true;
+      return next();
+    }
+
+    authenticateToken(req, res, () => requireRole('super_admin')(req, res, next));
+  } catch (error) {
+    console.error('Admin registration check error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 router.post(
   '/register-admin',
+  allowAdminRegistration,
   [
     body('email').isEmail().normalizeEmail(),
     body('password').isLength({ min: 6 }),
-    body('name').optional().trim()
+    body('name').optional().trim(),
+    body('role').optional().isIn(Admin.ROLES).withMessage('Invalid admin role')
   ],
   async (req, res) => {
     try {
@@ -77,6 +98,7 @@ router.post(
       }
 
       const { email, password, name } = req.body;
+      const role = req.isFirstAdmin ? 'super_admin' : (req.body.role || 'support');
 
       const existing = await Admin.findOne({ email });
       if (existing) {
@@ -88,6 +110,7 @@ router.post(
         email,
         passwordHash,
         name: name || email.split('@')[0],
+        role,
         isActive: true
       });
 
@@ -103,7 +126,9 @@ router.post(
         user: {
           id: admin._id,
           email: admin.email,
-          name: admin.name
+          name: admin.name,
+          role: admin.role,
+          permissions: admin.getPermissions()
         }
       });
     } catch (error) {
@@ -116,7 +141,7 @@ router.post(
   }
 );
 
-router.get('/admins', authenticateToken, async (req, res) => {
+router.get('/admins', authenticateToken, requireRole('super_admin'), async (req, res) => {
   try {
     const admins = await Admin.find().select('-passwordHash').sort({ createdAt: -1 });
     res.json(admins);
@@ -126,7 +151,7 @@ router.get('/admins', authenticateToken, async (req, res) => {
   }
 });
 
-router.get('/admins/:id', authenticateToken, async (req, res) => {
+router.get('/admins/:id', authenticateToken, requireRole('super_admin'), async (req, res) => {
   try {
     const admin = await Admin.findById(req.params.id).select('-passwordHash');
     if (!admin) {
@@ -139,12 +164,21 @@ router.get('/admins/:id', authenticateToken, async (req, res) => {
   }
 });
 
-router.put('/admins/:id', authenticateToken, async (req, res) => {
+router.put('/admins/:id', authenticateToken, requireRole('super_admin'), async (req, res) => {
   try {
-    const { name, isActive } = req.body;
+    const { name, isActive, role } = req.body;
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (role !== undefined) {
+      if (!Admin.ROLES.includes(role)) {
+        return res.status(400).json({ error: 'Invalid admin role' });
+      }
+      if (req.userId === req.params.id && role !== 'super_admin') {
+        return res.status(400).json({ error: 'Cannot remove your own super_admin role' });
+      }
+      updateData.role = role;
+    }
 
     const admin = await Admin.findByIdAndUpdate(
       req.params.id,
@@ -169,7 +203,7 @@ router.get('/admin/me', authenticateToken, async (req, res) => {
     if (!admin) {
       return res.status(404).json({ error: 'Admin not found' });
     }
-    res.json(admin);
+    res.json({ ...admin.toObject(), permissions: admin.getPermissions() });
   } catch (error) {
     console.error('Error fetching admin profile:', error);
     res.status(500).json({ error: 'Server error' });
@@ -253,7 +287,7 @@ router.put('/admin/password', authenticateToken, async (req, res) => {
   }
 });
 
-router.delete('/admins/:id', authenticateToken, async (req, res) => {
+router.delete('/admins/:id', authenticateToken, requireRole('super_admin'), async (req, res) => {
   try {
     if (req.userId === req.params.id) {
       return res.status(400).json({ error: 'Cannot delete your own account' });
@@ -309,7 +343,7 @@ router.post(
         });
       }
 
-      const { email, password, name, userType, organizationName, organizationType, customOrganizationType, referralCode } = req.body;
+      const { email, password, name, userType, organizationName, organizationType, customOrganizationType, referralCode, language } = req.body;
 
       // Log registration attempt for debugging
       console.log('Registration attempt:', {
@@ -399,6 +433,7 @@ router.post(
         passwordHash,
         name: name || email.split('@')[0],
         role: userRole, // CRITICAL: Ensure role is set correctly based on userType
+        language: normalizeLocale(language) || normalizeLocale(req.acceptsLanguages(...SUPPORTED_LOCALES)) || undefined,
         isActive: true,
         isEmailVerified: false,
         emailVerificationToken,
@@ -629,133 +664,25 @@ router.post(
           emailError = 'Email service not configured';
         } else {
           const verificationUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${emailVerificationToken}`;
-          
-          // Include unique code in email if organization or school is created
-          let uniqueCodeSection = '';
-          if (organization) {
-            uniqueCodeSection = `
-              <div style="background-color: #F5F8FB; padding: 20px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #0B7897;">
-                <h3 style="margin: 0 0 10px 0; color: #063C5E; font-size: 18px; font-weight: 600;">Your Organization Registration Code</h3>
-                <p style="margin: 0 0 10px 0; color: #333333; font-size: 16px; line-height: 1.6;">
-                  Your organization has been successfully registered! This is your organization registration code:
-                </p>
-                <div style="background-color: #FFFFFF; padding: 15px; border-radius: 4px; text-align: center; margin: 15px 0;">
-                  <p style="margin: 0; color: #0B7897; font-size: 24px; font-weight: 700; letter-spacing: 2px;">${organization.uniqueCode}</p>
-                </div>
-                <p style="margin: 10px 0 0 0; color: #333333; font-size: 15px; line-height: 1.6; font-weight: 600;">
-                  Share this code with your organization members:
-                </p>
-                <p style="margin: 10px 0 0 0; color: #666666; font-size: 14px; line-height: 1.6;">
-                  Your organization members can use this code to register and become members of your organization. They will need your approval before they can access the platform. This code is specifically for your organization registration and member management.
-                </p>
-              </div>
-            `;
-          } else if (school) {
-            uniqueCodeSection = `
-              <div style="background-color: #F5F8FB; padding: 20px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #0B7897;">
-                <h3 style="margin: 0 0 10px 0; color: #063C5E; font-size: 18px; font-weight: 600;">Your School Registration Code</h3>
-                <p style="margin: 0 0 10px 0; color: #333333; font-size: 16px; line-height: 1.6;">
-                  Your school has been successfully registered! This is your school registration code:
-                </p>
-                <div style="background-color: #FFFFFF; padding: 15px; border-radius: 4px; text-align: center; margin: 15px 0;">
-                  <p style="margin: 0; color: #0B7897; font-size: 24px; font-weight: 700; letter-spacing: 2px;">${school.uniqueCode}</p>
-                </div>
-                <p style="margin: 10px 0 0 0; color: #333333; font-size: 15px; line-height: 1.6; font-weight: 600;">
-                  Share this code with your school members:
-                </p>
-                <p style="margin: 10px 0 0 0; color: #666666; font-size: 14px; line-height: 1.6;">
-                  Your school members can use this code to register and become members of your school. They will need your approval before they can access the platform. This code is specifically for your school registration and member management.
-                </p>
-              </div>
-            `;
-          }
-          
-          const emailHtml = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Verify Your Email</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #F5F8FB;">
-  <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #F5F8FB; padding: 20px;">
-    <tr>
-      <td align="center" style="padding: 20px 0;">
-        <table role="presentation" style="width: 600px; max-width: 100%; border-collapse: collapse; background-color: #FFFFFF; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-          <tr>
-            <td style="background: linear-gradient(135deg, #063C5E 0%, #0B7897 100%); padding: 30px; text-align: center;">
-              <h1 style="margin: 0; color: #FFFFFF; font-size: 28px; font-weight: 700;">Konfydence</h1>
-              <p style="margin: 5px 0 0 0; color: #FFD700; font-size: 14px; font-weight: 500;">Safer Digital Decisions</p>
-            </td>
-          </tr>
-          <tr>
-            <td style="padding: 40px 30px;">
-              <h2 style="margin: 0 0 20px 0; color: #063C5E; font-size: 24px; font-weight: 700;">Verify Your Email Address</h2>
-              <p style="margin: 0 0 20px 0; color: #333333; font-size: 16px; line-height: 1.6;">
-                Dear ${name || 'User'},
-              </p>
-              <p style="margin: 0 0 20px 0; color: #333333; font-size: 16px; line-height: 1.6;">
-                Thank you for registering with Konfydence! Please verify your email address by clicking the button below:
-              </p>
-              <div style="background-color: #FFF3CD; border-left: 4px solid #FFC107; padding: 15px; margin: 20px 0; border-radius: 4px;">
-                <p style="margin: 0; color: #856404; font-size: 15px; font-weight: 600; line-height: 1.6;">
-                  ⚠️ Important: You must verify your email address before you can login to your account.
-                </p>
-              </div>
-              <table role="presentation" style="width: 100%; margin: 30px 0; border-collapse: collapse;">
-                <tr>
-                  <td align="center">
-                    <a href="${verificationUrl}" style="display: inline-block; background-color: #0B7897; color: #FFFFFF; text-decoration: none; padding: 14px 30px; border-radius: 6px; font-weight: 600; font-size: 16px;">Verify Email Address</a>
-                  </td>
-                </tr>
-              </table>
-              ${uniqueCodeSection}
-              <p style="margin: 20px 0 0 0; color: #666666; font-size: 14px; line-height: 1.6;">
-                Or copy and paste this link into your browser:<br>
-                <a href="${verificationUrl}" style="color: #0B7897; word-break: break-all;">${verificationUrl}</a>
-              </p>
-              <p style="margin: 30px 0 0 0; color: #666666; font-size: 14px; line-height: 1.6;">
-                This link will expire in 24 hours. If you didn't create an account, please ignore this email.
-              </p>
-              <div style="border-top: 2px solid #F5F8FB; padding-top: 20px; margin-top: 30px;">
-                <p style="margin: 0; color: #0B7897; font-size: 14px; font-weight: 600;">
-                  Best regards,<br>
-                  The Konfydence Team
-                </p>
-              </div>
-            </td>
-          </tr>
-          <tr>
-            <td style="background-color: #063C5E; padding: 20px 30px; text-align: center;">
-              <p style="margin: 0; color: #FFFFFF; font-size: 12px;">
-                © ${new Date().getFullYear()} Konfydence. All rights reserved.
-              </p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-        `;
 
-          const transporter = createTransporter();
-          const info = await transporter.sendMail({
+          const content = await renderEmail('email_verification', {
+            locale: user.language,
+            variables: { name, verificationUrl, organizationCode: organization?.uniqueCode, schoolCode: school?.uniqueCode }
+          });
+          const info = await queueEmail({
             from: `"Konfydence" <${process.env.MAIL_FROM}>`,
             to: email,
-            subject: 'Verify Your Email Address - Konfydence',
-            html: emailHtml,
-            text: `Dear ${name || 'User'},\n\nThank you for registering with Konfydence!\n\nIMPORTANT: You must verify your email address before you can login to your account.\n\nPlease verify your email address by clicking this link: ${verificationUrl}\n\n${organization ? `\nYour Organization Registration Code: ${organization.uniqueCode}\n\nThis code is for your organization registration. Share this code with your organization members so they can register and become members of your organization. They will need your approval before they can access the platform.\n` : ''}${school ? `\nYour School Registration Code: ${school.uniqueCode}\n\nThis code is for your school registration. Share this code with your school members so they can register and become members of your school. They will need your approval before they can access the platform.\n` : ''}\nThis link will expire in 24 hours. If you didn't create an account, please ignore this email.\n\nBest regards,\nThe Konfydence Team`
-          });
+            subject: content.subject,
+            html: content.html,
+            text: content.text
+          }, { category: 'email_verification', template: content.template });
           
           emailSent = true;
-          console.log('✅ Verification email sent successfully:', {
+          console.log('✅ Verification email queued:', {
             messageId: info.messageId,
             to: email,
-            accepted: info.accepted,
-            rejected: info.rejected
+            queued: info.queued,
+            suppressed: info.suppressed
           });
         }
       } catch (err) {
@@ -1018,7 +945,9 @@ const adminLoginHandler = async (req, res) => {
       user: {
         id: admin._id,
         email: admin.email,
-        name: admin.name
+        name: admin.name,
+        role: admin.role,
+        permissions: admin.getPermissions()
       }
     });
   } catch (error) {
@@ -1173,39 +1102,24 @@ router.post('/user/resend-verification', async (req, res) => {
         emailError = 'Email service not configured';
       } else {
         const verificationUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${emailVerificationToken}`;
-        const emailHtml = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <title>Verify Your Email</title>
-</head>
-<body style="font-family: Arial, sans-serif; background-color: #F5F8FB; padding: 20px;">
-  <div style="max-width: 600px; margin: 0 auto; background-color: #FFFFFF; border-radius: 8px; padding: 30px;">
-    <h2 style="color: #063C5E;">Verify Your Email Address</h2>
-    <p>Please click the button below to verify your email:</p>
-    <a href="${verificationUrl}" style="display: inline-block; background-color: #0B7897; color: #FFFFFF; padding: 14px 30px; text-decoration: none; border-radius: 6px; margin: 20px 0;">Verify Email</a>
-    <p style="color: #666666; font-size: 14px;">Or copy this link: ${verificationUrl}</p>
-    <p style="color: #666666; font-size: 14px;">This link expires in 24 hours.</p>
-  </div>
-</body>
-</html>
-        `;
-
-        const transporter = createTransporter();
-        const info = await transporter.sendMail({
+        const content = await renderEmail('email_verification', {
+          locale: user.language,
+          variables: { name: user.name, verificationUrl }
+        });
+        const info = await queueEmail({
           from: `"Konfydence" <${process.env.MAIL_FROM}>`,
           to: email,
-          subject: 'Verify Your Email Address - Konfydence',
-          html: emailHtml
-        });
+          subject: content.subject,
+          html: content.html,
+          text: content.text
+        }, { category: 'email_verification', template: content.template });
         
         emailSent = true;
-        console.log('✅ Resend verification email sent successfully:', {
+        console.log('✅ Resend verification email queued:', {
           messageId: info.messageId,
           to: email,
-          accepted: info.accepted,
-          rejected: info.rejected
+          queued: info.queued,
+          suppressed: info.suppressed
         });
       }
     } catch (err) {
@@ -1263,68 +1177,15 @@ router.post('/user/forgot-password', async (req, res) => {
     // Send reset email
     try {
       const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${passwordResetToken}`;
-      const emailHtml = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Reset Your Password</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #F5F8FB;">
-  <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #F5F8FB; padding: 20px;">
-    <tr>
-      <td align="center" style="padding: 20px 0;">
-        <table role="presentation" style="width: 600px; max-width: 100%; border-collapse: collapse; background-color: #FFFFFF; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-          <tr>
-            <td style="background: linear-gradient(135deg, #063C5E 0%, #0B7897 100%); padding: 30px; text-align: center;">
-              <h1 style="margin: 0; color: #FFFFFF; font-size: 28px; font-weight: 700;">Konfydence</h1>
-              <p style="margin: 5px 0 0 0; color: #FFD700; font-size: 14px; font-weight: 500;">Safer Digital Decisions</p>
-            </td>
-          </tr>
-          <tr>
-            <td style="padding: 40px 30px;">
-              <h2 style="margin: 0 0 20px 0; color: #063C5E; font-size: 24px; font-weight: 700;">Reset Your Password</h2>
-              <p style="margin: 0 0 20px 0; color: #333333; font-size: 16px; line-height: 1.6;">
-                You requested to reset your password. Click the button below to reset it:
-              </p>
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="${resetUrl}" style="display: inline-block; background-color: #0B7897; color: #FFFFFF; padding: 14px 30px; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 16px;">Reset Password</a>
-              </div>
-              <p style="margin: 20px 0 10px 0; color: #666666; font-size: 14px; line-height: 1.6;">
-                Or copy this link:
-              </p>
-              <p style="margin: 0 0 20px 0; color: #0B7897; font-size: 13px; word-break: break-all; line-height: 1.6;">
-                ${resetUrl}
-              </p>
-              <div style="background-color: #FFF3CD; border-left: 4px solid #FFC107; padding: 15px; margin: 20px 0; border-radius: 4px;">
-                <p style="margin: 0; color: #856404; font-size: 14px; line-height: 1.6;">
-                  ⚠️ This link expires in 1 hour. If you didn't request this, please ignore this email.
-                </p>
-              </div>
-              <p style="margin: 30px 0 0 0; color: #666666; font-size: 14px; line-height: 1.6;">
-                Best regards,<br>
-                The Konfydence Team
-              </p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-      `;
-
       if (process.env.MAIL_FROM && process.env.SMTP_PASS) {
-        const transporter = createTransporter();
-        await transporter.sendMail({
+        const content = await renderEmail('password_reset', { locale: user.language, variables: { resetUrl } });
+        await queueEmail({
           from: `"Konfydence" <${process.env.MAIL_FROM}>`,
           to: email,
-          subject: 'Reset Your Password - Konfydence',
-          html: emailHtml,
-          text: `Reset Your Password - Konfydence\n\nYou requested to reset your password. Click the link below to reset it:\n\n${resetUrl}\n\nThis link expires in 1 hour. If you didn't request this, please ignore this email.\n\nBest regards,\nThe Konfydence Team`
-        });
+          subject: content.subject,
+          html: content.html,
+          text: content.text
+        }, { category: 'password_reset', template: content.template });
       }
     } catch (emailError) {
       console.error('Error sending reset email:', emailError);
@@ -1450,6 +1311,7 @@ router.post(
         passwordHash,
         name: name || email.split('@')[0],
         role: organization ? 'b2b_member' : 'b2e_member',
+        language: normalizeLocale(req.body.language) || normalizeLocale(req.acceptsLanguages(...SUPPORTED_LOCALES)) || undefined,
         isActive: true,
         isEmailVerified: false, // No email verification for members initially
         organizationId: organization ? organization._id : null,
@@ -1834,13 +1696,12 @@ router.post('/member/requests/:requestId/:action', authenticateToken, async (req
 </html>
           `;
 
-          const transporter = createTransporter();
-          await transporter.sendMail({
+          await queueEmail({
             from: `"Konfydence" <${process.env.MAIL_FROM}>`,
             to: memberUser.email,
             subject: `Membership Approved - ${orgName}`,
             html: emailHtml
-          });
+          }, { category: 'member_approved' });
         }
       } catch (emailError) {
         console.error('Error sending approval email:', emailError);
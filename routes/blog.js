@@ -1,10 +1,38 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
 const BlogPost = require('../models/BlogPost');
+const { applyReviewAction, reopenReview } = require('../utils/editorialWorkflow');
 
 const router = express.Router();
 
+// Fields whose change needs a new review
+const CONTENT_FIELDS = ['title', 'slug', 'excerpt', 'content', 'featuredImage', 'category'];
+
+// Posts from before the editorial review keep their published state (one-time migration)
+BlogPost.updateMany(
+  { review: { $exists: false } },
+  [{ $set: { review: { status: { $cond: ['$isPublished', 'published', 'draft'] }, comments: [] } } }]
+)
+  .then(result => {
+    if (result.modifiedCount > 0) {
+      console.log(`📚 Added review status to ${result.modifiedCount} blog posts`);
+    }
+  })
+  .catch(err => console.log('Blog review migration check:', err.message));
+
+const publishPost = (post) => {
+  post.isPublished = true;
+  if (!post.publishedAt) {
+    post.publishedAt = new Date();
+  }
+};
+
+const unpublishPost = (post) => {
+  post.isPublished = false;
+};
+
 // Helper function to generate slug from title
 const generateSlug = (title) => {
   return title
@@ -36,20 +64,27 @@ const ensureUniqueSlug = async (baseSlug, excludeId = null) => {
   }
 };
 
+// The admin panel listing (all=true) includes drafts and review comments, so it needs the blog permission
+const requireBlogPermissionForAll = (req, res, next) => {
+  if (req.query.all !== 'true') {
+    return next();
+  }
+  authenticateToken(req, res, () => checkPermission('blog')(req, res, next));
+};
 
-router.get('/', async (req, res) => {
+router.get('/', requireBlogPermissionForAll, async (req, res) => {
   try {
-    const { page = 1, limit = 10, published, all, category, search } = req.query;
+    const { page = 1, limit = 10, all, category, search, reviewStatus, reviewerId } = req.query;
     const query = {};
     const fetchAll = all === 'true';
     const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
     const limitNumber = Math.max(parseInt(limit, 10) || 10, 1);
     
-    // Only filter by published if specifically requested
+    // Public listing: only published posts whose publishedAt is set and not in the future
     // For admin panel (all=true), show all posts regardless of published status
-    if (published === 'true' && !fetchAll) {
+    if (!fetchAll) {
       query.isPublished = true;
-      // Only show posts where publishedAt is set and is less than or equal to current date/time
+      query['review.status'] = 'published';
       query.publishedAt = { $exists: true, $lte: new Date() };
     }
 
@@ -57,6 +92,14 @@ router.get('/', async (req, res) => {
       query.category = category;
     }
 
+    // Admin panel: filter by editorial review
+    if (fetchAll && reviewStatus) {
+      query['review.status'] = reviewStatus;
+    }
+    if (fetchAll && reviewerId) {
+      query['review.reviewerId'] = reviewerId;
+    }
+
     // Search functionality
     if (search && search.trim()) {
       const searchRegex = new RegExp(search.trim(), 'i');
@@ -89,6 +132,7 @@ router.get('/', async (req, res) => {
 
     const [posts, total] = await Promise.all([
       BlogPost.find(query)
+        .select('-review')
         .sort({ publishedAt: -1, createdAt: -1 })
         .limit(limitNumber)
         .skip((pageNumber - 1) * limitNumber),
@@ -110,7 +154,8 @@ router.get('/', async (req, res) => {
 
 router.get('/:slug', async (req, res) => {
   try {
-    const post = await BlogPost.findOne({ slug: req.params.slug });
+    const post = await BlogPost.findOne({ slug: req.params.slug, isPublished: true, 'review.status': 'published' })
+      .select('-review');
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
@@ -123,6 +168,7 @@ router.get('/:slug', async (req, res) => {
 router.post(
   '/',
   authenticateToken,
+  checkPermission('blog'),
   [
     body('title').notEmpty().withMessage('Post title is required'),
     body('excerpt').notEmpty().withMessage('Post excerpt is required'),
@@ -140,6 +186,12 @@ router.post(
         return res.status(400).json({ error: 'Post category is required' });
       }
 
+      // New posts start as drafts and go live through the review (POST /:id/review/:action)
+      if (req.body.isPublished) {
+        return res.status(400).json({ error: 'New posts are drafts - submit the post for review and publish it once approved' });
+      }
+      delete req.body.review;
+
       // Auto-generate slug from title if not provided
       if (!req.body.slug || !req.body.slug.trim()) {
         const baseSlug = generateSlug(req.body.title);
@@ -149,10 +201,6 @@ router.post(
         req.body.slug = await ensureUniqueSlug(req.body.slug);
       }
 
-      // Handle publishedAt: if isPublished is true but no publishedAt provided, set to current date
-      if (req.body.isPublished && !req.body.publishedAt) {
-        req.body.publishedAt = new Date();
-      }
       // If publishedAt is provided, ensure it's a valid date
       if (req.body.publishedAt) {
         const publishDate = new Date(req.body.publishedAt);
@@ -181,6 +229,7 @@ router.post(
 router.put(
   '/:id',
   authenticateToken,
+  checkPermission('blog'),
   [
     body('title').optional().notEmpty().withMessage('Post title cannot be empty'),
     body('excerpt').optional().notEmpty().withMessage('Post excerpt cannot be empty'),
@@ -203,10 +252,6 @@ router.put(
         req.body.slug = await ensureUniqueSlug(req.body.slug, req.params.id);
       }
 
-      // Handle publishedAt: if isPublished is true but no publishedAt provided, set to current date
-      if (req.body.isPublished && !req.body.publishedAt) {
-        req.body.publishedAt = new Date();
-      }
       // If publishedAt is provided, ensure it's a valid date
       if (req.body.publishedAt) {
         const publishDate = new Date(req.body.publishedAt);
@@ -216,14 +261,34 @@ router.put(
         req.body.publishedAt = publishDate;
       }
 
-      const post = await BlogPost.findByIdAndUpdate(
-        req.params.id,
-        req.body,
-        { new: true, runValidators: true }
-      );
+      const post = await BlogPost.findById(req.params.id);
       if (!post) {
         return res.status(404).json({ error: 'Blog post not found' });
       }
+
+      const { isPublished, review, ...changes } = req.body;
+      post.set(changes);
+
+      // Edited content is taken offline until it has been reviewed again
+      if (CONTENT_FIELDS.some(field => post.isModified(field)) && reopenReview(post, req.admin)) {
+        post.isPublished = false;
+      }
+
+      // The publish toggle only works for approved posts
+      if (isPublished !== undefined && Boolean(isPublished) !== post.isPublished) {
+        const result = await applyReviewAction(post, isPublished ? 'publish' : 'unpublish', {
+          admin: req.admin,
+          permission: 'blog',
+          isLive: post.isPublished,
+          onPublish: publishPost,
+          onUnpublish: unpublishPost
+        });
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+      }
+
+      await post.save();
       res.json(post);
     } catch (error) {
       if (error.code === 11000) {
@@ -239,7 +304,41 @@ router.put(
   }
 );
 
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Editorial review: submit (reviewerId?), assign (reviewerId), comment, approve, request-changes, publish, unpublish.
+// Body: { comment, reviewerId }
+router.post('/:id/review/:action', authenticateToken, checkPermission('blog'), async (req, res) => {
+  try {
+    const post = await BlogPost.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+
+    const result = await applyReviewAction(post, req.params.action, {
+      admin: req.admin,
+      permission: 'blog',
+      comment: req.body.comment,
+      reviewerId: req.body.reviewerId,
+      isLive: post.isPublished,
+      onPublish: publishPost,
+      onUnpublish: unpublishPost
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await post.save();
+    console.log('📝 Blog post review:', { postId: post._id, action: req.params.action, status: post.review.status, by: req.admin._id });
+    res.json(post);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+    console.error('Error updating blog post review:', error);
+    res.status(500).json({ error: 'Failed to update blog post review' });
+  }
+});
+
+router.delete('/:id', authenticateToken, checkPermission('blog'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log('Attempting to delete blog post with ID:', id);
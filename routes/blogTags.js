@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
 const BlogTag = require('../models/BlogTag');
 
 const router = express.Router();
@@ -29,6 +30,7 @@ router.get('/', async (req, res) => {
 router.post(
   '/',
   authenticateToken,
+  checkPermission('blog'),
   [
     body('name').notEmpty().withMessage('Name is required'),
   ],
@@ -65,7 +67,7 @@ router.post(
   }
 );
 
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, checkPermission('blog'), async (req, res) => {
   try {
     const tag = await BlogTag.findByIdAndUpdate(
       req.params.id,
@@ -81,7 +83,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, checkPermission('blog'), async (req, res) => {
   try {
     const tag = await BlogTag.findByIdAndDelete(req.params.id);
     if (!tag) {
@@ -1,11 +1,43 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const path = require('path');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { checkPermission } = require('../middleware/rbac');
 const Card = require('../models/Card');
+const CardRevision = require('../models/CardRevision');
+const { toCsv, toJson, parseCardFile, importCards } = require('../utils/cardTransfer');
+const { recordRevision, restoreRevision, compareRevisions, createBaselineRevisions, getPublishedCards } = require('../utils/cardRevisions');
+const { applyReviewAction } = require('../utils/editorialWorkflow');
+const {
+  TRANSLATION_COLUMNS,
+  normalizeLocale,
+  getSourceStrings,
+  getTranslationStatus,
+  localizeCard,
+  setTranslations,
+  getTranslationRows,
+  toTranslationCsv,
+  parseTranslationFile,
+  importTranslations
+} = require('../utils/cardTranslations');
+const { getQuestionType, validateQuestionType, toGameQuestion } = require('../utils/questionTypes');
+const { GAME_CARDS_PER_LEVEL, scoreQuestion } = require('../utils/gameScoring');
 
 const router = express.Router();
 
+// Version 1 for cards created before versioning, published state for cards from before the review (one-time migration)
+createBaselineRevisions().catch(err => {
+  console.log('Card revision baseline check:', err.message);
+});
+
+// Card import files are parsed in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
 // Public endpoint to get available levels for a product/package
 router.get('/public/available-levels', async (req, res) => {
   try {
@@ -40,7 +72,8 @@ router.get('/public/available-levels', async (req, res) => {
         // Check if package has cards with questions
         const cardsWithQuestions = await Card.find({ 
           _id: { $in: packageDoc.includedCardIds },
-          'question.description': { $exists: true, $ne: '' }
+          'question.description': { $exists: true, $ne: '' },
+          'review.publishedRevision': { $gt: 0 }
         });
         
         // If package has cards with questions, all levels are available
@@ -61,7 +94,7 @@ router.get('/public/available-levels', async (req, res) => {
 // Public endpoint for game (no authentication required)
 router.get('/public/game', async (req, res) => {
   try {
-    const { level, packageId, productId, isDemo, targetAudience } = req.query;
+    const { level, packageId, productId, isDemo, targetAudience, lang } = req.query;
     const Package = require('../models/Package');
     const Product = require('../models/Product');
     
@@ -119,14 +152,16 @@ router.get('/public/game', async (req, res) => {
             
             console.log(`📋 Processing ${cards.length} cards to extract questions`);
             
-            // Aggregate questions from product cards
+            // Aggregate questions from product cards (published versions only)
             const allQuestions = [];
-            cards.forEach(card => {
+            (await getPublishedCards(cards)).map(card => localizeCard(card, lang)).forEach(card => {
               if (card.question && card.question.description) {
                 allQuestions.push({
-                  ...card.question.toObject(),
+                  ...toGameQuestion(card.question),
                   cardId: card._id,
-                  cardTitle: card.title
+                  cardTitle: card.title,
+                  locale: card.locale,
+                  isFallback: card.isFallback
                 });
               } else {
                 console.warn(`⚠️ Card ${card._id} (${card.title}) has no question or question description`);
@@ -181,15 +216,17 @@ router.get('/public/game', async (req, res) => {
       // Fetch cards directly from cards table
       const fetchedCards = await Card.find(query).sort({ createdAt: -1 }); // Sort by newest first
       
-      // Aggregate all questions from all filtered cards
+      // Aggregate all questions from all filtered cards (published versions only)
       const allQuestions = [];
       
-      fetchedCards.forEach(card => {
+      (await getPublishedCards(fetchedCards)).map(card => localizeCard(card, lang)).forEach(card => {
         if (card.question && card.question.description) {
           allQuestions.push({
-            ...card.question.toObject(),
+            ...toGameQuestion(card.question),
             cardId: card._id,
-            cardTitle: card.title
+            cardTitle: card.title,
+            locale: card.locale,
+            isFallback: card.isFallback
           });
         }
       });
@@ -303,22 +340,24 @@ router.get('/public/game', async (req, res) => {
       cards.push(...fetchedCards);
     }
     
-    // Aggregate all questions from all filtered cards (in order)
+    // Aggregate all questions from all filtered cards (in order, published versions only)
     const allQuestions = [];
     
-    cards.forEach(card => {
+    (await getPublishedCards(cards)).map(card => localizeCard(card, lang)).forEach(card => {
       if (card.question) {
         allQuestions.push({
-          ...card.question.toObject(),
+          ...toGameQuestion(card.question),
           cardId: card._id,
-          cardTitle: card.title
+          cardTitle: card.title,
+          locale: card.locale,
+          isFallback: card.isFallback
         });
       }
     });
     
     // Return aggregated questions
     // For regular users, limit to 30 per level
-    const limit = 30;
+    const limit = GAME_CARDS_PER_LEVEL;
     res.json({
       level: level ? parseInt(level) : null,
       questions: allQuestions.slice(0, limit),
@@ -330,6 +369,42 @@ router.get('/public/game', async (req, res) => {
   }
 });
 
+// Public endpoint for the feedback after each answer during a game (the game payload carries no scoring).
+// Body: cardId, lang and the answer as for a level submission (answerId, answerIds, confidence or clicks).
+router.post('/public/game/check-answer', async (req, res) => {
+  try {
+    const { cardId, lang, ...submitted } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(cardId)) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+
+    const card = await Card.findOne({ _id: cardId, isDeleted: { $ne: true } }).select('title question locale translations revision review');
+    // Players get the published version of a card, so that is what the answer is checked against
+    const [published] = card ? await getPublishedCards([card]) : [];
+    if (!published || !published.question) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+
+    const { question } = localizeCard(published, lang);
+    const result = scoreQuestion(question, submitted);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      cardId: published._id,
+      isCorrect: result.isCorrect,
+      correctAnswer: result.correctAnswer,
+      points: result.points,
+      maxPoints: result.maxPoints,
+      feedback: question.feedback || ''
+    });
+  } catch (error) {
+    console.error('Error checking game answer:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 router.get('/', authenticateToken, checkPermission('cards'), async (req, res) => {
   try {
     const { status, category, targetAudience, tag, search } = req.query;
@@ -344,6 +419,8 @@ router.get('/', authenticateToken, checkPermission('cards'), async (req, res) =>
     if (category) query.category = category;
     if (targetAudience) query.targetAudiences = targetAudience;
     if (tag) query.tags = tag;
+    if (req.query.reviewStatus) query['review.status'] = req.query.reviewStatus;
+    if (req.query.reviewerId) query['review.reviewerId'] = req.query.reviewerId;
     if (search) {
       query.$or = [
         { title: { $regex: search, $options: 'i' } },
@@ -364,6 +441,176 @@ router.get('/', authenticateToken, checkPermission('cards'), async (req, res) =>
   }
 });
 
+// Card library as CSV or JSON (?format=csv|json, default json) - same filters as the list, deleted cards excluded
+router.get('/export', authenticateToken, checkPermission('cards'), async (req, res) => {
+  try {
+    const { category, targetAudience, tag, visibility } = req.query;
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const query = { isDeleted: { $ne: true } };
+    if (category) query.category = category;
+    if (targetAudience) query.targetAudiences = targetAudience;
+    if (tag) query.tags = tag;
+    if (visibility) query.visibility = visibility;
+
+    const cards = await Card.find(query).sort({ referenceCode: 1, createdAt: 1 });
+    const fileName = `cards-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      // BOM so Excel opens umlauts correctly
+      return res.send(`\uFEFF${toCsv(cards)}`);
+    }
+    res.json(toJson(cards));
+  } catch (error) {
+    console.error('Error exporting cards:', error);
+    res.status(500).json({ error: 'Failed to export cards' });
+  }
+});
+
+// Import a CSV/JSON export: multipart "file" (format from ?format= or the file extension), or a JSON body
+// { cards: [...] } / { csv: '...' }. Cards are upserted by referenceCode. With dryRun=true (or when any row
+// has errors) nothing is saved and the report says what would happen per row.
+router.post('/import', authenticateToken, checkPermission('cards'), importUpload.single('file'), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true || req.body.dryRun === 'true';
+
+    let inputs;
+    try {
+      if (req.file) {
+        const extension = path.extname(req.file.originalname || '').toLowerCase();
+        const format = req.query.format || req.body.format || (extension === '.csv' || req.file.mimetype === 'text/csv' ? 'csv' : 'json');
+        inputs = parseCardFile(req.file.buffer.toString('utf8'), format);
+      } else if (typeof req.body.csv === 'string') {
+        inputs = parseCardFile(req.body.csv, 'csv');
+      } else if (Array.isArray(req.body.cards)) {
+        inputs = req.body.cards;
+      } else {
+        return res.status(400).json({ error: 'Upload a CSV or JSON file, or send { cards: [...] }' });
+      }
+    } catch (parseError) {
+      return res.status(400).json({ error: `Could not read the import: ${parseError.message}` });
+    }
+
+    if (inputs.length === 0) {
+      return res.status(400).json({ error: 'The import contains no cards' });
+    }
+
+    const report = await importCards(inputs, { dryRun, admin: req.admin });
+    if (!dryRun && !report.imported) {
+      return res.status(400).json({ error: 'The import has errors - nothing was imported', report });
+    }
+
+    console.log(dryRun ? '🔍 Card import checked:' : '📥 Cards imported:', {
+      total: report.total,
+      created: report.created,
+      updated: report.updated,
+      unchanged: report.unchanged,
+      failed: report.failed
+    });
+    res.json(report);
+  } catch (error) {
+    console.error('Error importing cards:', error);
+    res.status(500).json({ error: 'Failed to import cards' });
+  }
+});
+
+// Translation status of every card (?locale=de&status=missing|partial|outdated|complete)
+router.get('/translations/status', authenticateToken, checkPermission('cards'), async (req, res) => {
+  try {
+    const { locale, status } = req.query;
+    const cards = await Card.find({ isDeleted: { $ne: true } })
+      .select('title referenceCode locale question translations')
+      .sort({ referenceCode: 1, createdAt: 1 });
+
+    const result = cards
+      .map(card => ({
+        _id: card._id,
+        title: card.title,
+        referenceCode: card.referenceCode,
+        locale: card.locale,
+        translations: getTranslationStatus(card).filter(entry => !locale || entry.locale === locale)
+      }))
+      .filter(card => !status || card.translations.some(entry => entry.status === status));
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching translation status:', error);
+    res.status(500).json({ error: 'Failed to fetch translation status' });
+  }
+});
+
+// Strings for translators (?locale=de&format=csv|json, default csv). Missing and outdated strings only,
+// with all=true every string. Fill in the text column and send the file back to POST /translations/import.
+router.get('/translations/export', authenticateToken, checkPermission('cards'), async (req, res) => {
+  try {
+    const locale = normalizeLocale(req.query.locale);
+    if (!locale) {
+      return res.status(400).json({ error: `locale must be one of: ${Card.LOCALES.join(', ')}` });
+    }
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const cards = await Card.find({ isDeleted: { $ne: true } }).sort({ referenceCode: 1, createdAt: 1 });
+    const rows = getTranslationRows(cards, locale, { all: req.query.all === 'true' });
+    const fileName = `card-translations-${locale}-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      // BOM so Excel opens umlauts correctly
+      return res.send(`\uFEFF${toTranslationCsv(rows)}`);
+    }
+    res.json({ format: 'konfydence-card-translations', version: 1, locale, exportedAt: new Date(), columns: TRANSLATION_COLUMNS, rows });
+  } catch (error) {
+    console.error('Error exporting card translations:', error);
+    res.status(500).json({ error: 'Failed to export card translations' });
+  }
+});
+
+// Import translated strings: multipart "file" (CSV or JSON from the export), or { rows: [...] } / { csv: '...' }.
+// Same dryRun behaviour as the card import.
+router.post('/translations/import', authenticateToken, checkPermission('cards'), importUpload.single('file'), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true || req.body.dryRun === 'true';
+
+    let inputs;
+    try {
+      if (req.file) {
+        const extension = path.extname(req.file.originalname || '').toLowerCase();
+        const format = req.query.format || req.body.format || (extension === '.csv' || req.file.mimetype === 'text/csv' ? 'csv' : 'json');
+        inputs = parseTranslationFile(req.file.buffer.toString('utf8'), format);
+      } else if (typeof req.body.csv === 'string') {
+        inputs = parseTranslationFile(req.body.csv, 'csv');
+      } else if (Array.isArray(req.body.rows)) {
+        inputs = req.body.rows;
+      } else {
+        return res.status(400).json({ error: 'Upload a CSV or JSON file, or send { rows: [...] }' });
+      }
+    } catch (parseError) {
+      return res.status(400).json({ error: `Could not read the import: ${parseError.message}` });
+    }
+
+    if (inputs.length === 0) {
+      return res.status(400).json({ error: 'The import contains no rows' });
+    }
+
+    const report = await importTranslations(inputs, { dryRun, admin: req.admin });
+    if (!dryRun && !report.imported) {
+      return res.status(400).json({ error: 'The import has errors - nothing was imported', report });
+    }
+
+    console.log(dryRun ? '🔍 Card translations checked:' : '🌍 Card translations imported:', {
+      total: report.total,
+      cards: report.cards,
+      translated: report.translated,
+      skipped: report.skipped,
+      failed: report.failed
+    });
+    res.json(report);
+  } catch (error) {
+    console.error('Error importing card translations:', error);
+    res.status(500).json({ error: 'Failed to import card translations' });
+  }
+});
+
 router.get('/:id', authenticateToken, checkPermission('cards'), async (req, res) => {
   try {
     const card = await Card.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
@@ -407,8 +654,9 @@ router.post(
         throw new Error(`Question: Missing required fields: ${missingFields.join(', ')}`);
       }
       
-      // Validate answers - must have exactly 4 if provided
-      if (q.answers && q.answers.length > 0) {
+      // Validate answers - single choice questions must have exactly 4 if provided
+      const questionType = getQuestionType(q);
+      if (questionType === 'single_choice' && q.answers && q.answers.length > 0) {
         if (q.answers.length !== 4) {
           throw new Error(`Question: Question must have exactly 4 answers`);
         }
@@ -419,9 +667,9 @@ router.post(
         }
       }
       
-      // Ensure answers array has 4 items (fill with empty if needed)
-      const answers = q.answers && q.answers.length === 4
-        ? q.answers
+      // Ensure single choice answers array has 4 items (fill with empty if needed)
+      const answers = questionType !== 'single_choice' || (q.answers && q.answers.length === 4)
+        ? (q.answers || [])
         : [
             { text: q.answers?.[0]?.text || '', scoring: q.answers?.[0]?.scoring || 0 },
             { text: q.answers?.[1]?.text || '', scoring: q.answers?.[1]?.scoring || 0 },
@@ -430,10 +678,12 @@ router.post(
           ];
       
       const question = {
+        type: questionType,
         description: q.description.trim(),
         answers: answers.map(a => ({
           text: a.text || '',
-          scoring: a.scoring || 0
+          scoring: a.scoring || 0,
+          ...(questionType === 'hotspot' ? { region: a.region } : {})
         })),
         feedback: q.feedback || '',
         attachments: (q.attachments || []).filter(att => att && att.type && att.url && att.title).map(att => ({
@@ -442,6 +692,11 @@ router.post(
           title: att.title
         }))
       };
+
+      const typeErrors = validateQuestionType(question);
+      if (typeErrors.length > 0) {
+        throw new Error(`Question: ${typeErrors.join(', ')}`);
+      }
       
       const cardData = {
         title: req.body.title.trim(),
@@ -450,6 +705,7 @@ router.post(
         targetAudiences: req.body.targetAudiences || [],
         isDemo: req.body.isDemo || false,
         tags: req.body.tags || [],
+        locale: req.body.locale || undefined,
         question: question
       ,
       customPackageRequestId: req.body.customPackageRequestId || null
@@ -459,6 +715,7 @@ router.post(
       console.log('Question created successfully');
       
       const card = await Card.create(cardData);
+      await recordRevision(card, { action: 'created', admin: req.admin });
       console.log('Card created successfully');
       res.status(201).json(card);
     } catch (error) {
@@ -506,6 +763,7 @@ router.put(
       if (req.body.targetAudiences !== undefined) updateData.targetAudiences = req.body.targetAudiences;
       if (req.body.isDemo !== undefined) updateData.isDemo = req.body.isDemo;
       if (req.body.tags !== undefined) updateData.tags = req.body.tags;
+      if (req.body.locale !== undefined) updateData.locale = req.body.locale;
       if (req.body.customPackageRequestId !== undefined) updateData.customPackageRequestId = req.body.customPackageRequestId || null;
       
       // Only update question if it is explicitly provided
@@ -522,8 +780,9 @@ router.put(
           throw new Error(`Question: Missing required fields: ${missingFields.join(', ')}`);
         }
         
-        // Validate answers - must have exactly 4 if provided
-        if (q.answers && q.answers.length > 0) {
+        // Validate answers - single choice questions must have exactly 4 if provided
+        const questionType = getQuestionType(q);
+        if (questionType === 'single_choice' && q.answers && q.answers.length > 0) {
           if (q.answers.length !== 4) {
             throw new Error(`Question: Question must have exactly 4 answers`);
           }
@@ -534,9 +793,9 @@ router.put(
           }
         }
         
-        // Ensure answers array has 4 items (fill with empty if needed)
-        const answers = q.answers && q.answers.length === 4
-          ? q.answers
+        // Ensure single choice answers array has 4 items (fill with empty if needed)
+        const answers = questionType !== 'single_choice' || (q.answers && q.answers.length === 4)
+          ? (q.answers || [])
           : [
               { text: q.answers?.[0]?.text || '', scoring: q.answers?.[0]?.scoring || 0 },
               { text: q.answers?.[1]?.text || '', scoring: q.answers?.[1]?.scoring || 0 },
@@ -545,10 +804,12 @@ router.put(
             ];
         
         updateData.question = {
+          type: questionType,
           description: q.description.trim(),
           answers: answers.map(a => ({
             text: a.text || '',
-            scoring: a.scoring || 0
+            scoring: a.scoring || 0,
+            ...(questionType === 'hotspot' ? { region: a.region } : {})
           })),
           feedback: q.feedback || '',
           attachments: (q.attachments || []).filter(att => att && att.type && att.url && att.title).map(att => ({
@@ -557,6 +818,11 @@ router.put(
             title: att.title
           }))
         };
+
+        const typeErrors = validateQuestionType(updateData.question);
+        if (typeErrors.length > 0) {
+          throw new Error(`Question: ${typeErrors.join(', ')}`);
+        }
       }
 
       console.log('Update data:', JSON.stringify(updateData, null, 2));
@@ -571,6 +837,7 @@ router.put(
         return res.status(404).json({ error: 'Card not found' });
       }
 
+      await recordRevision(card, { action: 'updated', admin: req.admin });
       console.log('Card updated successfully');
       res.json(card);
     } catch (error) {
@@ -597,7 +864,7 @@ router.post(
   authenticateToken,
   checkPermission('cards'),
   [
-    body('type').isIn(['audio', 'video', 'pdf', 'word', 'link']).withMessage('Invalid attachment type'),
+    body('type').isIn(['audio', 'video', 'pdf', 'word', 'link', 'image']).withMessage('Invalid attachment type'),
     body('url').notEmpty().withMessage('URL is required'),
     body('title').notEmpty().withMessage('Title is required')
   ],
@@ -629,6 +896,7 @@ router.post(
 
       card.question.attachments.push(newAttachment);
       await card.save();
+      await recordRevision(card, { action: 'updated', admin: req.admin });
 
       res.status(200).json(card);
     } catch (error) {
@@ -649,10 +917,15 @@ router.delete('/:id/question/attachments/:attachmentId', authenticateToken, chec
         return res.status(404).json({ error: 'Question not found' });
       }
 
-      card.question.attachments = card.question.attachments.filter(
+      const remaining = card.question.attachments.filter(
         att => att._id.toString() !== req.params.attachmentId
       );
+      if (getQuestionType(card.question) === 'hotspot' && !remaining.some(att => att.type === 'image')) {
+        return res.status(400).json({ error: 'Hotspot questions need an image attachment - add another image first' });
+      }
+      card.question.attachments = remaining;
       await card.save();
+      await recordRevision(card, { action: 'updated', admin: req.admin });
 
       res.json(card);
     } catch (error) {
@@ -661,6 +934,206 @@ router.delete('/:id/question/attachments/:attachmentId', authenticateToken, chec
     }
 });
 
+// Strings of a card with their translations and the status per language
+router.get('/:id/translations', authenticateToken, checkPermission('cards'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+    const card = await Card.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+    if (!card) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+
+    res.json({
+      cardId: card._id,
+      locale: card.locale,
+      strings: getSourceStrings(card),
+      translations: card.translations,
+      status: getTranslationStatus(card)
+    });
+  } catch (error) {
+    console.error('Error fetching card translations:', error);
+    res.status(500).json({ error: 'Failed to fetch card translations' });
+  }
+});
+
+// Set translations of one language. Body: { translations: [{ key, text }] } - an empty text removes one.
+// Like any card edit this is a new version that needs a new review.
+router.put('/:id/translations/:locale', authenticateToken, checkPermission('cards'), async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.translations)) {
+      return res.status(400).json({ error: 'translations must be an array of { key, text }' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+    const card = await Card.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+    if (!card) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+
+    const entries = req.body.translations.map(entry => ({ key: entry?.key, text: entry?.text }));
+    const { errors, changed } = setTranslations(card, req.params.locale, entries, req.admin);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    if (changed > 0) {
+      await card.save();
+      await recordRevision(card, { action: 'translated', admin: req.admin });
+    }
+    res.json({
+      cardId: card._id,
+      locale: card.locale,
+      translations: card.translations,
+      status: getTranslationStatus(card)
+    });
+  } catch (error) {
+    console.error('Error updating card translations:', error);
+    res.status(500).json({ error: 'Failed to update card translations' });
+  }
+});
+
+// Editorial review: submit (reviewerId?), assign (reviewerId), comment, approve, request-changes, publish, unpublish.
+// Body: { comment, reviewerId }. Publishing makes the current version the one players get.
+router.post('/:id/review/:action', authenticateToken, checkPermission('cards'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+    const card = await Card.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+    if (!card) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+
+    const result = await applyReviewAction(card, req.params.action, {
+      admin: req.admin,
+      permission: 'cards',
+      comment: req.body.comment,
+      reviewerId: req.body.reviewerId,
+      isLive: card.review.publishedRevision > 0,
+      onPublish: (doc) => {
+        doc.review.publishedRevision = doc.revision;
+        doc.review.publishedAt = new Date();
+      },
+      onUnpublish: (doc) => {
+        doc.review.publishedRevision = undefined;
+      }
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await card.save();
+    console.log('📝 Card review:', { cardId: card._id, action: req.params.action, status: card.review.status, by: req.admin._id });
+    res.json(card);
+  } catch (error) {
+    console.error('Error updating card review:', error);
+    res.status(500).json({ error: 'Failed to update card review' });
+  }
+});
+
+// Version history, newest first (without the full snapshots)
+router.get('/:id/revisions', authenticateToken, checkPermission('cards'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+    const card = await Card.findById(req.params.id).select('title revision');
+    if (!card) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+
+    const revisions = await CardRevision.find({ cardId: card._id })
+      .select('-snapshot')
+      .populate('author', 'name email')
+      .sort({ version: -1 });
+    res.json({ cardId: card._id, currentRevision: card.revision, revisions });
+  } catch (error) {
+    console.error('Error fetching card revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch card revisions' });
+  }
+});
+
+// Field changes between two versions: ?from=2&to=5 (to defaults to the current version)
+router.get('/:id/revisions/compare', authenticateToken, checkPermission('cards'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+    const card = await Card.findById(req.params.id).select('revision');
+    if (!card) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+
+    const from = parseInt(req.query.from);
+    const to = req.query.to ? parseInt(req.query.to) : card.revision;
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to must be version numbers' });
+    }
+
+    const revisions = await CardRevision.find({ cardId: card._id, version: { $in: [from, to] } });
+    const fromRevision = revisions.find(revision => revision.version === from);
+    const toRevision = revisions.find(revision => revision.version === to);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ cardId: card._id, from, to, changes: compareRevisions(fromRevision, toRevision) });
+  } catch (error) {
+    console.error('Error comparing card revisions:', error);
+    res.status(500).json({ error: 'Failed to compare card revisions' });
+  }
+});
+
+router.get('/:id/revisions/:version', authenticateToken, checkPermission('cards'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    const revision = await CardRevision.findOne({ cardId: req.params.id, version: parseInt(req.params.version) || 0 })
+      .populate('author', 'name email');
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json(revision);
+  } catch (error) {
+    console.error('Error fetching card revision:', error);
+    res.status(500).json({ error: 'Failed to fetch card revision' });
+  }
+});
+
+// Put an older version back; this is saved as a new version
+router.post('/:id/revisions/:version/restore', authenticateToken, checkPermission('cards'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+    const card = await Card.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+    if (!card) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+    const revision = await CardRevision.findOne({ cardId: card._id, version: parseInt(req.params.version) || 0 });
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    if (revision.version === card.revision) {
+      return res.status(400).json({ error: 'This is already the current version' });
+    }
+
+    const restored = await restoreRevision(card, revision, req.admin);
+    console.log('♻️ Card revision restored:', { cardId: card._id, from: revision.version, version: restored.version });
+    res.json({ card, revision: restored });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'The reference code of this version is now used by another card' });
+    }
+    console.error('Error restoring card revision:', error);
+    res.status(500).json({ error: 'Failed to restore card revision' });
+  }
+});
+
 router.delete('/:id', authenticateToken, checkPermission('cards'), async (req, res) => {
   try {
     const cardId = req.params.id;
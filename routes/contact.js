@@ -1,9 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
 const ContactMessage = require('../models/ContactMessage');
 const Lead = require('../models/Lead');
 const { sendDemoRequestConfirmationEmail } = require('../utils/emailService');
+const { SUPPORTED_LOCALES, normalizeLocale } = require('../utils/emailTemplates');
+const { buildConsentRecord, requestSubscription } = require('../utils/consent');
 
 const router = express.Router();
 
@@ -30,7 +33,9 @@ router.post(
       'CoMaSi',
       'ambassador-program'
     ]).withMessage('Please select a valid topic from the dropdown'),
-    body('message').optional()
+    body('message').optional(),
+    body('marketingConsent').optional().isBoolean().withMessage('marketingConsent must be true or false'),
+    body('consentVersion').optional().isString()
   ], // Validation updated
   async (req, res) => {
     try {
@@ -56,6 +61,11 @@ router.post(
       const demoTopics = ['demo-schools', 'demo-businesses', 'demo-families'];
       const isDemoRequest = demoTopics.includes(req.body.topic);
 
+      // GDPR consent records: the enquiry itself, and the optional newsletter opt-in (double opt-in below)
+      const contactConsent = buildConsentRecord(req, req.body.formSource || 'contact_form');
+      const marketingOptIn = req.body.marketingConsent === true || req.body.marketingConsent === 'true';
+      const marketingConsent = marketingOptIn ? { ...contactConsent, status: 'pending' } : undefined;
+
       // Only block duplicate for DEMO: one demo request per email
       if (isDemoRequest) {
         const existingDemoLead = await Lead.findOne({
@@ -172,7 +182,9 @@ router.post(
             phone: req.body.phone || '',
             department: req.body.department || '',
             position: req.body.position || '',
-            website: req.body.website || ''
+            website: req.body.website || '',
+            language: normalizeLocale(req.body.language) || normalizeLocale(req.acceptsLanguages(...SUPPORTED_LOCALES)) || undefined,
+            consent: { contact: contactConsent, ...(marketingConsent && { marketing: marketingConsent }) }
           };
           lead = await Lead.create(leadData);
           lead.status = lead.calculateStatus();
@@ -188,6 +200,10 @@ router.post(
             existingLead.message = req.body.message || '';
             existingLead.name = fullName;
             if (req.body.organization) existingLead.organizationName = req.body.organization || existingLead.organizationName;
+            existingLead.set('consent.contact', contactConsent);
+            if (marketingConsent && existingLead.consent?.marketing?.status !== 'confirmed') {
+              existingLead.set('consent.marketing', marketingConsent);
+            }
             await existingLead.save();
             lead = existingLead;
             console.log('✅ Lead updated with new message (normal contact):', { leadId: lead._id, email: lead.email, messagesCount: lead.messages.length });
@@ -213,7 +229,9 @@ router.post(
               phone: req.body.phone || '',
               department: req.body.department || '',
               position: req.body.position || '',
-              website: req.body.website || ''
+              website: req.body.website || '',
+              language: normalizeLocale(req.body.language) || normalizeLocale(req.acceptsLanguages(...SUPPORTED_LOCALES)) || undefined,
+              consent: { contact: contactConsent, ...(marketingConsent && { marketing: marketingConsent }) }
             };
             lead = await Lead.create(leadData);
             lead.status = lead.calculateStatus();
@@ -234,6 +252,24 @@ router.post(
           // Don't fail the request if unified lead creation fails for other reasons
       }
 
+      // Newsletter opt-in from the form: only mailed after the double opt-in link is confirmed
+      if (marketingOptIn) {
+        try {
+          const subscription = await requestSubscription(normalizedEmail, 'general', { source: 'contact-form', consent: contactConsent });
+          if (subscription.alreadySubscribed) {
+            await Lead.updateMany(
+              { email: normalizedEmail, 'consent.marketing.status': 'pending' },
+              { $set: { 'consent.marketing.status': 'confirmed', 'consent.marketing.confirmedAt': subscription.subscriber.consent?.confirmedAt || subscription.subscriber.subscribedAt } }
+            );
+          } else if (!subscription.confirmationSent) {
+            console.warn('⚠️ Failed to send newsletter confirmation email from contact form:', normalizedEmail);
+          }
+        } catch (subscriptionError) {
+          console.error('❌ Error recording newsletter opt-in from contact form:', subscriptionError);
+          // Don't fail the enquiry if the opt-in fails
+        }
+      }
+
       // Send demo request confirmation email for demo-related submissions
       // Previously only demo-schools/demo-businesses received a confirmation.
       // Now also include CoMaSi (B2B) and Education (B2E) submissions — and any form that sets formSource to b2b_form or b2e_form.
@@ -273,7 +309,7 @@ router.post(
   }
 );
 
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, checkPermission('leads'), async (req, res) => {
   try {
     const messages = await ContactMessage.find().sort({ createdAt: -1 });
     res.json(messages);
@@ -282,7 +318,7 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, checkPermission('leads'), async (req, res) => {
   try {
     const message = await ContactMessage.findByIdAndUpdate(
       req.params.id,
@@ -299,7 +335,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // DELETE Contact Message
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, checkPermission('leads'), async (req, res) => {
   try {
     const message = await ContactMessage.findByIdAndDelete(req.params.id);
     if (!message) {
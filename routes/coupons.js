@@ -0,0 +1,284 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
+const Coupon = require('../models/Coupon');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const Package = require('../models/Package');
+const Product = require('../models/Product');
+const { normalizeCode, getPurchaseAudience, validateCoupon } = require('../utils/coupons');
+const { getBuyerCountry, selectCurrency, resolvePrice } = require('../utils/pricing');
+
+const router = express.Router();
+
+// Fields admins may set on a coupon
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'campaign',
+  'discountType',
+  'discountValue',
+  'currency',
+  'audiences',
+  'packageIds',
+  'productIds',
+  'maxRedemptions',
+  'maxRedemptionsPerUser',
+  'validFrom',
+  'validUntil',
+  'isActive'
+];
+
+// Changing any of these needs a new Stripe coupon
+const STRIPE_COUPON_FIELDS = ['discountType', 'discountValue', 'currency'];
+
+const couponValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('code').isString().trim().matches(/^[A-Za-z0-9_-]{3,40}$/).withMessage('Code must be 3-40 letters, numbers, dashes or underscores'),
+    field('discountType').isIn(['percent', 'fixed']).withMessage('Discount type must be percent or fixed'),
+    field('discountValue').isFloat({ gt: 0 }).withMessage('Discount value must be greater than 0'),
+    body('audiences').optional().isArray(),
+    body('audiences.*').optional().isIn(['B2C', 'B2B', 'B2E']),
+    body('packageIds').optional().isArray(),
+    body('packageIds.*').optional().isMongoId(),
+    body('productIds').optional().isArray(),
+    body('productIds.*').optional().isMongoId(),
+    body('maxRedemptions').optional({ nullable: true }).isInt({ min: 1 }),
+    body('maxRedemptionsPerUser').optional().isInt({ min: 1 }),
+    body('validFrom').optional({ nullable: true }).isISO8601(),
+    body('validUntil').optional({ nullable: true }).isISO8601()
+  ];
+};
+
+const pickCouponFields = (source) => {
+  const data = {};
+  COUPON_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+  });
+  if (data.code) {
+    data.code = normalizeCode(data.code);
+  }
+  return data;
+};
+
+// Redemption counts (paid transactions) keyed by coupon id
+const getRedemptionCounts = async (couponIds) => {
+  const counts = await Transaction.aggregate([
+    { $match: { 'coupon.couponId': { $in: couponIds }, status: 'paid' } },
+    { $group: { _id: '$coupon.couponId', count: { $sum: 1 }, totalDiscount: { $sum: '$coupon.discountAmount' } } }
+  ]);
+  const map = {};
+  counts.forEach(c => {
+    map[c._id.toString()] = { redemptionCount: c.count, totalDiscount: c.totalDiscount };
+  });
+  return map;
+};
+
+// Check a code on the checkout page - returns the discount the purchase would get
+router.post(
+  '/validate',
+  authenticateToken,
+  [
+    body('code').notEmpty().withMessage('Coupon code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { code, packageId, productId, customPackageId, urlType, shopPagePurchase, packageType } = req.body;
+
+      if (customPackageId) {
+        return res.status(400).json({ valid: false, error: 'Discount codes cannot be applied to custom packages' });
+      }
+
+      // Same price (and currency) the checkout session will charge
+      const currency = selectCurrency(req.body.currency, getBuyerCountry(req));
+      let target = null;
+      if (packageId) {
+        const package = await Package.findById(packageId).select('pricing');
+        if (!package) {
+          return res.status(404).json({ valid: false, error: 'Package not found' });
+        }
+        target = { ...resolvePrice(package.pricing, package.pricing.prices, currency), packageId: package._id, productId };
+      } else if (productId) {
+        const product = await Product.findById(productId).select('price prices');
+        if (!product) {
+          return res.status(404).json({ valid: false, error: 'Product not found' });
+        }
+        const amount = shopPagePurchase === true && (packageType || 'physical') === 'physical' ? 49 : (product.price || 0);
+        target = { ...resolvePrice({ amount, currency: 'USD' }, product.prices, currency), productId: product._id };
+      } else {
+        return res.status(400).json({ valid: false, error: 'Package ID or product ID is required' });
+      }
+
+      const user = await User.findById(req.userId).select('role');
+      target.audience = getPurchaseAudience(user, urlType);
+
+      const result = await validateCoupon(code, req.userId, target);
+      if (result.error) {
+        return res.status(400).json({ valid: false, error: result.error });
+      }
+
+      res.json({
+        valid: true,
+        code: result.coupon.code,
+        description: result.coupon.description || null,
+        discountType: result.coupon.discountType,
+        discountValue: result.coupon.discountValue,
+        originalAmount: target.amount,
+        discountAmount: result.discountAmount,
+        finalAmount: result.finalAmount,
+        currency: target.currency
+      });
+    } catch (error) {
+      console.error('Error validating coupon:', error);
+      res.status(500).json({ error: 'Failed to validate coupon' });
+    }
+  }
+);
+
+router.get('/', authenticateToken, checkPermission('coupons'), async (req, res) => {
+  try {
+    const { active, campaign, search } = req.query;
+    const query = {};
+
+    if (active === 'true') query.isActive = true;
+    if (active === 'false') query.isActive = false;
+    if (campaign) query.campaign = campaign;
+    if (search) {
+      query.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } },
+        { campaign: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 }).lean();
+    const counts = await getRedemptionCounts(coupons.map(c => c._id));
+
+    res.json(coupons.map(coupon => ({
+      ...coupon,
+      redemptionCount: counts[coupon._id.toString()]?.redemptionCount || 0,
+      totalDiscount: counts[coupon._id.toString()]?.totalDiscount || 0
+    })));
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/:id', authenticateToken, checkPermission('coupons'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('packageIds', 'name')
+      .populate('productIds', 'title name')
+      .lean();
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const counts = await getRedemptionCounts([coupon._id]);
+    const redemptions = await Transaction.find({ 'coupon.couponId': coupon._id })
+      .select('userId amount currency status coupon createdAt')
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      ...coupon,
+      redemptionCount: counts[coupon._id.toString()]?.redemptionCount || 0,
+      totalDiscount: counts[coupon._id.toString()]?.totalDiscount || 0,
+      redemptions
+    });
+  } catch (error) {
+    console.error('Error fetching coupon:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/', authenticateToken, checkPermission('coupons'), couponValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = await Coupon.create({
+      ...pickCouponFields(req.body),
+      createdBy: req.admin._id
+    });
+
+    res.status(201).json(coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A coupon with this code already exists' });
+    }
+    console.error('Error creating coupon:', error);
+    res.status(400).json({ error: error.message || 'Failed to create coupon' });
+  }
+});
+
+router.put('/:id', authenticateToken, checkPermission('coupons'), couponValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const updates = pickCouponFields(req.body);
+    const stripeCouponChanged = STRIPE_COUPON_FIELDS.some(
+      field => updates[field] !== undefined && updates[field] !== coupon[field]
+    );
+
+    coupon.set(updates);
+    if (stripeCouponChanged) {
+      coupon.stripeCouponId = null;
+    }
+    await coupon.save();
+
+    res.json(coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A coupon with this code already exists' });
+    }
+    console.error('Error updating coupon:', error);
+    res.status(400).json({ error: error.message || 'Failed to update coupon' });
+  }
+});
+
+// Coupons that were already redeemed are deactivated instead of deleted, so transactions keep their reference
+router.delete('/:id', authenticateToken, checkPermission('coupons'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const used = await Transaction.exists({ 'coupon.couponId': coupon._id });
+    if (used) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({ message: 'Coupon has redemptions and was deactivated instead of deleted', coupon });
+    }
+
+    await Coupon.findByIdAndDelete(coupon._id);
+    res.json({ message: 'Coupon deleted' });
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
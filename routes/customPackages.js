@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { checkPermission } = require('../middleware/rbac');
+const { requireAdmin, requireTenantDocument } = require('../middleware/tenant');
 const CustomPackage = require('../models/CustomPackage');
 const Package = require('../models/Package');
 const Organization = require('../models/Organization');
@@ -196,7 +197,7 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-router.get('/:id', authenticateToken, checkPermission('organizations'), async (req, res) => {
+router.get('/:id', authenticateToken, checkPermission('organizations'), requireTenantDocument(CustomPackage, { label: 'Custom package' }), async (req, res) => {
   try {
     const customPackage = await CustomPackage.findById(req.params.id)
       .populate('basePackageId')
@@ -213,10 +214,12 @@ router.get('/:id', authenticateToken, checkPermission('organizations'), async (r
   }
 });
 
+// Contract pricing and seat limits are admin-managed
 router.post(
   '/',
   authenticateToken,
   checkPermission('organizations'),
+  requireAdmin,
   [
     body('basePackageId').notEmpty(),
     body('contractPricing.amount').isNumeric(),
@@ -654,6 +657,7 @@ router.put(
   '/:id',
   authenticateToken,
   checkPermission('organizations'),
+  requireAdmin,
   async (req, res) => {
     try {
       const customPackage = await CustomPackage.findByIdAndUpdate(
@@ -678,7 +682,7 @@ router.put(
   }
 );
 
-router.delete('/:id', authenticateToken, checkPermission('organizations'), async (req, res) => {
+router.delete('/:id', authenticateToken, checkPermission('organizations'), requireAdmin, async (req, res) => {
   try {
     const customPackage = await CustomPackage.findById(req.params.id);
 
@@ -8,10 +8,20 @@ const Lead = require('../models/Lead');
 const FreeTrial = require('../models/FreeTrial');
 const CustomPackage = require('../models/CustomPackage');
 const CustomPackageRequest = require('../models/CustomPackageRequest');
+const { getReportingCurrency, convertAmount } = require('../utils/pricing');
 
 const router = express.Router();
 
-router.get('/metrics', authenticateToken, checkPermission('*'), async (req, res) => {
+// Revenue net of tax, converted to the reporting currency
+const sumRevenue = (transactions, reportingCurrency) => {
+  const total = transactions.reduce(
+    (sum, t) => sum + convertAmount((t.amount || 0) - (t.tax?.amount || 0), t.currency, reportingCurrency),
+    0
+  );
+  return Math.round(total * 100) / 100;
+};
+
+router.get('/metrics', authenticateToken, checkPermission('dashboard'), async (req, res) => {
   try {
     const now = new Date();
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
@@ -19,6 +29,7 @@ router.get('/metrics', authenticateToken, checkPermission('*'), async (req, res)
     const last30Days = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
     const next30Days = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
     const next60Days = new Date(now.getTime() + 60 * 24 * 60 * 60 * 1000);
+    const reportingCurrency = getReportingCurrency();
 
     const activeB2CMembers = await User.countDocuments({
       role: 'b2c_user',
@@ -32,14 +43,14 @@ router.get('/metrics', authenticateToken, checkPermission('*'), async (req, res)
       createdAt: { $gte: startOfMonth }
     });
 
-    const b2cRevenueThisMonth = b2cTransactionsThisMonth.reduce((sum, t) => sum + t.amount, 0);
+    const b2cRevenueThisMonth = sumRevenue(b2cTransactionsThisMonth, reportingCurrency);
 
     const b2cTransactionsAll = await Transaction.find({
       type: { $in: ['b2c_purchase', 'b2c_renewal'] },
       status: 'paid'
     });
 
-    const b2cRevenueTotal = b2cTransactionsAll.reduce((sum, t) => sum + t.amount, 0);
+    const b2cRevenueTotal = sumRevenue(b2cTransactionsAll, reportingCurrency);
 
     // Get B2B organizations
     const b2bOrganizations = await Organization.find({ segment: 'B2B' }).select('_id');
@@ -55,7 +66,7 @@ router.get('/metrics', authenticateToken, checkPermission('*'), async (req, res)
       status: 'paid'
     });
 
-    const b2bRevenue = b2bTransactions.reduce((sum, t) => sum + t.amount, 0);
+    const b2bRevenue = sumRevenue(b2bTransactions, reportingCurrency);
 
     // Get B2E organizations
     const b2eOrganizations = await Organization.find({ segment: 'B2E' }).select('_id');
@@ -71,7 +82,7 @@ router.get('/metrics', authenticateToken, checkPermission('*'), async (req, res)
       status: 'paid'
     });
 
-    const b2eRevenue = b2eTransactions.reduce((sum, t) => sum + t.amount, 0);
+    const b2eRevenue = sumRevenue(b2eTransactions, reportingCurrency);
 
     const newLeadsLast7Days = await Lead.countDocuments({
       createdAt: { $gte: last7Days }
@@ -99,9 +110,9 @@ router.get('/metrics', authenticateToken, checkPermission('*'), async (req, res)
       'contract.status': 'active'
     }).select('contractPricing.amount contractPricing.currency');
 
-    const customPackagesRevenue = activeCustomPackagesList.reduce((sum, pkg) => {
-      return sum + (pkg.contractPricing?.amount || 0);
-    }, 0);
+    const customPackagesRevenue = Math.round(activeCustomPackagesList.reduce((sum, pkg) => {
+      return sum + convertAmount(pkg.contractPricing?.amount || 0, pkg.contractPricing?.currency, reportingCurrency);
+    }, 0) * 100) / 100;
 
     const pendingCustomPackageRequests = await CustomPackageRequest.countDocuments({
       status: 'pending'
@@ -191,6 +202,7 @@ router.get('/metrics', authenticateToken, checkPermission('*'), async (req, res)
       .select('uniqueCode userId packageId productId status usedSeats maxSeats endDate createdAt codeApplications');
 
     res.json({
+      reportingCurrency,
       b2c: {
         activeMembers: activeB2CMembers,
         revenueThisMonth: b2cRevenueThisMonth,
@@ -0,0 +1,177 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
+const { requireAdmin } = require('../middleware/tenant');
+const DataRequest = require('../models/DataRequest');
+const { getErasureWarnings, eraseUser } = require('../utils/gdpr');
+
+const router = express.Router();
+
+router.use(authenticateToken, checkPermission('data_requests'), requireAdmin);
+
+const findRequest = (id) => (mongoose.Types.ObjectId.isValid(id) ? DataRequest.findById(id) : null);
+
+// Request queue, newest first - with ?status=pending oldest first (?type=export|erasure)
+router.get('/', async (req, res) => {
+  try {
+    const { type, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const [requests, total, pendingErasures] = await Promise.all([
+      DataRequest.find(query)
+        .select('-result')
+        .populate('userId', 'name email erasedAt')
+        .populate('processedBy', 'name email')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DataRequest.countDocuments(query),
+      DataRequest.countDocuments({ type: 'erasure', status: 'pending' })
+    ]);
+
+    res.json({ requests, total, page, limit, pendingErasures });
+  } catch (error) {
+    console.error('Error fetching data requests:', error);
+    res.status(500).json({ error: 'Failed to fetch data requests' });
+  }
+});
+
+// Request with its audit trail; pending erasures also list what to check first
+router.get('/:id', async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id)
+      ?.populate('userId', 'name email role organizationId schoolId erasedAt createdAt')
+      .populate('processedBy', 'name email')
+      .populate('history.adminId', 'name email');
+    if (!request) {
+      return res.status(404).json({ error: 'Data request not found' });
+    }
+
+    const warnings = request.type === 'erasure' && request.status === 'pending'
+      ? await getErasureWarnings(request.userId?._id || request.userId)
+      : [];
+    res.json({ ...request.toObject(), warnings });
+  } catch (error) {
+    console.error('Error fetching data request:', error);
+    res.status(500).json({ error: 'Failed to fetch data request' });
+  }
+});
+
+router.post('/:id/notes', [body('note').isString().trim().notEmpty().withMessage('Note is required')], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Data request not found' });
+    }
+
+    request.history.push({ action: 'note_added', actor: 'admin', adminId: req.admin._id, note: req.body.note });
+    await request.save();
+    res.json(request);
+  } catch (error) {
+    console.error('Error adding data request note:', error);
+    res.status(500).json({ error: 'Failed to add note' });
+  }
+});
+
+// Carry out an erasure. With warnings (open invoices, owned organizations, ...) acknowledgeWarnings: true is required.
+router.post('/:id/complete', async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Data request not found' });
+    }
+    if (request.type !== 'erasure' || request.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending erasure requests can be completed' });
+    }
+
+    const warnings = await getErasureWarnings(request.userId);
+    if (warnings.length > 0 && req.body.acknowledgeWarnings !== true) {
+      return res.status(409).json({ error: 'Check the warnings before erasing this account', warnings });
+    }
+
+    // Claim the request so a second click does not run the erasure twice
+    const claimed = await DataRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { $set: { status: 'completed', processedAt: new Date(), processedBy: req.admin._id } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ error: 'This request has already been processed' });
+    }
+
+    let result;
+    try {
+      result = await eraseUser(request.userId);
+    } catch (erasureError) {
+      await DataRequest.updateOne(
+        { _id: request._id },
+        {
+          $set: { status: 'pending' },
+          $unset: { processedAt: 1, processedBy: 1 },
+          $push: { history: { action: 'note_added', actor: 'system', note: `Erasure failed: ${erasureError.message}` } }
+        }
+      );
+      throw erasureError;
+    }
+
+    claimed.result = result || { userNotFound: true };
+    claimed.history.push({
+      action: 'completed',
+      actor: 'admin',
+      adminId: req.admin._id,
+      note: warnings.length ? `Completed despite: ${warnings.join('; ')}` : req.body.note
+    });
+    await claimed.save();
+
+    console.log('🗑️ Erasure request completed:', { id: claimed._id, userId: claimed.userId, by: req.admin._id });
+    res.json(claimed);
+  } catch (error) {
+    console.error('Error completing data request:', error);
+    res.status(500).json({ error: 'Failed to complete data request' });
+  }
+});
+
+// Decline an erasure (e.g. data still needed for a running contract); the reason is shown to the user
+router.post('/:id/reject', [body('reason').isString().trim().notEmpty().withMessage('Reason is required')], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Data request not found' });
+    }
+
+    const request = await DataRequest.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        $set: { status: 'rejected', rejectionReason: req.body.reason, processedAt: new Date(), processedBy: req.admin._id },
+        $push: { history: { action: 'rejected', actor: 'admin', adminId: req.admin._id, note: req.body.reason, at: new Date() } }
+      },
+      { new: true }
+    );
+    if (!request) {
+      return res.status(400).json({ error: 'Only pending requests can be rejected' });
+    }
+
+    console.log('🚫 Data request rejected:', { id: request._id, userId: request.userId, by: req.admin._id });
+    res.json(request);
+  } catch (error) {
+    console.error('Error rejecting data request:', error);
+    res.status(500).json({ error: 'Failed to reject data request' });
+  }
+});
+
+module.exports = router;
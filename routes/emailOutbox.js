@@ -0,0 +1,171 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
+const { requireAdmin } = require('../middleware/tenant');
+const EmailOutbox = require('../models/EmailOutbox');
+const { resendEmail, isSensitiveCategory } = require('../utils/emailOutbox');
+
+const router = express.Router();
+
+router.use(authenticateToken, checkPermission('emails'), requireAdmin);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Bodies and attachment contents are only returned by the detail/preview endpoints
+const LIST_PROJECTION = '-html -text -attachments.content';
+
+// Preview and resend need the stored body, which credential emails and old messages no longer have
+const getBodyError = (message) => {
+  if (isSensitiveCategory(message.category)) {
+    return { status: 403, error: 'This email contains credentials (e.g. a password reset link) and cannot be viewed or resent' };
+  }
+  if (message.bodyPurgedAt) {
+    return { status: 410, error: 'The content of this email is no longer stored' };
+  }
+  return null;
+};
+
+const findMessage = async (id, projection) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const query = EmailOutbox.findById(id);
+  return projection ? query.select(projection) : query;
+};
+
+// Search the delivery log, newest first (?status=, ?category=, ?to= part of the address, ?q= subject, ?dateFrom=&dateTo=)
+router.get('/', async (req, res) => {
+  try {
+    const { status, category, to, q, dateFrom, dateTo } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (status) query.status = status;
+    if (category) query.category = category;
+    if (to) query.to = { $regex: escapeRegex(String(to).toLowerCase()) };
+    if (q) query.subject = { $regex: escapeRegex(String(q)), $options: 'i' };
+    if (dateFrom || dateTo) {
+      query.createdAt = {};
+      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) query.createdAt.$lte = new Date(dateTo);
+    }
+
+    const [messages, total, counts] = await Promise.all([
+      EmailOutbox.find(query)
+        .select(LIST_PROJECTION)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmailOutbox.countDocuments(query),
+      EmailOutbox.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const statusCounts = Object.fromEntries(EmailOutbox.STATUSES.map(s => [s, 0]));
+    counts.forEach(entry => { statusCounts[entry._id] = entry.count; });
+
+    res.json({ messages, total, page, limit, statusCounts });
+  } catch (error) {
+    console.error('Error fetching email outbox:', error);
+    res.status(500).json({ error: 'Failed to fetch emails' });
+  }
+});
+
+// Message details with its delivery log (attachments listed by size, not content)
+router.get('/:id', async (req, res) => {
+  try {
+    const message = await findMessage(req.params.id, '-html -text');
+    if (!message) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const result = message.toObject();
+    result.attachments = message.attachments.map(attachment => ({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      size: attachment.content ? attachment.content.length : 0
+    }));
+    result.resends = await EmailOutbox.find({ resendOf: message._id })
+      .select('status createdAt sentAt createdBy')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching email:', error);
+    res.status(500).json({ error: 'Failed to fetch email' });
+  }
+});
+
+// Rendered body as it was sent. Scripts, frames and remote requests are blocked - the admin UI embeds this in an iframe.
+router.get('/:id/preview', async (req, res) => {
+  try {
+    const message = await findMessage(req.params.id, 'category html text bodyPurgedAt');
+    if (!message) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    const bodyError = getBodyError(message);
+    if (bodyError) {
+      return res.status(bodyError.status).json({ error: bodyError.error });
+    }
+
+    if (message.html) {
+      res.set('Content-Security-Policy', "default-src 'none'; img-src data: https:; style-src 'unsafe-inline'; sandbox");
+      res.type('html').send(message.html);
+    } else {
+      res.type('text').send(message.text || '');
+    }
+  } catch (error) {
+    console.error('Error previewing email:', error);
+    res.status(500).json({ error: 'Failed to preview email' });
+  }
+});
+
+// Queue a new copy of the message; the original stays in the log unchanged
+router.post('/:id/resend', async (req, res) => {
+  try {
+    const message = await findMessage(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    if (['queued', 'sending'].includes(message.status)) {
+      return res.status(400).json({ error: 'Email is still waiting to be delivered' });
+    }
+    const bodyError = getBodyError(message);
+    if (bodyError) {
+      return res.status(bodyError.status).json({ error: bodyError.error });
+    }
+
+    const queued = await resendEmail(message, req.admin._id);
+    console.log('📧 Email resend queued:', { originalId: message._id, outboxId: queued.outboxId, by: req.admin._id });
+
+    res.status(201).json({ message: 'Email queued for delivery', id: queued.outboxId });
+  } catch (error) {
+    console.error('Error resending email:', error);
+    res.status(500).json({ error: 'Failed to resend email' });
+  }
+});
+
+// Stop a message that has not been delivered yet
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const message = await EmailOutbox.findOneAndUpdate(
+      { _id: req.params.id, status: 'queued' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    ).select(LIST_PROJECTION);
+    if (!message) {
+      return res.status(400).json({ error: 'Only queued emails can be cancelled' });
+    }
+
+    res.json({ message: 'Email cancelled', email: message });
+  } catch (error) {
+    console.error('Error cancelling email:', error);
+    res.status(500).json({ error: 'Failed to cancel email' });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const router = express.Router();
-const emailService = require('../utils/emailService');
+const { queueEmail } = require('../utils/emailOutbox');
 
 const bundleDownloads = {
   // Free Family - files live under public/pdfs/families/
@@ -192,7 +192,6 @@ router.post('/email-resources', async (req, res) => {
       </html>
     `;
 
-    const transporter = emailService.createTransporter();
     const mailOptions = {
       from: `"Konfydence" <${process.env.MAIL_FROM}>`,
       to: email,
@@ -202,7 +201,7 @@ router.post('/email-resources', async (req, res) => {
       // attachments removed (important)
     };
 
-    const info = await transporter.sendMail(mailOptions);
+    const info = await queueEmail(mailOptions, { category: 'email_resources' });
 
     return res.status(200).json({ success: true, messageId: info.messageId, files });
   } catch (err) {
@@ -0,0 +1,97 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
+const { requireAdmin } = require('../middleware/tenant');
+const EmailSuppression = require('../models/EmailSuppression');
+
+const router = express.Router();
+
+router.use(authenticateToken, checkPermission('emails'), requireAdmin);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Suppression list, newest first (?email= part of the address, ?scope=, ?reason=)
+router.get('/', async (req, res) => {
+  try {
+    const { email, scope, reason } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (email) query.email = { $regex: escapeRegex(String(email).toLowerCase()) };
+    if (scope) query.scope = scope;
+    if (reason) query.reason = reason;
+
+    const [suppressions, total] = await Promise.all([
+      EmailSuppression.find(query)
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmailSuppression.countDocuments(query)
+    ]);
+
+    res.json({ suppressions, total, page, limit });
+  } catch (error) {
+    console.error('Error fetching email suppressions:', error);
+    res.status(500).json({ error: 'Failed to fetch suppressions' });
+  }
+});
+
+// Block an address by hand (scope 'all' also stops account and order emails)
+router.post(
+  '/',
+  [
+    body('email').isEmail().withMessage('Valid email is required').normalizeEmail(),
+    body('scope').optional().isIn(EmailSuppression.SCOPES).withMessage(`Scope must be one of: ${EmailSuppression.SCOPES.join(', ')}`),
+    body('reason').optional().isIn(EmailSuppression.REASONS).withMessage(`Reason must be one of: ${EmailSuppression.REASONS.join(', ')}`),
+    body('note').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email, scope = 'marketing', reason = 'manual', note } = req.body;
+      const suppression = await EmailSuppression.suppress(email, {
+        scope,
+        reason,
+        source: 'admin',
+        note,
+        createdBy: req.admin._id
+      });
+
+      console.log('🚫 Email suppression added:', { email: suppression.email, scope, reason, by: req.admin._id });
+      res.status(201).json(suppression);
+    } catch (error) {
+      console.error('Error adding email suppression:', error);
+      res.status(500).json({ error: 'Failed to add suppression' });
+    }
+  }
+);
+
+// Allow emails to the address again
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+
+    const suppression = await EmailSuppression.findByIdAndDelete(req.params.id);
+    if (!suppression) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+
+    console.log('✅ Email suppression removed:', { email: suppression.email, scope: suppression.scope, by: req.admin._id });
+    res.json({ message: 'Suppression removed', suppression });
+  } catch (error) {
+    console.error('Error removing email suppression:', error);
+    res.status(500).json({ error: 'Failed to remove suppression' });
+  }
+});
+
+module.exports = router;
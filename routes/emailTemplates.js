@@ -0,0 +1,246 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
+const { requireAdmin } = require('../middleware/tenant');
+const EmailTemplate = require('../models/EmailTemplate');
+const {
+  SUPPORTED_LOCALES,
+  TEMPLATES,
+  getBuiltInTemplate,
+  resolveTemplate,
+  renderTemplate,
+  validateTemplate
+} = require('../utils/emailTemplates');
+
+const router = express.Router();
+
+router.use(authenticateToken, checkPermission('email_templates'), requireAdmin);
+
+// 404 for unknown template keys / unsupported locales in :key and :locale
+const validateKeyAndLocale = (req, res, next) => {
+  if (!TEMPLATES[req.params.key]) {
+    return res.status(404).json({ error: 'Email template not found' });
+  }
+  if (req.params.locale && !SUPPORTED_LOCALES.includes(req.params.locale)) {
+    return res.status(404).json({ error: `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+  }
+  next();
+};
+
+const templateValidators = [
+  body('subject').isString().trim().notEmpty().withMessage('Subject is required'),
+  body('html').isString().notEmpty().withMessage('HTML body is required'),
+  body('text').optional().isString(),
+  body('layout').optional().isBoolean(),
+  body('notes').optional().isString()
+];
+
+// Sample data merged with the variables sent in the request (?data= / body.data)
+const getPreviewData = (key, data) => ({ ...TEMPLATES[key].sample, ...(data && typeof data === 'object' ? data : {}) });
+
+// All editable emails with the version in use per locale
+router.get('/', async (req, res) => {
+  try {
+    const active = await EmailTemplate.find({ isActive: true }).select('key locale version updatedAt activatedAt').lean();
+
+    const templates = Object.entries(TEMPLATES).map(([key, definition]) => {
+      const locales = {};
+      SUPPORTED_LOCALES.forEach(locale => {
+        const published = active.find(template => template.key === key && template.locale === locale);
+        if (published) {
+          locales[locale] = { source: 'custom', version: published.version, activatedAt: published.activatedAt };
+        } else if (definition.defaults?.[locale]) {
+          locales[locale] = { source: 'built-in', version: 0 };
+        } else {
+          locales[locale] = { source: 'none', version: null };
+        }
+      });
+      return { key, name: definition.name, variables: definition.variables, locales };
+    });
+
+    res.json({ templates, locales: SUPPORTED_LOCALES });
+  } catch (error) {
+    console.error('Error fetching email templates:', error);
+    res.status(500).json({ error: 'Failed to fetch email templates' });
+  }
+});
+
+// Definition, built-in defaults and version history of one email
+router.get('/:key', validateKeyAndLocale, async (req, res) => {
+  try {
+    const definition = TEMPLATES[req.params.key];
+    const versions = await EmailTemplate.find({ key: req.params.key })
+      .select('-html -text')
+      .populate('createdBy', 'name email')
+      .populate('activatedBy', 'name email')
+      .sort({ locale: 1, version: -1 });
+
+    res.json({
+      key: req.params.key,
+      name: definition.name,
+      variables: definition.variables,
+      sample: definition.sample,
+      defaults: definition.defaults || {},
+      versions
+    });
+  } catch (error) {
+    console.error('Error fetching email template:', error);
+    res.status(500).json({ error: 'Failed to fetch email template' });
+  }
+});
+
+router.get('/:key/:locale/versions/:version', validateKeyAndLocale, async (req, res) => {
+  try {
+    const template = await EmailTemplate.findOne({
+      key: req.params.key,
+      locale: req.params.locale,
+      version: parseInt(req.params.version, 10) || 0
+    })
+      .populate('createdBy', 'name email')
+      .populate('activatedBy', 'name email');
+    if (!template) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    console.error('Error fetching email template version:', error);
+    res.status(500).json({ error: 'Failed to fetch email template version' });
+  }
+});
+
+// Save a new version (active right away unless activate: false)
+router.post('/:key/:locale', validateKeyAndLocale, templateValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { key, locale } = req.params;
+    const { subject, html, text, layout, notes, activate } = req.body;
+
+    const syntaxErrors = validateTemplate({ subject, html, text });
+    if (syntaxErrors) {
+      return res.status(400).json({ error: 'Template syntax error', details: syntaxErrors });
+    }
+
+    const latest = await EmailTemplate.findOne({ key, locale }).sort({ version: -1 }).select('version');
+    let template = await EmailTemplate.create({
+      key,
+      locale,
+      version: (latest?.version || 0) + 1,
+      subject,
+      html,
+      text: text || '',
+      layout: layout !== undefined ? layout : true,
+      notes,
+      createdBy: req.admin._id
+    });
+
+    if (activate !== false) {
+      template = await EmailTemplate.activate(key, locale, template.version, req.admin._id);
+    }
+
+    console.log('✉️ Email template version saved:', { key, locale, version: template.version, active: template.isActive, by: req.admin._id });
+    res.status(201).json(template);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Another version was saved at the same time, please try again' });
+    }
+    console.error('Error saving email template:', error);
+    res.status(500).json({ error: 'Failed to save email template' });
+  }
+});
+
+// Switch to another saved version (rollback)
+router.post('/:key/:locale/versions/:version/activate', validateKeyAndLocale, async (req, res) => {
+  try {
+    const { key, locale } = req.params;
+    const version = parseInt(req.params.version, 10) || 0;
+    if (!(await EmailTemplate.exists({ key, locale, version }))) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    const template = await EmailTemplate.activate(key, locale, version, req.admin._id);
+    console.log('✉️ Email template version activated:', { key, locale, version, by: req.admin._id });
+    res.json(template);
+  } catch (error) {
+    console.error('Error activating email template:', error);
+    res.status(500).json({ error: 'Failed to activate email template' });
+  }
+});
+
+// Stop using saved versions for this locale - the built-in default (or the default locale) is sent again
+router.post('/:key/:locale/reset', validateKeyAndLocale, async (req, res) => {
+  try {
+    const { key, locale } = req.params;
+    await EmailTemplate.activate(key, locale, null);
+    console.log('✉️ Email template reset to default:', { key, locale, by: req.admin._id });
+    res.json({ message: 'Template reset to default', builtIn: Boolean(getBuiltInTemplate(key, locale)) });
+  } catch (error) {
+    console.error('Error resetting email template:', error);
+    res.status(500).json({ error: 'Failed to reset email template' });
+  }
+});
+
+// Render what would be sent (?version= for a saved version, default: the one in use) against sample data
+router.get('/:key/:locale/preview', validateKeyAndLocale, async (req, res) => {
+  try {
+    const { key, locale } = req.params;
+    let template;
+    if (req.query.version !== undefined) {
+      const version = parseInt(req.query.version, 10) || 0;
+      template = version === 0
+        ? getBuiltInTemplate(key, locale)
+        : await EmailTemplate.findOne({ key, locale, version }).lean();
+    } else {
+      template = await resolveTemplate(key, locale);
+    }
+    if (!template) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    let data = {};
+    if (req.query.data) {
+      try {
+        data = JSON.parse(req.query.data);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'data must be JSON' });
+      }
+    }
+
+    res.json({
+      ...renderTemplate(template, getPreviewData(key, data)),
+      locale: template.locale,
+      version: template.version
+    });
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    res.status(500).json({ error: 'Failed to preview email template' });
+  }
+});
+
+// Render an unsaved draft against sample data (plus body.data)
+router.post('/:key/:locale/preview', validateKeyAndLocale, templateValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { subject, html, text, layout, data } = req.body;
+    const syntaxErrors = validateTemplate({ subject, html, text });
+    if (syntaxErrors) {
+      return res.status(400).json({ error: 'Template syntax error', details: syntaxErrors });
+    }
+
+    const draft = { subject, html, text, layout: layout !== undefined ? layout : true, locale: req.params.locale };
+    res.json({ ...renderTemplate(draft, getPreviewData(req.params.key, data)), locale: req.params.locale });
+  } catch (error) {
+    console.error('Error previewing email template draft:', error);
+    res.status(500).json({ error: 'Failed to preview email template' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const { escapeHtml } = require('../utils/templateEngine');
+const Subscriber = require('../models/Subscriber');
+const { recordOpen, recordClick, parseUnsubscribeToken, parseConfirmationToken, unsubscribe } = require('../utils/emailTracking');
+const { confirmSubscription } = require('../utils/consent');
+
+const router = express.Router();
+
+// Public endpoints the links in outgoing emails point at (see utils/emailTracking.js). No auth - every link is signed.
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family: Arial, sans-serif; background: #f5f8fb; color: #063C5E; margin: 0; padding: 40px 16px;">
+  <div style="max-width: 480px; margin: 0 auto; background: #ffffff; border-radius: 8px; padding: 32px; text-align: center;">
+    <h1 style="font-size: 22px; margin-top: 0;">${escapeHtml(title)}</h1>
+    ${body}
+  </div>
+</body>
+</html>`;
+
+// Open pixel - always answers with the image, tracking problems must not show up as broken images
+router.get('/o/:id/:signature', async (req, res) => {
+  try {
+    await recordOpen(req.params.id, req.params.signature.replace(/\.gif$/, ''));
+  } catch (error) {
+    console.error('Error recording email open:', error);
+  }
+  res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+  res.type('gif').send(PIXEL);
+});
+
+// Tracked link - only redirects to URLs signed for this message
+router.get('/c/:id', async (req, res) => {
+  try {
+    const url = await recordClick(req.params.id, req.query.u, req.query.s);
+    if (!url) {
+      return res.status(400).json({ error: 'Invalid link' });
+    }
+    res.redirect(302, url);
+  } catch (error) {
+    console.error('Error recording email click:', error);
+    res.status(500).json({ error: 'Failed to open link' });
+  }
+});
+
+// Unsubscribe link in the email body: ask for confirmation, so link scanners do not unsubscribe people
+router.get('/unsubscribe/:token', (req, res) => {
+  const data = parseUnsubscribeToken(req.params.token);
+  if (!data) {
+    return res.status(400).type('html').send(renderPage('Invalid link', '<p>This unsubscribe link is invalid or incomplete.</p>'));
+  }
+
+  res.type('html').send(renderPage('Unsubscribe', `
+    <p>Stop sending marketing emails to <strong>${escapeHtml(data.email)}</strong>?</p>
+    <p style="font-size: 14px; color: #555;">You will still receive emails about your account, orders and invoices.</p>
+    <form method="POST" action="">
+      <button type="submit" style="background: #063C5E; color: #ffffff; border: 0; border-radius: 6px; padding: 12px 24px; font-size: 16px; cursor: pointer;">Unsubscribe</button>
+    </form>`));
+});
+
+// Confirmation form and RFC 8058 one-click unsubscribe (List-Unsubscribe-Post) from mail clients
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const data = parseUnsubscribeToken(req.params.token);
+    if (!data) {
+      return res.status(400).type('html').send(renderPage('Invalid link', '<p>This unsubscribe link is invalid or incomplete.</p>'));
+    }
+
+    await unsubscribe(data);
+    res.type('html').send(renderPage('You are unsubscribed', `<p>We will no longer send marketing emails to <strong>${escapeHtml(data.email)}</strong>.</p>`));
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    res.status(500).type('html').send(renderPage('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+// Double opt-in link: confirmation button, for the same reason as the unsubscribe page
+router.get('/confirm/:token', async (req, res) => {
+  try {
+    const data = parseConfirmationToken(req.params.token);
+    if (!data || data.kind !== 'subscriber') {
+      return res.status(400).type('html').send(renderPage('Invalid link', '<p>This confirmation link is invalid or incomplete.</p>'));
+    }
+    if (data.expired) {
+      return res.status(400).type('html').send(renderPage('Link expired', '<p>This confirmation link has expired. Please sign up again.</p>'));
+    }
+
+    const subscriber = await Subscriber.findById(data.id).select('email status');
+    if (!subscriber) {
+      return res.status(404).type('html').send(renderPage('Subscription not found', '<p>This subscription no longer exists. Please sign up again.</p>'));
+    }
+    if (subscriber.status === 'subscribed') {
+      return res.type('html').send(renderPage('Subscription confirmed', '<p>Your subscription is already confirmed. Thank you!</p>'));
+    }
+
+    res.type('html').send(renderPage('Confirm your subscription', `
+    <p>Confirm that <strong>${escapeHtml(subscriber.email)}</strong> wants to receive emails from Konfydence.</p>
+    <form method="POST" action="">
+      <button type="submit" style="background: #063C5E; color: #ffffff; border: 0; border-radius: 6px; padding: 12px 24px; font-size: 16px; cursor: pointer;">Confirm subscription</button>
+    </form>`));
+  } catch (error) {
+    console.error('Error loading subscription confirmation:', error);
+    res.status(500).type('html').send(renderPage('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+router.post('/confirm/:token', async (req, res) => {
+  try {
+    const data = parseConfirmationToken(req.params.token);
+    if (!data || data.kind !== 'subscriber') {
+      return res.status(400).type('html').send(renderPage('Invalid link', '<p>This confirmation link is invalid or incomplete.</p>'));
+    }
+    if (data.expired) {
+      return res.status(400).type('html').send(renderPage('Link expired', '<p>This confirmation link has expired. Please sign up again.</p>'));
+    }
+
+    const result = await confirmSubscription(data, req);
+    if (result.error) {
+      return res.status(result.status).type('html').send(renderPage('Subscription not confirmed', `<p>${escapeHtml(result.error)}</p>`));
+    }
+    res.type('html').send(renderPage('Subscription confirmed', '<p>Thank you! You will now receive our emails. You can unsubscribe at any time with the link in every email.</p>'));
+  } catch (error) {
+    console.error('Error confirming subscription:', error);
+    res.status(500).type('html').send(renderPage('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+module.exports = router;
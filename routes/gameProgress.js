@@ -3,6 +3,7 @@ const { authenticateToken } = require('../middleware/auth');
 const GameProgress = require('../models/GameProgress');
 const Card = require('../models/Card');
 const User = require('../models/User');
+const { scoreLevelSubmission } = require('../utils/gameScoring');
 
 const router = express.Router();
 
@@ -22,13 +23,7 @@ router.post('/', authenticateToken, async (req, res) => {
     const {
       productId,
       levelNumber,
-      cards, // Cards array with card-wise data
-      totalScore,
-      maxScore,
-      correctAnswers,
-      totalQuestions,
-      percentageScore,
-      riskLevel,
+      cards, // Cards array with the selected answer per question - scores are computed server-side
       isDemo
     } = req.body;
 
@@ -44,15 +39,6 @@ router.post('/', authenticateToken, async (req, res) => {
     }
 
     console.log(`📊 Saving game progress - User: ${req.userId}, Level: ${levelNumber}, Product: ${productId}, Cards: ${cards?.length || 0}`);
-    console.log(`📦 Request body:`, {
-      productId: productId,
-      levelNumber: levelNumber,
-      cardsCount: cards?.length || 0,
-      totalScore: totalScore,
-      correctAnswers: correctAnswers,
-      totalQuestions: totalQuestions,
-      isDemo: isDemo
-    });
 
     // Validation
     if (!levelNumber) {
@@ -84,46 +70,23 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Process cards array (handle empty array case)
-    const processedCards = cards.length > 0 ? cards.map(card => {
-      // Ensure cardId is properly formatted
-      let cardId = card.cardId;
-      if (cardId && typeof cardId === 'object') {
-        cardId = cardId._id || cardId.id || cardId;
-      }
-      
-      return {
-        cardId: cardId,
-        cardTitle: card.cardTitle || '',
-        questions: card.questions || [],
-        cardTotalScore: card.cardTotalScore || 0,
-        cardMaxScore: card.cardMaxScore || 0,
-        cardCorrectAnswers: card.cardCorrectAnswers || 0,
-        cardTotalQuestions: card.cardTotalQuestions || 0,
-        cardPercentageScore: card.cardPercentageScore || 0
-      };
-    }) : [];
-    
-    console.log(`📝 Processed ${processedCards.length} cards for level ${levelNumber}`);
+    // Score the submission against the stored cards - client-supplied totals, points,
+    // percentages and risk levels are ignored
+    const scored = await scoreLevelSubmission({ productId, levelNumber, cards });
+    if (scored.error) {
+      console.error(`❌ Rejected game progress submission: ${scored.error}`);
+      return res.status(400).json({ error: scored.error });
+    }
 
-    // Use provided stats or calculate from cards (handle empty cards case)
-    const finalTotalScore = totalScore !== undefined ? totalScore : (processedCards.length > 0 ? processedCards.reduce((sum, card) => sum + card.cardTotalScore, 0) : 0);
-    const finalCorrectAnswers = correctAnswers !== undefined ? correctAnswers : (processedCards.length > 0 ? processedCards.reduce((sum, card) => sum + card.cardCorrectAnswers, 0) : 0);
-    const finalTotalQuestions = totalQuestions !== undefined ? totalQuestions : (processedCards.length > 0 ? processedCards.reduce((sum, card) => sum + card.cardTotalQuestions, 0) : 0);
-    const finalMaxScore = maxScore !== undefined ? maxScore : (finalTotalQuestions > 0 ? finalTotalQuestions * 4 : 0);
-    const finalPercentageScore = percentageScore !== undefined ? percentageScore : (finalMaxScore > 0 ? Math.round((finalTotalScore / finalMaxScore) * 100) : 0);
+    const processedCards = scored.cards;
+    const finalTotalScore = scored.totalScore;
+    const finalMaxScore = scored.maxScore;
+    const finalCorrectAnswers = scored.correctAnswers;
+    const finalTotalQuestions = scored.totalQuestions;
+    const finalPercentageScore = scored.percentageScore;
+    const finalRiskLevel = scored.riskLevel;
     
-    // Calculate risk level based on percentage score if not provided
-    let finalRiskLevel = riskLevel;
-    if (!finalRiskLevel && finalPercentageScore !== undefined) {
-      if (finalPercentageScore >= 84) {
-        finalRiskLevel = 'Confident';
-      } else if (finalPercentageScore >= 44) {
-        finalRiskLevel = 'Cautious';
-      } else {
-        finalRiskLevel = 'Vulnerable';
-      }
-    }
+    console.log(`📝 Scored ${processedCards.length} cards for level ${levelNumber}: ${finalTotalScore}/${finalMaxScore} (${finalPercentageScore}%)`);
 
     // Get the first cardId from cards (if available) for top-level cardId
     let firstCardId = null;
@@ -0,0 +1,86 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
+const { requireAdmin } = require('../middleware/tenant');
+const JobRun = require('../models/JobRun');
+const { listJobs, triggerJob, hasJob } = require('../utils/scheduler');
+
+const router = express.Router();
+
+router.use(authenticateToken, checkPermission('jobs'), requireAdmin);
+
+// Registered background jobs with schedule, lock and last run state
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listJobs());
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Run history, newest first (?job=, ?status=running|succeeded|failed)
+router.get('/runs', async (req, res) => {
+  try {
+    const { job, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (job) query.job = job;
+    if (status) query.status = status;
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(query)
+        .populate('triggeredBy', 'name email')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      JobRun.countDocuments(query)
+    ]);
+
+    res.json({ runs, total, page, limit });
+  } catch (error) {
+    console.error('Error fetching job runs:', error);
+    res.status(500).json({ error: 'Failed to fetch job runs' });
+  }
+});
+
+router.get('/runs/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Job run not found' });
+    }
+    const run = await JobRun.findById(req.params.id).populate('triggeredBy', 'name email');
+    if (!run) {
+      return res.status(404).json({ error: 'Job run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error('Error fetching job run:', error);
+    res.status(500).json({ error: 'Failed to fetch job run' });
+  }
+});
+
+// Run a job now; it continues in the background - poll GET /runs/:id for the outcome
+router.post('/:name/run', async (req, res) => {
+  try {
+    if (!hasJob(req.params.name)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const started = await triggerJob(req.params.name, { triggeredBy: req.admin._id });
+    if (started.error) {
+      return res.status(started.status || 400).json({ error: started.error });
+    }
+
+    started.done.catch(err => console.error(`❌ Manual run of ${req.params.name} failed:`, err));
+    res.status(202).json({ message: 'Job started', run: started.run });
+  } catch (error) {
+    console.error('Error starting job:', error);
+    res.status(500).json({ error: 'Failed to start job' });
+  }
+});
+
+module.exports = router;
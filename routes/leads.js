@@ -104,7 +104,7 @@ router.post(
   }
 );
 
-router.get('/b2b', authenticateToken, async (req, res) => {
+router.get('/b2b', authenticateToken, checkPermission('leads'), async (req, res) => {
   try {
     const leads = await B2BLead.find().sort({ createdAt: -1 });
     res.json(leads);
@@ -113,7 +113,7 @@ router.get('/b2b', authenticateToken, async (req, res) => {
   }
 });
 
-router.put('/b2b/:id', authenticateToken, async (req, res) => {
+router.put('/b2b/:id', authenticateToken, checkPermission('leads'), async (req, res) => {
   try {
     const lead = await B2BLead.findByIdAndUpdate(
       req.params.id,
@@ -183,7 +183,7 @@ router.post(
   }
 );
 
-router.get('/education', authenticateToken, async (req, res) => {
+router.get('/education', authenticateToken, checkPermission('leads'), async (req, res) => {
   try {
     const leads = await EducationLead.find().sort({ createdAt: -1 });
     res.json(leads);
@@ -192,7 +192,7 @@ router.get('/education', authenticateToken, async (req, res) => {
   }
 });
 
-router.put('/education/:id', authenticateToken, async (req, res) => {
+router.put('/education/:id', authenticateToken, checkPermission('leads'), async (req, res) => {
   try {
     const lead = await EducationLead.findByIdAndUpdate(
       req.params.id,
@@ -209,7 +209,7 @@ router.put('/education/:id', authenticateToken, async (req, res) => {
 });
 
 // DELETE B2B Lead
-router.delete('/b2b/:id', authenticateToken, async (req, res) => {
+router.delete('/b2b/:id', authenticateToken, checkPermission('leads'), async (req, res) => {
   try {
     const lead = await B2BLead.findByIdAndDelete(req.params.id);
     if (!lead) {
@@ -223,7 +223,7 @@ router.delete('/b2b/:id', authenticateToken, async (req, res) => {
 });
 
 // DELETE Education Lead
-router.delete('/education/:id', authenticateToken, async (req, res) => {
+router.delete('/education/:id', authenticateToken, checkPermission('leads'), async (req, res) => {
   try {
     const lead = await EducationLead.findByIdAndDelete(req.params.id);
     if (!lead) {
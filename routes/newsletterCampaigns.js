@@ -0,0 +1,340 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
+const { requireAdmin } = require('../middleware/tenant');
+const NewsletterCampaign = require('../models/NewsletterCampaign');
+const { SUPPORTED_LOCALES, validateTemplate } = require('../utils/emailTemplates');
+const {
+  countAudience,
+  renderCampaign,
+  getCampaignPosts,
+  sendTestEmails,
+  getCampaignStats
+} = require('../utils/newsletterCampaigns');
+
+const router = express.Router();
+
+router.use(authenticateToken, checkPermission('newsletters'), requireAdmin);
+
+const SUBSCRIPTION_TYPES = ['latest-news', 'weekly-insights', 'general', 'waitlist'];
+
+// Fields an admin can set; everything else (status, progress, digest.posts) is managed by the sender
+const EDITABLE_FIELDS = ['name', 'subject', 'html', 'text', 'locale', 'audience', 'digest', 'batchSize'];
+
+const campaignValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    field('subject').isString().trim().notEmpty().withMessage('Subject is required'),
+    field('html').isString().notEmpty().withMessage('Body is required'),
+    body('text').optional().isString(),
+    body('locale').optional().isIn(SUPPORTED_LOCALES).withMessage(`Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`),
+    body('audience.subscriptionTypes').optional().isArray(),
+    body('audience.subscriptionTypes.*').isIn(SUBSCRIPTION_TYPES).withMessage('Invalid subscription type'),
+    body('audience.sources').optional().isArray(),
+    body('audience.engagedWithinDays').optional({ nullable: true }).isInt({ min: 1 }),
+    body('digest.enabled').optional().isBoolean(),
+    body('digest.postCount').optional().isInt({ min: 1, max: 20 }),
+    body('digest.categories').optional().isArray(),
+    body('batchSize').optional().isInt({ min: 1, max: 1000 })
+  ];
+};
+
+const pickEditable = (data) => Object.fromEntries(EDITABLE_FIELDS.filter(key => data[key] !== undefined).map(key => [key, data[key]]));
+
+const findCampaign = (id) => (mongoose.Types.ObjectId.isValid(id) ? NewsletterCampaign.findById(id) : null);
+
+// Audience filter from the query string (?subscriptionTypes=a,b&sources=&engagedWithinDays=)
+const parseAudienceQuery = (query) => {
+  const list = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+  return {
+    subscriptionTypes: list(query.subscriptionTypes),
+    sources: list(query.sources),
+    engagedWithinDays: parseInt(query.engagedWithinDays, 10) || undefined
+  };
+};
+
+// Campaigns, newest first (?status=)
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const [campaigns, total] = await Promise.all([
+      NewsletterCampaign.find(query)
+        .select('-html -text -digest.posts')
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      NewsletterCampaign.countDocuments(query)
+    ]);
+
+    res.json({ campaigns, total, page, limit });
+  } catch (error) {
+    console.error('Error fetching newsletter campaigns:', error);
+    res.status(500).json({ error: 'Failed to fetch campaigns' });
+  }
+});
+
+// Recipients an audience would reach, for the composer
+router.get('/audience-count', async (req, res) => {
+  try {
+    res.json({ recipients: await countAudience(parseAudienceQuery(req.query)) });
+  } catch (error) {
+    console.error('Error counting newsletter audience:', error);
+    res.status(500).json({ error: 'Failed to count audience' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.id)
+      ?.populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json({ ...campaign.toObject(), recipients: await countAudience(campaign.audience) });
+  } catch (error) {
+    console.error('Error fetching newsletter campaign:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign' });
+  }
+});
+
+router.post('/', campaignValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const syntaxErrors = validateTemplate(req.body);
+    if (syntaxErrors) {
+      return res.status(400).json({ error: 'Template syntax error', details: syntaxErrors });
+    }
+
+    const campaign = await NewsletterCampaign.create({
+      ...pickEditable(req.body),
+      createdBy: req.admin._id,
+      updatedBy: req.admin._id
+    });
+
+    console.log('📰 Newsletter campaign created:', { id: campaign._id, name: campaign.name, by: req.admin._id });
+    res.status(201).json(campaign);
+  } catch (error) {
+    console.error('Error creating newsletter campaign:', error);
+    res.status(500).json({ error: 'Failed to create campaign' });
+  }
+});
+
+// Only drafts and scheduled campaigns can be edited
+router.put('/:id', campaignValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (!['draft', 'scheduled'].includes(campaign.status)) {
+      return res.status(400).json({ error: `A ${campaign.status} campaign cannot be edited` });
+    }
+
+    const updates = pickEditable(req.body);
+    const syntaxErrors = validateTemplate(updates);
+    if (syntaxErrors) {
+      return res.status(400).json({ error: 'Template syntax error', details: syntaxErrors });
+    }
+
+    campaign.set({ ...updates, updatedBy: req.admin._id });
+    await campaign.save();
+    res.json(campaign);
+  } catch (error) {
+    console.error('Error updating newsletter campaign:', error);
+    res.status(500).json({ error: 'Failed to update campaign' });
+  }
+});
+
+// Campaigns that have not sent anything can be deleted
+router.delete('/:id', async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (campaign.progress?.queued > 0 || campaign.status === 'sending') {
+      return res.status(400).json({ error: 'Campaigns that have been sent are kept for their stats; cancel it instead' });
+    }
+
+    await campaign.deleteOne();
+    console.log('📰 Newsletter campaign deleted:', { id: campaign._id, name: campaign.name, by: req.admin._id });
+    res.json({ message: 'Campaign deleted' });
+  } catch (error) {
+    console.error('Error deleting newsletter campaign:', error);
+    res.status(500).json({ error: 'Failed to delete campaign' });
+  }
+});
+
+// Rendered email for a sample recipient (?email=)
+router.get('/:id/preview', async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const posts = await getCampaignPosts(campaign);
+    const email = req.query.email || req.admin.email;
+    res.json({ ...renderCampaign(campaign, { email, posts }), posts });
+  } catch (error) {
+    console.error('Error previewing newsletter campaign:', error);
+    res.status(500).json({ error: 'Failed to preview campaign' });
+  }
+});
+
+// Send the campaign to a few addresses (default: the admin's own)
+router.post(
+  '/:id/test',
+  [
+    body('emails').optional().isArray({ min: 1, max: 10 }).withMessage('Send to 1-10 addresses'),
+    body('emails.*').isEmail().withMessage('Invalid email address').normalizeEmail()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const campaign = await findCampaign(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      const emails = req.body.emails?.length ? req.body.emails : [req.admin.email];
+      const sent = await sendTestEmails(campaign, emails, req.admin._id);
+      console.log('📰 Newsletter test sent:', { id: campaign._id, emails, by: req.admin._id });
+      res.json({ message: 'Test email queued', sent });
+    } catch (error) {
+      console.error('Error sending newsletter test:', error);
+      res.status(500).json({ error: 'Failed to send test email' });
+    }
+  }
+);
+
+// Send at scheduledAt (default: now). The newsletter-campaigns job picks it up within a minute.
+router.post(
+  '/:id/schedule',
+  [body('scheduledAt').optional({ nullable: true }).isISO8601().withMessage('scheduledAt must be a date')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const campaign = await findCampaign(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (!['draft', 'scheduled'].includes(campaign.status)) {
+        return res.status(400).json({ error: `A ${campaign.status} campaign cannot be scheduled` });
+      }
+
+      const recipients = await countAudience(campaign.audience);
+      if (recipients === 0) {
+        return res.status(400).json({ error: 'The audience has no subscribers' });
+      }
+
+      campaign.status = 'scheduled';
+      campaign.scheduledAt = req.body.scheduledAt ? new Date(req.body.scheduledAt) : new Date();
+      campaign.updatedBy = req.admin._id;
+      await campaign.save();
+
+      console.log('📰 Newsletter campaign scheduled:', { id: campaign._id, scheduledAt: campaign.scheduledAt, recipients, by: req.admin._id });
+      res.json({ campaign, recipients });
+    } catch (error) {
+      console.error('Error scheduling newsletter campaign:', error);
+      res.status(500).json({ error: 'Failed to schedule campaign' });
+    }
+  }
+);
+
+// Back to draft before sending has started
+router.post('/:id/unschedule', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const campaign = await NewsletterCampaign.findOneAndUpdate(
+      { _id: req.params.id, status: 'scheduled' },
+      { $set: { status: 'draft', updatedBy: req.admin._id }, $unset: { scheduledAt: 1 } },
+      { new: true }
+    );
+    if (!campaign) {
+      return res.status(400).json({ error: 'Only scheduled campaigns can be unscheduled' });
+    }
+    res.json(campaign);
+  } catch (error) {
+    console.error('Error unscheduling newsletter campaign:', error);
+    res.status(500).json({ error: 'Failed to unschedule campaign' });
+  }
+});
+
+// Stop a scheduled or sending campaign. Messages already queued in the outbox can be cancelled there.
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const campaign = await NewsletterCampaign.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['scheduled', 'sending'] } },
+      { $set: { status: 'cancelled', completedAt: new Date(), updatedBy: req.admin._id } },
+      { new: true }
+    );
+    if (!campaign) {
+      return res.status(400).json({ error: 'Only scheduled or sending campaigns can be cancelled' });
+    }
+
+    console.log('📰 Newsletter campaign cancelled:', { id: campaign._id, queued: campaign.progress?.queued, by: req.admin._id });
+    res.json(campaign);
+  } catch (error) {
+    console.error('Error cancelling newsletter campaign:', error);
+    res.status(500).json({ error: 'Failed to cancel campaign' });
+  }
+});
+
+// Delivery, open, click and unsubscribe numbers
+router.get('/:id/stats', async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json({
+      status: campaign.status,
+      startedAt: campaign.startedAt,
+      completedAt: campaign.completedAt,
+      recipientsQueued: campaign.progress?.queued || 0,
+      ...(await getCampaignStats(campaign))
+    });
+  } catch (error) {
+    console.error('Error fetching newsletter campaign stats:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign stats' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { checkPermission } = require('../middleware/rbac');
+const { applyTenantScope, requireTenantAccess, resolveTenant } = require('../middleware/tenant');
+const { purchaseSeats } = require('../utils/seatPurchases');
 const Organization = require('../models/Organization');
 const OrgUser = require('../models/OrgUser');
 const CustomPackage = require('../models/CustomPackage');
@@ -64,6 +66,9 @@ router.get('/admin', authenticateToken, checkPermission('organizations'), async
       ];
     }
 
+    // Owners only see their own organizations
+    applyTenantScope(query, req, { organizationField: '_id', schoolField: null });
+
     const organizations = await Organization.find(query)
       .populate('customPackages')
       .sort({ createdAt: -1 });
@@ -123,8 +128,18 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    const isOwner = currentUser && organization.ownerId && organization.ownerId.toString() === currentUser._id.toString();
-    const isMember = currentUser && currentUser.organizationId && currentUser.organizationId.toString() === organization._id.toString();
+    let isOwner = false;
+    let isMember = false;
+    if (currentUser) {
+      const tenant = await resolveTenant(currentUser._id);
+      isOwner = tenant.organizationIds.includes(organization._id.toString());
+      isMember = tenant.memberOrganizationId === organization._id.toString();
+    }
+
+    // Users outside this organization get nothing
+    if (!isAdmin && !isOwner && !isMember) {
+      return res.status(403).json({ error: 'You do not have access to this organization' });
+    }
 
     // If member (not owner), only return name and code
     if (isMember && !isOwner && !isAdmin) {
@@ -318,12 +333,25 @@ router.post(
   }
 );
 
+// Fields an owner may change on their own organization; billing, seats, status and membership stay admin-managed
+const OWNER_EDITABLE_FIELDS = ['name', 'type', 'customType', 'primaryContact', 'additionalContacts'];
+
 router.put(
   '/:id',
   authenticateToken,
   checkPermission('organizations'),
+  requireTenantAccess('organization'),
   async (req, res) => {
     try {
+      const updateData = {};
+      if (req.admin) {
+        Object.assign(updateData, req.body);
+      } else {
+        OWNER_EDITABLE_FIELDS.forEach(field => {
+          if (req.body[field] !== undefined) updateData[field] = req.body[field];
+        });
+      }
+
       // Check if name is being changed and if duplicate exists
       if (req.body.name) {
         // Escape special regex characters in the name
@@ -341,7 +369,7 @@ router.put(
 
       const organization = await Organization.findByIdAndUpdate(
         req.params.id,
-        req.body,
+        updateData,
         { new: true, runValidators: true }
       );
 
@@ -357,12 +385,22 @@ router.put(
   }
 );
 
-router.put('/:id/seat-usage', authenticateToken, checkPermission('organizations'), async (req, res) => {
+router.put('/:id/seat-usage', authenticateToken, checkPermission('organizations'), requireTenantAccess('organization'), async (req, res) => {
   try {
     const { seatLimit, usedSeats } = req.body;
+
+    // Seat limits are purchased - owners can't raise them by hand
+    if (!req.admin && seatLimit !== undefined) {
+      return res.status(403).json({ error: 'Only admins can change the seat limit' });
+    }
+
+    const update = {};
+    if (seatLimit !== undefined) update['seatUsage.seatLimit'] = seatLimit;
+    if (usedSeats !== undefined) update['seatUsage.usedSeats'] = usedSeats;
+
     const organization = await Organization.findByIdAndUpdate(
       req.params.id,
-      { 'seatUsage.seatLimit': seatLimit, 'seatUsage.usedSeats': usedSeats },
+      update,
       { new: true }
     );
 
@@ -377,7 +415,21 @@ router.put('/:id/seat-usage', authenticateToken, checkPermission('organizations'
   }
 });
 
-router.delete('/:id', authenticateToken, checkPermission('organizations'), async (req, res) => {
+// Owner buys N extra seats for the organization's per-seat package (Stripe Checkout, prorated to the contract end date).
+// Seat limits are raised by the webhook once payment is confirmed.
+router.post(
+  '/:id/seats/purchase',
+  authenticateToken,
+  checkPermission('organizations'),
+  requireTenantAccess('organization'),
+  [
+    body('seats').isInt({ min: 1, max: 10000 }).withMessage('Seats must be a whole number between 1 and 10000'),
+    body('customPackageId').optional().isMongoId()
+  ],
+  purchaseSeats('organization')
+);
+
+router.delete('/:id', authenticateToken, checkPermission('organizations'), requireTenantAccess('organization'), async (req, res) => {
   try {
     const organization = await Organization.findById(req.params.id);
 
@@ -409,7 +461,7 @@ router.delete('/:id', authenticateToken, checkPermission('organizations'), async
 });
 
 // Export organization data for auditors (CSV format)
-router.get('/:id/export', authenticateToken, checkPermission('organizations'), async (req, res) => {
+router.get('/:id/export', authenticateToken, checkPermission('organizations'), requireTenantAccess('organization'), async (req, res) => {
   try {
     const Lead = require('../models/Lead');
     const CustomPackage = require('../models/CustomPackage');
@@ -6,6 +6,8 @@ const Package = require('../models/Package');
 const Card = require('../models/Card');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
+const { SUPPORTED_CURRENCIES } = require('../utils/pricing');
+const { localizeCard } = require('../utils/cardTranslations');
 
 const router = express.Router();
 
@@ -67,7 +69,7 @@ router.get('/', async (req, res) => {
 
 router.get('/public', async (req, res) => {
   try {
-    const { targetAudience } = req.query;
+    const { targetAudience, lang } = req.query;
     const query = {
       visibility: 'public',
       status: 'active'
@@ -85,7 +87,7 @@ router.get('/public', async (req, res) => {
     }
 
     let packages = await Package.find(query)
-      .populate('includedCardIds', 'title category')
+      .populate('includedCardIds', 'title category locale translations')
       .sort({ createdAt: -1 });
 
     // For B2C, only show digital and digital_physical packages (remove physical)
@@ -110,6 +112,16 @@ router.get('/public', async (req, res) => {
       console.log(`B2B/B2E public packages: ${beforeFilterCount} before filter, ${packages.length} after filter (digital/digital_physical only)`);
     }
 
+    // Card titles in the requested language (?lang=de), without the translations themselves
+    packages = packages.map(pkg => {
+      const data = pkg.toObject();
+      data.includedCardIds = (data.includedCardIds || []).map(card => {
+        const { _id, title, category, locale } = localizeCard(card, lang);
+        return { _id, title, category, locale };
+      });
+      return data;
+    });
+
     res.json(packages);
   } catch (error) {
     console.error('Error fetching public packages:', error);
@@ -119,8 +131,9 @@ router.get('/public', async (req, res) => {
 
 router.get('/:id', async (req, res) => {
   try {
+    // Public route: card titles only, never the question content
     const package = await Package.findById(req.params.id)
-      .populate('includedCardIds');
+      .populate('includedCardIds', 'title category');
     if (!package) {
       return res.status(404).json({ error: 'Package not found' });
     }
@@ -139,7 +152,10 @@ router.post(
     body('name').notEmpty().trim(),
     body('description').notEmpty(),
     body('pricing.amount').isNumeric(),
-    body('pricing.billingType').isIn(['one_time', 'subscription', 'per_seat'])
+    body('pricing.billingType').isIn(['one_time', 'subscription', 'per_seat']),
+    body('pricing.prices').optional().isArray(),
+    body('pricing.prices.*.currency').optional().isIn(SUPPORTED_CURRENCIES),
+    body('pricing.prices.*.amount').optional().isFloat({ min: 0 })
   ],
   async (req, res) => {
     try {
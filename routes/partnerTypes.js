@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
 const PartnerType = require('../models/PartnerType');
 const PartnerLogo = require('../models/PartnerLogo');
 
@@ -29,6 +30,7 @@ router.get('/', async (req, res) => {
 router.post(
   '/',
   authenticateToken,
+  checkPermission('partners'),
   [body('name').notEmpty().withMessage('Name is required')],
   async (req, res) => {
     try {
@@ -73,7 +75,7 @@ router.post(
   }
 );
 
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, checkPermission('partners'), async (req, res) => {
   try {
     const update = { ...req.body };
     if (update.name) {
@@ -103,7 +105,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, checkPermission('partners'), async (req, res) => {
   try {
     const type = await PartnerType.findByIdAndDelete(req.params.id);
     if (!type) {
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
 const PartnerLogo = require('../models/PartnerLogo');
 const PartnerType = require('../models/PartnerType');
 
@@ -24,6 +25,7 @@ router.get('/', async (req, res) => {
 router.post(
   '/',
   authenticateToken,
+  checkPermission('partners'),
   [
     body('name').notEmpty().withMessage('Partner name is required'),
     body('logoUrl').notEmpty().withMessage('Logo URL is required'),
@@ -65,6 +67,7 @@ router.post(
 router.put(
   '/:id',
   authenticateToken,
+  checkPermission('partners'),
   [
     body('name').optional().notEmpty().withMessage('Partner name cannot be empty'),
     body('logoUrl').optional().notEmpty().withMessage('Logo URL cannot be empty'),
@@ -112,7 +115,7 @@ router.put(
   }
 );
 
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, checkPermission('partners'), async (req, res) => {
   try {
     const partner = await PartnerLogo.findByIdAndDelete(req.params.id);
     if (!partner) {
@@ -1,43 +1,35 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const Package = require('../models/Package');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const FreeTrial = require('../models/FreeTrial');
+const WebhookEvent = require('../models/WebhookEvent');
+const { checkPermission } = require('../middleware/rbac');
+const { requireAdmin, ownsTenant } = require('../middleware/tenant');
 const { sendTransactionSuccessEmail } = require('../utils/emailService');
+const { stripe, isStripeConfigured } = require('../utils/stripe');
+const { handleChargeRefunded, handleDisputeCreated, handleDisputeClosed } = require('../utils/transactionRefunds');
+const {
+  getSubscriptionInterval,
+  getSubscriptionPeriodEnd,
+  handleInvoicePaid,
+  handleInvoicePaymentFailed,
+  handleSubscriptionDeleted,
+  resolveSubscriptionId,
+  setCancelAtPeriodEnd
+} = require('../utils/subscriptions');
+const { SEAT_TOPUP_PURCHASE_TYPE, handleSeatPurchaseCompleted } = require('../utils/seatPurchases');
+const { validateCoupon, ensureStripeCoupon, getCouponFromSession, getPurchaseAudience } = require('../utils/coupons');
+const { SUPPORTED_CURRENCIES, getBuyerCountry, selectCurrency, resolvePrice } = require('../utils/pricing');
+const { calculateTax, getCheckoutTaxParams, getTaxMetadata, getTaxFromSession } = require('../utils/tax');
+const { PAYMENT_TERMS, createInvoiceOrder } = require('../utils/invoicePayments');
+const { getRenewalWindowDays, isWithinRenewalWindow, getRenewalStartDate } = require('../utils/renewals');
+const { generateUniqueCode } = require('../utils/uniqueCodes');
 
 const router = express.Router();
 
-// Initialize Stripe only if key is provided
-let stripe = null;
-if (process.env.STRIPE_SECRET_KEY) {
-  const stripeLib = require('stripe');
-  stripe = stripeLib(process.env.STRIPE_SECRET_KEY);
-}
-
-// Check if Stripe is configured
-const isStripeConfigured = () => {
-  return stripe !== null && process.env.STRIPE_SECRET_KEY;
-};
-
-// Generate unique code in format: 4573-DTE2-R232 (4 digits - 3 letters + 1 digit - 1 letter + 3 digits)
-const generateUniqueCode = () => {
-  const getRandomDigits = (length) => {
-    return Array.from({ length }, () => Math.floor(Math.random() * 10)).join('');
-  };
-  
-  const getRandomLetters = (length) => {
-    const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    return Array.from({ length }, () => letters[Math.floor(Math.random() * letters.length)]).join('');
-  };
-  
-  const part1 = getRandomDigits(4); // 4 digits
-  const part2 = getRandomLetters(3) + getRandomDigits(1); // 3 letters + 1 digit
-  const part3 = getRandomLetters(1) + getRandomDigits(3); // 1 letter + 3 digits
-  
-  return `${part1}-${part2}-${part3}`;
-};
-
 // Convert product targetAudience to package targetAudiences format
 // Mapping: private-users → B2C, businesses → B2B, schools → B2E
 const convertProductTargetAudienceToPackage = (targetAudience) => {
@@ -316,6 +308,32 @@ const getMembershipType = (package, product = null) => {
   return membershipType;
 };
 
+// Currency and tax the checkout page should show for the buyer's country (?country=DE&vatId=...)
+router.get('/pricing-context', async (req, res) => {
+  try {
+    const country = getBuyerCountry(req);
+    const tax = calculateTax({ country, vatId: req.query.vatId });
+    if (tax.error) {
+      return res.status(400).json({ error: tax.error });
+    }
+
+    res.json({
+      country,
+      currency: selectCurrency(req.query.currency, country),
+      supportedCurrencies: SUPPORTED_CURRENCIES,
+      tax: {
+        mode: tax.mode,
+        rate: tax.rate,
+        reverseCharge: tax.reverseCharge,
+        inclusive: tax.inclusive
+      }
+    });
+  } catch (error) {
+    console.error('Error resolving pricing context:', error);
+    res.status(500).json({ error: 'Failed to resolve pricing context' });
+  }
+});
+
 // Create Stripe Checkout Session
 router.post('/create-checkout-session', authenticateToken, async (req, res) => {
   try {
@@ -323,7 +341,18 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
       return res.status(500).json({ error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY in environment variables.' });
     }
 
-    const { packageId, productId, customPackageId, urlType, directProductPurchase, shopPagePurchase } = req.body;
+    const { packageId, productId, customPackageId, urlType, directProductPurchase, shopPagePurchase, vatId } = req.body;
+    // Renewal links from reminder emails may re-buy a package/contract whose access is about to end
+    const isRenewal = req.body.renewal === true || req.body.renewal === 'true';
+
+    // Charge in the buyer's currency where the package/product has a price for it
+    const buyerCountry = getBuyerCountry(req);
+    const requestedCurrency = selectCurrency(req.body.currency, buyerCountry);
+
+    const tax = calculateTax({ country: buyerCountry, vatId });
+    if (tax.error) {
+      return res.status(400).json({ error: tax.error });
+    }
     
     // Allow direct product purchase (for physical products) without package
     if (!packageId && !customPackageId && !directProductPurchase) {
@@ -517,8 +546,24 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
         ]
       });
 
-      if (existingTransaction) {
-        return res.status(400).json({ error: 'This custom package has already been purchased' });
+      const renewable = isRenewal &&
+        (customPackage.contract?.status === 'expired' || isWithinRenewalWindow(customPackage.contract?.endDate));
+      if (existingTransaction && !renewable) {
+        return res.status(400).json({
+          error: isRenewal
+            ? `This contract can be renewed from ${getRenewalWindowDays()} days before it ends`
+            : 'This custom package has already been purchased'
+        });
+      }
+
+      // An invoice has already been sent for it - paying by card as well would charge twice
+      const pendingInvoiceOrder = await Transaction.exists({
+        customPackageId: customPackage._id,
+        status: 'pending',
+        paymentMethod: 'bank_transfer'
+      });
+      if (pendingInvoiceOrder) {
+        return res.status(400).json({ error: 'An invoice for this custom package is already awaiting payment' });
       }
 
       console.log('✅ Custom package purchase check passed:', {
@@ -558,10 +603,9 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
         productPrice = 49;
       }
       
-      // Use product price (or overridden price for shop page physical)
+      // Use product price (or overridden price for shop page physical) - USD unless the product has a price in the buyer's currency
       pricing = {
-        amount: productPrice,
-        currency: 'USD', // Always USD for direct product purchases
+        ...resolvePrice({ amount: productPrice, currency: 'USD' }, product.prices, requestedCurrency),
         billingType: 'one_time'
       };
       packageName = product.title || product.name || 'Product';
@@ -575,7 +619,7 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
         packageDescription = 'Product purchase';
       }
       billingType = 'one_time';
-      currency = 'USD';
+      currency = pricing.currency;
       
       // Set seat limit based on package type
       // If packageType is provided (from Products page or shop page), use it
@@ -612,8 +656,12 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
         (m) => m.packageId.toString() === package._id.toString() && m.status === 'active'
       );
 
-      if (existingMembership) {
-        return res.status(400).json({ error: 'You already have an active membership for this package' });
+      if (existingMembership && !(isRenewal && isWithinRenewalWindow(existingMembership.endDate))) {
+        return res.status(400).json({
+          error: isRenewal
+            ? `This membership can be renewed from ${getRenewalWindowDays()} days before it expires`
+            : 'You already have an active membership for this package'
+        });
       }
 
       // Check if there's already a successful transaction for this user and package
@@ -623,11 +671,14 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
         status: 'paid',
       });
 
-      if (existingTransaction) {
+      if (existingTransaction && !isRenewal) {
         return res.status(400).json({ error: 'You have already purchased this package' });
       }
 
-      pricing = package.pricing;
+      pricing = {
+        ...resolvePrice(package.pricing, package.pricing.prices, requestedCurrency),
+        billingType: package.pricing.billingType
+      };
       packageName = package.name;
       packageDescription = package.description || '';
       billingType = pricing.billingType || 'one_time';
@@ -726,11 +777,31 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
       });
     }
 
+    // Apply a discount code - negotiated custom package contracts are not discountable
+    let appliedCoupon = null;
+    if (req.body.couponCode) {
+      if (customPackage) {
+        return res.status(400).json({ error: 'Discount codes cannot be applied to custom packages' });
+      }
+
+      appliedCoupon = await validateCoupon(req.body.couponCode, req.userId, {
+        amount: pricing.amount,
+        currency,
+        audience: getPurchaseAudience(user, urlType),
+        packageId: package?._id,
+        productId: product?._id
+      });
+      if (appliedCoupon.error) {
+        return res.status(400).json({ error: appliedCoupon.error });
+      }
+    }
+
     // Get frontend URL from environment or use default
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
 
     // Prepare line items based on billing type (handle both regular packages and custom packages)
     const isSubscription = billingType === 'subscription';
+    const taxParams = await getCheckoutTaxParams(tax, isSubscription);
     const lineItems = [
       {
         price_data: {
@@ -741,14 +812,14 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
             ...(packageDescription && packageDescription.trim() ? { description: packageDescription.trim() } : {}),
           },
           unit_amount: Math.round(pricing.amount * 100), // Convert to cents
-          // Add recurring for subscription mode
+          // Add recurring for subscription mode - billing period follows the package expiry period
           ...(isSubscription && {
-            recurring: {
-              interval: 'month', // Default to monthly, can be made configurable
-            },
+            recurring: getSubscriptionInterval(customPackage || package),
           }),
+          ...(taxParams.taxBehavior && { tax_behavior: taxParams.taxBehavior }),
         },
         quantity: 1,
+        ...(taxParams.lineItemTaxRates && { tax_rates: taxParams.lineItemTaxRates }),
       },
     ];
 
@@ -760,6 +831,8 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
       uniqueCode: uniqueCode || '',
       billingType: billingType || 'one_time',
       directProductPurchase: directProductPurchase ? 'true' : 'false',
+      currency: (currency || 'USD').toUpperCase(),
+      ...getTaxMetadata(tax),
     };
     
     // Only add packageId if it exists AND it's not a direct product purchase
@@ -787,6 +860,20 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
       metadata.urlType = urlType;
     }
 
+    if (isRenewal) {
+      metadata.renewal = 'true';
+    }
+
+    // Coupon details are copied onto the transaction by the webhook
+    let stripeCouponId = null;
+    if (appliedCoupon) {
+      stripeCouponId = await ensureStripeCoupon(appliedCoupon.coupon);
+      metadata.couponId = appliedCoupon.coupon._id.toString();
+      metadata.couponCode = appliedCoupon.coupon.code;
+      metadata.couponDiscount = appliedCoupon.discountAmount.toString();
+      metadata.originalAmount = pricing.amount.toString();
+    }
+
     // Log metadata being sent to Stripe
     console.log('📋 Metadata for Stripe Checkout Session:', metadata);
 
@@ -799,12 +886,31 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
       cancel_url: `${frontendUrl}/packages?canceled=true`,
       metadata: metadata,
       customer_email: user.email,
+      // Copy metadata onto the subscription so renewal invoices can be traced back to the purchase
+      ...(isSubscription && { subscription_data: { metadata } }),
+      ...(stripeCouponId && { discounts: [{ coupon: stripeCouponId }] }),
+      ...taxParams.sessionParams,
     });
 
     res.json({
       sessionId: session.id,
       url: session.url,
       uniqueCode: uniqueCode,
+      currency: (currency || 'USD').toUpperCase(),
+      tax: {
+        mode: tax.mode,
+        rate: tax.rate,
+        country: tax.country,
+        reverseCharge: tax.reverseCharge,
+        inclusive: tax.inclusive
+      },
+      ...(appliedCoupon && {
+        coupon: {
+          code: appliedCoupon.coupon.code,
+          discountAmount: appliedCoupon.discountAmount,
+          finalAmount: appliedCoupon.finalAmount
+        }
+      }),
     });
   } catch (error) {
     // Safely get values from req.body in case variables are not in scope
@@ -852,89 +958,21 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
   }
 });
 
-// Stripe webhook handler (raw body is handled in server.js before json parser)
-router.post('/webhook', async (req, res) => {
-  console.log('🔔 WEBHOOK ENDPOINT CALLED:', {
-    timestamp: new Date().toISOString(),
-    method: req.method,
-    url: req.url,
-    hasBody: !!req.body,
-    bodyType: typeof req.body,
-    bodyLength: req.body ? (typeof req.body === 'string' ? req.body.length : JSON.stringify(req.body).length) : 0,
-    headers: {
-      'stripe-signature': req.headers['stripe-signature'] ? 'present' : 'missing',
-      'content-type': req.headers['content-type']
-    }
-  });
-
-  if (!isStripeConfigured()) {
-    console.warn('⚠️ Stripe is not configured. Webhook ignored.');
-    return res.status(200).json({ received: true, message: 'Stripe not configured' });
-  }
-
-  const sig = req.headers['stripe-signature'];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
-  console.log('🔍 Webhook Configuration Check:', {
-    hasStripe: !!stripe,
-    hasWebhookSecret: !!webhookSecret,
-    hasSignature: !!sig,
-    webhookSecretLength: webhookSecret ? webhookSecret.length : 0
-  });
-
-  if (!webhookSecret) {
-    console.warn('⚠️ STRIPE_WEBHOOK_SECRET not configured. Webhook verification skipped.');
-    // In development, you might want to allow this
-    if (process.env.NODE_ENV === 'production') {
-      return res.status(500).send('Webhook secret not configured');
-    }
-  }
-
-  let event;
-
-  try {
-    if (webhookSecret && stripe) {
-      // CRITICAL: req.body should be a Buffer from express.raw()
-      // Use req.rawBody if available (from verify callback), otherwise use req.body
-      let rawBody = req.rawBody || req.body;
-      
-      // If body is already parsed (object), we can't verify - this shouldn't happen
-      if (typeof rawBody === 'object' && !Buffer.isBuffer(rawBody)) {
-        console.error('❌ CRITICAL: Webhook body is already parsed! Raw body parser not working.');
-        console.error('Body type:', typeof rawBody, 'Is Buffer:', Buffer.isBuffer(rawBody));
-        console.error('Has rawBody:', !!req.rawBody, 'req.body type:', typeof req.body);
-        return res.status(400).send('Webhook Error: Body already parsed. Raw body required for signature verification.');
-      }
-      
-      // Convert Buffer to string if needed (Stripe expects string or Buffer)
-      if (Buffer.isBuffer(rawBody)) {
-        rawBody = rawBody.toString('utf8');
-      }
-      
-      event = stripe.webhooks.constructEvent(rawBody, sig, webhookSecret);
-    } else {
-      // In development, parse event without verification
-      let bodyToParse = req.body;
-      if (Buffer.isBuffer(bodyToParse)) {
-        bodyToParse = bodyToParse.toString('utf8');
-      }
-      event = typeof bodyToParse === 'string' ? JSON.parse(bodyToParse) : (bodyToParse.toString ? JSON.parse(bodyToParse.toString()) : bodyToParse);
-    }
-  } catch (err) {
-    console.error('❌ Webhook signature verification failed:', {
-      error: err.message,
-      stack: err.stack,
-      hasWebhookSecret: !!webhookSecret,
-      hasSignature: !!sig,
-      bodyType: typeof req.body,
-      isBuffer: Buffer.isBuffer(req.body),
-      bodyPreview: Buffer.isBuffer(req.body) 
-        ? req.body.toString('utf8').substring(0, 200) 
-        : (typeof req.body === 'string' ? req.body.substring(0, 200) : JSON.stringify(req.body).substring(0, 200))
-    });
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
+// Stripe event types that processStripeEvent acts on; everything else is logged as 'ignored'
+const HANDLED_WEBHOOK_EVENTS = [
+  'checkout.session.completed',
+  'payment_intent.succeeded',
+  'charge.refunded',
+  'charge.dispute.created',
+  'charge.dispute.closed',
+  'invoice.paid',
+  'invoice.payment_failed',
+  'customer.subscription.deleted'
+];
+
+// Process a verified Stripe event. Returns the JSON body to send back to Stripe;
+// throws when processing fails unexpectedly so Stripe retries the delivery.
+const processStripeEvent = async (event) => {
   try {
     // Helper function to extract essential webhook data only
     const extractEssentialWebhookData = (event, session = null, user = null, product = null) => {
@@ -1093,6 +1131,11 @@ router.post('/webhook', async (req, res) => {
           console.error('❌ Error retrieving session from Stripe API:', err.message);
         }
       }
+
+      // Seat top-ups for an existing contract are not package purchases
+      if (session.metadata?.purchaseType === SEAT_TOPUP_PURCHASE_TYPE) {
+        return handleSeatPurchaseCompleted(session, event);
+      }
       
       // Check if transaction already exists for this checkout session (prevent duplicates)
       // Check by both payment intent ID and session ID to catch all cases
@@ -1136,22 +1179,22 @@ router.post('/webhook', async (req, res) => {
         });
 
         // Return early since transaction already exists
-        return res.json({ received: true, processed: true, updated: true });
+        return { received: true, processed: true, updated: true };
       }
 
       // CRITICAL: Only create transaction if payment was successful
-      // Check payment_status before creating transaction
-      if (session.payment_status !== 'paid' && session.payment_status !== 'complete') {
+      // Check payment_status before creating transaction ('no_payment_required' = fully discounted by a coupon)
+      if (session.payment_status !== 'paid' && session.payment_status !== 'complete' && session.payment_status !== 'no_payment_required') {
         console.warn('⚠️ Payment not completed, skipping transaction creation:', {
           sessionId: session.id,
           paymentStatus: session.payment_status,
           customerEmail: session.customer_email
         });
-        return res.json({ 
+        return { 
           received: true, 
           message: 'Payment not completed yet',
           paymentStatus: session.payment_status
-        });
+        };
       }
 
       // Only create transaction if it doesn't exist (prevent duplicates)
@@ -1223,11 +1266,11 @@ router.post('/webhook', async (req, res) => {
             hasMetadata: !!session.metadata,
             metadataKeys: session.metadata ? Object.keys(session.metadata) : []
           });
-          return res.status(200).json({ 
+          return { 
             received: true, 
             error: 'User not found - userId missing in metadata',
             sessionId: session.id
-          });
+          };
         }
         
         // Extract metadata (same as fallback flow)
@@ -1249,6 +1292,9 @@ router.post('/webhook', async (req, res) => {
         
         // Purchase date is when the transaction is created (now)
         const purchaseDate = new Date();
+        // Renewals continue from the end of the current period instead of starting today
+        const isRenewal = session.metadata?.renewal === 'true';
+        let periodStartDate = purchaseDate;
 
         let package = null;
         let customPackage = null;
@@ -1268,7 +1314,7 @@ router.post('/webhook', async (req, res) => {
           
           if (!customPackage) {
             console.error('Custom package not found for checkout session:', session.id);
-            return res.json({ received: true, error: 'Custom package not found' });
+            return { received: true, error: 'Custom package not found' };
           }
 
           // Extract productId from productIds array (use first productId)
@@ -1386,10 +1432,14 @@ router.post('/webhook', async (req, res) => {
             });
           }
           
+          if (isRenewal) {
+            periodStartDate = getRenewalStartDate(customPackage.contract?.endDate, purchaseDate);
+          }
+
           // Calculate expiry date from custom package expiryTime and expiryTimeUnit
-          // Start date is purchase date, end date is calculated from purchase date + expiry time
+          // Start date is purchase date (or the renewal start), end date is start date + expiry time
           if (customPackage.expiryTime && customPackage.expiryTimeUnit) {
-            const calculatedExpiryDate = calculateExpiryDate(customPackage, purchaseDate);
+            const calculatedExpiryDate = calculateExpiryDate(customPackage, periodStartDate);
             if (calculatedExpiryDate) {
               contractEndDate = setEndOfDay(calculatedExpiryDate);
               console.log('✅ Calculated expiry date for custom package:', {
@@ -1397,7 +1447,7 @@ router.post('/webhook', async (req, res) => {
                 customPackageName: customPackage.name,
                 expiryTime: customPackage.expiryTime,
                 expiryTimeUnit: customPackage.expiryTimeUnit,
-                startDate: purchaseDate,
+                startDate: periodStartDate,
                 endDate: contractEndDate
               });
             } else {
@@ -1413,7 +1463,7 @@ router.post('/webhook', async (req, res) => {
           customPackage.status = 'active';
           customPackage.contract.status = 'active';
           // Update contract startDate to purchase date and endDate to calculated expiry
-          customPackage.contract.startDate = purchaseDate;
+          customPackage.contract.startDate = periodStartDate;
           if (contractEndDate) {
             customPackage.contract.endDate = contractEndDate;
           }
@@ -1493,7 +1543,7 @@ router.post('/webhook', async (req, res) => {
               productId,
               productIdType: typeof productId
             });
-            return res.json({ received: true, error: 'Error finding product', productId, errorMessage: err.message });
+            return { received: true, error: 'Error finding product', productId, errorMessage: err.message };
           }
           
           // Determine transaction type based on urlType, user's schoolId/organizationId, or user role
@@ -1594,7 +1644,7 @@ router.post('/webhook', async (req, res) => {
           
           if (!package) {
             console.error('Package not found for checkout session:', session.id);
-            return res.json({ received: true, error: 'Package not found' });
+            return { received: true, error: 'Package not found' };
           }
 
           // Fetch product if productId is provided
@@ -1788,7 +1838,14 @@ router.post('/webhook', async (req, res) => {
           
           // Calculate expiry date from package expiryTime and expiryTimeUnit
           // Start date is purchase date, end date is calculated from purchase date + expiry time
-          const calculatedExpiryDate = calculateExpiryDate(package, purchaseDate);
+          if (isRenewal) {
+            const currentMembership = user.memberships
+              .filter(m => m.packageId?.toString() === package._id.toString() && m.status === 'active' && m.endDate)
+              .sort((a, b) => b.endDate - a.endDate)[0];
+            periodStartDate = getRenewalStartDate(currentMembership?.endDate, purchaseDate);
+          }
+
+          const calculatedExpiryDate = calculateExpiryDate(package, periodStartDate);
           if (calculatedExpiryDate) {
             contractEndDate = setEndOfDay(calculatedExpiryDate);
             console.log('✅ Calculated expiry date for package:', {
@@ -1796,7 +1853,7 @@ router.post('/webhook', async (req, res) => {
               packageName: package.name,
               expiryTime: package.expiryTime,
               expiryTimeUnit: package.expiryTimeUnit,
-              startDate: purchaseDate,
+              startDate: periodStartDate,
               endDate: contractEndDate
             });
           } else {
@@ -1804,13 +1861,13 @@ router.post('/webhook', async (req, res) => {
           }
         } else {
           console.error('Neither packageId, customPackageId, nor directProductPurchase found in session metadata:', session.id);
-          return res.json({ received: true, error: 'Package ID, Custom Package ID, or direct product purchase required' });
+          return { received: true, error: 'Package ID, Custom Package ID, or direct product purchase required' };
         }
 
-        // Get payment amount from session
-        const amount = session.amount_total ? session.amount_total / 100 : session.amount_subtotal / 100;
-        // CRITICAL: Always use USD for transactions, not PKR or other currencies
-        const currency = 'USD';
+        // Get payment amount from session (amount_total is after any coupon discount and may be 0)
+        const amount = session.amount_total !== null && session.amount_total !== undefined ? session.amount_total / 100 : session.amount_subtotal / 100;
+        // Currency the checkout was priced in - session.currency can be the buyer's local presentment currency (e.g. PKR)
+        const currency = session.metadata?.currency || 'USD';
 
         // Fetch product if productId exists (for webhookData)
         let productForWebhook = null;
@@ -1858,6 +1915,11 @@ router.post('/webhook', async (req, res) => {
           if (schoolAsOwner) ownerSchoolId = schoolAsOwner._id;
         } catch (e) {}
 
+        // Subscriptions run until the end of the first billing period; invoice.paid extends it on renewal
+        if (session.subscription) {
+          contractEndDate = await getSubscriptionPeriodEnd(session.subscription) || contractEndDate;
+        }
+
         // FINAL DUPLICATE CHECK: Check one more time before creating to prevent race conditions
         const finalDuplicateCheck = await Transaction.findOne({
           $or: [
@@ -1872,12 +1934,16 @@ router.post('/webhook', async (req, res) => {
             existingTransactionId: finalDuplicateCheck._id,
             stripePaymentIntentId: session.payment_intent || session.id
           });
-          return res.json({ 
+          return { 
             received: true, 
             processed: true, 
             updated: true,
             transactionId: finalDuplicateCheck._id
-          });
+          };
+        }
+
+        if (isRenewal && transactionType === 'b2c_purchase') {
+          transactionType = 'b2c_renewal';
         }
 
         // Create transaction ONLY when payment succeeds
@@ -1898,6 +1964,11 @@ router.post('/webhook', async (req, res) => {
             status: 'paid',
             paymentProvider: 'stripe',
             stripePaymentIntentId: session.payment_intent || session.id,
+            stripeSubscriptionId: session.subscription || undefined,
+            stripeCustomerId: session.customer || undefined,
+            coupon: getCouponFromSession(session),
+            tax: getTaxFromSession(session),
+            ...(session.subscription && { subscription: { status: 'active', currentPeriodEnd: contractEndDate } }),
             // For physical products, don't save uniqueCode (no digital access code needed)
             // For digital/digital_physical products (shop page, Products page, or regular packages), save uniqueCode
           uniqueCode: (packageType === 'physical') ? undefined : (uniqueCode || undefined),
@@ -1907,7 +1978,7 @@ router.post('/webhook', async (req, res) => {
             gamePlays: [],
             referrals: [],
             contractPeriod: {
-              startDate: purchaseDate, // Start date is purchase date
+              startDate: periodStartDate, // Purchase date, or the day after the current period for renewals
               endDate: contractEndDate || (billingType === 'subscription'
                 ? new Date(purchaseDate.getTime() + 365 * 24 * 60 * 60 * 1000)
                 : null),
@@ -1941,12 +2012,12 @@ router.post('/webhook', async (req, res) => {
               });
               
               // Return success since transaction already exists
-              return res.json({ 
+              return { 
                 received: true, 
                 processed: true, 
                 duplicate: true,
                 transactionId: transaction._id 
-              });
+              };
             } else {
               // This shouldn't happen, but log it if it does
               console.error('❌ Duplicate key error but transaction not found:', createError);
@@ -2009,7 +2080,21 @@ router.post('/webhook', async (req, res) => {
             (m) => m.packageId.toString() === packageId && m.status === 'active'
           );
 
-          if (existingMembership) {
+          if (existingMembership && isRenewal) {
+            // Renewal bought before the membership ended: the paid period continues the current one
+            const renewedEndDate = calculateExpiryDate(package, transaction.contractPeriod.startDate) || transaction.contractPeriod.endDate;
+            if (renewedEndDate && (!existingMembership.endDate || renewedEndDate > existingMembership.endDate)) {
+              existingMembership.endDate = renewedEndDate;
+              await user.save();
+            }
+            console.log('✅ Membership renewed:', {
+              userId: userId,
+              packageId: packageId,
+              transactionId: transaction._id,
+              membershipId: existingMembership._id,
+              endDate: existingMembership.endDate
+            });
+          } else if (existingMembership) {
             console.warn('⚠️ User already has active membership for this package. Transaction created but membership not added:', {
               packageId: packageId,
               transactionId: transaction._id,
@@ -2317,24 +2402,13 @@ router.post('/webhook', async (req, res) => {
             const Product = require('../models/Product');
             productForEmail = await Product.findById(transaction.productId).select('title name description price');
           }
-          // Detect shop page or Products page purchase for email service
-          // Shop page: b2c_purchase with productId and no packageId
-          // Products page: directProductPurchase with productId, packageType digital/digital_physical, and no packageId
-          const isShopPagePurchaseForEmail = (transaction.type === 'b2c_purchase' || 
-                                             (directProductPurchase && transaction.packageType && 
-                                              (transaction.packageType === 'digital' || transaction.packageType === 'digital_physical'))) &&
-                                            !transaction.packageId && 
-                                            !transaction.customPackageId && 
-                                            transaction.productId;
-          
           console.log('📧 EMAIL DETAILS:', {
             hasOrganization: !!organization,
             packageForEmailType: customPackage ? 'customPackage' : (package ? 'package' : 'empty'),
-            hasProductForEmail: !!productForEmail,
-            isShopPagePurchase: isShopPagePurchaseForEmail
+            hasProductForEmail: !!productForEmail
           });
           
-          await sendTransactionSuccessEmail(transaction, user, packageForEmail, organization, productForEmail, isShopPagePurchaseForEmail);
+          await sendTransactionSuccessEmail(transaction, user, packageForEmail, organization, productForEmail);
           
           console.log('✅ EMAIL SENT SUCCESSFULLY (checkout.session.completed):', {
             transactionId: transaction._id,
@@ -2355,12 +2429,12 @@ router.post('/webhook', async (req, res) => {
         });
         
         // Return success response
-        return res.json({ 
+        return { 
           received: true, 
           processed: true,
           transactionId: transaction._id,
           sessionId: session.id
-        });
+        };
       } else {
         // Transaction already exists - update with webhook data if not already set
         if (transaction && (!transaction.webhookData || !transaction.webhookEventType)) {
@@ -2437,7 +2511,7 @@ router.post('/webhook', async (req, res) => {
         });
 
         // Return early since transaction already exists
-        return res.json({ received: true, processed: true, updated: true });
+        return { received: true, processed: true, updated: true };
       }
 
       // Try to get checkout session from payment intent metadata or retrieve it
@@ -2518,12 +2592,12 @@ router.post('/webhook', async (req, res) => {
           hasPaymentIntentMetadata: !!paymentIntent.metadata,
           paymentIntentMetadataKeys: paymentIntent.metadata ? Object.keys(paymentIntent.metadata) : []
         });
-        return res.status(200).json({ 
+        return { 
           received: true, 
           processed: false,
           message: 'Session not found - checkout.session.completed will handle transaction creation',
           paymentIntentId: paymentIntent.id
-        });
+        };
       }
 
       // If still no session metadata, use paymentIntent metadata as fallback
@@ -2624,12 +2698,12 @@ router.post('/webhook', async (req, res) => {
         reason: 'Preventing duplicate transactions - checkout.session.completed is the single source of truth'
       });
       
-      return res.status(200).json({ 
+      return { 
         received: true, 
         processed: false,
         message: 'Transaction creation skipped - checkout.session.completed will handle it',
         paymentIntentId: paymentIntent.id
-      });
+      };
       
       // COMMENTED OUT: Transaction creation from payment_intent.succeeded
       // This prevents duplicate transactions and email issues
@@ -2648,12 +2722,12 @@ router.post('/webhook', async (req, res) => {
           hasSession: !!session,
           hasSessionMetadata: !!sessionMetadata
         });
-        return res.status(200).json({ 
+        return { 
           received: true, 
           processed: false,
           message: 'User not found - checkout.session.completed will handle transaction creation',
           paymentIntentId: paymentIntent.id
-        });
+        };
       }
 
       if (!transaction && userId) {
@@ -2673,13 +2747,13 @@ router.post('/webhook', async (req, res) => {
               existingTransactionId: existingTransactionByCode._id,
               paymentIntentId: paymentIntent.id
             });
-            return res.status(200).json({ 
+            return { 
               received: true, 
               processed: false,
               message: 'Transaction with same uniqueCode already exists - checkout.session.completed already handled it',
               transactionId: existingTransactionByCode._id,
               paymentIntentId: paymentIntent.id
-            });
+            };
           }
         }
 
@@ -2728,7 +2802,7 @@ router.post('/webhook', async (req, res) => {
               productId,
               productIdType: typeof productId
             });
-            return res.status(200).json({ received: true, error: 'Error finding product', productId, errorMessage: err.message });
+            return { received: true, error: 'Error finding product', productId, errorMessage: err.message };
           }
           
           // Determine transaction type from urlType, user's schoolId/organizationId, or user role
@@ -2837,12 +2911,12 @@ router.post('/webhook', async (req, res) => {
               existingTransactionId: finalDuplicateCheck._id,
               paymentIntentId: paymentIntent.id
             });
-            return res.json({ 
+            return { 
               received: true, 
               processed: true, 
               updated: true,
               transactionId: finalDuplicateCheck._id
-            });
+            };
           }
 
           // Update webhookEventData with essential data only
@@ -2886,20 +2960,20 @@ router.post('/webhook', async (req, res) => {
             packageType: packageType
           });
           
-          return res.json({ received: true, processed: true });
+          return { received: true, processed: true };
         }
         
         // Handle regular package purchases
         if (!packageId) {
           console.error('Neither packageId nor directProductPurchase found in payment_intent metadata');
-          return res.status(200).json({ received: true, error: 'Package ID or direct product purchase required' });
+          return { received: true, error: 'Package ID or direct product purchase required' };
         }
         
         const package = await Package.findById(packageId);
         
         if (!package) {
           console.error('Package not found:', packageId);
-          return res.status(200).json({ received: true, error: 'Package not found' });
+          return { received: true, error: 'Package not found' };
         }
         
         // Fetch product if productId is provided
@@ -2963,12 +3037,12 @@ router.post('/webhook', async (req, res) => {
               existingTransactionId: finalDuplicateCheck._id,
               paymentIntentId: paymentIntent.id
             });
-            return res.json({ 
+            return { 
               received: true, 
               processed: true, 
               updated: true,
               transactionId: finalDuplicateCheck._id
-            });
+            };
           }
 
           const updatedWebhookData = extractEssentialWebhookData(event, session, user, productForWebhook);
@@ -3220,16 +3294,27 @@ router.post('/webhook', async (req, res) => {
       }
       */
       // END OF COMMENTED OUT SECTION - payment_intent.succeeded transaction creation
+    } else if (event.type === 'charge.refunded') {
+      return handleChargeRefunded(event.data.object);
+    } else if (event.type === 'charge.dispute.created') {
+      return handleDisputeCreated(event.data.object);
+    } else if (event.type === 'charge.dispute.closed') {
+      return handleDisputeClosed(event.data.object);
+    } else if (event.type === 'invoice.paid') {
+      return handleInvoicePaid(event.data.object);
+    } else if (event.type === 'invoice.payment_failed') {
+      return handleInvoicePaymentFailed(event.data.object);
+    } else if (event.type === 'customer.subscription.deleted') {
+      return handleSubscriptionDeleted(event.data.object);
     }
 
-    // Return success response to Stripe
-    res.json({ received: true, processed: true });
-    
     console.log('✅ Webhook processed successfully:', {
       eventType: event.type,
       eventId: event.id,
       processedAt: new Date()
     });
+
+    return { received: true, processed: true };
   } catch (error) {
     console.error('❌ Error processing webhook:', {
       error: error.message,
@@ -3237,10 +3322,380 @@ router.post('/webhook', async (req, res) => {
       eventType: event?.type,
       eventId: event?.id
     });
+    throw error;
+  }
+};
+
+// Find the Transaction a webhook event belongs to (when processing did not report one)
+const findTransactionForEvent = async (webhookEvent) => {
+  const paymentIds = [webhookEvent.paymentIntentId, webhookEvent.checkoutSessionId].filter(Boolean);
+  const conditions = [{ 'webhookData.webhookEventId': webhookEvent.stripeEventId }];
+  if (paymentIds.length > 0) {
+    conditions.push({ stripePaymentIntentId: { $in: paymentIds } });
+  }
+
+  const transaction = await Transaction.findOne({ $or: conditions }).select('_id');
+  return transaction ? transaction._id : null;
+};
+
+// Run one processing attempt for a logged webhook event and record its outcome.
+// Returns { claimed: false } when the event is already processed or being processed elsewhere.
+const runWebhookEvent = async (webhookEvent, { retriedBy = null } = {}) => {
+  const claimed = await WebhookEvent.claim(webhookEvent._id);
+  if (!claimed) {
+    return { claimed: false, webhookEvent };
+  }
+
+  if (retriedBy) {
+    claimed.lastRetriedBy = retriedBy;
+  }
+
+  try {
+    const result = await processStripeEvent(claimed.payload);
+
+    if (result.error) {
+      claimed.status = 'failed';
+      claimed.lastError = result.error;
+      claimed.failures.push({ attempt: claimed.attempts, message: result.error });
+    } else {
+      claimed.status = HANDLED_WEBHOOK_EVENTS.includes(claimed.type) && result.processed ? 'processed' : 'ignored';
+      claimed.lastError = null;
+      claimed.processedAt = new Date();
+    }
+
+    claimed.result = result;
+    claimed.transactionId = result.transactionId || await findTransactionForEvent(claimed);
+    await claimed.save();
+
+    return { claimed: true, result, webhookEvent: claimed };
+  } catch (error) {
+    claimed.status = 'failed';
+    claimed.lastError = error.message;
+    claimed.failures.push({ attempt: claimed.attempts, message: error.message });
+    claimed.transactionId = claimed.transactionId || await findTransactionForEvent(claimed).catch(() => null);
+    await claimed.save();
+
+    return { claimed: true, error, webhookEvent: claimed };
+  }
+};
+
+// Pay a custom package contract by bank transfer: creates a pending transaction and emails a payable invoice.
+// The contract is activated once finance marks the invoice as paid (POST /api/transactions/:id/mark-paid).
+router.post(
+  '/invoice-checkout',
+  authenticateToken,
+  checkPermission('transactions'),
+  [
+    body('customPackageId').isMongoId().withMessage('Valid custom package ID is required'),
+    body('paymentTerms').isIn(Object.keys(PAYMENT_TERMS)).withMessage(`Payment terms must be one of: ${Object.keys(PAYMENT_TERMS).join(', ')}`),
+    body('purchaseOrderNumber').optional({ checkFalsy: true }).isString().trim().isLength({ max: 100 }),
+    body('country').optional({ checkFalsy: true }).isString().trim().isLength({ min: 2, max: 2 }),
+    body('vatId').optional({ checkFalsy: true }).isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const CustomPackage = require('../models/CustomPackage');
+      const customPackage = await CustomPackage.findById(req.body.customPackageId);
+      if (!customPackage) {
+        return res.status(404).json({ error: 'Custom package not found' });
+      }
+
+      if (!ownsTenant(req, customPackage)) {
+        return res.status(403).json({ error: 'You do not have access to this custom package' });
+      }
+
+      const result = await createInvoiceOrder({
+        customPackage,
+        userId: req.userId,
+        paymentTerms: req.body.paymentTerms,
+        purchaseOrderNumber: req.body.purchaseOrderNumber,
+        country: req.body.country || getBuyerCountry(req),
+        vatId: req.body.vatId
+      });
+
+      if (result.error) {
+        return res.status(result.status || 400).json({ error: result.error, transactionId: result.transactionId });
+      }
+
+      res.status(201).json({
+        transactionId: result.transaction._id,
+        status: result.transaction.status,
+        amount: result.transaction.amount,
+        currency: result.transaction.currency,
+        tax: result.transaction.tax,
+        dueDate: result.transaction.invoicePayment.dueDate,
+        invoiceNumber: result.invoice.number,
+        paymentReference: result.invoice.paymentReference,
+        bankDetails: result.invoice.bankDetails
+      });
+    } catch (error) {
+      console.error('Error creating invoice checkout:', error);
+      res.status(500).json({ error: 'Server error', details: error.message });
+    }
+  }
+);
+
+// Stripe webhook handler (raw body is handled in server.js before json parser)
+router.post('/webhook', async (req, res) => {
+  console.log('🔔 WEBHOOK ENDPOINT CALLED:', {
+    timestamp: new Date().toISOString(),
+    method: req.method,
+    url: req.url,
+    hasBody: !!req.body,
+    bodyType: typeof req.body,
+    bodyLength: req.body ? (typeof req.body === 'string' ? req.body.length : JSON.stringify(req.body).length) : 0,
+    headers: {
+      'stripe-signature': req.headers['stripe-signature'] ? 'present' : 'missing',
+      'content-type': req.headers['content-type']
+    }
+  });
+
+  if (!isStripeConfigured()) {
+    console.warn('⚠️ Stripe is not configured. Webhook ignored.');
+    return res.status(200).json({ received: true, message: 'Stripe not configured' });
+  }
+
+  const sig = req.headers['stripe-signature'];
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  console.log('🔍 Webhook Configuration Check:', {
+    hasStripe: !!stripe,
+    hasWebhookSecret: !!webhookSecret,
+    hasSignature: !!sig,
+    webhookSecretLength: webhookSecret ? webhookSecret.length : 0
+  });
+
+  if (!webhookSecret) {
+    console.warn('⚠️ STRIPE_WEBHOOK_SECRET not configured. Webhook verification skipped.');
+    // In development, you might want to allow this
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(500).send('Webhook secret not configured');
+    }
+  }
+
+  let event;
+
+  try {
+    if (webhookSecret && stripe) {
+      // CRITICAL: req.body should be a Buffer from express.raw()
+      // Use req.rawBody if available (from verify callback), otherwise use req.body
+      let rawBody = req.rawBody || req.body;
+      
+      // If body is already parsed (object), we can't verify - this shouldn't happen
+      if (typeof rawBody === 'object' && !Buffer.isBuffer(rawBody)) {
+        console.error('❌ CRITICAL: Webhook body is already parsed! Raw body parser not working.');
+        console.error('Body type:', typeof rawBody, 'Is Buffer:', Buffer.isBuffer(rawBody));
+        console.error('Has rawBody:', !!req.rawBody, 'req.body type:', typeof req.body);
+        return res.status(400).send('Webhook Error: Body already parsed. Raw body required for signature verification.');
+      }
+      
+      // Convert Buffer to string if needed (Stripe expects string or Buffer)
+      if (Buffer.isBuffer(rawBody)) {
+        rawBody = rawBody.toString('utf8');
+      }
+      
+      event = stripe.webhooks.constructEvent(rawBody, sig, webhookSecret);
+    } else {
+      // In development, parse event without verification
+      let bodyToParse = req.body;
+      if (Buffer.isBuffer(bodyToParse)) {
+        bodyToParse = bodyToParse.toString('utf8');
+      }
+      event = typeof bodyToParse === 'string' ? JSON.parse(bodyToParse) : (bodyToParse.toString ? JSON.parse(bodyToParse.toString()) : bodyToParse);
+    }
+  } catch (err) {
+    console.error('❌ Webhook signature verification failed:', {
+      error: err.message,
+      stack: err.stack,
+      hasWebhookSecret: !!webhookSecret,
+      hasSignature: !!sig,
+      bodyType: typeof req.body,
+      isBuffer: Buffer.isBuffer(req.body),
+      bodyPreview: Buffer.isBuffer(req.body) 
+        ? req.body.toString('utf8').substring(0, 200) 
+        : (typeof req.body === 'string' ? req.body.substring(0, 200) : JSON.stringify(req.body).substring(0, 200))
+    });
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  if (!event || !event.id) {
+    return res.status(400).send('Webhook Error: Event id missing');
+  }
+
+  try {
+    // Log the event by its Stripe id first - redeliveries of a processed event are no-ops
+    const webhookEvent = await WebhookEvent.recordReceipt(event);
+    if (['processed', 'ignored'].includes(webhookEvent.status)) {
+      console.log('ℹ️ Duplicate webhook event ignored:', { eventId: event.id, status: webhookEvent.status });
+      return res.json({ received: true, duplicate: true });
+    }
+
+    const outcome = await runWebhookEvent(webhookEvent);
+    if (!outcome.claimed) {
+      console.log('ℹ️ Webhook event is already being processed:', { eventId: event.id });
+      return res.json({ received: true, inProgress: true });
+    }
+
+    if (outcome.error) {
+      return res.status(500).json({ error: 'Webhook processing failed', message: outcome.error.message });
+    }
+
+    res.json(outcome.result);
+  } catch (error) {
+    console.error('❌ Error logging webhook event:', {
+      error: error.message,
+      eventType: event?.type,
+      eventId: event?.id
+    });
     res.status(500).json({ error: 'Webhook processing failed', message: error.message });
   }
 });
 
+// List logged Stripe webhook events (finance/admin)
+router.get('/webhook-events', authenticateToken, checkPermission('transactions'), requireAdmin, async (req, res) => {
+  try {
+    const { status, type, transactionId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (transactionId) query.transactionId = transactionId;
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookEvent.countDocuments(query)
+    ]);
+
+    res.json({ events, total, page, limit });
+  } catch (error) {
+    console.error('Error fetching webhook events:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook events' });
+  }
+});
+
+// Get a single logged webhook event including its payload
+router.get('/webhook-events/:id', authenticateToken, checkPermission('transactions'), requireAdmin, async (req, res) => {
+  try {
+    const webhookEvent = await WebhookEvent.findById(req.params.id);
+    if (!webhookEvent) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+    res.json(webhookEvent);
+  } catch (error) {
+    console.error('Error fetching webhook event:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook event' });
+  }
+});
+
+// Retry a failed webhook event from its stored payload
+router.post('/webhook-events/:id/retry', authenticateToken, checkPermission('transactions'), requireAdmin, async (req, res) => {
+  try {
+    const webhookEvent = await WebhookEvent.findById(req.params.id);
+    if (!webhookEvent) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+
+    if (webhookEvent.status !== 'failed' && webhookEvent.status !== 'received') {
+      return res.status(400).json({ error: `Only failed events can be retried (current status: ${webhookEvent.status})` });
+    }
+
+    const outcome = await runWebhookEvent(webhookEvent, { retriedBy: req.admin._id });
+    if (!outcome.claimed) {
+      return res.status(409).json({ error: 'Webhook event is already being processed' });
+    }
+
+    const updated = outcome.webhookEvent.toObject();
+    delete updated.payload;
+
+    res.json({
+      message: updated.status === 'failed' ? 'Retry failed' : 'Webhook event reprocessed',
+      webhookEvent: updated
+    });
+  } catch (error) {
+    console.error('Error retrying webhook event:', error);
+    res.status(500).json({ error: 'Failed to retry webhook event' });
+  }
+});
+
+// Cancel a subscription at the end of the current billing period (purchaser only)
+router.post('/subscriptions/:transactionId/cancel', authenticateToken, async (req, res) => {
+  try {
+    if (!isStripeConfigured()) {
+      return res.status(500).json({ error: 'Stripe is not configured' });
+    }
+
+    const transaction = await Transaction.findOne({ _id: req.params.transactionId, userId: req.userId });
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (!await resolveSubscriptionId(transaction)) {
+      return res.status(400).json({ error: 'This purchase is not a subscription' });
+    }
+
+    if (transaction.subscription?.status === 'canceled') {
+      return res.status(400).json({ error: 'This subscription has already ended' });
+    }
+
+    const subscription = await setCancelAtPeriodEnd(transaction, true);
+
+    res.json({
+      message: 'Subscription will be cancelled at the end of the current billing period',
+      subscriptionStatus: subscription.status,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      accessUntil: transaction.contractPeriod?.endDate || null
+    });
+  } catch (error) {
+    console.error('Error cancelling subscription:', error);
+    res.status(error.type === 'StripeInvalidRequestError' ? 400 : 500).json({ error: error.message || 'Failed to cancel subscription' });
+  }
+});
+
+// Resume a subscription that was set to cancel at period end (purchaser only)
+router.post('/subscriptions/:transactionId/resume', authenticateToken, async (req, res) => {
+  try {
+    if (!isStripeConfigured()) {
+      return res.status(500).json({ error: 'Stripe is not configured' });
+    }
+
+    const transaction = await Transaction.findOne({ _id: req.params.transactionId, userId: req.userId });
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (!await resolveSubscriptionId(transaction)) {
+      return res.status(400).json({ error: 'This purchase is not a subscription' });
+    }
+
+    if (transaction.subscription?.status === 'canceled') {
+      return res.status(400).json({ error: 'This subscription has already ended. Please purchase the package again.' });
+    }
+
+    const subscription = await setCancelAtPeriodEnd(transaction, false);
+
+    res.json({
+      message: 'Subscription resumed',
+      subscriptionStatus: subscription.status,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      accessUntil: transaction.contractPeriod?.endDate || null
+    });
+  } catch (error) {
+    console.error('Error resuming subscription:', error);
+    res.status(error.type === 'StripeInvalidRequestError' ? 400 : 500).json({ error: error.message || 'Failed to resume subscription' });
+  }
+});
+
 // Get transaction by unique code
 router.get('/transaction/:code', authenticateToken, async (req, res) => {
   try {
@@ -3663,7 +4118,7 @@ router.get('/transaction-by-session/:sessionId', authenticateToken, async (req,
                 if (metadataUniqueCode && metadataUniqueCode !== '' && metadataUniqueCode !== 'null') {
                   uniqueCode = metadataUniqueCode;
                 } else {
-                  // Generate new unique code (generateUniqueCode function is defined at top of file)
+                  // Generate new unique code
                   uniqueCode = generateUniqueCode();
                   let codeExists = await Transaction.findOne({ uniqueCode });
                   while (codeExists) {
@@ -4860,7 +5315,7 @@ router.get('/referrer-code', authenticateToken, async (req, res) => {
 });
 
 // Admin endpoint to fix existing transactions - add them to school/organization transactionIds
-router.post('/fix-transactions', authenticateToken, async (req, res) => {
+router.post('/fix-transactions', authenticateToken, checkPermission('transactions'), requireAdmin, async (req, res) => {
   try {
     const User = require('../models/User');
     const Organization = require('../models/Organization');
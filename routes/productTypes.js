@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
 const ProductType = require('../models/ProductType');
 
 const router = express.Router();
@@ -29,6 +30,7 @@ router.get('/', async (req, res) => {
 router.post(
   '/',
   authenticateToken,
+  checkPermission('products'),
   [
     body('name').notEmpty().withMessage('Name is required'),
   ],
@@ -65,7 +67,7 @@ router.post(
   }
 );
 
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, checkPermission('products'), async (req, res) => {
   try {
     const productType = await ProductType.findByIdAndUpdate(
       req.params.id,
@@ -81,7 +83,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, checkPermission('products'), async (req, res) => {
   try {
     const productType = await ProductType.findByIdAndDelete(req.params.id);
     if (!productType) {
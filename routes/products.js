@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
 const Product = require('../models/Product');
+const { normalizePriceList } = require('../utils/pricing');
 
 
 const router = express.Router();
@@ -187,6 +189,7 @@ function generateSlug(name) {
 router.post(
   '/',
   authenticateToken,
+  checkPermission('products'),
   [
     body('imageUrl').notEmpty().withMessage('Product image is required'),
     body('title').notEmpty().withMessage('Product title is required'),
@@ -208,6 +211,7 @@ router.post(
         imageUrl: req.body.imageUrl,
         title: req.body.title,
         price: parseFloat(req.body.price),
+        prices: normalizePriceList(req.body.prices),
         targetAudience: Array.isArray(req.body.targetAudience) ? req.body.targetAudience : [req.body.targetAudience].filter(Boolean),
         visibility: req.body.visibility || 'public',
         // Set defaults for backward compatibility
@@ -282,6 +286,7 @@ router.post(
 router.put(
   '/:id',
   authenticateToken,
+  checkPermission('products'),
   [
     body('imageUrl').optional().notEmpty().withMessage('Product image URL cannot be empty'),
     body('title').optional().notEmpty().withMessage('Product title cannot be empty'),
@@ -311,6 +316,7 @@ router.put(
       if (req.body.imageUrl !== undefined) updateData.imageUrl = req.body.imageUrl;
       if (req.body.title !== undefined) updateData.title = req.body.title;
       if (req.body.price !== undefined) updateData.price = parseFloat(req.body.price);
+      if (req.body.prices !== undefined) updateData.prices = normalizePriceList(req.body.prices);
       if (req.body.targetAudience !== undefined) {
         updateData.targetAudience = Array.isArray(req.body.targetAudience) ? req.body.targetAudience : [req.body.targetAudience].filter(Boolean);
       }
@@ -413,7 +419,7 @@ router.put(
   }
 );
 
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, checkPermission('products'), async (req, res) => {
   try {
     const product = await Product.findByIdAndDelete(req.params.id);
     if (!product) {
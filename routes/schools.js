@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { checkPermission } = require('../middleware/rbac');
+const { applyTenantScope, requireTenantAccess, resolveTenant } = require('../middleware/tenant');
+const { purchaseSeats } = require('../utils/seatPurchases');
 const School = require('../models/School');
 
 const router = express.Router();
@@ -61,6 +63,9 @@ router.get('/admin', authenticateToken, checkPermission('organizations'), async
       ];
     }
 
+    // Owners only see their own schools
+    applyTenantScope(query, req, { organizationField: null, schoolField: '_id' });
+
     const schools = await School.find(query)
       .populate('customPackages')
       .sort({ createdAt: -1 });
@@ -170,8 +175,18 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    const isOwner = currentUser && school.ownerId && school.ownerId.toString() === currentUser._id.toString();
-    const isMember = currentUser && currentUser.schoolId && currentUser.schoolId.toString() === school._id.toString();
+    let isOwner = false;
+    let isMember = false;
+    if (currentUser) {
+      const tenant = await resolveTenant(currentUser._id);
+      isOwner = tenant.schoolIds.includes(school._id.toString());
+      isMember = tenant.memberSchoolId === school._id.toString();
+    }
+
+    // Users outside this school get nothing
+    if (!isAdmin && !isOwner && !isMember) {
+      return res.status(403).json({ error: 'You do not have access to this institute' });
+    }
 
     // If member (not owner), only return name and code
     if (isMember && !isOwner && !isAdmin) {
@@ -232,12 +247,25 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Fields an owner may change on their own school; billing, seats, status and students stay admin-managed
+const OWNER_EDITABLE_FIELDS = ['name', 'type', 'customType', 'primaryContact', 'additionalContacts'];
+
 router.put(
   '/:id',
   authenticateToken,
   checkPermission('organizations'),
+  requireTenantAccess('school'),
   async (req, res) => {
     try {
+      const updateData = {};
+      if (req.admin) {
+        Object.assign(updateData, req.body);
+      } else {
+        OWNER_EDITABLE_FIELDS.forEach(field => {
+          if (req.body[field] !== undefined) updateData[field] = req.body[field];
+        });
+      }
+
       // Check if name is being changed and if duplicate exists
       if (req.body.name) {
         // Escape special regex characters in the name
@@ -255,7 +283,7 @@ router.put(
 
       const school = await School.findByIdAndUpdate(
         req.params.id,
-        req.body,
+        updateData,
         { new: true, runValidators: true }
       );
 
@@ -286,10 +314,25 @@ router.put(
   }
 );
 
+// Owner buys N extra seats for the institute's per-seat package (Stripe Checkout, prorated to the contract end date).
+// Seat limits are raised by the webhook once payment is confirmed.
+router.post(
+  '/:id/seats/purchase',
+  authenticateToken,
+  checkPermission('organizations'),
+  requireTenantAccess('school'),
+  [
+    body('seats').isInt({ min: 1, max: 10000 }).withMessage('Seats must be a whole number between 1 and 10000'),
+    body('customPackageId').optional().isMongoId()
+  ],
+  purchaseSeats('school')
+);
+
 router.delete(
   '/:id',
   authenticateToken,
   checkPermission('organizations'),
+  requireTenantAccess('school'),
   async (req, res) => {
     try {
       const school = await School.findByIdAndDelete(req.params.id);
@@ -1,6 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/rbac');
 const Subscriber = require('../models/Subscriber');
+const { buildConsentRecord, requestSubscription } = require('../utils/consent');
 const { sendTeaserPdfLinkEmail } = require('../utils/emailService');
 
 const router = express.Router();
@@ -22,6 +25,11 @@ router.post(
       .optional()
       .isIn(['latest-news', 'weekly-insights', 'general', 'waitlist'])
       .withMessage('Invalid subscription type'),
+    body('source')
+      .optional()
+      .isIn(['newsletter-form', 'insights-form', 'waitlist-form', 'early-access-form', 'contact-form', 'other'])
+      .withMessage('Invalid source'),
+    body('consentVersion').optional().isString(),
   ],
   async (req, res) => {
     try {
@@ -37,13 +45,13 @@ router.post(
       const { email, subscriptionType = 'general', source = 'other' } = req.body;
       const normalizedEmail = email.toLowerCase().trim();
 
-      // Check if email already exists for this subscription type
-      const existingSubscriber = await Subscriber.findOne({ 
-        email: normalizedEmail,
-        subscriptionType 
+      // Double opt-in: the subscription stays pending until the link in the confirmation email is confirmed
+      const result = await requestSubscription(normalizedEmail, subscriptionType, {
+        source,
+        consent: buildConsentRecord(req, source)
       });
-      
-      if (existingSubscriber) {
+
+      if (result.alreadySubscribed) {
         const messages = {
           'latest-news': 'You have already subscribed to latest news.',
           'weekly-insights': 'You have already subscribed to weekly insights.',
@@ -57,28 +65,29 @@ router.post(
           success: false,
           message: messages[subscriptionType] || 'This email has already been registered.',
           duplicate: true,
-          data: existingSubscriber,
+          data: result.subscriber,
         });
       }
 
-      // Create new subscriber subscription
-      const subscriber = await Subscriber.create({
-        email: normalizedEmail,
-        subscriptionType,
-        source: source,
-      });
+      if (!result.confirmationSent) {
+        return res.status(500).json({
+          success: false,
+          message: 'We could not send the confirmation email. Please try again later.',
+        });
+      }
 
       const successMessages = {
-        'latest-news': 'Successfully subscribed to latest news!',
-        'weekly-insights': 'Successfully subscribed to weekly insights!',
-        'general': 'Successfully subscribed to newsletter!',
-        'waitlist': 'Thank you! You\'re on the waitlist. We\'ll notify you when we launch on Kickstarter.',
+        'latest-news': 'Almost done! Please confirm your subscription to latest news with the link we just emailed you.',
+        'weekly-insights': 'Almost done! Please confirm your subscription to weekly insights with the link we just emailed you.',
+        'general': 'Almost done! Please confirm your newsletter subscription with the link we just emailed you.',
+        'waitlist': 'Almost done! Please confirm your place on the waitlist with the link we just emailed you.',
       };
 
       return res.status(201).json({
         success: true,
-        message: successMessages[subscriptionType] || 'Successfully subscribed!',
-        data: subscriber,
+        message: successMessages[subscriptionType] || 'Please confirm your subscription with the link we just emailed you.',
+        confirmationRequired: true,
+        data: result.subscriber,
       });
     } catch (error) {
       console.error('Subscriber subscription error:', error);
@@ -173,9 +182,11 @@ router.post(
 
 router.get(
   '/list',
+  authenticateToken,
+  checkPermission('newsletters'),
   async (req, res) => {
     try {
-      const { page = 1, limit = 50, subscriptionType } = req.query;
+      const { page = 1, limit = 50, subscriptionType, status } = req.query;
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
       // Build query based on subscriptionType filter
@@ -183,6 +194,10 @@ router.get(
       if (subscriptionType && subscriptionType !== 'all') {
         query.subscriptionType = subscriptionType;
       }
+      // pending = double opt-in not confirmed yet
+      if (status && status !== 'all') {
+        query.status = status;
+      }
 
       const [subscribers, total] = await Promise.all([
         Subscriber.find(query)
@@ -214,6 +229,8 @@ router.get(
 
 router.delete(
   '/:id',
+  authenticateToken,
+  checkPermission('newsletters'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1,10 +1,13 @@
 const express = require('express');
-const { createTransporter } = require('../utils/emailService');
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware/rbac');
+const { createEmailLayout } = require('../utils/emailService');
+const { queueEmail } = require('../utils/emailOutbox');
 
 const router = express.Router();
 
 // Test email endpoint (for debugging)
-router.post('/test-email', async (req, res) => {
+router.post('/test-email', authenticateToken, requireRole('super_admin'), async (req, res) => {
   try {
     const { to } = req.body;
     
@@ -25,62 +28,45 @@ router.post('/test-email', async (req, res) => {
       });
     }
 
-    const transporter = createTransporter();
-    
-    // Test email
-    const testEmailHtml = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <title>Test Email</title>
-</head>
-<body style="font-family: Arial, sans-serif; background-color: #F5F8FB; padding: 20px;">
-  <div style="max-width: 600px; margin: 0 auto; background-color: #FFFFFF; border-radius: 8px; padding: 30px;">
-    <h2 style="color: #063C5E;">Test Email from Konfydence</h2>
+    const testEmailHtml = createEmailLayout(`
+    <h2 style="margin: 0 0 20px 0; color: #063C5E;">Test Email from Konfydence</h2>
     <p>This is a test email to verify that email service is working correctly.</p>
     <p style="color: #666666; font-size: 14px;">If you received this email, your email service is configured properly!</p>
     <p style="color: #666666; font-size: 14px;">Time sent: ${new Date().toLocaleString()}</p>
-  </div>
-</body>
-</html>
-    `;
+    `, { title: 'Test Email' });
 
-    const info = await transporter.sendMail({
+    // Goes through the outbox like every other email, so the test also covers queueing and delivery
+    const info = await queueEmail({
       from: `"Konfydence" <${process.env.MAIL_FROM}>`,
       to: to,
       subject: 'Test Email - Konfydence Email Service',
       html: testEmailHtml,
       text: 'This is a test email to verify that email service is working correctly.'
-    });
+    }, { category: 'test_email', createdBy: req.admin._id });
 
     res.json({
       success: true,
-      message: 'Test email sent successfully',
+      message: info.suppressed ? 'Test email not sent - the address is on the suppression list' : 'Test email queued',
       details: {
         messageId: info.messageId,
-        accepted: info.accepted,
-        rejected: info.rejected,
+        queued: info.queued,
+        suppressed: info.suppressed,
         response: info.response
       }
     });
   } catch (error) {
     console.error('Error sending test email:', error);
     res.status(500).json({
-      error: 'Failed to send test email',
+      error: 'Failed to queue test email',
       details: {
-        message: error.message,
-        code: error.code,
-        command: error.command,
-        response: error.response,
-        responseCode: error.responseCode
+        message: error.message
       }
     });
   }
 });
 
 // Check email configuration
-router.get('/email-config', async (req, res) => {
+router.get('/email-config', authenticateToken, requireRole('super_admin'), async (req, res) => {
   res.json({
     configured: !!(process.env.SMTP_USER && process.env.SMTP_PASS),
     details: {
@@ -1,18 +1,53 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { checkPermission } = require('../middleware/rbac');
+const { applyTenantScope, ownsTenant, requireAdmin, resolveTenant } = require('../middleware/tenant');
+const Admin = require('../models/Admin');
 const Transaction = require('../models/Transaction');
+const WebhookEvent = require('../models/WebhookEvent');
 const User = require('../models/User');
 const Organization = require('../models/Organization');
 const School = require('../models/School');
 const Package = require('../models/Package');
 const CustomPackage = require('../models/CustomPackage');
 const Product = require('../models/Product');
+const Invoice = require('../models/Invoice');
+const { issueRefund } = require('../utils/transactionRefunds');
+const { ensureInvoiceForTransaction, renderInvoicePdf } = require('../utils/invoices');
+const { getDaysOverdue, markInvoiceOrderPaid, sendOverdueInvoiceReminders } = require('../utils/invoicePayments');
 
 const router = express.Router();
 
-router.get('/b2c', authenticateToken, checkPermission('transactions'), async (req, res) => {
+// Access to a single transaction: the purchasing user, an admin with the transactions permission,
+// or the owner of the transaction's organization/school
+const canAccessTransaction = async (req, transaction) => {
+  const purchaserId = transaction.userId?._id || transaction.userId;
+  if (purchaserId && purchaserId.toString() === req.userId) {
+    return true;
+  }
+
+  const admin = await Admin.findById(req.userId);
+  if (admin && admin.isActive && admin.hasPermission('transactions')) {
+    req.admin = admin;
+  } else {
+    req.tenant = await resolveTenant(req.userId);
+  }
+
+  return ownsTenant(req, { organizationId: transaction.organizationId, schoolId: transaction.schoolId });
+};
+
+const sendPdf = (res, filename, buffer) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+};
+
+router.get('/b2c', authenticateToken, checkPermission('transactions'), requireAdmin, async (req, res) => {
   try {
     const { status, dateFrom, dateTo, packageId } = req.query;
     const query = {
@@ -247,9 +282,10 @@ router.get('/b2b-b2e', authenticateToken, checkPermission('transactions'), async
       type: { $in: ['b2b_contract', 'b2e_contract'] }
     };
 
-    // Note: checkPermission('transactions') middleware ensures only admin can access
     // Admin should see ALL B2B/B2E contracts, not just their own
     // So we DON'T filter by userId for admin
+    // Organization/school owners only see contracts of their own tenant
+    applyTenantScope(query, req);
     
     // Filter by organizationId if provided
     if (organizationId) {
@@ -357,6 +393,9 @@ router.get('/all', authenticateToken, checkPermission('transactions'), async (re
       query.status = status;
     }
 
+    // Organization/school owners only see transactions of their own tenant
+    applyTenantScope(query, req);
+
     const transactions = await Transaction.find(query)
       .populate('userId') // Populate ALL fields from User
       .populate('packageId') // Populate ALL fields from Package table
@@ -373,10 +412,60 @@ router.get('/all', authenticateToken, checkPermission('transactions'), async (re
   }
 });
 
+// Bank transfer (invoice) orders for finance - ?status=pending|paid, ?overdue=true for unpaid ones past their due date
+router.get('/bank-transfers', authenticateToken, checkPermission('transactions'), requireAdmin, async (req, res) => {
+  try {
+    const { status, overdue } = req.query;
+    const query = { paymentMethod: 'bank_transfer' };
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+    if (overdue === 'true') {
+      query.status = 'pending';
+      query['invoicePayment.dueDate'] = { $lt: new Date() };
+    }
+
+    const transactions = await Transaction.find(query)
+      .populate('userId', 'name email')
+      .populate('customPackageId', 'name seatLimit')
+      .populate('organizationId', 'name')
+      .populate('schoolId', 'name')
+      .populate('invoicePayment.markedPaidBy', 'name email')
+      .sort({ 'invoicePayment.dueDate': 1 });
+
+    const now = new Date();
+    res.json(transactions.map(transaction => {
+      const dueDate = transaction.invoicePayment?.dueDate;
+      const isOverdue = transaction.status === 'pending' && dueDate && dueDate < now;
+      return {
+        ...transaction.toObject(),
+        overdue: Boolean(isOverdue),
+        daysOverdue: isOverdue ? getDaysOverdue(dueDate, now) : 0
+      };
+    }));
+  } catch (error) {
+    console.error('Error fetching bank transfer transactions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send reminders for overdue bank transfer invoices now (they also go out daily on their own)
+router.post('/bank-transfers/send-reminders', authenticateToken, checkPermission('transactions'), requireAdmin, async (req, res) => {
+  try {
+    const result = await sendOverdueInvoiceReminders();
+    res.json({ message: `Sent ${result.sent} of ${result.overdue} reminder(s)`, ...result });
+  } catch (error) {
+    console.error('Error sending invoice reminders:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 router.post(
   '/',
   authenticateToken,
   checkPermission('transactions'),
+  requireAdmin,
   [
     body('type').isIn(['b2c_purchase', 'b2c_renewal', 'b2b_contract', 'b2e_contract']),
     body('amount').isNumeric()
@@ -562,8 +651,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
       __v: txObj.__v
     };
 
-    // Check if user owns this transaction
-    if (completeTransaction.userId && completeTransaction.userId._id && completeTransaction.userId._id.toString() !== req.userId) {
+    if (!(await canAccessTransaction(req, transaction))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -575,7 +663,218 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-router.put('/:id', authenticateToken, checkPermission('transactions'), async (req, res) => {
+// PDF invoice for a paid transaction (issued on first download if the success email did not issue it)
+router.get('/:id/invoice.pdf', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const transaction = await Transaction.findById(req.params.id).select('userId organizationId schoolId status');
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (!(await canAccessTransaction(req, transaction))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const invoice = await ensureInvoiceForTransaction(transaction);
+    if (!invoice) {
+      return res.status(400).json({ error: 'Invoices are only available for paid transactions' });
+    }
+
+    sendPdf(res, `${invoice.number}.pdf`, await renderInvoicePdf(invoice));
+  } catch (error) {
+    console.error('Error generating invoice PDF:', error);
+    res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+});
+
+// Invoice and credit notes issued for a transaction
+router.get('/:id/invoices', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    const transaction = await Transaction.findById(req.params.id).select('userId organizationId schoolId');
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (!(await canAccessTransaction(req, transaction))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const invoices = await Invoice.find({ transactionId: transaction._id })
+      .select('number type issuedAt currency subtotal taxAmount total stripeRefundId originalInvoiceId')
+      .sort({ issuedAt: 1 });
+
+    res.json(invoices);
+  } catch (error) {
+    console.error('Error fetching transaction invoices:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PDF of a specific invoice or credit note of the transaction
+router.get('/:id/invoices/:invoiceId.pdf', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.invoiceId)) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    const transaction = await Transaction.findById(req.params.id).select('userId organizationId schoolId');
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (!(await canAccessTransaction(req, transaction))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const invoice = await Invoice.findOne({ _id: req.params.invoiceId, transactionId: transaction._id });
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    sendPdf(res, `${invoice.number}.pdf`, await renderInvoicePdf(invoice));
+  } catch (error) {
+    console.error('Error generating invoice PDF:', error);
+    res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+});
+
+// Stripe webhook event history for a transaction (finance/admin)
+router.get('/:id/webhook-events', authenticateToken, checkPermission('transactions'), requireAdmin, async (req, res) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id).select('stripePaymentIntentId');
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    // Include events that were never linked (e.g. failed before the transaction existed)
+    const conditions = [{ transactionId: transaction._id }];
+    if (transaction.stripePaymentIntentId) {
+      conditions.push({ paymentIntentId: transaction.stripePaymentIntentId });
+      conditions.push({ checkoutSessionId: transaction.stripePaymentIntentId });
+    }
+
+    const events = await WebhookEvent.find({ $or: conditions })
+      .select('-payload')
+      .sort({ receivedAt: 1 });
+
+    res.json(events);
+  } catch (error) {
+    console.error('Error fetching transaction webhook events:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Issue a full or partial Stripe refund (amount defaults to the remaining refundable balance).
+// A full refund marks the transaction refunded and revokes memberships, seats and code access.
+router.post(
+  '/:id/refund',
+  authenticateToken,
+  checkPermission('transactions'),
+  requireAdmin,
+  [
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('reason').optional().isString().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const transaction = await Transaction.findById(req.params.id);
+      if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+
+      if (transaction.status !== 'paid') {
+        return res.status(400).json({ error: `Only paid transactions can be refunded (current status: ${transaction.status})` });
+      }
+
+      if (transaction.paymentMethod === 'bank_transfer') {
+        return res.status(400).json({ error: 'Bank transfer payments cannot be refunded through Stripe' });
+      }
+
+      const remaining = Math.round((transaction.amount - (transaction.amountRefunded || 0)) * 100) / 100;
+      const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : remaining;
+      if (amount > remaining) {
+        return res.status(400).json({ error: `Refund amount exceeds the refundable balance of ${remaining} ${transaction.currency}` });
+      }
+
+      const refund = await issueRefund(transaction, {
+        amount,
+        reason: req.body.reason,
+        refundedBy: req.admin._id
+      });
+
+      res.json({
+        message: refund.status === 'succeeded' ? 'Refund issued successfully' : `Refund created with status ${refund.status}`,
+        refundId: refund.id,
+        refundStatus: refund.status,
+        transaction
+      });
+    } catch (error) {
+      console.error('Error issuing refund:', error);
+      if (error.type && error.type.startsWith('Stripe')) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: error.message || 'Failed to issue refund' });
+    }
+  }
+);
+
+// Record the bank transfer for a pending invoice order - activates the custom package contract and seats
+router.post(
+  '/:id/mark-paid',
+  authenticateToken,
+  checkPermission('transactions'),
+  requireAdmin,
+  [
+    body('remittanceNote').optional().isString().trim().isLength({ max: 1000 }),
+    body('paidAt').optional().isISO8601().withMessage('paidAt must be a valid date'),
+    body('receivedAmount').optional().isFloat({ gt: 0 }).withMessage('Received amount must be greater than 0')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const transaction = await Transaction.findById(req.params.id);
+      if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+
+      const result = await markInvoiceOrderPaid(transaction, {
+        adminId: req.admin._id,
+        remittanceNote: req.body.remittanceNote,
+        paidAt: req.body.paidAt,
+        receivedAmount: req.body.receivedAmount !== undefined ? parseFloat(req.body.receivedAmount) : undefined
+      });
+
+      if (result.error) {
+        return res.status(result.status || 400).json({ error: result.error });
+      }
+
+      res.json({
+        message: 'Payment recorded and contract activated',
+        transaction: result.transaction
+      });
+    } catch (error) {
+      console.error('Error marking transaction as paid:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+router.put('/:id', authenticateToken, checkPermission('transactions'), requireAdmin, async (req, res) => {
   try {
     const transaction = await Transaction.findByIdAndUpdate(
       req.params.id,
@@ -594,7 +893,7 @@ router.put('/:id', authenticateToken, checkPermission('transactions'), async (re
   }
 });
 
-router.delete('/:id', authenticateToken, checkPermission('transactions'), async (req, res) => {
+router.delete('/:id', authenticateToken, checkPermission('transactions'), requireAdmin, async (req, res) => {
   try {
     const transaction = await Transaction.findById(req.params.id);
 
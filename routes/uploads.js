@@ -2,6 +2,9 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware/rbac');
+const Admin = require('../models/Admin');
 
 const uploadsDir = path.join(process.cwd(), 'uploads');
 if (!fs.existsSync(uploadsDir)) {
@@ -47,7 +50,8 @@ const upload = multer({
 
 const router = express.Router();
 
-router.post('/', upload.single('file'), (req, res) => {
+// Media for cards, blog posts and products - any active admin
+router.post('/', authenticateToken, requireRole(...Admin.ROLES), upload.single('file'), (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
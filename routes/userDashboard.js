@@ -1,4 +1,6 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
 const { authenticateToken } = require('../middleware/auth');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
@@ -8,6 +10,9 @@ const Card = require('../models/Card');
 // OrgUser model removed - using User table only for static data
 const CustomPackage = require('../models/CustomPackage');
 const GameProgress = require('../models/GameProgress');
+const DataRequest = require('../models/DataRequest');
+const { SUPPORTED_LOCALES } = require('../utils/emailTemplates');
+const { collectUserData, buildExportZip } = require('../utils/gdpr');
 
 const router = express.Router();
 
@@ -603,10 +608,16 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
 // Update user profile
 router.put('/profile', authenticateToken, async (req, res) => {
   try {
-    const { name, email } = req.body;
+    const { name, email, language } = req.body;
     const updateData = {};
     
     if (name !== undefined) updateData.name = name;
+    if (language !== undefined) {
+      if (!SUPPORTED_LOCALES.includes(language)) {
+        return res.status(400).json({ error: `Language must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+      }
+      updateData.language = language;
+    }
     
     // Email update requires special handling
     if (email !== undefined) {
@@ -904,5 +915,114 @@ router.get('/organizations/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// GDPR: download everything stored about the account (?format=zip for one file per area, default JSON)
+router.get('/data-export', authenticateToken, async (req, res) => {
+  try {
+    const data = await collectUserData(req.userId);
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const format = req.query.format === 'zip' ? 'zip' : 'json';
+    const counts = Object.fromEntries(Object.entries(data)
+      .filter(([, value]) => Array.isArray(value))
+      .map(([key, value]) => [key, value.length]));
+    await DataRequest.create({
+      type: 'export',
+      userId: req.userId,
+      email: data.user.email,
+      status: 'completed',
+      processedAt: data.exportedAt,
+      result: { format, counts },
+      history: [
+        { action: 'requested', actor: 'user' },
+        { action: 'exported', actor: 'system', note: format }
+      ]
+    });
+
+    const filename = `konfydence-data-${data.exportedAt.toISOString().slice(0, 10)}`;
+    if (format === 'zip') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.zip"`);
+      return res.type('application/zip').send(buildExportZip(data));
+    }
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json(data);
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+// GDPR: ask for the account's personal data to be erased (confirmed with the password, processed by an admin)
+router.post('/data-erasure', authenticateToken, async (req, res) => {
+  try {
+    const { password, reason } = req.body;
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!password || !(await bcrypt.compare(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Please confirm with your current password' });
+    }
+
+    const existing = await DataRequest.findOne({ userId: user._id, type: 'erasure', status: 'pending' });
+    if (existing) {
+      return res.status(409).json({ error: 'An erasure request is already being processed', request: existing });
+    }
+
+    const request = await DataRequest.create({
+      type: 'erasure',
+      userId: user._id,
+      email: user.email,
+      reason: typeof reason === 'string' ? reason.trim() : undefined,
+      history: [{ action: 'requested', actor: 'user', note: typeof reason === 'string' ? reason.trim() : undefined }]
+    });
+
+    console.log('🗑️ Erasure requested:', { id: request._id, userId: user._id });
+    res.status(201).json({ message: 'Your erasure request has been received. We will process it within 30 days.', request });
+  } catch (error) {
+    console.error('Error requesting data erasure:', error);
+    res.status(500).json({ error: 'Failed to request erasure' });
+  }
+});
+
+// The account's export and erasure requests
+router.get('/data-requests', authenticateToken, async (req, res) => {
+  try {
+    const requests = await DataRequest.find({ userId: req.userId })
+      .select('type status reason rejectionReason processedAt createdAt')
+      .sort({ createdAt: -1 });
+    res.json(requests);
+  } catch (error) {
+    console.error('Error fetching data requests:', error);
+    res.status(500).json({ error: 'Failed to fetch data requests' });
+  }
+});
+
+// Withdraw a pending erasure request
+router.post('/data-requests/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    const request = await DataRequest.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId, status: 'pending' },
+      {
+        $set: { status: 'cancelled', processedAt: new Date() },
+        $push: { history: { action: 'cancelled', actor: 'user', at: new Date() } }
+      },
+      { new: true }
+    ).select('type status reason processedAt createdAt');
+    if (!request) {
+      return res.status(400).json({ error: 'Only pending requests can be cancelled' });
+    }
+    res.json(request);
+  } catch (error) {
+    console.error('Error cancelling data request:', error);
+    res.status(500).json({ error: 'Failed to cancel request' });
+  }
+});
+
 module.exports = router;
 
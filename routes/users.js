@@ -2,11 +2,13 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { checkPermission } = require('../middleware/rbac');
+const { applyTenantScope, ownsTenant, requireAdmin } = require('../middleware/tenant');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const OrgUser = require('../models/OrgUser');
 const Organization = require('../models/Organization');
 const School = require('../models/School');
+const { SUPPORTED_LOCALES } = require('../utils/emailTemplates');
 
 const router = express.Router();
 
@@ -63,8 +65,8 @@ router.get('/memberships', authenticateToken, checkPermission('users'), async (r
   try {
     const { status, membershipType, search } = req.query;
     
-    // Get all users with memberships
-    const users = await User.find({})
+    // Get all users with memberships (owners: only users of their organization/school)
+    const users = await User.find(applyTenantScope({}, req))
       .populate('memberships.packageId', 'name description')
       .select('name email role memberships')
       .sort({ createdAt: -1 });
@@ -153,7 +155,7 @@ router.get('/', authenticateToken, checkPermission('users'), async (req, res) =>
         ];
       }
 
-      const users = await User.find(query)
+      const users = await User.find(applyTenantScope(query, req))
         .populate('memberships.packageId', 'name')
         .populate('organizationId', 'name')
         .populate('schoolId', 'name')
@@ -176,7 +178,7 @@ router.get('/', authenticateToken, checkPermission('users'), async (req, res) =>
       }
 
       // Get users with role (OrgUser model removed, using User table only)
-      const usersWithRole = await User.find(userQuery)
+      const usersWithRole = await User.find(applyTenantScope(userQuery, req))
         .populate('memberships.packageId', 'name')
         .populate('organizationId', 'name')
         .populate('schoolId', 'name')
@@ -197,7 +199,7 @@ router.get('/', authenticateToken, checkPermission('users'), async (req, res) =>
         ];
       }
 
-      const users = await User.find(query)
+      const users = await User.find(applyTenantScope(query, req))
         .populate('memberships.packageId', 'name')
         .populate('organizationId', 'name')
         .populate('schoolId', 'name')
@@ -212,11 +214,6 @@ router.get('/', authenticateToken, checkPermission('users'), async (req, res) =>
 
 router.get('/:id', authenticateToken, checkPermission('users'), async (req, res) => {
   try {
-    const currentUser = await User.findById(req.userId);
-    if (!currentUser) {
-      return res.status(401).json({ error: 'User not authenticated' });
-    }
-
     // Ensure id is a string, not an object
     const userId = extractId(req.params.id);
     if (!userId) {
@@ -234,18 +231,9 @@ router.get('/:id', authenticateToken, checkPermission('users'), async (req, res)
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const isAdmin = currentUser.role === 'admin';
-    const isOwnerRole = currentUser.role === 'b2b_user' || currentUser.role === 'b2e_user';
-
-    const ownsOrg = user.organizationId && user.organizationId.ownerId && user.organizationId.ownerId.toString() === currentUser._id.toString();
-    const ownsSchool = user.schoolId && user.schoolId.ownerId && user.schoolId.ownerId.toString() === currentUser._id.toString();
-
-    const sameOrg = user.organizationId && currentUser.organizationId && user.organizationId._id.toString() === currentUser.organizationId.toString();
-    const sameSchool = user.schoolId && currentUser.schoolId && user.schoolId._id.toString() === currentUser.schoolId.toString();
-
-    const isOwner = isOwnerRole && (ownsOrg || ownsSchool || sameOrg || sameSchool);
-
-    if (!isAdmin && !isOwner && currentUser._id.toString() !== user._id.toString()) {
+    // Admins see everyone; owners only users of their own organization/school (or themselves)
+    const isSelf = user._id.toString() === req.userId.toString();
+    if (!isSelf && !ownsTenant(req, { organizationId: user.organizationId, schoolId: user.schoolId })) {
       return res.status(403).json({ error: 'You do not have permission to view this user' });
     }
 
@@ -267,10 +255,16 @@ router.get('/:id', authenticateToken, checkPermission('users'), async (req, res)
 
 router.put('/:id', authenticateToken, checkPermission('users'), async (req, res) => {
   try {
-    const { name, isActive } = req.body;
+    const { name, isActive, language } = req.body;
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (language !== undefined) {
+      if (!SUPPORTED_LOCALES.includes(language)) {
+        return res.status(400).json({ error: `Language must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+      }
+      updateData.language = language;
+    }
 
     // Ensure id is a string, not an object
     let userId = extractId(req.params.id);
@@ -284,6 +278,14 @@ router.put('/:id', authenticateToken, checkPermission('users'), async (req, res)
       return res.status(400).json({ error: 'Invalid user ID format' });
     }
     userId = userId.toString().trim();
+
+    const existingUser = await User.findById(userId).select('organizationId schoolId');
+    if (!existingUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!ownsTenant(req, { organizationId: existingUser.organizationId, schoolId: existingUser.schoolId })) {
+      return res.status(403).json({ error: 'You do not have permission to update this user' });
+    }
     
     const user = await User.findByIdAndUpdate(
       userId,
@@ -303,13 +305,8 @@ router.put('/:id', authenticateToken, checkPermission('users'), async (req, res)
 });
 
 // Terminate member membership (remove from organization/school)
-router.delete('/:id/membership', authenticateToken, async (req, res) => {
+router.delete('/:id/membership', authenticateToken, checkPermission('users'), async (req, res) => {
   try {
-    const currentUser = await User.findById(req.userId);
-    if (!currentUser) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
     // Ensure id is a string, not an object
     const memberId = extractId(req.params.id);
     if (!memberId) {
@@ -321,19 +318,8 @@ router.delete('/:id/membership', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Member not found' });
     }
 
-    // Check if current user owns the organization/school
-    let isOwner = false;
-    if (currentUser.organizationId && member.organizationId) {
-      const organization = await Organization.findOne({ _id: currentUser.organizationId, ownerId: currentUser._id });
-      isOwner = !!organization && organization._id.toString() === member.organizationId.toString();
-    }
-    
-    if (!isOwner && currentUser.schoolId && member.schoolId) {
-      const school = await School.findOne({ _id: currentUser.schoolId, ownerId: currentUser._id });
-      isOwner = !!school && school._id.toString() === member.schoolId.toString();
-    }
-
-    if (!isOwner && currentUser.role !== 'admin') {
+    // Only admins or the owner of the member's organization/school can remove them
+    if (!ownsTenant(req, { organizationId: member.organizationId, schoolId: member.schoolId })) {
       return res.status(403).json({ error: 'You are not authorized to remove this member' });
     }
 
@@ -415,7 +401,7 @@ router.delete('/:id/membership', authenticateToken, async (req, res) => {
   }
 });
 
-router.delete('/:id', authenticateToken, checkPermission('users'), async (req, res) => {
+router.delete('/:id', authenticateToken, checkPermission('users'), requireAdmin, async (req, res) => {
   try {
     // Ensure id is a string, not an object
     const userId = extractId(req.params.id);
@@ -3,6 +3,11 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const mongoose = require('mongoose');
 const path = require('path');
+const { auditPlugin, auditContext } = require('./utils/auditLog');
+
+// Audit trail for every model - must be registered before the routes below load (and compile) the models
+mongoose.plugin(auditPlugin);
+
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
 const blogRoutes = require('./routes/blog');
@@ -82,6 +87,7 @@ app.use('/api/payments/webhook', express.raw({
 // JSON parser - applied to all other routes (EXCEPT webhook which uses raw body above)
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(auditContext);
 app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
 app.use('/public', express.static(path.join(process.cwd(), 'public')));
 
@@ -132,14 +138,55 @@ app.use('/api/admin-management', require('./routes/adminManagement'));
 app.use('/api/test', require('./routes/testEmail'));
 app.use('/api/profile', require('./routes/profileUpload'));
 app.use('/api/payments', require('./routes/payments'));
+app.use('/api/coupons', require('./routes/coupons'));
 app.use('/api/free-trial', require('./routes/freeTrial'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/api/email-outbox', require('./routes/emailOutbox'));
+app.use('/api/email-templates', require('./routes/emailTemplates'));
+app.use('/api/email-suppressions', require('./routes/emailSuppressions'));
+app.use('/api/newsletter-campaigns', require('./routes/newsletterCampaigns'));
+app.use('/api/data-requests', require('./routes/dataRequests'));
+app.use('/api/audit-log', require('./routes/auditLog'));
+// Open pixel, tracked links and unsubscribe (public, signed links)
+app.use('/api/email', require('./routes/emailTracking'));
 // Email resources route
 app.use('/api', require('./routes/emailResources'));
 // PDF index route
 app.use('/api', require('./routes/pdfIndex'));
 
+// Background jobs (history and manual runs under /api/jobs)
+const scheduler = require('./utils/scheduler');
+scheduler.registerJob('lifecycle-sweep', {
+  description: 'Expire lapsed free trials, memberships and contracts and update organization/institute status',
+  dailyAt: '00:30',
+  handler: require('./utils/lifecycleJobs').runLifecycleSweep
+});
+scheduler.registerJob('renewal-reminders', {
+  description: 'Renewal reminders before memberships, contracts and free trials end (RENEWAL_REMINDER_DAYS) and expiry notices',
+  dailyAt: '09:00',
+  handler: () => require('./utils/renewals').sendRenewalReminders()
+});
+scheduler.registerJob('invoice-reminders', {
+  description: 'Email reminders for overdue bank transfer invoices',
+  dailyAt: '08:00',
+  handler: () => require('./utils/invoicePayments').sendOverdueInvoiceReminders()
+});
+scheduler.registerJob('email-body-retention', {
+  description: 'Remove stored content of delivered credential emails and of messages older than EMAIL_BODY_RETENTION_DAYS',
+  dailyAt: '02:00',
+  handler: () => require('./utils/emailOutbox').purgeMessageBodies()
+});
+scheduler.registerJob('newsletter-campaigns', {
+  description: 'Start scheduled newsletter campaigns and queue the next batch of recipients of each sending campaign',
+  intervalMs: 60 * 1000,
+  lockMs: 10 * 60 * 1000,
+  handler: () => require('./utils/newsletterCampaigns').processCampaigns()
+});
+
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
+  scheduler.startScheduler().catch(err => console.error('❌ Failed to start job scheduler:', err));
+  require('./utils/emailOutbox').startOutboxWorker();
 });
 
 
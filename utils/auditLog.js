@@ -0,0 +1,272 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const AuditLog = require('../models/AuditLog');
+
+// Audit trail for changes made through the API. auditContext (server.js) keeps the request at hand while it is
+// handled, and auditPlugin - registered for all models before the routes load them - writes an AuditLog entry with
+// the changed fields for every create/update/delete during a POST/PUT/PATCH/DELETE request. Scheduled jobs and
+// scripts run outside a request and are not logged; neither are bulkWrite() calls.
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Written by the system on almost every request: outgoing mail, job bookkeeping, counters, game state per answer;
+// card revisions repeat the card change that is already logged
+const EXCLUDED_MODELS = ['AuditLog', 'EmailOutbox', 'Job', 'JobRun', 'Counter', 'WebhookEvent', 'GameProgress', 'CardRevision'];
+
+// Not worth an entry of their own
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'lastLogin'];
+
+// Never copied into the log
+const SECRET_FIELD = /password|token|secret/i;
+
+// Bulk updates/deletes log this many documents one by one, the rest as unloggedCount
+const BULK_LIMIT = 200;
+
+// Longer values (HTML bodies, big arrays) are cut
+const MAX_VALUE_LENGTH = 2000;
+
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_QUERIES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+const storage = new AsyncLocalStorage();
+
+// Queries between their pre and post hook
+const pendingQueries = new WeakMap();
+
+// First X-Forwarded-For hop when behind the proxy, else the socket address
+const getClientIp = (req) => (req.get('x-forwarded-for') || '').split(',')[0].trim() || req.ip;
+
+const auditContext = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+  storage.run({ req }, () => {
+    // multer reads multipart bodies in socket events, which would otherwise run outside the context
+    req.emit = AsyncResource.bind(req.emit.bind(req));
+    next();
+  });
+};
+
+// GDPR erasure: the entries written by fn list the changed fields without their values
+const withRedactedAudit = (fn) => {
+  const context = storage.getStore();
+  return context ? storage.run({ ...context, redact: true }, fn) : fn();
+};
+
+// Admin models are looked up here, not at the top: they must be compiled after the plugin is registered
+const resolveActor = async (req) => {
+  if (req.admin) {
+    return { kind: 'Admin', id: req.admin._id, email: req.admin.email, role: req.admin.role };
+  }
+  const userId = req.userId || req.user?.userId;
+  if (!userId) {
+    return {};
+  }
+
+  const Admin = require('../models/Admin');
+  const User = require('../models/User');
+  const admin = await Admin.findById(userId).select('email role').lean();
+  if (admin) {
+    return { kind: 'Admin', id: admin._id, email: admin.email, role: admin.role };
+  }
+  const user = await User.findById(userId).select('email role').lean();
+  return user ? { kind: 'User', id: user._id, email: user.email, role: user.role } : {};
+};
+
+// JSON form (ids and dates as strings) so values compare and store the same way
+const toPlain = (doc) => JSON.parse(JSON.stringify((doc && doc.toObject ? doc.toObject({ depopulate: true }) : doc) || {}));
+
+// { a: { b: 1 }, c: [1] } -> { 'a.b': 1, c: [1] }; arrays are compared as a whole
+const flatten = (value, prefix = '', fields = {}) => {
+  Object.entries(value).forEach(([key, child]) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === 'object' && !Array.isArray(child) && Object.keys(child).length > 0) {
+      flatten(child, path, fields);
+    } else {
+      fields[path] = child;
+    }
+  });
+  return fields;
+};
+
+const formatValue = (path, value) => {
+  if (SECRET_FIELD.test(path)) return '[hidden]';
+  const json = JSON.stringify(value);
+  return json && json.length > MAX_VALUE_LENGTH ? `${json.slice(0, MAX_VALUE_LENGTH)}... (${json.length} characters)` : value;
+};
+
+// [{ path, from, to }] for every field that differs between the two plain objects
+const diffValues = (before, after, redact) => {
+  const from = flatten(before);
+  const to = flatten(after);
+  const changes = [];
+
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(path => {
+    if (JSON.stringify(from[path]) === JSON.stringify(to[path])) return;
+    const change = { path };
+    if (!redact && from[path] !== undefined && from[path] !== null) change.from = formatValue(path, from[path]);
+    if (!redact && to[path] !== undefined && to[path] !== null) change.to = formatValue(path, to[path]);
+    changes.push(change);
+  });
+  return changes;
+};
+
+const isAudited = (modelName) => Boolean(modelName) && !EXCLUDED_MODELS.includes(modelName);
+
+// A failing audit write is logged but does not fail the request that made the change
+const writeEntries = async (context, entityType, entries) => {
+  try {
+    if (entries.length === 0) return;
+    const { req } = context;
+    context.actor = context.actor || resolveActor(req);
+    const actor = await context.actor;
+    const request = {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      ip: getClientIp(req),
+      userAgent: req.get('user-agent')
+    };
+
+    await AuditLog.insertMany(entries.map(entry => ({
+      ...entry,
+      actor,
+      entityType,
+      request,
+      redactedAt: context.redact ? new Date() : undefined
+    })));
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+};
+
+const auditPlugin = (schema) => {
+  // Loaded documents remember their state so save() can be diffed
+  schema.post('init', function () {
+    if (this.$isSubdocument || !isAudited(this.constructor.modelName) || !storage.getStore()) return;
+    this.$locals.auditBefore = toPlain(this);
+  });
+
+  schema.pre('save', function () {
+    const context = storage.getStore();
+    if (this.$isSubdocument || !isAudited(this.constructor.modelName) || !context) return;
+    this.$locals.audit = { context, isNew: this.isNew };
+  });
+
+  schema.post('save', async function () {
+    const audit = this.$locals.audit;
+    if (!audit) return;
+    delete this.$locals.audit;
+
+    const after = toPlain(this);
+    const changes = diffValues(audit.isNew ? {} : this.$locals.auditBefore || {}, after, audit.context.redact);
+    this.$locals.auditBefore = after;
+    if (changes.length === 0) return;
+
+    await writeEntries(audit.context, this.constructor.modelName, [{
+      action: audit.isNew ? 'create' : 'update',
+      entityId: this._id,
+      changes
+    }]);
+  });
+
+  schema.post('insertMany', async function (docs) {
+    const context = storage.getStore();
+    if (!isAudited(this.modelName) || !context) return;
+    await writeEntries(context, this.modelName, docs.map(doc => ({
+      action: 'create',
+      entityId: doc._id,
+      changes: diffValues({}, toPlain(doc), context.redact)
+    })));
+  });
+
+  // Update and delete queries: load the matching documents first
+  schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], { document: false, query: true }, async function () {
+    const context = storage.getStore();
+    if (!isAudited(this.model.modelName) || !context) return;
+
+    try {
+      const filter = this.getFilter();
+      const single = !this.op.endsWith('Many');
+      const before = await this.model.find(filter).sort(this.getOptions().sort || {}).limit(single ? 1 : BULK_LIMIT).lean();
+      const unloggedCount = before.length === BULK_LIMIT ? await this.model.countDocuments(filter) - BULK_LIMIT : 0;
+      pendingQueries.set(this, { context, before, unloggedCount });
+    } catch (error) {
+      console.error('Error reading documents for audit log:', error);
+    }
+  });
+
+  schema.post(UPDATE_QUERIES, { document: false, query: true }, async function (result) {
+    const audit = pendingQueries.get(this);
+    if (!audit) return;
+    pendingQueries.delete(this);
+
+    try {
+      const { context, before, unloggedCount } = audit;
+      const entries = [];
+
+      if (before.length === 0) {
+        // Nothing matched: an upsert created the document
+        const created = this.getOptions().upsert
+          ? await this.model.findOne(result?.upsertedId ? { _id: result.upsertedId } : this.getFilter()).lean()
+          : null;
+        if (created) {
+          entries.push({ action: 'create', entityId: created._id, changes: diffValues({}, toPlain(created), context.redact) });
+        }
+      } else {
+        const after = await this.model.find({ _id: { $in: before.map(doc => doc._id) } }).lean();
+        const afterById = new Map(after.map(doc => [doc._id.toString(), doc]));
+        before.forEach(doc => {
+          const updated = afterById.get(doc._id.toString());
+          if (!updated) return;
+          const changes = diffValues(toPlain(doc), toPlain(updated), context.redact);
+          if (changes.length > 0) entries.push({ action: 'update', entityId: doc._id, changes });
+        });
+      }
+
+      if (unloggedCount > 0) {
+        entries.push({ action: 'update', unloggedCount });
+      }
+      await writeEntries(context, this.model.modelName, entries);
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+    }
+  });
+
+  schema.post(DELETE_QUERIES, { document: false, query: true }, async function () {
+    const audit = pendingQueries.get(this);
+    if (!audit) return;
+    pendingQueries.delete(this);
+
+    const { context, before, unloggedCount } = audit;
+    const entries = before.map(doc => ({ action: 'delete', entityId: doc._id, changes: diffValues(toPlain(doc), {}, context.redact) }));
+    if (unloggedCount > 0) {
+      entries.push({ action: 'delete', unloggedCount });
+    }
+    await writeEntries(context, this.model.modelName, entries);
+  });
+};
+
+// GDPR erasure: drop the values (keeping the fields) from the history of the given documents - { User: [id], Lead: [ids] }
+// - and the email/IP of the user's own actions
+const redactAuditHistory = async (entities, userId) => {
+  const dropValues = [{
+    $set: {
+      changes: { $map: { input: { $ifNull: ['$changes', []] }, as: 'change', in: { path: '$$change.path' } } },
+      redactedAt: '$$NOW'
+    }
+  }];
+
+  await Promise.all(Object.entries(entities)
+    .filter(([, ids]) => ids.length > 0)
+    .map(([entityType, ids]) => AuditLog.updateMany({ entityType, entityId: { $in: ids }, redactedAt: { $exists: false } }, dropValues)));
+  await AuditLog.updateMany({ 'actor.id': userId }, { $unset: { 'actor.email': 1, 'request.ip': 1, 'request.userAgent': 1 } });
+};
+
+module.exports = {
+  getClientIp,
+  diffValues,
+  auditContext,
+  auditPlugin,
+  withRedactedAudit,
+  redactAuditHistory
+};
@@ -0,0 +1,139 @@
+const Card = require('../models/Card');
+const CardRevision = require('../models/CardRevision');
+const { diffValues } = require('./auditLog');
+const { reopenReview } = require('./editorialWorkflow');
+
+// Card versioning: every change to the content below is kept as an immutable CardRevision, so answers stored
+// in GameProgress can be read against the question and scoring they were given for.
+
+// Versioned content - everything a player sees or is scored against. Answers keep their _id.
+const snapshotCard = (card) => {
+  const plain = JSON.parse(JSON.stringify(card.toObject ? card.toObject() : card));
+  return {
+    title: plain.title,
+    referenceCode: plain.referenceCode || null,
+    category: plain.category || '',
+    visibility: plain.visibility,
+    targetAudiences: plain.targetAudiences || [],
+    tags: plain.tags || [],
+    locale: plain.locale || null,
+    question: plain.question || null,
+    translations: (plain.translations || []).map(({ locale, key, text, source }) => ({ locale, key, text, source }))
+  };
+};
+
+// [{ path, from, to }] between two revisions (older first)
+const compareRevisions = (from, to) => diffValues(from.snapshot, to.snapshot);
+
+// Store the card's current content as the next version. Returns the latest revision - no new one is written
+// when nothing changed since it. A new version of a card in review or published needs a new review.
+const recordRevision = async (card, { action, admin, restoredFrom } = {}) => {
+  const snapshot = snapshotCard(card);
+
+  for (let attempt = 1; ; attempt++) {
+    const last = await CardRevision.findOne({ cardId: card._id }).sort({ version: -1 });
+    const changes = diffValues(last ? last.snapshot : {}, snapshot);
+    if (last && changes.length === 0) {
+      return last;
+    }
+
+    try {
+      const revision = await CardRevision.create({
+        cardId: card._id,
+        version: (last?.version || 0) + 1,
+        action,
+        snapshot,
+        changes,
+        restoredFrom,
+        author: admin?._id,
+        authorEmail: admin?.email
+      });
+      if (action === 'baseline') {
+        await Card.updateOne({ _id: card._id, revision: { $not: { $gte: revision.version } } }, { $set: { revision: revision.version } });
+        card.revision = revision.version;
+      } else {
+        card.revision = revision.version;
+        reopenReview(card, admin);
+        await card.save();
+      }
+      return revision;
+    } catch (error) {
+      // Two edits at the same moment took the same version number - read the latest one again
+      if (error.code !== 11000 || attempt >= 3) throw error;
+    }
+  }
+};
+
+// Put an older version's content back on the card; recorded as a new version
+const restoreRevision = async (card, revision, admin) => {
+  const { snapshot } = revision;
+  card.set({
+    title: snapshot.title,
+    referenceCode: snapshot.referenceCode || undefined,
+    category: snapshot.category,
+    visibility: snapshot.visibility,
+    targetAudiences: snapshot.targetAudiences,
+    tags: snapshot.tags,
+    question: snapshot.question,
+    // Versions from before translations keep the current ones
+    ...(snapshot.locale ? { locale: snapshot.locale } : {}),
+    ...(snapshot.translations ? { translations: snapshot.translations } : {})
+  });
+  await card.save();
+  return recordRevision(card, { action: 'restored', admin, restoredFrom: revision.version });
+};
+
+// Cards from before versioning get their current content as version 1, and cards from before the editorial
+// review stay live as published (runs once at startup)
+const createBaselineRevisions = async () => {
+  const cards = await Card.find({ $or: [{ revision: { $exists: false } }, { revision: 0 }] });
+  for (const card of cards) {
+    await recordRevision(card, { action: 'baseline' });
+  }
+  if (cards.length > 0) {
+    console.log(`📚 Recorded baseline revisions for ${cards.length} cards`);
+  }
+
+  const published = await Card.updateMany(
+    { review: { $exists: false }, revision: { $gt: 0 } },
+    [{ $set: { review: { status: 'published', publishedRevision: '$revision', publishedAt: '$$NOW', comments: [] } } }]
+  );
+  if (published.modifiedCount > 0) {
+    console.log(`📚 Marked ${published.modifiedCount} existing cards as published`);
+  }
+};
+
+// What players get: the published version of each card, in the given order. While an edit waits for review
+// that is an older revision than the card; cards that were never published are left out.
+// -> [{ _id, title, question, locale, translations, revision }] (see localizeCard for one language)
+const getPublishedCards = async (cards) => {
+  const live = cards.filter(card => card.review?.publishedRevision > 0);
+  const older = live.filter(card => card.review.publishedRevision !== card.revision);
+  const revisions = older.length > 0
+    ? await CardRevision.find({ $or: older.map(card => ({ cardId: card._id, version: card.review.publishedRevision })) })
+    : [];
+  const revisionsByCard = new Map(revisions.map(revision => [revision.cardId.toString(), revision]));
+
+  return live.map(card => {
+    if (card.review.publishedRevision === card.revision) {
+      const { title, question, locale, translations } = card.toObject ? card.toObject() : card;
+      return { _id: card._id, title, question, locale, translations: translations || [], revision: card.revision };
+    }
+    const revision = revisionsByCard.get(card._id.toString());
+    if (!revision) {
+      console.warn(`⚠️ Published revision ${card.review.publishedRevision} of card ${card._id} not found`);
+      return null;
+    }
+    const { title, question, locale, translations } = revision.snapshot;
+    return { _id: card._id, title, question, locale: locale || card.locale, translations: translations || [], revision: revision.version };
+  }).filter(Boolean);
+};
+
+module.exports = {
+  snapshotCard,
+  compareRevisions,
+  recordRevision,
+  restoreRevision,
+  createBaselineRevisions,
+  getPublishedCards
+};
@@ -0,0 +1,346 @@
+const Card = require('../models/Card');
+const { recordRevision } = require('./cardRevisions');
+const { DEFAULT_QUESTION_TYPE, getQuestionType, validateQuestionType } = require('./questionTypes');
+
+// Card library import/export (CSV and JSON). Both formats carry the same fields, so an export can be imported
+// into another environment; cards are matched by referenceCode. Attachments and hotspot regions only travel in
+// JSON - a CSV import leaves the attachments of existing cards alone, and CSV holds up to 4 answers.
+
+const CSV_COLUMNS = [
+  'referenceCode', 'title', 'category', 'visibility', 'targetAudiences', 'tags', 'questionType', 'question',
+  'answer1', 'score1', 'answer2', 'score2', 'answer3', 'score3', 'answer4', 'score4', 'feedback'
+];
+
+// Separator for targetAudiences and tags inside one CSV cell
+const LIST_SEPARATOR = ';';
+
+const ANSWER_COUNT = 4;
+
+const VISIBILITIES = Card.schema.path('visibility').enumValues;
+const TARGET_AUDIENCES = Card.schema.path('targetAudiences').caster.enumValues;
+const ATTACHMENT_TYPES = Card.schema.path('question.attachments').schema.path('type').enumValues;
+
+// RFC 4180 with either ',' or ';' as delimiter (Excel uses ';' in German locales) -> array of rows
+const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(values => values.some(value => value.trim() !== ''));
+};
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRegion = (region) => {
+  const { x, y, width, height } = region || {};
+  return { x, y, width, height };
+};
+
+// Card document -> import/export record
+const toCardRecord = (card) => ({
+  referenceCode: card.referenceCode || '',
+  title: card.title,
+  category: card.category || '',
+  visibility: card.visibility || 'public',
+  targetAudiences: [...(card.targetAudiences || [])],
+  tags: [...(card.tags || [])],
+  question: {
+    type: getQuestionType(card.question),
+    description: card.question?.description || '',
+    answers: (card.question?.answers || []).map(answer => ({
+      text: answer.text,
+      scoring: answer.scoring,
+      ...(getQuestionType(card.question) === 'hotspot' ? { region: toRegion(answer.region) } : {})
+    })),
+    feedback: card.question?.feedback || '',
+    attachments: (card.question?.attachments || []).map(attachment => ({ type: attachment.type, url: attachment.url, title: attachment.title }))
+  }
+});
+
+const toCsv = (cards) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  cards.map(toCardRecord).forEach(record => {
+    const answers = Array.from({ length: ANSWER_COUNT }, (_, index) => record.question.answers[index] || { text: '', scoring: '' });
+    lines.push([
+      record.referenceCode,
+      record.title,
+      record.category,
+      record.visibility,
+      record.targetAudiences.join(`${LIST_SEPARATOR} `),
+      record.tags.join(`${LIST_SEPARATOR} `),
+      record.question.type,
+      record.question.description,
+      ...answers.flatMap(answer => [answer.text, answer.scoring]),
+      record.question.feedback
+    ].map(escapeCsv).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const toJson = (cards) => ({
+  format: 'konfydence-cards',
+  version: 1,
+  exportedAt: new Date(),
+  cards: cards.map(toCardRecord)
+});
+
+// CSV rows (header first) -> card inputs in the JSON shape
+const csvRowsToInputs = (rows) => {
+  const [header = [], ...data] = rows;
+  const columns = header.map(name => name.trim());
+  const missing = ['title', 'question'].filter(name => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`CSV header is missing the column(s): ${missing.join(', ')}`);
+  }
+
+  return data.map(values => {
+    const row = {};
+    columns.forEach((name, index) => { row[name] = (values[index] || '').trim(); });
+    const splitList = (value) => (value ? value.split(LIST_SEPARATOR) : []);
+    const answers = [];
+    for (let index = 1; index <= ANSWER_COUNT; index++) {
+      if (row[`answer${index}`] || row[`score${index}`]) {
+        answers.push({ text: row[`answer${index}`], scoring: row[`score${index}`] === '' ? 0 : row[`score${index}`] });
+      }
+    }
+
+    return {
+      referenceCode: row.referenceCode,
+      title: row.title,
+      category: row.category,
+      visibility: row.visibility,
+      targetAudiences: splitList(row.targetAudiences),
+      tags: splitList(row.tags),
+      question: { type: row.questionType, description: row.question, answers, feedback: row.feedback }
+    };
+  });
+};
+
+// Uploaded file/body -> card inputs. format: 'csv' | 'json'
+const parseCardFile = (content, format) => {
+  if (format === 'csv') {
+    return csvRowsToInputs(parseCsv(content));
+  }
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  const cards = Array.isArray(data) ? data : data?.cards;
+  if (!Array.isArray(cards)) {
+    throw new Error('JSON must be an array of cards or an object with a cards array');
+  }
+  return cards;
+};
+
+const asString = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// Validates one input the way POST /api/cards does -> { record, errors, warnings }
+const normalizeCardInput = (input) => {
+  const errors = [];
+  const warnings = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { record: null, errors: ['Not a card object'], warnings };
+  }
+
+  const toList = (value) => (Array.isArray(value) ? value : asString(value).split(LIST_SEPARATOR)).map(asString).filter(Boolean);
+  const question = input.question && typeof input.question === 'object' ? input.question : {};
+  const type = asString(question.type) || DEFAULT_QUESTION_TYPE;
+  const record = {
+    referenceCode: asString(input.referenceCode).toUpperCase(),
+    title: asString(input.title),
+    category: asString(input.category),
+    visibility: asString(input.visibility) || 'public',
+    targetAudiences: toList(input.targetAudiences).map(audience => audience.toUpperCase()),
+    tags: toList(input.tags),
+    question: {
+      type,
+      description: asString(question.description),
+      answers: Array.isArray(question.answers) ? question.answers.map(answer => ({
+        text: asString(answer?.text),
+        scoring: answer?.scoring === undefined || answer?.scoring === '' ? 0 : Number(answer.scoring),
+        ...(type === 'hotspot' ? { region: toRegion(answer?.region) } : {})
+      })) : [],
+      feedback: asString(question.feedback)
+    }
+  };
+
+  if (!record.title) errors.push('Title is required');
+  if (!record.question.description) errors.push('Question: Missing required fields: description');
+  if (!record.referenceCode) warnings.push('No referenceCode - a new card is created on every import');
+  if (!VISIBILITIES.includes(record.visibility)) errors.push(`Invalid visibility "${record.visibility}" (${VISIBILITIES.join(', ')})`);
+  record.targetAudiences
+    .filter(audience => !TARGET_AUDIENCES.includes(audience))
+    .forEach(audience => errors.push(`Invalid target audience "${audience}" (${TARGET_AUDIENCES.join(', ')})`));
+
+  const { answers } = record.question;
+  if (type === DEFAULT_QUESTION_TYPE && answers.length > 0) {
+    if (answers.length !== ANSWER_COUNT) {
+      errors.push(`Question: Question must have exactly ${ANSWER_COUNT} answers`);
+    } else if (answers.some(answer => !answer.text)) {
+      errors.push(`Question: All ${ANSWER_COUNT} answers must have text`);
+    }
+  }
+  if (answers.some(answer => !Number.isFinite(answer.scoring) || answer.scoring < 0)) {
+    errors.push('Question: Answer scoring must be a number of 0 or more');
+  }
+
+  // Only JSON carries attachments; without the key the card keeps its current ones
+  if (question.attachments !== undefined) {
+    if (!Array.isArray(question.attachments)) {
+      errors.push('Question: attachments must be an array');
+    } else {
+      record.question.attachments = question.attachments.map(attachment => ({
+        type: asString(attachment?.type),
+        url: asString(attachment?.url),
+        title: asString(attachment?.title)
+      }));
+      record.question.attachments.forEach((attachment, index) => {
+        if (!ATTACHMENT_TYPES.includes(attachment.type) || !attachment.url || !attachment.title) {
+          errors.push(`Question: attachment ${index + 1} needs a type (${ATTACHMENT_TYPES.join(', ')}), url and title`);
+        }
+      });
+    }
+  }
+
+  return { record, errors, warnings };
+};
+
+// Validate all inputs and upsert by referenceCode. Nothing is written with dryRun or when any row has errors.
+// rows[].row is the position in the file (1 = first card).
+const importCards = async (inputs, { dryRun = false, admin } = {}) => {
+  const rows = inputs.map((input, index) => ({ row: index + 1, ...normalizeCardInput(input) }));
+
+  const seen = new Map();
+  rows.forEach(entry => {
+    const code = entry.record?.referenceCode;
+    if (!code) return;
+    if (seen.has(code)) {
+      entry.errors.push(`referenceCode ${code} is also used in row ${seen.get(code)}`);
+    } else {
+      seen.set(code, entry.row);
+    }
+  });
+
+  const existingCards = await Card.find({ referenceCode: { $in: [...seen.keys()] } });
+  const existingByCode = new Map(existingCards.map(card => [card.referenceCode, card]));
+
+  rows.forEach(entry => {
+    if (entry.errors.length > 0) {
+      entry.action = 'error';
+      return;
+    }
+    const existing = existingByCode.get(entry.record.referenceCode);
+    if (existing?.isDeleted) {
+      entry.errors.push(`referenceCode ${entry.record.referenceCode} belongs to a deleted card`);
+      entry.action = 'error';
+      return;
+    }
+
+    // Checked once the attachments are known - hotspot questions need an image
+    const current = existing && toCardRecord(existing);
+    if (existing && !entry.record.question.attachments) {
+      entry.record.question.attachments = current.question.attachments;
+    }
+    validateQuestionType(entry.record.question).forEach(message => entry.errors.push(`Question: ${message}`));
+    if (entry.errors.length > 0) {
+      entry.action = 'error';
+      return;
+    }
+    if (!existing) {
+      entry.action = 'create';
+      return;
+    }
+
+    entry.card = existing;
+    entry.action = JSON.stringify(current) === JSON.stringify(entry.record) ? 'unchanged' : 'update';
+  });
+
+  const hasErrors = rows.some(entry => entry.action === 'error');
+  if (!dryRun && !hasErrors) {
+    for (const entry of rows) {
+      try {
+        if (entry.action === 'create') {
+          const { referenceCode, ...fields } = entry.record;
+          const card = await Card.create({ ...fields, ...(referenceCode ? { referenceCode } : {}) });
+          await recordRevision(card, { action: 'imported', admin });
+          entry.cardId = card._id;
+        } else if (entry.action === 'update') {
+          entry.card.set(entry.record);
+          await entry.card.save();
+          await recordRevision(entry.card, { action: 'imported', admin });
+          entry.cardId = entry.card._id;
+        } else {
+          entry.cardId = entry.card._id;
+        }
+      } catch (error) {
+        entry.action = 'failed';
+        entry.errors.push(error.message);
+      }
+    }
+  }
+
+  const count = (action) => rows.filter(entry => entry.action === action).length;
+  return {
+    dryRun,
+    imported: !dryRun && !hasErrors,
+    total: rows.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    errors: count('error'),
+    failed: count('failed'),
+    rows: rows.map(({ row, record, action, errors, warnings, cardId }) => ({
+      row,
+      referenceCode: record?.referenceCode || undefined,
+      title: record?.title || undefined,
+      action,
+      cardId,
+      errors,
+      warnings
+    }))
+  };
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  parseCsv,
+  escapeCsv,
+  toCsv,
+  toJson,
+  parseCardFile,
+  importCards
+};
@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const Card = require('../models/Card');
+const { recordRevision } = require('./cardRevisions');
+const { parseCsv, escapeCsv } = require('./cardTransfer');
+
+// Card translations. A card is written in card.locale; the other languages are stored per string in
+// card.translations. Players get each string in the requested language, else in the fallback locale, else the
+// card's own text. A translation whose source text has changed since is outdated and no longer served.
+
+const LOCALES = Card.LOCALES;
+const DEFAULT_CARD_LOCALE = Card.schema.path('locale').defaultValue;
+
+const normalizeLocale = (value) => {
+  const locale = String(value || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES.includes(locale) ? locale : null;
+};
+
+// Used for strings that are not translated into the requested language
+const FALLBACK_LOCALE = normalizeLocale(process.env.CARD_FALLBACK_LOCALE) || DEFAULT_CARD_LOCALE;
+
+const TRANSLATION_COLUMNS = ['cardId', 'referenceCode', 'locale', 'key', 'source', 'text'];
+
+const asString = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const cardLocale = (card) => card.locale || DEFAULT_CARD_LOCALE;
+
+// Translatable strings of a card (document, plain object or revision snapshot) -> [{ key, text }]
+const getSourceStrings = (card) => {
+  const question = card.question || {};
+  return [
+    { key: 'title', text: card.title },
+    { key: 'question.description', text: question.description },
+    ...(question.answers || []).map((answer, index) => ({ key: `question.answers.${index}.text`, text: answer.text })),
+    { key: 'question.feedback', text: question.feedback }
+  ].filter(string => string.text);
+};
+
+const findTranslation = (card, locale, key) => (card.translations || []).find(entry => entry.locale === locale && entry.key === key);
+
+// Translations without a source (added by hand) count as current
+const isCurrent = (translation, sourceText) => !translation.source || translation.source === sourceText;
+
+// Per language the card is not written in: status (complete | partial | outdated | missing) and string counts
+const getTranslationStatus = (card) => {
+  const sources = getSourceStrings(card);
+  return LOCALES.filter(locale => locale !== cardLocale(card)).map(locale => {
+    let translated = 0;
+    let outdated = 0;
+    sources.forEach(({ key, text }) => {
+      const translation = findTranslation(card, locale, key);
+      if (!translation) return;
+      if (isCurrent(translation, text)) translated++;
+      else outdated++;
+    });
+    const missing = sources.length - translated - outdated;
+
+    let status = 'complete';
+    if (translated + outdated === 0) status = 'missing';
+    else if (outdated > 0) status = 'outdated';
+    else if (missing > 0) status = 'partial';
+    return { locale, status, total: sources.length, translated, outdated, missing };
+  });
+};
+
+// A plain card (see getPublishedCards) in one language, without its translations.
+// locale is the language served: lang, the fallback locale for unsupported languages, or without lang the card's
+// own. isFallback is set when some strings are not in that language.
+const localizeCard = (card, lang) => {
+  const { translations, ...content } = card;
+  const ownLocale = cardLocale(card);
+  const locale = lang ? normalizeLocale(lang) || FALLBACK_LOCALE : ownLocale;
+  const sources = new Map(getSourceStrings(card).map(({ key, text }) => [key, text]));
+  let isFallback = false;
+
+  const lookup = (targetLocale, key) => {
+    if (targetLocale === ownLocale) return null;
+    const translation = findTranslation(card, targetLocale, key);
+    return translation && isCurrent(translation, sources.get(key)) ? translation.text : null;
+  };
+  const translate = (key, text) => {
+    if (!text || locale === ownLocale) return text;
+    const translated = lookup(locale, key);
+    if (translated) return translated;
+    isFallback = true;
+    return lookup(FALLBACK_LOCALE, key) || text;
+  };
+
+  const question = card.question && {
+    ...card.question,
+    description: translate('question.description', card.question.description),
+    answers: (card.question.answers || []).map((answer, index) => ({ ...answer, text: translate(`question.answers.${index}.text`, answer.text) })),
+    feedback: translate('question.feedback', card.question.feedback)
+  };
+  return { ...content, title: translate('title', card.title), question, locale, isFallback };
+};
+
+// Add or replace translations of one language from [{ key, text, source }] - source defaults to the card's
+// current text, an empty text removes the translation. The caller saves. -> { errors, changed }
+const setTranslations = (card, locale, entries, admin) => {
+  if (!LOCALES.includes(locale)) {
+    return { errors: [`Invalid locale "${locale}" (${LOCALES.join(', ')})`], changed: 0 };
+  }
+  if (locale === cardLocale(card)) {
+    return { errors: [`The card is written in ${locale} - edit the card itself`], changed: 0 };
+  }
+  const sources = new Map(getSourceStrings(card).map(({ key, text }) => [key, text]));
+  const errors = entries
+    .filter(entry => !sources.has(entry?.key))
+    .map(entry => `Unknown key "${entry?.key}" (${[...sources.keys()].join(', ')})`);
+  if (errors.length > 0) {
+    return { errors, changed: 0 };
+  }
+
+  let changed = 0;
+  entries.forEach(({ key, text, source }) => {
+    const value = asString(text);
+    const index = card.translations.findIndex(entry => entry.locale === locale && entry.key === key);
+    const existing = card.translations[index];
+    if (!value) {
+      if (existing) {
+        card.translations.splice(index, 1);
+        changed++;
+      }
+      return;
+    }
+
+    const from = asString(source) || sources.get(key);
+    if (existing && existing.text === value && existing.source === from) return;
+    const translation = { locale, key, text: value, source: from, updatedAt: new Date(), updatedBy: admin?._id };
+    if (existing) {
+      card.translations.set(index, translation);
+    } else {
+      card.translations.push(translation);
+    }
+    changed++;
+  });
+  return { errors: [], changed };
+};
+
+// Strings for translators, one row per string (TRANSLATION_COLUMNS). Only missing and outdated strings unless
+// all is set; text is the current translation, if any.
+const getTranslationRows = (cards, locale, { all = false } = {}) => cards.flatMap(card => {
+  if (cardLocale(card) === locale) return [];
+  return getSourceStrings(card)
+    .map(({ key, text: source }) => {
+      const translation = findTranslation(card, locale, key);
+      if (translation && isCurrent(translation, source) && !all) return null;
+      return { cardId: card._id.toString(), referenceCode: card.referenceCode || '', locale, key, source, text: translation?.text || '' };
+    })
+    .filter(Boolean);
+});
+
+const toTranslationCsv = (rows) => {
+  const lines = [TRANSLATION_COLUMNS.join(','), ...rows.map(row => TRANSLATION_COLUMNS.map(column => escapeCsv(row[column])).join(','))];
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Uploaded export with the text column filled in -> rows. format: 'csv' | 'json'
+const parseTranslationFile = (content, format) => {
+  if (format === 'csv') {
+    const [header = [], ...data] = parseCsv(content);
+    const columns = header.map(name => name.trim());
+    const missing = ['locale', 'key', 'text'].filter(name => !columns.includes(name));
+    if (missing.length > 0) {
+      throw new Error(`CSV header is missing the column(s): ${missing.join(', ')}`);
+    }
+    return data.map(values => Object.fromEntries(columns.map((name, index) => [name, values[index] || ''])));
+  }
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  const rows = Array.isArray(data) ? data : data?.rows;
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON must be an array of rows or an object with a rows array');
+  }
+  return rows;
+};
+
+// Save translated strings; rows without text are skipped. Cards are matched by cardId, else referenceCode.
+// Nothing is written with dryRun or when any row has errors. rows[].row is the position in the file (1 = first).
+const importTranslations = async (inputs, { dryRun = false, admin } = {}) => {
+  const rows = inputs.map((input, index) => ({
+    row: index + 1,
+    cardId: asString(input?.cardId),
+    referenceCode: asString(input?.referenceCode).toUpperCase(),
+    locale: asString(input?.locale).toLowerCase(),
+    key: asString(input?.key),
+    source: asString(input?.source),
+    text: asString(input?.text),
+    errors: [],
+    warnings: []
+  }));
+
+  const cardIds = rows.map(entry => entry.cardId).filter(id => mongoose.Types.ObjectId.isValid(id));
+  const referenceCodes = rows.filter(entry => !entry.cardId && entry.referenceCode).map(entry => entry.referenceCode);
+  const cards = await Card.find({ $or: [{ _id: { $in: cardIds } }, { referenceCode: { $in: referenceCodes } }] });
+  const cardsById = new Map(cards.map(card => [card._id.toString(), card]));
+  const cardsByCode = new Map(cards.filter(card => card.referenceCode).map(card => [card.referenceCode, card]));
+
+  const seen = new Map();
+  const changedCards = new Map();
+  rows.forEach(entry => {
+    if (!entry.text) {
+      entry.action = 'skipped';
+      return;
+    }
+    const card = entry.cardId ? cardsById.get(entry.cardId) : cardsByCode.get(entry.referenceCode);
+    if (!card || card.isDeleted) {
+      entry.errors.push(`Card ${entry.cardId || entry.referenceCode || '(no cardId)'} not found`);
+    } else {
+      const id = `${card._id}/${entry.locale}/${entry.key}`;
+      if (seen.has(id)) {
+        entry.errors.push(`${entry.key} (${entry.locale}) is also translated in row ${seen.get(id)}`);
+      } else {
+        seen.set(id, entry.row);
+      }
+    }
+    if (entry.errors.length === 0) {
+      const { errors, changed } = setTranslations(card, entry.locale, [entry], admin);
+      entry.errors.push(...errors);
+      if (errors.length === 0) {
+        const current = getSourceStrings(card).find(string => string.key === entry.key);
+        if (entry.source && current.text !== entry.source) {
+          entry.warnings.push('The card text changed since the export - saved as outdated');
+        }
+        entry.cardId = card._id.toString();
+        entry.action = changed > 0 ? 'translate' : 'unchanged';
+        if (changed > 0) changedCards.set(entry.cardId, card);
+      }
+    }
+    if (entry.errors.length > 0) {
+      entry.action = 'error';
+    }
+  });
+
+  const hasErrors = rows.some(entry => entry.action === 'error');
+  if (!dryRun && !hasErrors) {
+    for (const card of changedCards.values()) {
+      try {
+        await card.save();
+        await recordRevision(card, { action: 'translated', admin });
+      } catch (error) {
+        rows.filter(entry => entry.cardId === card._id.toString() && entry.action === 'translate').forEach(entry => {
+          entry.action = 'failed';
+          entry.errors.push(error.message);
+        });
+      }
+    }
+  }
+
+  const count = (action) => rows.filter(entry => entry.action === action).length;
+  return {
+    dryRun,
+    imported: !dryRun && !hasErrors,
+    total: rows.length,
+    cards: changedCards.size,
+    translated: count('translate'),
+    unchanged: count('unchanged'),
+    skipped: count('skipped'),
+    errors: count('error'),
+    failed: count('failed'),
+    rows: rows.map(({ row, cardId, referenceCode, locale, key, action, errors, warnings }) => ({
+      row,
+      cardId: cardId || undefined,
+      referenceCode: referenceCode || undefined,
+      locale,
+      key,
+      action,
+      errors,
+      warnings
+    }))
+  };
+};
+
+module.exports = {
+  FALLBACK_LOCALE,
+  TRANSLATION_COLUMNS,
+  normalizeLocale,
+  getSourceStrings,
+  getTranslationStatus,
+  localizeCard,
+  setTranslations,
+  getTranslationRows,
+  toTranslationCsv,
+  parseTranslationFile,
+  importTranslations
+};
@@ -0,0 +1,97 @@
+const EmailSuppression = require('../models/EmailSuppression');
+const Lead = require('../models/Lead');
+const Subscriber = require('../models/Subscriber');
+const { sendSubscriptionConfirmationEmail } = require('./emailService');
+const { getConfirmationUrl } = require('./emailTracking');
+const { getClientIp } = require('./auditLog');
+
+// Version of the consent wording next to the forms. The frontend sends the version it displayed as consentVersion;
+// this is stored when it does not.
+const CONSENT_TEXT_VERSION = process.env.CONSENT_TEXT_VERSION || '2026-10';
+
+// A repeated signup within this time does not send another confirmation email
+const RESEND_CONFIRMATION_MS = 5 * 60 * 1000;
+
+// Consent record for a form submission (Subscriber.consent, Lead.consent.contact / .marketing)
+const buildConsentRecord = (req, formSource) => {
+  const version = typeof req.body.consentVersion === 'string' ? req.body.consentVersion.trim().slice(0, 50) : '';
+  return {
+    givenAt: new Date(),
+    ip: getClientIp(req),
+    userAgent: req.get('user-agent'),
+    formSource,
+    textVersion: version || CONSENT_TEXT_VERSION
+  };
+};
+
+// Store a pending subscription with its consent record and send the double opt-in email.
+// Returns { subscriber, alreadySubscribed } or { subscriber, confirmationSent }.
+const requestSubscription = async (email, subscriptionType, { source, consent }) => {
+  let subscriber = await Subscriber.findOne({ email, subscriptionType });
+  if (subscriber && subscriber.status === 'subscribed') {
+    return { subscriber, alreadySubscribed: true };
+  }
+
+  if (!subscriber) {
+    subscriber = new Subscriber({ email, subscriptionType, source });
+  }
+  const recentlySent = subscriber.confirmationSentAt && Date.now() - subscriber.confirmationSentAt.getTime() < RESEND_CONFIRMATION_MS;
+  subscriber.status = 'pending';
+  subscriber.consent = consent;
+  await subscriber.save();
+
+  if (recentlySent) {
+    return { subscriber, confirmationSent: true };
+  }
+
+  const result = await sendSubscriptionConfirmationEmail(email, subscriptionType, getConfirmationUrl('subscriber', subscriber._id));
+  if (result.success) {
+    subscriber.confirmationSentAt = new Date();
+    await subscriber.save();
+  }
+  return { subscriber, confirmationSent: result.success };
+};
+
+// Double opt-in link confirmed. Returns { subscriber } or { status, error }.
+const confirmSubscription = async ({ id, issuedAt }, req) => {
+  const subscriber = await Subscriber.findById(id);
+  if (!subscriber) {
+    return { status: 404, error: 'This subscription no longer exists.' };
+  }
+  if (subscriber.status === 'subscribed') {
+    return { subscriber };
+  }
+  // A link from before an unsubscribe must not sign the address up again
+  if (subscriber.unsubscribedAt && issuedAt < subscriber.unsubscribedAt.getTime()) {
+    return { status: 400, error: 'This confirmation link is no longer valid. Please sign up again.' };
+  }
+
+  const now = new Date();
+  subscriber.status = 'subscribed';
+  subscriber.subscribedAt = now;
+  subscriber.unsubscribedAt = undefined;
+  subscriber.consent = {
+    ...(subscriber.consent?.toObject ? subscriber.consent.toObject() : subscriber.consent),
+    confirmedAt: now,
+    confirmationIp: getClientIp(req),
+    confirmationUserAgent: req.get('user-agent')
+  };
+  await subscriber.save();
+
+  // A confirmed opt-in overrides an earlier unsubscribe
+  await EmailSuppression.deleteOne({ email: subscriber.email, scope: 'marketing', reason: 'unsubscribe' });
+  await Lead.updateMany(
+    { email: subscriber.email, 'consent.marketing.status': 'pending' },
+    { $set: { 'consent.marketing.status': 'confirmed', 'consent.marketing.confirmedAt': now, 'consent.marketing.confirmationIp': getClientIp(req) } }
+  );
+
+  console.log('✅ Subscription confirmed:', { email: subscriber.email, subscriptionType: subscriber.subscriptionType });
+  return { subscriber };
+};
+
+module.exports = {
+  CONSENT_TEXT_VERSION,
+  buildConsentRecord,
+  requestSubscription,
+  confirmSubscription
+};
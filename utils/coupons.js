@@ -0,0 +1,139 @@
+const Coupon = require('../models/Coupon');
+const Transaction = require('../models/Transaction');
+const { stripe } = require('./stripe');
+
+// Stripe Checkout cannot charge less than this (in major units) unless the total is fully discounted
+const STRIPE_MINIMUM_CHARGE = 0.5;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// Audience a purchase is made for: the B2C/B2B/B2E page the user bought from, or their account type
+const getPurchaseAudience = (user, urlType = null) => {
+  if (['B2C', 'B2B', 'B2E'].includes(urlType)) return urlType;
+  if (user?.role === 'b2b_user' || user?.role === 'b2b_member') return 'B2B';
+  if (user?.role === 'b2e_user' || user?.role === 'b2e_member') return 'B2E';
+  return 'B2C';
+};
+
+// Paid transactions that used the coupon (optionally for one user)
+const countRedemptions = (couponId, userId = null) => {
+  const query = { 'coupon.couponId': couponId, status: 'paid' };
+  if (userId) query.userId = userId;
+  return Transaction.countDocuments(query);
+};
+
+const calculateDiscount = (coupon, amount) => {
+  const discount = coupon.discountType === 'percent'
+    ? amount * (coupon.discountValue / 100)
+    : Math.min(coupon.discountValue, amount);
+  return roundAmount(discount);
+};
+
+// Check a code against a purchase and work out the discount.
+// target: { amount, currency, audience, packageId, productId }
+// Returns { coupon, discountAmount, finalAmount } or { error }.
+const validateCoupon = async (code, userId, target) => {
+  const normalizedCode = normalizeCode(code);
+  if (!normalizedCode) {
+    return { error: 'Coupon code is required' };
+  }
+
+  const coupon = await Coupon.findOne({ code: normalizedCode });
+  if (!coupon || !coupon.isActive) {
+    return { error: 'Invalid coupon code' };
+  }
+
+  const now = new Date();
+  if (coupon.validFrom && now < coupon.validFrom) {
+    return { error: 'This coupon is not valid yet' };
+  }
+  if (coupon.validUntil && now > coupon.validUntil) {
+    return { error: 'This coupon has expired' };
+  }
+
+  if (coupon.audiences.length > 0 && !coupon.audiences.includes(target.audience)) {
+    return { error: `This coupon is only valid for ${coupon.audiences.join('/')} purchases` };
+  }
+
+  const packageScoped = coupon.packageIds.length > 0;
+  const productScoped = coupon.productIds.length > 0;
+  if (packageScoped || productScoped) {
+    const matchesPackage = packageScoped && target.packageId &&
+      coupon.packageIds.some(id => id.toString() === target.packageId.toString());
+    const matchesProduct = productScoped && target.productId &&
+      coupon.productIds.some(id => id.toString() === target.productId.toString());
+    if (!matchesPackage && !matchesProduct) {
+      return { error: 'This coupon does not apply to this product' };
+    }
+  }
+
+  if (coupon.discountType === 'fixed' && coupon.currency !== (target.currency || 'USD').toUpperCase()) {
+    return { error: `This coupon can only be used for ${coupon.currency} purchases` };
+  }
+
+  if (coupon.maxRedemptions) {
+    const redemptions = await countRedemptions(coupon._id);
+    if (redemptions >= coupon.maxRedemptions) {
+      return { error: 'This coupon has reached its redemption limit' };
+    }
+  }
+
+  if (userId && coupon.maxRedemptionsPerUser) {
+    const userRedemptions = await countRedemptions(coupon._id, userId);
+    if (userRedemptions >= coupon.maxRedemptionsPerUser) {
+      return { error: 'You have already used this coupon' };
+    }
+  }
+
+  const discountAmount = calculateDiscount(coupon, target.amount);
+  const finalAmount = roundAmount(target.amount - discountAmount);
+  if (finalAmount > 0 && finalAmount < STRIPE_MINIMUM_CHARGE) {
+    return { error: 'This coupon cannot be applied to this purchase' };
+  }
+
+  return { coupon, discountAmount, finalAmount };
+};
+
+// Stripe coupon mirroring ours. Applied once per Checkout session, so subscriptions are only discounted on the first period.
+const ensureStripeCoupon = async (coupon) => {
+  if (coupon.stripeCouponId) {
+    return coupon.stripeCouponId;
+  }
+
+  const stripeCoupon = await stripe.coupons.create({
+    name: coupon.code,
+    duration: 'once',
+    ...(coupon.discountType === 'percent'
+      ? { percent_off: coupon.discountValue }
+      : { amount_off: Math.round(coupon.discountValue * 100), currency: coupon.currency.toLowerCase() }),
+    metadata: { couponId: coupon._id.toString() }
+  });
+
+  coupon.stripeCouponId = stripeCoupon.id;
+  await coupon.save();
+  return stripeCoupon.id;
+};
+
+// Coupon details to store on a transaction, read back from the Checkout session metadata
+const getCouponFromSession = (session) => {
+  const metadata = session.metadata || {};
+  if (!metadata.couponId) return undefined;
+
+  return {
+    couponId: metadata.couponId,
+    code: metadata.couponCode,
+    discountAmount: parseFloat(metadata.couponDiscount) || 0,
+    originalAmount: parseFloat(metadata.originalAmount) || null
+  };
+};
+
+module.exports = {
+  normalizeCode,
+  getPurchaseAudience,
+  countRedemptions,
+  validateCoupon,
+  ensureStripeCoupon,
+  getCouponFromSession
+};
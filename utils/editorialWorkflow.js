@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+
+// Editorial review for cards and blog posts: draft -> in_review -> approved -> published. Only published
+// content reaches players and blog readers. Reviewers are admins with the content permission, and nobody
+// approves their own submission. Editing content after it was submitted puts it back to draft.
+
+const REVIEW_ACTIONS = ['submit', 'assign', 'comment', 'approve', 'request-changes', 'publish', 'unpublish'];
+
+const addEntry = (doc, admin, action, text) => {
+  doc.review.comments.push({ adminId: admin?._id, action, text: text || undefined });
+};
+
+// Returns an error message when the admin cannot review
+const checkReviewer = async (reviewerId, permission, submittedBy) => {
+  if (!mongoose.Types.ObjectId.isValid(reviewerId)) {
+    return 'A valid reviewerId is required';
+  }
+  const reviewer = await Admin.findById(reviewerId).select('role isActive');
+  if (!reviewer || !reviewer.isActive || !reviewer.hasPermission(permission)) {
+    return `The reviewer must be an active admin with the '${permission}' permission`;
+  }
+  if (submittedBy && reviewer._id.equals(submittedBy)) {
+    return 'The reviewer cannot be the admin who submitted it';
+  }
+  return null;
+};
+
+// Content changed after submission: back to draft, an earlier approval no longer counts.
+// Returns true when the review was reopened.
+const reopenReview = (doc, admin) => {
+  if (!doc.review || doc.review.status === 'draft') {
+    return false;
+  }
+  doc.review.status = 'draft';
+  doc.review.approvedAt = undefined;
+  doc.review.approvedBy = undefined;
+  addEntry(doc, admin, 'reopened', 'Edited after submission - needs a new review');
+  return true;
+};
+
+// Apply a review action to a card or blog post; the caller saves. Returns { error, status } when not allowed.
+// options: { admin, permission, comment, reviewerId, isLive, onPublish(doc), onUnpublish(doc) }
+const applyReviewAction = async (doc, action, options) => {
+  const { admin, permission, reviewerId, isLive, onPublish, onUnpublish } = options;
+  const { review } = doc;
+  const text = typeof options.comment === 'string' ? options.comment.trim() : '';
+
+  switch (action) {
+    case 'submit': {
+      if (review.status !== 'draft') {
+        return { status: 400, error: `Only drafts can be submitted for review (current status: ${review.status})` };
+      }
+      if (reviewerId) {
+        const reviewerError = await checkReviewer(reviewerId, permission, admin._id);
+        if (reviewerError) return { status: 400, error: reviewerError };
+        review.reviewerId = reviewerId;
+      } else if (review.reviewerId && review.reviewerId.equals(admin._id)) {
+        review.reviewerId = undefined;
+      }
+      review.status = 'in_review';
+      review.submittedAt = new Date();
+      review.submittedBy = admin._id;
+      addEntry(doc, admin, 'submitted', text);
+      break;
+    }
+    case 'assign': {
+      if (!['draft', 'in_review'].includes(review.status)) {
+        return { status: 400, error: 'A reviewer can only be assigned before approval' };
+      }
+      const reviewerError = await checkReviewer(reviewerId, permission, review.status === 'in_review' ? review.submittedBy : null);
+      if (reviewerError) return { status: 400, error: reviewerError };
+      review.reviewerId = reviewerId;
+      addEntry(doc, admin, 'assigned', text);
+      break;
+    }
+    case 'comment': {
+      if (!text) {
+        return { status: 400, error: 'Comment text is required' };
+      }
+      addEntry(doc, admin, 'comment', text);
+      break;
+    }
+    case 'approve': {
+      if (review.status !== 'in_review') {
+        return { status: 400, error: 'Only items in review can be approved' };
+      }
+      if (review.submittedBy && review.submittedBy.equals(admin._id)) {
+        return { status: 403, error: 'You cannot approve your own submission' };
+      }
+      if (review.reviewerId && !review.reviewerId.equals(admin._id) && admin.role !== 'super_admin') {
+        return { status: 403, error: 'Only the assigned reviewer can approve this' };
+      }
+      review.status = 'approved';
+      review.approvedAt = new Date();
+      review.approvedBy = admin._id;
+      addEntry(doc, admin, 'approved', text);
+      break;
+    }
+    case 'request-changes': {
+      if (review.status !== 'in_review') {
+        return { status: 400, error: 'Changes can only be requested for items in review' };
+      }
+      if (!text) {
+        return { status: 400, error: 'Describe the changes needed in the comment' };
+      }
+      review.status = 'draft';
+      addEntry(doc, admin, 'changes_requested', text);
+      break;
+    }
+    case 'publish': {
+      if (review.status !== 'approved') {
+        return { status: 409, error: 'Only approved items can be published - submit it for review first' };
+      }
+      review.status = 'published';
+      review.publishedBy = admin._id;
+      if (onPublish) onPublish(doc);
+      addEntry(doc, admin, 'published', text);
+      break;
+    }
+    case 'unpublish': {
+      // A published card being edited is still live with its published version
+      if (!isLive) {
+        return { status: 400, error: 'This item is not published' };
+      }
+      if (review.status === 'published') {
+        review.status = 'approved';
+      }
+      if (onUnpublish) onUnpublish(doc);
+      addEntry(doc, admin, 'unpublished', text);
+      break;
+    }
+    default:
+      return { status: 404, error: `Unknown review action. Use one of: ${REVIEW_ACTIONS.join(', ')}` };
+  }
+  return {};
+};
+
+module.exports = {
+  REVIEW_ACTIONS,
+  applyReviewAction,
+  reopenReview
+};
@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+const EmailOutbox = require('../models/EmailOutbox');
+const EmailSuppression = require('../models/EmailSuppression');
+const {
+  isMarketingCategory,
+  extractAddresses,
+  addTracking,
+  addUnsubscribeFooter,
+  buildUnsubscribeHeaders,
+  getUnsubscribeUrl
+} = require('./emailTracking');
+
+// How often the worker looks for due messages (new messages are also delivered right after queueing)
+const POLL_MS = parseInt(process.env.EMAIL_OUTBOX_POLL_MS, 10) || 15 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 8;
+
+// Retry backoff: 1, 2, 4, 8 ... minutes, capped at 6 hours
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// Messages delivered per worker run, so one run cannot hold the process for long
+const BATCH_SIZE = 50;
+
+// Emails carrying credentials (reset/verification links, initial passwords). Their bodies are removed once the
+// message is delivered or given up on, and they cannot be previewed or resent.
+const SENSITIVE_CATEGORIES = ['password_reset', 'email_verification', 'organization_created'];
+
+// Days the html/text and attachments of other messages are kept; the delivery log itself stays
+const BODY_RETENTION_DAYS = parseInt(process.env.EMAIL_BODY_RETENTION_DAYS, 10) || 90;
+
+// Messages that will not be delivered (again)
+const FINISHED_STATUSES = ['sent', 'failed', 'cancelled', 'suppressed'];
+
+const isSensitiveCategory = (category) => SENSITIVE_CATEGORIES.includes(category);
+
+// Update that removes the stored content of a message
+const purgedBody = () => ({ html: null, text: null, 'attachments.$[].content': null, bodyPurgedAt: new Date() });
+
+let worker = null;
+let processing = false;
+
+const getRetryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY_MS);
+
+// SMTP 5xx replies (unknown mailbox, rejected content, ...) will not succeed on retry
+const isPermanentFailure = (error) => error.responseCode >= 500 && error.responseCode < 600;
+
+// Mailbox does not exist / is not accepted - stop emailing the address altogether
+const isHardBounce = (error) => [550, 551, 553].includes(error.responseCode);
+
+const toAddressList = (value) => (Array.isArray(value) ? value.join(', ') : value);
+
+const toAddressStrings = (list) => (list || []).map(address => (typeof address === 'string' ? address : address.address));
+
+// Recipients of the message that are on the suppression list
+const getSuppressedRecipients = (to, category) =>
+  EmailSuppression.findSuppressed(extractAddresses(to), isMarketingCategory(category));
+
+// Persist a message for delivery. Takes nodemailer mail options and returns a nodemailer-like info object,
+// so callers can keep treating it as sent - delivery and retries happen in the background.
+// Options: track adds the open pixel and tracked links; marketing categories get an unsubscribe link (in the
+// template's or the given locale) and List-Unsubscribe headers. Messages to suppressed addresses are logged
+// with status 'suppressed' and not sent.
+const queueEmail = async (mailOptions, { category, meta, template, resendOf, createdBy, track = false, locale } = {}) => {
+  const _id = new mongoose.Types.ObjectId();
+  const to = toAddressList(mailOptions.to);
+  const marketing = isMarketingCategory(category);
+  const recipients = extractAddresses(to);
+  const suppressed = await getSuppressedRecipients(to, category);
+  const isSuppressed = recipients.length > 0 && suppressed.length === recipients.length;
+  // Credentials of a message that is never sent are not kept either
+  const dropBody = isSuppressed && isSensitiveCategory(category);
+
+  // Resends are copies of stored messages, which already carry tracking and unsubscribe links
+  let html = mailOptions.html;
+  let text = mailOptions.text;
+  let headers = mailOptions.headers;
+  if (html && track && !resendOf) {
+    html = addTracking(html, _id);
+  }
+  if (marketing && recipients.length === 1 && !resendOf) {
+    const unsubscribeUrl = getUnsubscribeUrl(recipients[0], category, _id);
+    const footerLocale = locale || template?.locale;
+    html = addUnsubscribeFooter(html, unsubscribeUrl, footerLocale);
+    if (text) text = `${text}\n\n${footerLocale === 'de' ? 'Abmelden' : 'Unsubscribe'}: ${unsubscribeUrl}`;
+    headers = { ...(headers || {}), ...buildUnsubscribeHeaders(recipients[0], category, _id) };
+  }
+
+  const message = await EmailOutbox.create({
+    _id,
+    category: category || 'general',
+    from: mailOptions.from || `"Konfydence" <${process.env.MAIL_FROM}>`,
+    to,
+    cc: toAddressList(mailOptions.cc),
+    bcc: toAddressList(mailOptions.bcc),
+    replyTo: mailOptions.replyTo,
+    subject: mailOptions.subject,
+    html: dropBody ? null : html,
+    text: dropBody ? null : text,
+    ...(dropBody && { bodyPurgedAt: new Date() }),
+    headers,
+    attachments: (mailOptions.attachments || []).map(attachment => ({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      cid: attachment.cid,
+      content: Buffer.isBuffer(attachment.content) ? attachment.content : Buffer.from(attachment.content || '')
+    })),
+    meta,
+    template: template || undefined,
+    tracking: { enabled: Boolean(html && track && !resendOf) },
+    ...(isSuppressed && { status: 'suppressed', lastError: 'Recipient is on the suppression list' }),
+    maxAttempts: MAX_ATTEMPTS,
+    resendOf,
+    createdBy
+  });
+
+  if (isSuppressed) {
+    console.log('🚫 Email suppressed:', { id: message._id, category: message.category, to: message.to });
+    return {
+      messageId: message._id.toString(),
+      outboxId: message._id,
+      queued: false,
+      suppressed: true,
+      accepted: [],
+      rejected: suppressed,
+      response: 'suppressed'
+    };
+  }
+
+  setImmediate(() => {
+    processOutbox().catch(err => console.error('❌ Email outbox run failed:', err));
+  });
+
+  return {
+    messageId: message._id.toString(),
+    outboxId: message._id,
+    queued: true,
+    accepted: [],
+    rejected: [],
+    response: 'queued'
+  };
+};
+
+// One delivery attempt for a claimed message
+const deliver = async (message) => {
+  const { createTransporter } = require('./emailService');
+
+  // The address may have been suppressed while the message was waiting
+  const suppressed = await getSuppressedRecipients(message.to, message.category);
+  if (suppressed.length > 0 && suppressed.length === extractAddresses(message.to).length) {
+    await EmailOutbox.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: 'suppressed',
+          lastError: 'Recipient is on the suppression list',
+          ...(isSensitiveCategory(message.category) && purgedBody())
+        }
+      }
+    );
+    console.log('🚫 Email suppressed:', { id: message._id, category: message.category, to: message.to });
+    return false;
+  }
+
+  try {
+    const info = await createTransporter().sendMail({
+      from: message.from,
+      to: message.to,
+      cc: message.cc || undefined,
+      bcc: message.bcc || undefined,
+      replyTo: message.replyTo || undefined,
+      subject: message.subject,
+      html: message.html || undefined,
+      text: message.text || undefined,
+      headers: message.headers || undefined,
+      attachments: message.attachments.map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        cid: attachment.cid || undefined,
+        content: attachment.content
+      }))
+    });
+
+    await EmailOutbox.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: 'sent',
+          sentAt: new Date(),
+          smtpMessageId: info.messageId,
+          smtpResponse: info.response,
+          accepted: toAddressStrings(info.accepted),
+          rejected: toAddressStrings(info.rejected),
+          lastError: null,
+          ...(isSensitiveCategory(message.category) && purgedBody())
+        }
+      }
+    );
+    console.log('📧 Email delivered:', { id: message._id, category: message.category, to: message.to, attempt: message.attempts });
+    return true;
+  } catch (error) {
+    const giveUp = isPermanentFailure(error) || message.attempts >= message.maxAttempts;
+    await EmailOutbox.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: giveUp ? 'failed' : 'queued',
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + getRetryDelay(message.attempts)),
+          ...(giveUp && isSensitiveCategory(message.category) && purgedBody())
+        },
+        $push: {
+          failures: { attempt: message.attempts, message: error.message, responseCode: error.responseCode, occurredAt: new Date() }
+        }
+      }
+    );
+    if (isHardBounce(error)) {
+      await Promise.all(extractAddresses(message.to).map(email => EmailSuppression.suppress(email, {
+        scope: 'all',
+        reason: 'bounce',
+        source: message.category,
+        note: error.message
+      })));
+    }
+    console.error(`❌ Email delivery ${giveUp ? 'failed permanently' : 'failed, will retry'}:`, {
+      id: message._id,
+      category: message.category,
+      to: message.to,
+      attempt: message.attempts,
+      error: error.message
+    });
+    return false;
+  }
+};
+
+// Deliver due messages. Claims are atomic, so several instances can run this side by side.
+const processOutbox = async () => {
+  if (processing) return { delivered: 0, failed: 0 };
+  processing = true;
+
+  let delivered = 0;
+  let failed = 0;
+  try {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const message = await EmailOutbox.claimNext();
+      if (!message) break;
+      if (await deliver(message)) {
+        delivered += 1;
+      } else {
+        failed += 1;
+      }
+    }
+  } finally {
+    processing = false;
+  }
+  return { delivered, failed };
+};
+
+// Set EMAIL_OUTBOX_WORKER=false on instances that should not poll (they still deliver what they queue)
+const startOutboxWorker = () => {
+  if (worker || process.env.EMAIL_OUTBOX_WORKER === 'false') return;
+
+  worker = setInterval(() => {
+    processOutbox().catch(err => console.error('❌ Email outbox run failed:', err));
+  }, POLL_MS);
+  worker.unref();
+  console.log(`📬 Email outbox worker started (every ${POLL_MS / 1000}s)`);
+};
+
+// Remove the stored content of finished messages: sensitive ones right away (also covers messages stored before
+// they were purged on delivery), all others after BODY_RETENTION_DAYS
+const purgeMessageBodies = async () => {
+  const cutoff = new Date(Date.now() - BODY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const result = await EmailOutbox.updateMany(
+    {
+      status: { $in: FINISHED_STATUSES },
+      bodyPurgedAt: { $exists: false },
+      $or: [
+        { category: { $in: SENSITIVE_CATEGORIES } },
+        { createdAt: { $lt: cutoff } }
+      ]
+    },
+    { $set: purgedBody() }
+  );
+  return { purged: result.modifiedCount, retentionDays: BODY_RETENTION_DAYS };
+};
+
+// Queue a copy of a stored message (admin resend)
+const resendEmail = async (original, adminId) => {
+  return queueEmail(
+    {
+      from: original.from,
+      to: original.to,
+      cc: original.cc,
+      bcc: original.bcc,
+      replyTo: original.replyTo,
+      subject: original.subject,
+      html: original.html,
+      text: original.text,
+      headers: original.headers,
+      attachments: original.attachments
+    },
+    { category: original.category, meta: original.meta, template: original.template, resendOf: original._id, createdBy: adminId }
+  );
+};
+
+module.exports = {
+  SENSITIVE_CATEGORIES,
+  isSensitiveCategory,
+  purgeMessageBodies,
+  queueEmail,
+  processOutbox,
+  startOutboxWorker,
+  resendEmail
+};
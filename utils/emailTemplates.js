@@ -0,0 +1,775 @@
+const EmailTemplate = require('../models/EmailTemplate');
+const User = require('../models/User');
+const Lead = require('../models/Lead');
+const { render, validate } = require('./templateEngine');
+
+// Languages emails can be sent in (also the enum of User.language / Lead.language / EmailTemplate.locale)
+const SUPPORTED_LOCALES = ['en', 'de'];
+
+const normalizeLocale = (value) => {
+  const locale = String(value || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(locale) ? locale : null;
+};
+
+const DEFAULT_LOCALE = normalizeLocale(process.env.EMAIL_DEFAULT_LOCALE) || 'en';
+
+const DATE_LOCALES = { en: 'en-GB', de: 'de-DE' };
+
+const formatDate = (date, locale) => {
+  if (!date) return '';
+  return new Date(date).toLocaleDateString(DATE_LOCALES[locale] || DATE_LOCALES.en, { year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+const formatAmount = (amount, currency, locale) => {
+  try {
+    return new Intl.NumberFormat(DATE_LOCALES[locale] || DATE_LOCALES.en, { style: 'currency', currency: currency || 'EUR' }).format(amount || 0);
+  } catch (error) {
+    return `${Number(amount || 0).toFixed(2)} ${currency || ''}`.trim();
+  }
+};
+
+// Shared paragraph styles for the built-in templates
+const P = 'margin: 0 0 20px 0; color: {{colors.text}}; font-size: 16px; line-height: 1.6;';
+const H2 = 'margin: 0 0 20px 0; color: {{colors.primary}}; font-size: 24px; font-weight: 700;';
+const BUTTON = 'display: inline-block; background-color: {{colors.primary}}; color: #FFFFFF; padding: 12px 28px; border-radius: 6px; text-decoration: none; font-weight: bold;';
+const H3 = 'margin: 0 0 15px 0; color: {{colors.primary}}; font-size: 18px; font-weight: 600;';
+const BOX = 'background-color: {{colors.background}}; padding: 20px; border-radius: 8px; margin: 30px 0;';
+const DETAILS = 'margin: 0; color: {{colors.text}}; font-size: 16px; line-height: 1.8;';
+const LIST = 'margin: 0 0 20px 0; padding-left: 20px; color: {{colors.text}}; font-size: 16px; line-height: 1.8;';
+const CODE = 'margin: 0; color: {{colors.primary}}; font-size: 28px; font-weight: 700; letter-spacing: 3px; text-align: center; font-family: monospace;';
+
+const bankDetailsHtml = `<p style="${P}">{{#bankDetails.accountHolder}}{{bankDetails.accountHolder}}<br>{{/bankDetails.accountHolder}}{{#bankDetails.iban}}IBAN: {{bankDetails.iban}}<br>{{/bankDetails.iban}}{{#bankDetails.bic}}BIC/SWIFT: {{bankDetails.bic}}<br>{{/bankDetails.bic}}{{#bankDetails.bankName}}{{bankDetails.bankName}}<br>{{/bankDetails.bankName}}{{referenceLabel}}: {{paymentReference}}</p>`;
+const bankDetailsText = '{{#bankDetails.accountHolder}}{{bankDetails.accountHolder}}\n{{/bankDetails.accountHolder}}{{#bankDetails.iban}}IBAN: {{bankDetails.iban}}\n{{/bankDetails.iban}}{{#bankDetails.bic}}BIC/SWIFT: {{bankDetails.bic}}\n{{/bankDetails.bic}}{{#bankDetails.bankName}}{{bankDetails.bankName}}\n{{/bankDetails.bankName}}{{referenceLabel}}: {{paymentReference}}';
+
+// Readable request status, from the is<Status> flags of custom_package_request_status
+const requestStatusLabels = {
+  en: '{{#isPending}}Pending{{/isPending}}{{#isReviewing}}Under review{{/isReviewing}}{{#isApproved}}Approved{{/isApproved}}{{#isRejected}}Rejected{{/isRejected}}{{#isCompleted}}Completed{{/isCompleted}}',
+  de: '{{#isPending}}Offen{{/isPending}}{{#isReviewing}}In Prüfung{{/isReviewing}}{{#isApproved}}Genehmigt{{/isApproved}}{{#isRejected}}Abgelehnt{{/isRejected}}{{#isCompleted}}Abgeschlossen{{/isCompleted}}'
+};
+
+const sampleBankDetails = { accountHolder: 'Konfydence GmbH', iban: 'DE89 3704 0044 0532 0130 00', bic: 'COBADEFFXXX', bankName: 'Commerzbank' };
+
+// Every email that can be edited. `variables` documents what the sender passes, `sample` is used for previews.
+// `defaults` are the built-in templates per locale, used until an admin publishes a version.
+const TEMPLATES = {
+  demo_request_confirmation: {
+    name: 'Demo request received',
+    variables: { firstName: 'First name of the requester' },
+    sample: { firstName: 'Alex' },
+    defaults: {
+      en: {
+        subject: "We've received your demo request",
+        html: `<h2 style="${H2}">We've received your demo request</h2>
+<p style="${P}">Hi {{firstName}},</p>
+<p style="${P}">Thanks for reaching out to Konfydence.</p>
+<p style="${P}">We've received your demo request and will review it shortly.</p>
+<div style="background-color: {{colors.background}}; padding: 20px; border-radius: 8px; margin: 30px 0;">
+  <h3 style="margin: 0 0 15px 0; color: {{colors.primary}}; font-size: 18px; font-weight: 600;">What happens next</h3>
+  <ul style="margin: 0; padding-left: 20px; color: {{colors.text}}; font-size: 16px; line-height: 1.8;">
+    <li style="margin-bottom: 10px;">We review your request (usually within 1 business day)</li>
+    <li style="margin-bottom: 10px;">We recommend a short demo path based on your needs</li>
+    <li style="margin-bottom: 10px;">Most teams start with a physical demo kit (€99–€249, fully credited on rollout)</li>
+  </ul>
+  <p style="margin: 15px 0 0 0; color: {{colors.text}}; font-size: 16px; line-height: 1.6;">No pressure. No obligation. Just practice before decisions.</p>
+</div>
+<p style="${P}">If you have any context you'd like us to consider in advance, feel free to reply directly to this email.</p>
+<p style="margin: 0; color: {{colors.secondary}}; font-size: 16px; font-weight: 600;">Warm regards,<br>Konfydence Team</p>`,
+        text: "Hi {{firstName}},\n\nThanks for reaching out to Konfydence.\n\nWe've received your demo request and will review it shortly.\n\nWhat happens next\n- We review your request (usually within 1 business day)\n- We recommend a short demo path based on your needs\n- Most teams start with a physical demo kit (€99–€249, fully credited on rollout)\n\nNo pressure. No obligation. Just practice before decisions.\n\nIf you have any context you'd like us to consider in advance, feel free to reply directly to this email.\n\nWarm regards,\n\nKonfydence Team"
+      },
+      de: {
+        subject: 'Wir haben Ihre Demo-Anfrage erhalten',
+        html: `<h2 style="${H2}">Wir haben Ihre Demo-Anfrage erhalten</h2>
+<p style="${P}">Hallo {{firstName}},</p>
+<p style="${P}">vielen Dank für Ihr Interesse an Konfydence.</p>
+<p style="${P}">Wir haben Ihre Demo-Anfrage erhalten und melden uns in Kürze.</p>
+<div style="background-color: {{colors.background}}; padding: 20px; border-radius: 8px; margin: 30px 0;">
+  <h3 style="margin: 0 0 15px 0; color: {{colors.primary}}; font-size: 18px; font-weight: 600;">So geht es weiter</h3>
+  <ul style="margin: 0; padding-left: 20px; color: {{colors.text}}; font-size: 16px; line-height: 1.8;">
+    <li style="margin-bottom: 10px;">Wir prüfen Ihre Anfrage (in der Regel innerhalb eines Werktags)</li>
+    <li style="margin-bottom: 10px;">Wir empfehlen Ihnen einen kurzen Demo-Ablauf passend zu Ihrem Bedarf</li>
+    <li style="margin-bottom: 10px;">Die meisten Teams starten mit einem physischen Demo-Kit (99–249 €, bei der Einführung voll angerechnet)</li>
+  </ul>
+  <p style="margin: 15px 0 0 0; color: {{colors.text}}; font-size: 16px; line-height: 1.6;">Kein Druck. Keine Verpflichtung. Erst üben, dann entscheiden.</p>
+</div>
+<p style="${P}">Wenn wir vorab etwas berücksichtigen sollen, antworten Sie einfach direkt auf diese E-Mail.</p>
+<p style="margin: 0; color: {{colors.secondary}}; font-size: 16px; font-weight: 600;">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: 'Hallo {{firstName}},\n\nvielen Dank für Ihr Interesse an Konfydence.\n\nWir haben Ihre Demo-Anfrage erhalten und melden uns in Kürze.\n\nSo geht es weiter\n- Wir prüfen Ihre Anfrage (in der Regel innerhalb eines Werktags)\n- Wir empfehlen Ihnen einen kurzen Demo-Ablauf passend zu Ihrem Bedarf\n- Die meisten Teams starten mit einem physischen Demo-Kit (99–249 €, bei der Einführung voll angerechnet)\n\nKein Druck. Keine Verpflichtung. Erst üben, dann entscheiden.\n\nWenn wir vorab etwas berücksichtigen sollen, antworten Sie einfach direkt auf diese E-Mail.\n\nHerzliche Grüße\n\nIhr Konfydence-Team'
+      }
+    }
+  },
+  demo_approved: {
+    name: 'Demo request approved',
+    variables: { firstName: 'First name of the lead' },
+    sample: { firstName: 'Alex' },
+    defaults: {
+      en: {
+        subject: 'Your demo request has been approved',
+        html: `<h2 style="${H2}">Your demo request has been approved</h2>
+<p style="${P}">Hi {{firstName}},</p>
+<p style="${P}">Good news! Your demo request has been approved.</p>
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: 'Hi {{firstName}},\n\nYour demo request has been approved.\n\nWarm regards,\nKonfydence Team'
+      },
+      de: {
+        subject: 'Ihre Demo-Anfrage wurde bestätigt',
+        html: `<h2 style="${H2}">Ihre Demo-Anfrage wurde bestätigt</h2>
+<p style="${P}">Hallo {{firstName}},</p>
+<p style="${P}">gute Nachrichten: Ihre Demo-Anfrage wurde bestätigt.</p>
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: 'Hallo {{firstName}},\n\nIhre Demo-Anfrage wurde bestätigt.\n\nHerzliche Grüße\nIhr Konfydence-Team'
+      }
+    }
+  },
+  demo_rejected: {
+    name: 'Demo request declined',
+    variables: { firstName: 'First name of the lead' },
+    sample: { firstName: 'Alex' },
+    defaults: {
+      en: {
+        subject: 'Update on your demo request',
+        html: `<h2 style="${H2}">Update on your demo request</h2>
+<p style="${P}">Hi {{firstName}},</p>
+<p style="${P}">Thank you for your interest. We are unable to approve your demo request at this time. If you have questions or would like to try again later, please contact us.</p>
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: 'Hi {{firstName}},\n\nThank you for your interest. We are unable to approve your demo request at this time. If you have questions or would like to try again later, please contact us.\n\nWarm regards,\nKonfydence Team'
+      },
+      de: {
+        subject: 'Neuigkeiten zu Ihrer Demo-Anfrage',
+        html: `<h2 style="${H2}">Neuigkeiten zu Ihrer Demo-Anfrage</h2>
+<p style="${P}">Hallo {{firstName}},</p>
+<p style="${P}">vielen Dank für Ihr Interesse. Leider können wir Ihre Demo-Anfrage derzeit nicht bestätigen. Bei Fragen oder wenn Sie es später erneut versuchen möchten, kontaktieren Sie uns gerne.</p>
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: 'Hallo {{firstName}},\n\nvielen Dank für Ihr Interesse. Leider können wir Ihre Demo-Anfrage derzeit nicht bestätigen. Bei Fragen oder wenn Sie es später erneut versuchen möchten, kontaktieren Sie uns gerne.\n\nHerzliche Grüße\nIhr Konfydence-Team'
+      }
+    }
+  },
+  teaser_pdf_link: {
+    name: 'Teaser download link',
+    variables: { pdfUrl: 'Download URL of the teaser PDF' },
+    sample: { pdfUrl: 'https://konfydence.com/pdfs/KonfydenceTeaser.pdf' },
+    defaults: {
+      en: {
+        subject: 'Your Konfydence Teaser',
+        html: `<p style="${P}">Hi,</p>
+<p style="${P}">As requested, here is your link to download the Konfydence Teaser:</p>
+<p style="${P}"><a href="{{pdfUrl}}" style="color: {{colors.secondary}}; font-weight: 600;">Download Konfydence Teaser (PDF)</a></p>
+<p style="${P}">Konfydence Teaser (PDF): {{pdfUrl}}</p>
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: 'Hi,\n\nAs requested, here is your link to download the Konfydence Teaser:\n\n{{pdfUrl}}\n\nWarm regards,\nKonfydence Team'
+      },
+      de: {
+        subject: 'Ihr Konfydence-Teaser',
+        html: `<p style="${P}">Hallo,</p>
+<p style="${P}">wie gewünscht finden Sie hier den Link zum Konfydence-Teaser:</p>
+<p style="${P}"><a href="{{pdfUrl}}" style="color: {{colors.secondary}}; font-weight: 600;">Konfydence-Teaser herunterladen (PDF)</a></p>
+<p style="${P}">Konfydence-Teaser (PDF): {{pdfUrl}}</p>
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: 'Hallo,\n\nwie gewünscht finden Sie hier den Link zum Konfydence-Teaser:\n\n{{pdfUrl}}\n\nHerzliche Grüße\nIhr Konfydence-Team'
+      }
+    }
+  },
+  teaser_pdf: {
+    name: 'Teaser PDF attached',
+    variables: {},
+    sample: {},
+    defaults: {
+      en: {
+        subject: 'Your Konfydence Teaser',
+        html: `<p style="${P}">Hi,</p>
+<p style="${P}">As requested, please find the Konfydence Teaser attached.</p>
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: 'Hi,\n\nAs requested, please find the Konfydence Teaser attached.\n\nWarm regards,\nKonfydence Team'
+      },
+      de: {
+        subject: 'Ihr Konfydence-Teaser',
+        html: `<p style="${P}">Hallo,</p>
+<p style="${P}">wie gewünscht erhalten Sie den Konfydence-Teaser im Anhang.</p>
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: 'Hallo,\n\nwie gewünscht erhalten Sie den Konfydence-Teaser im Anhang.\n\nHerzliche Grüße\nIhr Konfydence-Team'
+      }
+    }
+  },
+  credit_note: {
+    name: 'Credit note after a refund',
+    variables: { name: 'Buyer name', creditNoteNumber: 'Credit note number', amount: 'Refunded amount with currency' },
+    sample: { name: 'Alex Example', creditNoteNumber: 'CN-2026-0001', amount: '€49.00' },
+    defaults: {
+      en: {
+        subject: 'Credit note {{creditNoteNumber}}',
+        html: `<p style="${P}">Hi {{name}},</p>
+<p style="${P}">We have refunded <strong>{{amount}}</strong>. Your credit note <strong>{{creditNoteNumber}}</strong> is attached.</p>
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: 'Hi {{name}},\n\nWe have refunded {{amount}}. Your credit note {{creditNoteNumber}} is attached.\n\nWarm regards,\nKonfydence Team'
+      },
+      de: {
+        subject: 'Gutschrift {{creditNoteNumber}}',
+        html: `<p style="${P}">Hallo {{name}},</p>
+<p style="${P}">wir haben Ihnen <strong>{{amount}}</strong> erstattet. Ihre Gutschrift <strong>{{creditNoteNumber}}</strong> finden Sie im Anhang.</p>
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: 'Hallo {{name}},\n\nwir haben Ihnen {{amount}} erstattet. Ihre Gutschrift {{creditNoteNumber}} finden Sie im Anhang.\n\nHerzliche Grüße\nIhr Konfydence-Team'
+      }
+    }
+  },
+  payable_invoice: {
+    name: 'Bank transfer invoice',
+    variables: {
+      name: 'Buyer name',
+      invoiceNumber: 'Invoice number',
+      amount: 'Invoice total with currency',
+      dueDate: 'Due date',
+      paymentReference: 'Reference to use for the transfer',
+      bankDetails: 'accountHolder, iban, bic, bankName'
+    },
+    sample: { name: 'Alex Example', invoiceNumber: 'INV-2026-0042', amount: '€4,760.00', dueDate: '18 November 2026', paymentReference: 'INV-2026-0042', bankDetails: sampleBankDetails },
+    defaults: {
+      en: {
+        subject: 'Invoice {{invoiceNumber}}',
+        html: `<p style="${P}">Hi {{name}},</p>
+<p style="${P}">Thank you for your order. Please find invoice {{invoiceNumber}} for {{amount}} attached, payable by bank transfer by {{dueDate}}. Your licenses are activated as soon as we receive the payment.</p>
+${bankDetailsHtml.replace('{{referenceLabel}}', 'Reference')}
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: `Hi {{name}},\n\nThank you for your order. Please find invoice {{invoiceNumber}} for {{amount}} attached, payable by bank transfer by {{dueDate}}. Your licenses are activated as soon as we receive the payment.\n\n${bankDetailsText.replace('{{referenceLabel}}', 'Reference')}\n\nWarm regards,\nKonfydence Team`
+      },
+      de: {
+        subject: 'Rechnung {{invoiceNumber}}',
+        html: `<p style="${P}">Hallo {{name}},</p>
+<p style="${P}">vielen Dank für Ihre Bestellung. Anbei erhalten Sie die Rechnung {{invoiceNumber}} über {{amount}}, zahlbar per Überweisung bis zum {{dueDate}}. Ihre Lizenzen werden freigeschaltet, sobald die Zahlung bei uns eingegangen ist.</p>
+${bankDetailsHtml.replace('{{referenceLabel}}', 'Verwendungszweck')}
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: `Hallo {{name}},\n\nvielen Dank für Ihre Bestellung. Anbei erhalten Sie die Rechnung {{invoiceNumber}} über {{amount}}, zahlbar per Überweisung bis zum {{dueDate}}. Ihre Lizenzen werden freigeschaltet, sobald die Zahlung bei uns eingegangen ist.\n\n${bankDetailsText.replace('{{referenceLabel}}', 'Verwendungszweck')}\n\nHerzliche Grüße\nIhr Konfydence-Team`
+      }
+    }
+  },
+  invoice_reminder: {
+    name: 'Overdue invoice reminder',
+    variables: {
+      name: 'Buyer name',
+      invoiceNumber: 'Invoice number',
+      amount: 'Invoice total with currency',
+      dueDate: 'Due date',
+      daysOverdue: 'Days since the due date',
+      paymentReference: 'Reference to use for the transfer',
+      bankDetails: 'accountHolder, iban, bic, bankName'
+    },
+    sample: { name: 'Alex Example', invoiceNumber: 'INV-2026-0042', amount: '€4,760.00', dueDate: '18 November 2026', daysOverdue: 7, paymentReference: 'INV-2026-0042', bankDetails: sampleBankDetails },
+    defaults: {
+      en: {
+        subject: 'Payment reminder: invoice {{invoiceNumber}}',
+        html: `<p style="${P}">Hi {{name}},</p>
+<p style="${P}">Our records show that invoice {{invoiceNumber}} for {{amount}} was due on {{dueDate}} and is {{daysOverdue}} day(s) overdue. If you have already paid, please ignore this reminder.</p>
+${bankDetailsHtml.replace('{{referenceLabel}}', 'Reference')}
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: `Hi {{name}},\n\nOur records show that invoice {{invoiceNumber}} for {{amount}} was due on {{dueDate}} and is {{daysOverdue}} day(s) overdue. If you have already paid, please ignore this reminder.\n\n${bankDetailsText.replace('{{referenceLabel}}', 'Reference')}\n\nWarm regards,\nKonfydence Team`
+      },
+      de: {
+        subject: 'Zahlungserinnerung: Rechnung {{invoiceNumber}}',
+        html: `<p style="${P}">Hallo {{name}},</p>
+<p style="${P}">laut unseren Unterlagen war die Rechnung {{invoiceNumber}} über {{amount}} am {{dueDate}} fällig und ist seit {{daysOverdue}} Tag(en) überfällig. Falls Sie bereits bezahlt haben, betrachten Sie diese Erinnerung bitte als gegenstandslos.</p>
+${bankDetailsHtml.replace('{{referenceLabel}}', 'Verwendungszweck')}
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: `Hallo {{name}},\n\nlaut unseren Unterlagen war die Rechnung {{invoiceNumber}} über {{amount}} am {{dueDate}} fällig und ist seit {{daysOverdue}} Tag(en) überfällig. Falls Sie bereits bezahlt haben, betrachten Sie diese Erinnerung bitte als gegenstandslos.\n\n${bankDetailsText.replace('{{referenceLabel}}', 'Verwendungszweck')}\n\nHerzliche Grüße\nIhr Konfydence-Team`
+      }
+    }
+  },
+  renewal_reminder: {
+    name: 'Renewal reminder / expiry notice',
+    variables: {
+      name: 'Recipient name',
+      itemName: 'Package, contract or trial name',
+      endDate: 'Last day of access',
+      daysLeft: 'Days until the end date',
+      endsToday: 'true on the last day',
+      endsTomorrow: 'true the day before',
+      expired: 'true for the expiry notice',
+      isTrial: 'true for free trials',
+      renewalUrl: 'Renewal checkout link'
+    },
+    sample: { name: 'Alex', itemName: 'Konfydence Family', endDate: '18 November 2026', daysLeft: 7, endsToday: false, endsTomorrow: false, expired: false, isTrial: false, renewalUrl: 'https://konfydence.com/renew?renewal=true' },
+    defaults: {
+      en: {
+        subject: '{{#expired}}{{#isTrial}}Your {{itemName}} trial has ended{{/isTrial}}{{^isTrial}}Your {{itemName}} access has expired{{/isTrial}}{{/expired}}{{^expired}}{{itemName}} {{#isTrial}}trial ends{{/isTrial}}{{^isTrial}}expires{{/isTrial}} {{#endsToday}}today{{/endsToday}}{{#endsTomorrow}}tomorrow{{/endsTomorrow}}{{^endsToday}}{{^endsTomorrow}}in {{daysLeft}} days{{/endsTomorrow}}{{/endsToday}}{{/expired}}',
+        html: `<p style="${P}">Hi {{name}},</p>
+<p style="${P}">{{#expired}}Your access to <strong>{{itemName}}</strong> ended on {{endDate}}. {{#isTrial}}Get the full version{{/isTrial}}{{^isTrial}}Renew{{/isTrial}} to continue where you left off.{{/expired}}{{^expired}}Your access to <strong>{{itemName}}</strong> ends {{#endsToday}}today{{/endsToday}}{{#endsTomorrow}}tomorrow{{/endsTomorrow}}{{^endsToday}}{{^endsTomorrow}}in {{daysLeft}} days{{/endsTomorrow}}{{/endsToday}} ({{endDate}}). {{#isTrial}}Upgrade{{/isTrial}}{{^isTrial}}Renew{{/isTrial}} now to keep access without interruption.{{/expired}}</p>
+<p style="margin: 24px 0;"><a href="{{renewalUrl}}" style="${BUTTON}">{{#isTrial}}Upgrade now{{/isTrial}}{{^isTrial}}Renew now{{/isTrial}}</a></p>
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: 'Hi {{name}},\n\n{{#expired}}Your access to {{itemName}} ended on {{endDate}}.{{/expired}}{{^expired}}Your access to {{itemName}} ends {{#endsToday}}today{{/endsToday}}{{#endsTomorrow}}tomorrow{{/endsTomorrow}}{{^endsToday}}{{^endsTomorrow}}in {{daysLeft}} days{{/endsTomorrow}}{{/endsToday}} ({{endDate}}).{{/expired}}\n\n{{#isTrial}}Upgrade now{{/isTrial}}{{^isTrial}}Renew now{{/isTrial}}: {{renewalUrl}}\n\nWarm regards,\nKonfydence Team'
+      },
+      de: {
+        subject: '{{#expired}}{{#isTrial}}Ihre Testphase für {{itemName}} ist beendet{{/isTrial}}{{^isTrial}}Ihr Zugang zu {{itemName}} ist abgelaufen{{/isTrial}}{{/expired}}{{^expired}}{{#isTrial}}Ihre Testphase für {{itemName}} endet{{/isTrial}}{{^isTrial}}Ihr Zugang zu {{itemName}} läuft{{/isTrial}} {{#endsToday}}heute{{/endsToday}}{{#endsTomorrow}}morgen{{/endsTomorrow}}{{^endsToday}}{{^endsTomorrow}}in {{daysLeft}} Tagen{{/endsTomorrow}}{{/endsToday}}{{^isTrial}} ab{{/isTrial}}{{/expired}}',
+        html: `<p style="${P}">Hallo {{name}},</p>
+<p style="${P}">{{#expired}}Ihr Zugang zu <strong>{{itemName}}</strong> ist am {{endDate}} abgelaufen. {{#isTrial}}Holen Sie sich die Vollversion{{/isTrial}}{{^isTrial}}Verlängern Sie jetzt{{/isTrial}}, um dort weiterzumachen, wo Sie aufgehört haben.{{/expired}}{{^expired}}Ihr Zugang zu <strong>{{itemName}}</strong> endet {{#endsToday}}heute{{/endsToday}}{{#endsTomorrow}}morgen{{/endsTomorrow}}{{^endsToday}}{{^endsTomorrow}}in {{daysLeft}} Tagen{{/endsTomorrow}}{{/endsToday}} ({{endDate}}). {{#isTrial}}Upgraden{{/isTrial}}{{^isTrial}}Verlängern{{/isTrial}} Sie jetzt, damit Ihr Zugang ohne Unterbrechung bestehen bleibt.{{/expired}}</p>
+<p style="margin: 24px 0;"><a href="{{renewalUrl}}" style="${BUTTON}">{{#isTrial}}Jetzt upgraden{{/isTrial}}{{^isTrial}}Jetzt verlängern{{/isTrial}}</a></p>
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: 'Hallo {{name}},\n\n{{#expired}}Ihr Zugang zu {{itemName}} ist am {{endDate}} abgelaufen.{{/expired}}{{^expired}}Ihr Zugang zu {{itemName}} endet {{#endsToday}}heute{{/endsToday}}{{#endsTomorrow}}morgen{{/endsTomorrow}}{{^endsToday}}{{^endsTomorrow}}in {{daysLeft}} Tagen{{/endsTomorrow}}{{/endsToday}} ({{endDate}}).{{/expired}}\n\n{{#isTrial}}Jetzt upgraden{{/isTrial}}{{^isTrial}}Jetzt verlängern{{/isTrial}}: {{renewalUrl}}\n\nHerzliche Grüße\nIhr Konfydence-Team'
+      }
+    }
+  },
+  subscription_confirmation: {
+    name: 'Newsletter double opt-in confirmation',
+    variables: {
+      listName: 'What was subscribed to (newsletter, waitlist, ...)',
+      confirmUrl: 'Confirmation link'
+    },
+    sample: { listName: 'Konfydence newsletter', confirmUrl: 'https://api.konfydence.com/api/email/confirm/sample-token' },
+    defaults: {
+      en: {
+        subject: 'Please confirm your subscription',
+        html: `<p style="${P}">Hi,</p>
+<p style="${P}">Thanks for signing up for the <strong>{{listName}}</strong>. Please confirm that you want to receive these emails:</p>
+<p style="margin: 24px 0;"><a href="{{confirmUrl}}" style="${BUTTON}">Confirm subscription</a></p>
+<p style="${P}">If you did not sign up, just ignore this email - you will not hear from us again.</p>
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: 'Hi,\n\nThanks for signing up for the {{listName}}. Please confirm that you want to receive these emails:\n\n{{confirmUrl}}\n\nIf you did not sign up, just ignore this email - you will not hear from us again.\n\nWarm regards,\nKonfydence Team'
+      },
+      de: {
+        subject: 'Bitte bestätigen Sie Ihre Anmeldung',
+        html: `<p style="${P}">Hallo,</p>
+<p style="${P}">vielen Dank für Ihre Anmeldung zum <strong>{{listName}}</strong>. Bitte bestätigen Sie, dass Sie diese E-Mails erhalten möchten:</p>
+<p style="margin: 24px 0;"><a href="{{confirmUrl}}" style="${BUTTON}">Anmeldung bestätigen</a></p>
+<p style="${P}">Falls Sie sich nicht angemeldet haben, ignorieren Sie diese E-Mail einfach - Sie hören dann nicht wieder von uns.</p>
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: 'Hallo,\n\nvielen Dank für Ihre Anmeldung zum {{listName}}. Bitte bestätigen Sie, dass Sie diese E-Mails erhalten möchten:\n\n{{confirmUrl}}\n\nFalls Sie sich nicht angemeldet haben, ignorieren Sie diese E-Mail einfach - Sie hören dann nicht wieder von uns.\n\nHerzliche Grüße\nIhr Konfydence-Team'
+      }
+    }
+  },
+  transaction_success: {
+    name: 'Payment successful',
+    variables: {
+      name: 'Buyer name',
+      firstName: 'Buyer first name',
+      itemName: 'Package or product name',
+      amount: 'Amount paid with currency',
+      couponCode: 'Discount code used, if any',
+      discountAmount: 'Discount with currency',
+      uniqueCode: 'Access code (digital purchases)',
+      seatCount: 'Seats purchased',
+      multipleSeats: 'true for more than one seat',
+      isPhysical: 'true for card decks shipped without digital access',
+      includesPhysical: 'true when a card deck ships along with the digital access',
+      endDate: 'End of the access period',
+      organizationName: 'Organization (contracts)',
+      dashboardUrl: 'Link to the user dashboard'
+    },
+    sample: { name: 'Alex Example', firstName: 'Alex', itemName: 'Konfydence Family', amount: '€49.00', couponCode: '', discountAmount: '', uniqueCode: '4573-DTE2-R232', seatCount: 1, multipleSeats: false, isPhysical: false, includesPhysical: false, endDate: '18 October 2027', organizationName: '', dashboardUrl: 'https://konfydence.com/dashboard' },
+    defaults: {
+      en: {
+        subject: '{{#uniqueCode}}Your Konfydence Bundle & Access Code{{/uniqueCode}}{{^uniqueCode}}Payment successful - {{itemName}}{{/uniqueCode}}',
+        html: `<p style="${P}">Hi {{firstName}},</p>
+<p style="${P}">Thank you for choosing the <strong>{{itemName}}</strong> — your payment of {{amount}} has been successfully processed.{{#isPhysical}} Your physical cards will be shipped to you soon.{{/isPhysical}}</p>
+{{#couponCode}}<p style="${P}">Discount code <strong>{{couponCode}}</strong> saved you {{discountAmount}} — you paid {{amount}}.</p>{{/couponCode}}
+{{#uniqueCode}}<div style="${BOX}">
+  <h3 style="${H3}">Your personal access code</h3>
+  <p style="${P}">Use this to unlock the digital experience:</p>
+  <p style="${CODE}">{{uniqueCode}}</p>
+</div>{{/uniqueCode}}
+{{#isPhysical}}<h3 style="${H3}">What happens next</h3>
+<ul style="${LIST}">
+  <li>Your card game kit will be shipped to your registered address</li>
+  <li>You will receive a shipping confirmation by email once your order is dispatched</li>
+  <li>Once the cards arrive, you can start playing offline - no access code needed</li>
+</ul>{{/isPhysical}}
+{{^isPhysical}}<h3 style="${H3}">What's included</h3>
+<ul style="${LIST}">
+  <li>Digital Scenario Lab ({{seatCount}} seat{{#multipleSeats}}s{{/multipleSeats}}){{#organizationName}} for {{organizationName}}{{/organizationName}} — available immediately</li>
+  {{#includesPhysical}}<li>Konfydence Physical Card Deck — delivered separately</li>{{/includesPhysical}}
+</ul>
+{{#endDate}}<p style="${P}">Your digital access is valid until {{endDate}}.</p>{{/endDate}}
+{{#uniqueCode}}<h3 style="${H3}">How to start</h3>
+<ol style="${LIST}">
+  <li>Visit the Konfydence game page</li>
+  <li>Enter your personal code</li>
+  <li>Begin practicing the pause</li>
+</ol>
+<p style="${P}">Please keep your code safe — it is unique to you and can be used once.</p>{{/uniqueCode}}
+{{#organizationName}}<p style="${P}">You can manage the seats of {{organizationName}} in your <a href="{{dashboardUrl}}" style="color: {{colors.secondary}}; font-weight: 600;">dashboard</a>.</p>{{/organizationName}}{{/isPhysical}}
+<p style="${P}">If you need any help, just reply to this email and we'll be happy to assist.</p>
+<p style="${P}">With clarity and calm,<br>Konfydence Team</p>`,
+        text: `Hi {{firstName}},\n\nThank you for choosing the {{itemName}} — your payment of {{amount}} has been successfully processed.{{#isPhysical}} Your physical cards will be shipped to you soon.{{/isPhysical}}\n{{#couponCode}}\nDiscount code {{couponCode}} saved you {{discountAmount}} — you paid {{amount}}.\n{{/couponCode}}{{#uniqueCode}}\nYour personal access code\nUse this to unlock the digital experience:\n{{uniqueCode}}\n{{/uniqueCode}}{{#isPhysical}}\nWhat happens next\n- Your card game kit will be shipped to your registered address\n- You will receive a shipping confirmation by email once your order is dispatched\n- Once the cards arrive, you can start playing offline - no access code needed\n{{/isPhysical}}{{^isPhysical}}\nWhat's included\n- Digital Scenario Lab ({{seatCount}} seat{{#multipleSeats}}s{{/multipleSeats}}){{#organizationName}} for {{organizationName}}{{/organizationName}} — available immediately\n{{#includesPhysical}}- Konfydence Physical Card Deck — delivered separately\n{{/includesPhysical}}{{#endDate}}\nYour digital access is valid until {{endDate}}.\n{{/endDate}}{{#uniqueCode}}\nHow to start\n1. Visit the Konfydence game page\n2. Enter your personal code\n3. Begin practicing the pause\n\nPlease keep your code safe — it is unique to you and can be used once.\n{{/uniqueCode}}{{#organizationName}}\nYou can manage the seats of {{organizationName}} in your dashboard: {{dashboardUrl}}\n{{/organizationName}}{{/isPhysical}}\nIf you need any help, just reply to this email and we'll be happy to assist.\n\nWith clarity and calm,\nKonfydence Team`
+      },
+      de: {
+        subject: '{{#uniqueCode}}Ihr Konfydence-Paket & Zugangscode{{/uniqueCode}}{{^uniqueCode}}Zahlung erfolgreich - {{itemName}}{{/uniqueCode}}',
+        html: `<p style="${P}">Hallo {{firstName}},</p>
+<p style="${P}">vielen Dank, dass Sie sich für <strong>{{itemName}}</strong> entschieden haben — Ihre Zahlung über {{amount}} ist erfolgreich eingegangen.{{#isPhysical}} Ihre Karten werden in Kürze an Sie versendet.{{/isPhysical}}</p>
+{{#couponCode}}<p style="${P}">Mit dem Rabattcode <strong>{{couponCode}}</strong> haben Sie {{discountAmount}} gespart — Sie haben {{amount}} bezahlt.</p>{{/couponCode}}
+{{#uniqueCode}}<div style="${BOX}">
+  <h3 style="${H3}">Ihr persönlicher Zugangscode</h3>
+  <p style="${P}">Damit schalten Sie das digitale Erlebnis frei:</p>
+  <p style="${CODE}">{{uniqueCode}}</p>
+</div>{{/uniqueCode}}
+{{#isPhysical}}<h3 style="${H3}">So geht es weiter</h3>
+<ul style="${LIST}">
+  <li>Ihr Kartenspiel wird an Ihre hinterlegte Adresse versendet</li>
+  <li>Sobald Ihre Bestellung unterwegs ist, erhalten Sie eine Versandbestätigung per E-Mail</li>
+  <li>Sobald die Karten da sind, können Sie offline losspielen - ein Zugangscode ist nicht nötig</li>
+</ul>{{/isPhysical}}
+{{^isPhysical}}<h3 style="${H3}">Das ist enthalten</h3>
+<ul style="${LIST}">
+  <li>Digital Scenario Lab ({{seatCount}} {{#multipleSeats}}Plätze{{/multipleSeats}}{{^multipleSeats}}Platz{{/multipleSeats}}){{#organizationName}} für {{organizationName}}{{/organizationName}} — sofort verfügbar</li>
+  {{#includesPhysical}}<li>Konfydence-Kartendeck — wird separat geliefert</li>{{/includesPhysical}}
+</ul>
+{{#endDate}}<p style="${P}">Ihr digitaler Zugang ist bis zum {{endDate}} gültig.</p>{{/endDate}}
+{{#uniqueCode}}<h3 style="${H3}">So starten Sie</h3>
+<ol style="${LIST}">
+  <li>Öffnen Sie die Konfydence-Spielseite</li>
+  <li>Geben Sie Ihren persönlichen Code ein</li>
+  <li>Üben Sie das Innehalten</li>
+</ol>
+<p style="${P}">Bitte bewahren Sie Ihren Code sicher auf — er gehört nur Ihnen und kann einmal verwendet werden.</p>{{/uniqueCode}}
+{{#organizationName}}<p style="${P}">Die Plätze von {{organizationName}} verwalten Sie in Ihrem <a href="{{dashboardUrl}}" style="color: {{colors.secondary}}; font-weight: 600;">Dashboard</a>.</p>{{/organizationName}}{{/isPhysical}}
+<p style="${P}">Wenn Sie Hilfe brauchen, antworten Sie einfach auf diese E-Mail - wir helfen Ihnen gerne weiter.</p>
+<p style="${P}">Mit Klarheit und Gelassenheit<br>Ihr Konfydence-Team</p>`,
+        text: `Hallo {{firstName}},\n\nvielen Dank, dass Sie sich für {{itemName}} entschieden haben — Ihre Zahlung über {{amount}} ist erfolgreich eingegangen.{{#isPhysical}} Ihre Karten werden in Kürze an Sie versendet.{{/isPhysical}}\n{{#couponCode}}\nMit dem Rabattcode {{couponCode}} haben Sie {{discountAmount}} gespart — Sie haben {{amount}} bezahlt.\n{{/couponCode}}{{#uniqueCode}}\nIhr persönlicher Zugangscode\nDamit schalten Sie das digitale Erlebnis frei:\n{{uniqueCode}}\n{{/uniqueCode}}{{#isPhysical}}\nSo geht es weiter\n- Ihr Kartenspiel wird an Ihre hinterlegte Adresse versendet\n- Sobald Ihre Bestellung unterwegs ist, erhalten Sie eine Versandbestätigung per E-Mail\n- Sobald die Karten da sind, können Sie offline losspielen - ein Zugangscode ist nicht nötig\n{{/isPhysical}}{{^isPhysical}}\nDas ist enthalten\n- Digital Scenario Lab ({{seatCount}} {{#multipleSeats}}Plätze{{/multipleSeats}}{{^multipleSeats}}Platz{{/multipleSeats}}){{#organizationName}} für {{organizationName}}{{/organizationName}} — sofort verfügbar\n{{#includesPhysical}}- Konfydence-Kartendeck — wird separat geliefert\n{{/includesPhysical}}{{#endDate}}\nIhr digitaler Zugang ist bis zum {{endDate}} gültig.\n{{/endDate}}{{#uniqueCode}}\nSo starten Sie\n1. Öffnen Sie die Konfydence-Spielseite\n2. Geben Sie Ihren persönlichen Code ein\n3. Üben Sie das Innehalten\n\nBitte bewahren Sie Ihren Code sicher auf — er gehört nur Ihnen und kann einmal verwendet werden.\n{{/uniqueCode}}{{#organizationName}}\nDie Plätze von {{organizationName}} verwalten Sie in Ihrem Dashboard: {{dashboardUrl}}\n{{/organizationName}}{{/isPhysical}}\nWenn Sie Hilfe brauchen, antworten Sie einfach auf diese E-Mail - wir helfen Ihnen gerne weiter.\n\nMit Klarheit und Gelassenheit\nIhr Konfydence-Team`
+      }
+    }
+  },
+  custom_package_request_status: {
+    name: 'Custom package request update',
+    variables: {
+      contactName: 'Contact person',
+      organizationName: 'Organization',
+      status: 'Status key',
+      statusLabel: 'Readable status (English)',
+      isPending: 'true while pending',
+      isReviewing: 'true while under review',
+      isApproved: 'true when approved',
+      isRejected: 'true when rejected',
+      isCompleted: 'true once the package is created',
+      seatLimit: 'Requested seats',
+      adminNotes: 'Notes from the admin'
+    },
+    sample: { contactName: 'Alex Example', organizationName: 'Example GmbH', status: 'reviewing', statusLabel: 'Under Review', isPending: false, isReviewing: true, isApproved: false, isRejected: false, isCompleted: false, seatLimit: 50, adminNotes: '' },
+    defaults: {
+      en: {
+        subject: `Custom package request update - ${requestStatusLabels.en}`,
+        html: `<h2 style="${H2}">Custom package request update</h2>
+<p style="${P}">Dear {{contactName}},</p>
+<p style="${P}">We wanted to let you know about an update to your custom package request for <strong>{{organizationName}}</strong>.</p>
+<div style="${BOX}">
+  <h3 style="${H3}">Status: ${requestStatusLabels.en}</h3>
+  <p style="${DETAILS}">Organization: {{organizationName}}{{#seatLimit}}<br>Requested seats: {{seatLimit}}{{/seatLimit}}</p>
+</div>
+{{#adminNotes}}<h3 style="${H3}">Additional information</h3>
+<p style="${P}">{{adminNotes}}</p>{{/adminNotes}}
+<p style="${P}">{{#isPending}}We'll keep you updated on the progress of your request.{{/isPending}}{{#isReviewing}}Your request is currently under review. We'll keep you updated as we process it.{{/isReviewing}}{{#isApproved}}Your request has been approved! Our team will contact you shortly to discuss the next steps and finalize your custom package.{{/isApproved}}{{#isRejected}}We're sorry, but your request could not be approved at this time.{{/isRejected}}{{#isCompleted}}Your custom package has been created successfully! You can now access it through your organization dashboard.{{/isCompleted}}</p>
+<p style="${P}">If you have any questions, please don't hesitate to contact us.</p>
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: `Dear {{contactName}},\n\nWe wanted to let you know about an update to your custom package request for {{organizationName}}.\n\nStatus: ${requestStatusLabels.en}\nOrganization: {{organizationName}}\n{{#seatLimit}}Requested seats: {{seatLimit}}\n{{/seatLimit}}{{#adminNotes}}\nAdditional information:\n{{adminNotes}}\n{{/adminNotes}}\n{{#isPending}}We'll keep you updated on the progress of your request.{{/isPending}}{{#isReviewing}}Your request is currently under review. We'll keep you updated as we process it.{{/isReviewing}}{{#isApproved}}Your request has been approved! Our team will contact you shortly to discuss the next steps and finalize your custom package.{{/isApproved}}{{#isRejected}}We're sorry, but your request could not be approved at this time.{{/isRejected}}{{#isCompleted}}Your custom package has been created successfully! You can now access it through your organization dashboard.{{/isCompleted}}\n\nIf you have any questions, please don't hesitate to contact us.\n\nWarm regards,\nKonfydence Team`
+      },
+      de: {
+        subject: `Neuigkeiten zu Ihrer Paketanfrage - ${requestStatusLabels.de}`,
+        html: `<h2 style="${H2}">Neuigkeiten zu Ihrer Paketanfrage</h2>
+<p style="${P}">Hallo {{contactName}},</p>
+<p style="${P}">es gibt Neuigkeiten zu Ihrer Anfrage für ein individuelles Paket für <strong>{{organizationName}}</strong>.</p>
+<div style="${BOX}">
+  <h3 style="${H3}">Status: ${requestStatusLabels.de}</h3>
+  <p style="${DETAILS}">Organisation: {{organizationName}}{{#seatLimit}}<br>Angefragte Plätze: {{seatLimit}}{{/seatLimit}}</p>
+</div>
+{{#adminNotes}}<h3 style="${H3}">Weitere Informationen</h3>
+<p style="${P}">{{adminNotes}}</p>{{/adminNotes}}
+<p style="${P}">{{#isPending}}Wir halten Sie über den Fortschritt Ihrer Anfrage auf dem Laufenden.{{/isPending}}{{#isReviewing}}Ihre Anfrage wird gerade geprüft. Wir halten Sie auf dem Laufenden.{{/isReviewing}}{{#isApproved}}Ihre Anfrage wurde genehmigt! Unser Team meldet sich in Kürze, um die nächsten Schritte zu besprechen und Ihr Paket fertigzustellen.{{/isApproved}}{{#isRejected}}Leider können wir Ihre Anfrage derzeit nicht genehmigen.{{/isRejected}}{{#isCompleted}}Ihr individuelles Paket wurde erstellt! Sie finden es ab sofort im Dashboard Ihrer Organisation.{{/isCompleted}}</p>
+<p style="${P}">Bei Fragen können Sie sich jederzeit gerne an uns wenden.</p>
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: `Hallo {{contactName}},\n\nes gibt Neuigkeiten zu Ihrer Anfrage für ein individuelles Paket für {{organizationName}}.\n\nStatus: ${requestStatusLabels.de}\nOrganisation: {{organizationName}}\n{{#seatLimit}}Angefragte Plätze: {{seatLimit}}\n{{/seatLimit}}{{#adminNotes}}\nWeitere Informationen:\n{{adminNotes}}\n{{/adminNotes}}\n{{#isPending}}Wir halten Sie über den Fortschritt Ihrer Anfrage auf dem Laufenden.{{/isPending}}{{#isReviewing}}Ihre Anfrage wird gerade geprüft. Wir halten Sie auf dem Laufenden.{{/isReviewing}}{{#isApproved}}Ihre Anfrage wurde genehmigt! Unser Team meldet sich in Kürze, um die nächsten Schritte zu besprechen und Ihr Paket fertigzustellen.{{/isApproved}}{{#isRejected}}Leider können wir Ihre Anfrage derzeit nicht genehmigen.{{/isRejected}}{{#isCompleted}}Ihr individuelles Paket wurde erstellt! Sie finden es ab sofort im Dashboard Ihrer Organisation.{{/isCompleted}}\n\nBei Fragen können Sie sich jederzeit gerne an uns wenden.\n\nHerzliche Grüße\nIhr Konfydence-Team`
+      }
+    }
+  },
+  custom_package_created: {
+    name: 'Custom package ready',
+    variables: {
+      contactName: 'Contact person',
+      organizationName: 'Organization',
+      packageName: 'Custom package name',
+      seatLimit: 'Seats',
+      startDate: 'Contract start',
+      endDate: 'Contract end',
+      amount: 'Contract price with currency'
+    },
+    sample: { contactName: 'Alex Example', organizationName: 'Example GmbH', packageName: 'Example GmbH Awareness Program', seatLimit: 50, startDate: '19 October 2026', endDate: '18 October 2027', amount: '€4,000.00' },
+    defaults: {
+      en: {
+        subject: 'Your custom package has been created - {{organizationName}}',
+        html: `<h2 style="${H2}">Your custom package is ready</h2>
+<p style="${P}">Dear {{contactName}},</p>
+<p style="${P}">Great news! Your custom package for <strong>{{organizationName}}</strong> has been created and is now active.</p>
+<div style="${BOX}">
+  <h3 style="${H3}">Package details</h3>
+  <p style="${DETAILS}">Package: {{packageName}}<br>Organization: {{organizationName}}{{#seatLimit}}<br>Seats: {{seatLimit}}{{/seatLimit}}{{#startDate}}<br>Contract start: {{startDate}}{{/startDate}}{{#endDate}}<br>Contract end: {{endDate}}{{/endDate}}<br>Amount: {{amount}}</p>
+</div>
+<p style="${P}">Your package is ready to use - you can view and manage it in your organization dashboard. Our team will be in touch shortly to help you get started.</p>
+<p style="${P}">If you have any questions, please don't hesitate to contact us.</p>
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: 'Dear {{contactName}},\n\nGreat news! Your custom package for {{organizationName}} has been created and is now active.\n\nPackage details\nPackage: {{packageName}}\nOrganization: {{organizationName}}\n{{#seatLimit}}Seats: {{seatLimit}}\n{{/seatLimit}}{{#startDate}}Contract start: {{startDate}}\n{{/startDate}}{{#endDate}}Contract end: {{endDate}}\n{{/endDate}}Amount: {{amount}}\n\nYour package is ready to use - you can view and manage it in your organization dashboard. Our team will be in touch shortly to help you get started.\n\nIf you have any questions, please don\'t hesitate to contact us.\n\nWarm regards,\nKonfydence Team'
+      },
+      de: {
+        subject: 'Ihr individuelles Paket wurde erstellt - {{organizationName}}',
+        html: `<h2 style="${H2}">Ihr individuelles Paket ist bereit</h2>
+<p style="${P}">Hallo {{contactName}},</p>
+<p style="${P}">gute Nachrichten: Ihr individuelles Paket für <strong>{{organizationName}}</strong> wurde erstellt und ist ab sofort aktiv.</p>
+<div style="${BOX}">
+  <h3 style="${H3}">Paketdetails</h3>
+  <p style="${DETAILS}">Paket: {{packageName}}<br>Organisation: {{organizationName}}{{#seatLimit}}<br>Plätze: {{seatLimit}}{{/seatLimit}}{{#startDate}}<br>Vertragsbeginn: {{startDate}}{{/startDate}}{{#endDate}}<br>Vertragsende: {{endDate}}{{/endDate}}<br>Betrag: {{amount}}</p>
+</div>
+<p style="${P}">Ihr Paket ist einsatzbereit - Sie finden und verwalten es im Dashboard Ihrer Organisation. Unser Team meldet sich in Kürze, um Ihnen den Einstieg zu erleichtern.</p>
+<p style="${P}">Bei Fragen können Sie sich jederzeit gerne an uns wenden.</p>
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: 'Hallo {{contactName}},\n\ngute Nachrichten: Ihr individuelles Paket für {{organizationName}} wurde erstellt und ist ab sofort aktiv.\n\nPaketdetails\nPaket: {{packageName}}\nOrganisation: {{organizationName}}\n{{#seatLimit}}Plätze: {{seatLimit}}\n{{/seatLimit}}{{#startDate}}Vertragsbeginn: {{startDate}}\n{{/startDate}}{{#endDate}}Vertragsende: {{endDate}}\n{{/endDate}}Betrag: {{amount}}\n\nIhr Paket ist einsatzbereit - Sie finden und verwalten es im Dashboard Ihrer Organisation. Unser Team meldet sich in Kürze, um Ihnen den Einstieg zu erleichtern.\n\nBei Fragen können Sie sich jederzeit gerne an uns wenden.\n\nHerzliche Grüße\nIhr Konfydence-Team'
+      }
+    }
+  },
+  membership_termination: {
+    name: 'Membership terminated',
+    variables: { name: 'Member name', organizationName: 'Organization or institute', isSchool: 'true for institutes', terminationDate: 'Date of the termination' },
+    sample: { name: 'Alex Example', organizationName: 'Example GmbH', isSchool: false, terminationDate: '19 October 2026' },
+    defaults: {
+      en: {
+        subject: 'Membership terminated - {{organizationName}}',
+        html: `<h2 style="${H2}">Membership terminated</h2>
+<p style="${P}">Dear {{name}},</p>
+<p style="${P}">We are writing to inform you that your membership with <strong>{{organizationName}}</strong> has been terminated{{#terminationDate}} as of {{terminationDate}}{{/terminationDate}}.</p>
+<div style="${BOX}">
+  <p style="${DETAILS}">⚠️ Your access to the {{#isSchool}}school{{/isSchool}}{{^isSchool}}organization{{/isSchool}} platform has been revoked.</p>
+</div>
+<p style="${P}">If you have any questions or believe this is an error, please contact the {{#isSchool}}school{{/isSchool}}{{^isSchool}}organization{{/isSchool}} administrator.</p>
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: 'Dear {{name}},\n\nWe are writing to inform you that your membership with {{organizationName}} has been terminated{{#terminationDate}} as of {{terminationDate}}{{/terminationDate}}.\n\nYour access to the {{#isSchool}}school{{/isSchool}}{{^isSchool}}organization{{/isSchool}} platform has been revoked.\n\nIf you have any questions or believe this is an error, please contact the {{#isSchool}}school{{/isSchool}}{{^isSchool}}organization{{/isSchool}} administrator.\n\nWarm regards,\nKonfydence Team'
+      },
+      de: {
+        subject: 'Mitgliedschaft beendet - {{organizationName}}',
+        html: `<h2 style="${H2}">Mitgliedschaft beendet</h2>
+<p style="${P}">Hallo {{name}},</p>
+<p style="${P}">hiermit informieren wir Sie, dass Ihre Mitgliedschaft bei <strong>{{organizationName}}</strong>{{#terminationDate}} zum {{terminationDate}}{{/terminationDate}} beendet wurde.</p>
+<div style="${BOX}">
+  <p style="${DETAILS}">⚠️ Ihr Zugang zur Plattform {{#isSchool}}der Schule{{/isSchool}}{{^isSchool}}der Organisation{{/isSchool}} wurde entfernt.</p>
+</div>
+<p style="${P}">Wenn Sie Fragen haben oder dies für einen Fehler halten, wenden Sie sich bitte an die Administration {{#isSchool}}der Schule{{/isSchool}}{{^isSchool}}der Organisation{{/isSchool}}.</p>
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: 'Hallo {{name}},\n\nhiermit informieren wir Sie, dass Ihre Mitgliedschaft bei {{organizationName}}{{#terminationDate}} zum {{terminationDate}}{{/terminationDate}} beendet wurde.\n\nIhr Zugang zur Plattform {{#isSchool}}der Schule{{/isSchool}}{{^isSchool}}der Organisation{{/isSchool}} wurde entfernt.\n\nWenn Sie Fragen haben oder dies für einen Fehler halten, wenden Sie sich bitte an die Administration {{#isSchool}}der Schule{{/isSchool}}{{^isSchool}}der Organisation{{/isSchool}}.\n\nHerzliche Grüße\nIhr Konfydence-Team'
+      }
+    }
+  },
+  organization_created: {
+    name: 'Organization account created',
+    variables: {
+      name: 'Owner name',
+      email: 'Login email',
+      password: 'Initial password',
+      organizationName: 'Organization',
+      organizationCode: 'Organization registration code',
+      loginUrl: 'Login link'
+    },
+    sample: { name: 'Alex Example', email: 'alex@example.com', password: 'Temp#Pass123', organizationName: 'Example GmbH', organizationCode: 'ORG-1234', loginUrl: 'https://konfydence.com/login' },
+    defaults: {
+      en: {
+        subject: 'Your organization has been created - {{organizationName}}',
+        html: `<h2 style="${H2}">Your organization has been created</h2>
+<p style="${P}">Dear {{name}},</p>
+<p style="${P}">Your organization <strong>{{organizationName}}</strong> has been created on the Konfydence platform.{{#organizationCode}} Its registration code is <strong>{{organizationCode}}</strong>.{{/organizationCode}}</p>
+<div style="${BOX}">
+  <h3 style="${H3}">Your login credentials</h3>
+  <p style="${DETAILS}">Email: {{email}}<br>Password: {{password}}</p>
+  <p style="margin: 15px 0 0 0; color: {{colors.text}}; font-size: 14px;">⚠️ Please keep these credentials secure and change your password after your first login.</p>
+</div>
+<p style="margin: 24px 0;"><a href="{{loginUrl}}" style="${BUTTON}">Log in to your account</a></p>
+<p style="${P}">Or visit: {{loginUrl}}</p>
+<p style="${P}">If you have any questions or need assistance, please don't hesitate to contact our support team.</p>
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: 'Dear {{name}},\n\nYour organization {{organizationName}} has been created on the Konfydence platform.{{#organizationCode}} Its registration code is {{organizationCode}}.{{/organizationCode}}\n\nYour login credentials\nEmail: {{email}}\nPassword: {{password}}\n\nPlease keep these credentials secure and change your password after your first login.\n\nLog in: {{loginUrl}}\n\nIf you have any questions or need assistance, please don\'t hesitate to contact our support team.\n\nWarm regards,\nKonfydence Team'
+      },
+      de: {
+        subject: 'Ihre Organisation wurde angelegt - {{organizationName}}',
+        html: `<h2 style="${H2}">Ihre Organisation wurde angelegt</h2>
+<p style="${P}">Hallo {{name}},</p>
+<p style="${P}">Ihre Organisation <strong>{{organizationName}}</strong> wurde auf der Konfydence-Plattform angelegt.{{#organizationCode}} Ihr Registrierungscode lautet <strong>{{organizationCode}}</strong>.{{/organizationCode}}</p>
+<div style="${BOX}">
+  <h3 style="${H3}">Ihre Zugangsdaten</h3>
+  <p style="${DETAILS}">E-Mail: {{email}}<br>Passwort: {{password}}</p>
+  <p style="margin: 15px 0 0 0; color: {{colors.text}}; font-size: 14px;">⚠️ Bitte bewahren Sie Ihre Zugangsdaten sicher auf und ändern Sie Ihr Passwort nach der ersten Anmeldung.</p>
+</div>
+<p style="margin: 24px 0;"><a href="{{loginUrl}}" style="${BUTTON}">Jetzt anmelden</a></p>
+<p style="${P}">Oder besuchen Sie: {{loginUrl}}</p>
+<p style="${P}">Bei Fragen hilft Ihnen unser Support-Team gerne weiter.</p>
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: 'Hallo {{name}},\n\nIhre Organisation {{organizationName}} wurde auf der Konfydence-Plattform angelegt.{{#organizationCode}} Ihr Registrierungscode lautet {{organizationCode}}.{{/organizationCode}}\n\nIhre Zugangsdaten\nE-Mail: {{email}}\nPasswort: {{password}}\n\nBitte bewahren Sie Ihre Zugangsdaten sicher auf und ändern Sie Ihr Passwort nach der ersten Anmeldung.\n\nAnmelden: {{loginUrl}}\n\nBei Fragen hilft Ihnen unser Support-Team gerne weiter.\n\nHerzliche Grüße\nIhr Konfydence-Team'
+      }
+    }
+  },
+  email_verification: {
+    name: 'Verify email address',
+    variables: {
+      name: 'User name',
+      verificationUrl: 'Verification link',
+      organizationCode: 'Organization registration code (organization owners)',
+      schoolCode: 'Institute registration code (institute owners)'
+    },
+    sample: { name: 'Alex', verificationUrl: 'https://konfydence.com/verify-email?token=sample', organizationCode: '', schoolCode: '' },
+    defaults: {
+      en: {
+        subject: 'Verify your email address - Konfydence',
+        html: `<h2 style="${H2}">Verify your email address</h2>
+<p style="${P}">Hi {{name}},</p>
+<p style="${P}">Thank you for registering with Konfydence! Please verify your email address - you need to do this before you can log in.</p>
+<p style="margin: 24px 0;"><a href="{{verificationUrl}}" style="${BUTTON}">Verify email address</a></p>
+<p style="${P}">Or copy and paste this link into your browser: {{verificationUrl}}</p>
+{{#organizationCode}}<div style="${BOX}">
+  <h3 style="${H3}">Your organization registration code</h3>
+  <p style="${CODE}">{{organizationCode}}</p>
+  <p style="margin: 15px 0 0 0; color: {{colors.text}}; font-size: 14px;">Share this code with your organization members so they can register. They will need your approval before they can access the platform.</p>
+</div>{{/organizationCode}}
+{{#schoolCode}}<div style="${BOX}">
+  <h3 style="${H3}">Your school registration code</h3>
+  <p style="${CODE}">{{schoolCode}}</p>
+  <p style="margin: 15px 0 0 0; color: {{colors.text}}; font-size: 14px;">Share this code with your school members so they can register. They will need your approval before they can access the platform.</p>
+</div>{{/schoolCode}}
+<p style="${P}">This link expires in 24 hours. If you didn't create an account, please ignore this email.</p>
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: "Hi {{name}},\n\nThank you for registering with Konfydence! Please verify your email address - you need to do this before you can log in:\n\n{{verificationUrl}}\n{{#organizationCode}}\nYour organization registration code: {{organizationCode}}\nShare this code with your organization members so they can register. They will need your approval before they can access the platform.\n{{/organizationCode}}{{#schoolCode}}\nYour school registration code: {{schoolCode}}\nShare this code with your school members so they can register. They will need your approval before they can access the platform.\n{{/schoolCode}}\nThis link expires in 24 hours. If you didn't create an account, please ignore this email.\n\nWarm regards,\nKonfydence Team"
+      },
+      de: {
+        subject: 'Bestätigen Sie Ihre E-Mail-Adresse - Konfydence',
+        html: `<h2 style="${H2}">Bestätigen Sie Ihre E-Mail-Adresse</h2>
+<p style="${P}">Hallo {{name}},</p>
+<p style="${P}">vielen Dank für Ihre Registrierung bei Konfydence! Bitte bestätigen Sie Ihre E-Mail-Adresse - erst danach können Sie sich anmelden.</p>
+<p style="margin: 24px 0;"><a href="{{verificationUrl}}" style="${BUTTON}">E-Mail-Adresse bestätigen</a></p>
+<p style="${P}">Oder kopieren Sie diesen Link in Ihren Browser: {{verificationUrl}}</p>
+{{#organizationCode}}<div style="${BOX}">
+  <h3 style="${H3}">Registrierungscode Ihrer Organisation</h3>
+  <p style="${CODE}">{{organizationCode}}</p>
+  <p style="margin: 15px 0 0 0; color: {{colors.text}}; font-size: 14px;">Geben Sie diesen Code an die Mitglieder Ihrer Organisation weiter, damit sie sich registrieren können. Vor dem Zugang zur Plattform benötigen sie Ihre Freigabe.</p>
+</div>{{/organizationCode}}
+{{#schoolCode}}<div style="${BOX}">
+  <h3 style="${H3}">Registrierungscode Ihrer Schule</h3>
+  <p style="${CODE}">{{schoolCode}}</p>
+  <p style="margin: 15px 0 0 0; color: {{colors.text}}; font-size: 14px;">Geben Sie diesen Code an die Mitglieder Ihrer Schule weiter, damit sie sich registrieren können. Vor dem Zugang zur Plattform benötigen sie Ihre Freigabe.</p>
+</div>{{/schoolCode}}
+<p style="${P}">Der Link ist 24 Stunden gültig. Falls Sie kein Konto angelegt haben, ignorieren Sie diese E-Mail bitte.</p>
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: 'Hallo {{name}},\n\nvielen Dank für Ihre Registrierung bei Konfydence! Bitte bestätigen Sie Ihre E-Mail-Adresse - erst danach können Sie sich anmelden:\n\n{{verificationUrl}}\n{{#organizationCode}}\nRegistrierungscode Ihrer Organisation: {{organizationCode}}\nGeben Sie diesen Code an die Mitglieder Ihrer Organisation weiter, damit sie sich registrieren können. Vor dem Zugang zur Plattform benötigen sie Ihre Freigabe.\n{{/organizationCode}}{{#schoolCode}}\nRegistrierungscode Ihrer Schule: {{schoolCode}}\nGeben Sie diesen Code an die Mitglieder Ihrer Schule weiter, damit sie sich registrieren können. Vor dem Zugang zur Plattform benötigen sie Ihre Freigabe.\n{{/schoolCode}}\nDer Link ist 24 Stunden gültig. Falls Sie kein Konto angelegt haben, ignorieren Sie diese E-Mail bitte.\n\nHerzliche Grüße\nIhr Konfydence-Team'
+      }
+    }
+  },
+  password_reset: {
+    name: 'Password reset',
+    variables: { resetUrl: 'Password reset link' },
+    sample: { resetUrl: 'https://konfydence.com/reset-password?token=sample' },
+    defaults: {
+      en: {
+        subject: 'Reset your password - Konfydence',
+        html: `<h2 style="${H2}">Reset your password</h2>
+<p style="${P}">You requested to reset your password. Click the button below to choose a new one:</p>
+<p style="margin: 24px 0;"><a href="{{resetUrl}}" style="${BUTTON}">Reset password</a></p>
+<p style="${P}">Or copy this link into your browser: {{resetUrl}}</p>
+<p style="${P}">⚠️ This link expires in 1 hour. If you didn't request this, please ignore this email.</p>
+<p style="${P}">Warm regards,<br>Konfydence Team</p>`,
+        text: "You requested to reset your password. Open the link below to choose a new one:\n\n{{resetUrl}}\n\nThis link expires in 1 hour. If you didn't request this, please ignore this email.\n\nWarm regards,\nKonfydence Team"
+      },
+      de: {
+        subject: 'Passwort zurücksetzen - Konfydence',
+        html: `<h2 style="${H2}">Passwort zurücksetzen</h2>
+<p style="${P}">Sie haben angefordert, Ihr Passwort zurückzusetzen. Klicken Sie auf die Schaltfläche, um ein neues Passwort festzulegen:</p>
+<p style="margin: 24px 0;"><a href="{{resetUrl}}" style="${BUTTON}">Passwort zurücksetzen</a></p>
+<p style="${P}">Oder kopieren Sie diesen Link in Ihren Browser: {{resetUrl}}</p>
+<p style="${P}">⚠️ Der Link ist 1 Stunde gültig. Falls Sie das nicht angefordert haben, ignorieren Sie diese E-Mail bitte.</p>
+<p style="${P}">Herzliche Grüße<br>Ihr Konfydence-Team</p>`,
+        text: 'Sie haben angefordert, Ihr Passwort zurückzusetzen. Öffnen Sie den folgenden Link, um ein neues Passwort festzulegen:\n\n{{resetUrl}}\n\nDer Link ist 1 Stunde gültig. Falls Sie das nicht angefordert haben, ignorieren Sie diese E-Mail bitte.\n\nHerzliche Grüße\nIhr Konfydence-Team'
+      }
+    }
+  }
+};
+
+// Values every template can use
+const getCommonVariables = () => {
+  const { colors } = require('./emailService');
+  return {
+    colors,
+    year: new Date().getFullYear(),
+    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000'
+  };
+};
+
+// Language preference of the user or lead with this email address
+const getLocaleForEmail = async (email) => {
+  if (!email) return DEFAULT_LOCALE;
+  const address = String(email).trim().toLowerCase();
+  const user = await User.findOne({ email: address }).select('language').lean();
+  if (user?.language) return normalizeLocale(user.language) || DEFAULT_LOCALE;
+  const lead = await Lead.findOne({ email: address }).select('language').lean();
+  return normalizeLocale(lead?.language) || DEFAULT_LOCALE;
+};
+
+const getBuiltInTemplate = (key, locale) => {
+  const builtIn = TEMPLATES[key]?.defaults?.[locale];
+  return builtIn ? { ...builtIn, key, locale, version: 0, layout: true, source: 'built-in' } : null;
+};
+
+// Template used for a key/locale: the published version, else the built-in default,
+// else the same for the default locale. null when the email has no template at all.
+const resolveTemplate = async (key, locale) => {
+  for (const candidate of [...new Set([locale, DEFAULT_LOCALE])]) {
+    const stored = await EmailTemplate.getActive(key, candidate);
+    if (stored) return { ...stored, source: 'custom' };
+    const builtIn = getBuiltInTemplate(key, candidate);
+    if (builtIn) return builtIn;
+  }
+  return null;
+};
+
+const stripHtml = (html) => html
+  .replace(/<(br|\/p|\/h\d|\/li|\/div)\s*\/?>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Render subject, html and text of a template with the given variables
+const renderTemplate = (template, variables = {}) => {
+  const { createEmailLayout } = require('./emailService');
+  const data = { ...getCommonVariables(), ...variables };
+  const body = render(template.html, data, { html: true });
+  const html = template.layout === false
+    ? body
+    : createEmailLayout(body, { title: render(template.subject, data, { html: true }), locale: template.locale });
+
+  return {
+    subject: render(template.subject, data).replace(/\s+/g, ' ').trim(),
+    html,
+    text: template.text ? render(template.text, data) : stripHtml(body)
+  };
+};
+
+// Email content for a template key in the recipient's language ({ locale } or looked up by { email }).
+// Returns null for keys without a template.
+const renderEmail = async (key, { locale, email, variables } = {}) => {
+  const resolvedLocale = normalizeLocale(locale) || await getLocaleForEmail(email);
+  const template = await resolveTemplate(key, resolvedLocale);
+  if (!template) return null;
+
+  return {
+    ...renderTemplate(template, variables),
+    locale: template.locale,
+    template: { key, locale: template.locale, version: template.version }
+  };
+};
+
+// Syntax errors of a template draft keyed by field, or null
+const validateTemplate = ({ subject, html, text }) => {
+  const errors = {};
+  [['subject', subject], ['html', html], ['text', text]].forEach(([field, value]) => {
+    const error = validate(value);
+    if (error) errors[field] = error;
+  });
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  TEMPLATES,
+  normalizeLocale,
+  formatDate,
+  formatAmount,
+  getLocaleForEmail,
+  getBuiltInTemplate,
+  resolveTemplate,
+  renderTemplate,
+  renderEmail,
+  validateTemplate
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const EmailOutbox = require('../models/EmailOutbox');
+const EmailSuppression = require('../models/EmailSuppression');
+const Lead = require('../models/Lead');
+const Subscriber = require('../models/Subscriber');
+
+// Open pixel, tracked links and one-click unsubscribe for outgoing email (routes in routes/emailTracking.js).
+// Links are signed so the tracking endpoints cannot be used as an open redirect or to unsubscribe someone else.
+
+// Emails people can opt out of. Everything else is service email and is only stopped by 'all' suppressions.
+const MARKETING_CATEGORIES = ['renewal_reminder', 'newsletter'];
+
+// Keep the last N tracking events per lead timeline / subscriber, like the lead timeline itself
+const MAX_EVENTS = 100;
+
+const getSecret = () => process.env.EMAIL_TRACKING_SECRET || process.env.JWT_SECRET || 'fallback-secret';
+
+// Public URL of this API - tracking links point here, not at the frontend
+const getApiBaseUrl = () => (process.env.API_URL || process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`)
+  .toString().trim().replace(/\/$/, '');
+
+const sign = (value) => crypto.createHmac('sha256', getSecret()).update(value).digest('base64url').slice(0, 32);
+
+const verifySignature = (value, signature) => {
+  const expected = Buffer.from(sign(value));
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const isMarketingCategory = (category) => MARKETING_CATEGORIES.includes(category);
+
+// Plain addresses out of a to/cc field ("Name <a@b.c>, d@e.f")
+const extractAddresses = (value) => (String(value || '').match(/[^\s<>",;]+@[^\s<>",;]+/g) || [])
+  .map(address => address.toLowerCase());
+
+const getOpenPixelUrl = (outboxId) => `${getApiBaseUrl()}/api/email/o/${outboxId}/${sign(`open:${outboxId}`)}.gif`;
+
+const getClickUrl = (outboxId, url) =>
+  `${getApiBaseUrl()}/api/email/c/${outboxId}?u=${encodeURIComponent(url)}&s=${sign(`click:${outboxId}:${url}`)}`;
+
+// Token = base64url("email|category|outboxId") + signature
+const createUnsubscribeToken = (email, category, outboxId) => {
+  const payload = Buffer.from([String(email).toLowerCase(), category || '', outboxId || ''].join('|')).toString('base64url');
+  return `${payload}.${sign(`unsubscribe:${payload}`)}`;
+};
+
+// { email, category, outboxId } for a valid token, otherwise null
+const parseUnsubscribeToken = (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !verifySignature(`unsubscribe:${payload}`, signature)) return null;
+
+  const [email, category, outboxId] = Buffer.from(payload, 'base64url').toString('utf8').split('|');
+  if (!email) return null;
+  return { email, category: category || null, outboxId: outboxId || null };
+};
+
+const getUnsubscribeUrl = (email, category, outboxId) =>
+  `${getApiBaseUrl()}/api/email/unsubscribe/${createUnsubscribeToken(email, category, outboxId)}`;
+
+// Double opt-in links: base64url("kind|id|issuedAt") + signature, valid for CONFIRMATION_TTL_DAYS (default 7)
+const getConfirmationTtlMs = () => (parseInt(process.env.CONFIRMATION_TTL_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+
+const createConfirmationToken = (kind, id) => {
+  const payload = Buffer.from([kind, String(id), Date.now()].join('|')).toString('base64url');
+  return `${payload}.${sign(`confirm:${payload}`)}`;
+};
+
+// { kind, id, issuedAt, expired } for a token we signed, otherwise null
+const parseConfirmationToken = (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !verifySignature(`confirm:${payload}`, signature)) return null;
+
+  const [kind, id, issuedAt] = Buffer.from(payload, 'base64url').toString('utf8').split('|');
+  if (!kind || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { kind, id, issuedAt: Number(issuedAt), expired: Date.now() - Number(issuedAt) > getConfirmationTtlMs() };
+};
+
+const getConfirmationUrl = (kind, id) => `${getApiBaseUrl()}/api/email/confirm/${createConfirmationToken(kind, id)}`;
+
+// RFC 2369 / RFC 8058 headers - mail clients show their own unsubscribe button and POST to the URL
+const buildUnsubscribeHeaders = (email, category, outboxId) => ({
+  'List-Unsubscribe': `<${getUnsubscribeUrl(email, category, outboxId)}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+});
+
+// Route http(s) links through the click endpoint and add the open pixel
+const addTracking = (html, outboxId) => {
+  if (!html) return html;
+
+  const tracked = html.replace(/(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi, (match, prefix, quote, href) => {
+    const url = href.replace(/&amp;/g, '&');
+    return `${prefix}${quote}${getClickUrl(outboxId, url).replace(/&/g, '&amp;')}${quote}`;
+  });
+
+  const pixel = `<img src="${getOpenPixelUrl(outboxId)}" width="1" height="1" alt="" style="display:block;border:0;width:1px;height:1px;" />`;
+  return /<\/body>/i.test(tracked) ? tracked.replace(/<\/body>/i, `${pixel}</body>`) : `${tracked}${pixel}`;
+};
+
+const UNSUBSCRIBE_FOOTER = {
+  en: { text: 'You receive this email because of your Konfydence account or subscription.', link: 'Unsubscribe' },
+  de: { text: 'Sie erhalten diese E-Mail aufgrund Ihres Konfydence-Kontos oder Abonnements.', link: 'Abmelden' }
+};
+
+// Visible unsubscribe link for marketing emails (added after tracking, so it is never rewritten)
+const addUnsubscribeFooter = (html, unsubscribeUrl, locale) => {
+  if (!html) return html;
+  const copy = UNSUBSCRIBE_FOOTER[locale] || UNSUBSCRIBE_FOOTER.en;
+  const footer = `<p style="font-size:12px;color:#888888;text-align:center;margin:16px 0;">${copy.text} <a href="${unsubscribeUrl}" style="color:#888888;">${copy.link}</a></p>`;
+  return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${footer}</body>`) : `${html}${footer}`;
+};
+
+// Write an open/click/unsubscribe to the recipient's lead timeline and subscriber records
+const recordRecipientEvent = async (email, type, { category, outboxId, url, subject } = {}) => {
+  const now = new Date();
+  const descriptions = {
+    opened: `Opened email "${subject || category}"`,
+    clicked: `Clicked ${url} in email "${subject || category}"`,
+    unsubscribed: `Unsubscribed from ${category || 'marketing'} emails`
+  };
+
+  const subscriberUpdate = {
+    $push: { emailEvents: { $each: [{ type, category, outboxId, url, occurredAt: now }], $slice: -MAX_EVENTS } }
+  };
+  if (type === 'opened') subscriberUpdate.$set = { lastOpenedAt: now };
+  if (type === 'clicked') subscriberUpdate.$set = { lastClickedAt: now };
+
+  await Promise.all([
+    Lead.updateMany(
+      { email },
+      {
+        $push: {
+          timeline: {
+            $each: [{
+              eventType: `email_${type}`,
+              description: descriptions[type],
+              metadata: { category, outboxId, url },
+              createdAt: now
+            }],
+            $slice: -MAX_EVENTS
+          }
+        }
+      }
+    ),
+    Subscriber.updateMany({ email }, subscriberUpdate)
+  ]);
+};
+
+// Open pixel hit. Only the first open of a message goes to the timeline - clients reload images all the time.
+const recordOpen = async (outboxId, signature) => {
+  if (!mongoose.Types.ObjectId.isValid(outboxId) || !verifySignature(`open:${outboxId}`, signature)) return false;
+
+  const now = new Date();
+  const before = await EmailOutbox.findOneAndUpdate(
+    { _id: outboxId },
+    { $inc: { 'tracking.opens': 1 }, $set: { 'tracking.lastOpenedAt': now }, $min: { 'tracking.firstOpenedAt': now } }
+  ).select('to category subject tracking.firstOpenedAt');
+  if (!before) return false;
+
+  if (!before.tracking?.firstOpenedAt) {
+    await recordRecipientEvent(before.to, 'opened', { category: before.category, outboxId: before._id, subject: before.subject });
+  }
+  return true;
+};
+
+// Tracked link hit. Returns the URL to redirect to, or null when the link was not signed by us.
+const recordClick = async (outboxId, url, signature) => {
+  if (typeof url !== 'string' || !mongoose.Types.ObjectId.isValid(outboxId) || !verifySignature(`click:${outboxId}:${url}`, signature)) {
+    return null;
+  }
+
+  const now = new Date();
+  const message = await EmailOutbox.findOneAndUpdate(
+    { _id: outboxId },
+    { $inc: { 'tracking.clicks': 1 }, $set: { 'tracking.lastClickedAt': now }, $min: { 'tracking.firstClickedAt': now } }
+  ).select('to category subject');
+  if (message) {
+    await recordRecipientEvent(message.to, 'clicked', { category: message.category, outboxId: message._id, url, subject: message.subject });
+  }
+  return url;
+};
+
+// Opt an address out of marketing email (unsubscribe link / List-Unsubscribe one-click)
+const unsubscribe = async ({ email, category, outboxId }) => {
+  const address = String(email).toLowerCase().trim();
+  const now = new Date();
+
+  await EmailSuppression.suppress(address, { scope: 'marketing', reason: 'unsubscribe', source: category || undefined });
+  await Subscriber.updateMany(
+    { email: address, status: { $ne: 'unsubscribed' } },
+    { $set: { status: 'unsubscribed', unsubscribedAt: now } }
+  );
+  await Lead.updateMany(
+    { email: address, 'consent.marketing.status': { $in: ['pending', 'confirmed'] } },
+    { $set: { 'consent.marketing.status': 'withdrawn', 'consent.marketing.withdrawnAt': now } }
+  );
+  if (outboxId && mongoose.Types.ObjectId.isValid(outboxId)) {
+    await EmailOutbox.updateOne({ _id: outboxId }, { $set: { 'tracking.unsubscribedAt': now } });
+  }
+  await recordRecipientEvent(address, 'unsubscribed', { category, outboxId: outboxId || undefined });
+
+  console.log('🚫 Email unsubscribe:', { email: address, category, outboxId });
+};
+
+module.exports = {
+  MARKETING_CATEGORIES,
+  isMarketingCategory,
+  extractAddresses,
+  addTracking,
+  addUnsubscribeFooter,
+  buildUnsubscribeHeaders,
+  getUnsubscribeUrl,
+  parseUnsubscribeToken,
+  getConfirmationUrl,
+  parseConfirmationToken,
+  recordOpen,
+  recordClick,
+  unsubscribe
+};
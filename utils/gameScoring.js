@@ -0,0 +1,349 @@
+const mongoose = require('mongoose');
+const Card = require('../models/Card');
+const Product = require('../models/Product');
+const { getPublishedCards } = require('./cardRevisions');
+const { CONFIDENCE_FACTORS, CONFIDENCE_LEVELS, getQuestionType, isRightAnswer } = require('./questionTypes');
+
+// Questions served per level by /api/cards/public/game (the first ones of the level, in order)
+const GAME_CARDS_PER_LEVEL = 30;
+
+// Risk level thresholds (percentage of max score)
+const RISK_THRESHOLDS = {
+  confident: 84,
+  cautious: 44
+};
+
+const getRiskLevel = (percentageScore) => {
+  if (percentageScore >= RISK_THRESHOLDS.confident) {
+    return 'Confident';
+  }
+  if (percentageScore >= RISK_THRESHOLDS.cautious) {
+    return 'Cautious';
+  }
+  return 'Vulnerable';
+};
+
+const toPercentage = (score, maxScore) => {
+  return maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
+};
+
+// Normalize ids sent by the client (string, ObjectId or populated object)
+const normalizeId = (value) => {
+  if (value && typeof value === 'object') {
+    value = value._id || value.id || value;
+  }
+  return value ? value.toString() : null;
+};
+
+// Find the answer the player selected on a card's question.
+// Prefer the answer _id; fall back to the exact answer text for older clients.
+const findSelectedAnswer = (question, submitted) => {
+  const answers = question.answers || [];
+  const answerId = normalizeId(submitted.answerId || submitted.selectedAnswerId);
+
+  if (answerId) {
+    return answers.find(a => a._id && a._id.toString() === answerId) || null;
+  }
+
+  if (typeof submitted.selectedAnswer === 'string' && submitted.selectedAnswer.trim()) {
+    const text = submitted.selectedAnswer.trim();
+    return answers.find(a => a.text === text) || null;
+  }
+
+  return null;
+};
+
+// Answers picked by _id, in the order sent (multi_select, ordering) -> { selected } or { error }
+const findSelectedAnswers = (question, submitted) => {
+  const answers = question.answers || [];
+  if (!Array.isArray(submitted.answerIds)) {
+    return { error: 'answerIds must be an array' };
+  }
+  const answerIds = submitted.answerIds.map(normalizeId);
+  if (new Set(answerIds).size !== answerIds.length) {
+    return { error: 'Each answer can only be selected once' };
+  }
+  const selected = answerIds.map(answerId => answers.find(a => a._id && a._id.toString() === answerId));
+  if (selected.some(answer => !answer)) {
+    return { error: 'Selected answer does not belong to this card' };
+  }
+  return { selected };
+};
+
+const joinTexts = (answers, separator = '; ') => answers.map(a => a.text).join(separator);
+const sumScoring = (answers) => answers.reduce((sum, a) => sum + (a.scoring || 0), 0);
+const answerIdsOf = (answers) => answers.map(a => a._id.toString());
+
+const scoreSingleChoice = (question, submitted) => {
+  const answers = question.answers || [];
+  const selected = findSelectedAnswer(question, submitted);
+  if (!selected) {
+    return { error: 'Selected answer does not belong to this card' };
+  }
+
+  const maxPoints = answers.reduce((max, a) => Math.max(max, a.scoring || 0), 0);
+  const bestAnswer = answers.find(a => (a.scoring || 0) === maxPoints);
+  const points = selected.scoring || 0;
+
+  return {
+    selectedAnswer: selected.text,
+    selectedAnswerIds: selected._id ? answerIdsOf([selected]) : undefined,
+    correctAnswer: bestAnswer ? bestAnswer.text : '',
+    isCorrect: maxPoints > 0 && points === maxPoints,
+    points,
+    maxPoints
+  };
+};
+
+// Points for each right answer picked, none when a wrong one is picked too
+const scoreMultiSelect = (question, submitted) => {
+  const { selected, error } = findSelectedAnswers(question, submitted);
+  if (error) {
+    return { error };
+  }
+
+  const rightAnswers = (question.answers || []).filter(isRightAnswer);
+  const pickedWrong = selected.some(answer => !isRightAnswer(answer));
+  return {
+    selectedAnswer: joinTexts(selected),
+    selectedAnswerIds: answerIdsOf(selected),
+    correctAnswer: joinTexts(rightAnswers),
+    isCorrect: !pickedWrong && selected.length === rightAnswers.length,
+    points: pickedWrong ? 0 : sumScoring(selected),
+    maxPoints: sumScoring(rightAnswers)
+  };
+};
+
+// Points for each item in its place (the stored order is the right one)
+const scoreOrdering = (question, submitted) => {
+  const answers = question.answers || [];
+  const { selected, error } = findSelectedAnswers(question, submitted);
+  if (error) {
+    return { error };
+  }
+  if (selected.length !== answers.length) {
+    return { error: 'All items must be put in order' };
+  }
+
+  const inPlace = selected.filter((answer, index) => answer === answers[index]);
+  return {
+    selectedAnswer: joinTexts(selected, ' > '),
+    selectedAnswerIds: answerIdsOf(selected),
+    correctAnswer: joinTexts(answers, ' > '),
+    isCorrect: inPlace.length === answers.length,
+    points: sumScoring(inPlace),
+    maxPoints: sumScoring(answers)
+  };
+};
+
+// Single choice between 2 answers, weighted by how sure the player was
+const scoreTrueFalse = (question, submitted) => {
+  const result = scoreSingleChoice(question, submitted);
+  if (result.error) {
+    return result;
+  }
+  if (!CONFIDENCE_LEVELS.includes(submitted.confidence)) {
+    return { error: `confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}` };
+  }
+
+  const factor = CONFIDENCE_FACTORS[submitted.confidence][result.isCorrect ? 'right' : 'wrong'];
+  return { ...result, confidence: submitted.confidence, points: Math.round(result.maxPoints * factor) };
+};
+
+const isInRegion = (click, region) => click.x >= region.x && click.x <= region.x + region.width
+  && click.y >= region.y && click.y <= region.y + region.height;
+
+// Clicks in percent of the image; points for each red flag found
+const scoreHotspot = (question, submitted) => {
+  const areas = (question.answers || []).filter(answer => answer.region);
+  const redFlags = areas.filter(isRightAnswer);
+  if (!Array.isArray(submitted.clicks)) {
+    return { error: 'clicks must be an array of { x, y }' };
+  }
+  const clicks = submitted.clicks.map(click => ({ x: Number(click?.x), y: Number(click?.y) }));
+  if (clicks.some(click => !Number.isFinite(click.x) || !Number.isFinite(click.y))) {
+    return { error: 'Each click needs x and y in percent of the image' };
+  }
+  // No more clicks than red flags, so clicking everywhere does not pay
+  if (clicks.length > redFlags.length) {
+    return { error: `At most ${redFlags.length} clicks are allowed` };
+  }
+
+  const hitAreas = [];
+  clicks.forEach(click => {
+    const area = areas.find(a => isInRegion(click, a.region));
+    if (area && !hitAreas.includes(area)) hitAreas.push(area);
+  });
+  const foundFlags = hitAreas.filter(isRightAnswer);
+  return {
+    selectedAnswer: joinTexts(hitAreas),
+    selectedAnswerIds: answerIdsOf(hitAreas),
+    clicks,
+    correctAnswer: joinTexts(redFlags),
+    isCorrect: foundFlags.length === redFlags.length,
+    points: sumScoring(foundFlags),
+    maxPoints: sumScoring(redFlags)
+  };
+};
+
+const QUESTION_SCORERS = {
+  single_choice: scoreSingleChoice,
+  multi_select: scoreMultiSelect,
+  ordering: scoreOrdering,
+  true_false: scoreTrueFalse,
+  hotspot: scoreHotspot
+};
+
+// Most points a question can give, whatever is answered
+const getMaxPoints = (question) => {
+  const answers = question.answers || [];
+  switch (getQuestionType(question)) {
+    case 'multi_select':
+    case 'hotspot':
+      return sumScoring(answers.filter(isRightAnswer));
+    case 'ordering':
+      return sumScoring(answers);
+    default:
+      return answers.reduce((max, a) => Math.max(max, a.scoring || 0), 0);
+  }
+};
+
+// Score a single answered question against the stored card question (see utils/questionTypes.js for the types)
+const scoreQuestion = (question, submitted) => {
+  const scorer = QUESTION_SCORERS[getQuestionType(question)];
+  if (!scorer) {
+    return { error: `Unsupported question type ${question.type}` };
+  }
+  return scorer(question, submitted);
+};
+
+// Compute card, level and percentage totals on the server for a level submission.
+// Only the selected answer per question is taken from the client; everything else
+// comes from the Card documents of the referenced product level. The max score covers every
+// question of the level, so cards left out or sent without an answer count as 0 points.
+// Returns { error } when the submission references cards or answers outside that level.
+const scoreLevelSubmission = async ({ productId, levelNumber, cards }) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return { error: 'Invalid productId' };
+  }
+
+  const product = await Product.findById(productId).select('level1 level2 level3');
+  if (!product) {
+    return { error: 'Product not found' };
+  }
+
+  const levelCardIds = (product[`level${levelNumber}`] || []).map(id => id.toString());
+
+  const submittedCardIds = cards.map(card => normalizeId(card.cardId));
+  if (submittedCardIds.some(id => !id)) {
+    return { error: 'Each card must include a cardId' };
+  }
+  if (new Set(submittedCardIds).size !== submittedCardIds.length) {
+    return { error: 'Each card can only be submitted once per level' };
+  }
+
+  const foreignCardId = submittedCardIds.find(id => !levelCardIds.includes(id));
+  if (foreignCardId) {
+    return { error: `Card ${foreignCardId} is not part of level ${levelNumber} for this product` };
+  }
+
+  // Players were given the published version of each card, so that is what gets scored
+  const cardDocs = await Card.find({ _id: { $in: levelCardIds } }).select('title question revision review');
+  const cardsMap = {};
+  (await getPublishedCards(cardDocs)).forEach(card => {
+    cardsMap[card._id.toString()] = card;
+  });
+  // The questions the level was played with, as served by /api/cards/public/game
+  const levelCards = levelCardIds
+    .map(id => cardsMap[id])
+    .filter(card => card && card.question)
+    .slice(0, GAME_CARDS_PER_LEVEL);
+  const playedCards = new Map(levelCards.map(card => [card._id.toString(), card]));
+
+  const scoredCards = [];
+  for (let i = 0; i < cards.length; i++) {
+    const submittedCard = cards[i];
+    const cardId = submittedCardIds[i];
+    const cardDoc = playedCards.get(cardId);
+
+    if (!cardDoc || !cardDoc.question) {
+      return { error: `Card ${cardId} not found or not published` };
+    }
+
+    const submittedQuestions = Array.isArray(submittedCard.questions) ? submittedCard.questions : [];
+    // Each card carries a single question, so at most one answer can be submitted for it
+    if (submittedQuestions.length > 1) {
+      return { error: `Card ${cardId} only has one question` };
+    }
+
+    const questions = [];
+    let cardTotalScore = 0;
+    let cardMaxScore = 0;
+    let cardCorrectAnswers = 0;
+
+    for (const submitted of submittedQuestions) {
+      const result = scoreQuestion(cardDoc.question, submitted || {});
+      if (result.error) {
+        return { error: `${result.error} (card ${cardId})` };
+      }
+
+      questions.push({
+        questionNo: submitted.questionNo || 1,
+        questionId: cardId,
+        questionText: cardDoc.question.description,
+        questionType: getQuestionType(cardDoc.question),
+        selectedAnswer: result.selectedAnswer,
+        selectedAnswerIds: result.selectedAnswerIds,
+        confidence: result.confidence,
+        clicks: result.clicks,
+        correctAnswer: result.correctAnswer,
+        isCorrect: result.isCorrect,
+        points: result.points,
+        maxPoints: result.maxPoints,
+        answeredAt: submitted.answeredAt ? new Date(submitted.answeredAt) : new Date()
+      });
+
+      cardTotalScore += result.points;
+      cardMaxScore += result.maxPoints;
+      if (result.isCorrect) {
+        cardCorrectAnswers += 1;
+      }
+    }
+
+    scoredCards.push({
+      cardId,
+      cardTitle: cardDoc.title,
+      cardRevision: cardDoc.revision,
+      questions,
+      cardTotalScore,
+      cardMaxScore,
+      cardCorrectAnswers,
+      cardTotalQuestions: questions.length,
+      cardPercentageScore: toPercentage(cardTotalScore, cardMaxScore)
+    });
+  }
+
+  const totalScore = scoredCards.reduce((sum, card) => sum + card.cardTotalScore, 0);
+  const maxScore = levelCards.reduce((sum, card) => sum + getMaxPoints(card.question), 0);
+  const correctAnswers = scoredCards.reduce((sum, card) => sum + card.cardCorrectAnswers, 0);
+  const totalQuestions = levelCards.length;
+  const percentageScore = toPercentage(totalScore, maxScore);
+
+  return {
+    cards: scoredCards,
+    totalScore,
+    maxScore,
+    correctAnswers,
+    totalQuestions,
+    percentageScore,
+    riskLevel: scoredCards.some(card => card.cardTotalQuestions > 0) ? getRiskLevel(percentageScore) : null
+  };
+};
+
+module.exports = {
+  GAME_CARDS_PER_LEVEL,
+  scoreLevelSubmission,
+  getMaxPoints,
+  scoreQuestion,
+  getRiskLevel
+};
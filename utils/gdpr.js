@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const GameProgress = require('../models/GameProgress');
+const Transaction = require('../models/Transaction');
+const Invoice = require('../models/Invoice');
+const FreeTrial = require('../models/FreeTrial');
+const MemberRequest = require('../models/MemberRequest');
+const Referral = require('../models/Referral');
+const CardRegistration = require('../models/CardRegistration');
+const Lead = require('../models/Lead');
+const Subscriber = require('../models/Subscriber');
+const ContactMessage = require('../models/ContactMessage');
+const EmailOutbox = require('../models/EmailOutbox');
+const EmailSuppression = require('../models/EmailSuppression');
+const RenewalReminder = require('../models/RenewalReminder');
+const Organization = require('../models/Organization');
+const School = require('../models/School');
+const { createZip } = require('./zip');
+const { withRedactedAudit, redactAuditHistory } = require('./auditLog');
+
+// GDPR data subject export (Art. 15/20) and erasure (Art. 17) for user accounts
+
+const USER_PRIVATE_FIELDS = '-passwordHash -emailVerificationToken -emailVerificationExpiry -passwordResetToken -passwordResetExpiry';
+
+const getErasedEmail = (userId) => `erased-${userId}@erased.invalid`;
+
+// Contact messages keep the address as typed
+const matchEmailCaseInsensitive = (email) => new RegExp(`^${email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+// Everything stored about the user, by collection
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId).select(USER_PRIVATE_FIELDS).lean();
+  if (!user) return null;
+  const { email } = user;
+
+  const [
+    gameProgress,
+    transactions,
+    freeTrials,
+    trialPlays,
+    codePlays,
+    memberRequests,
+    referrals,
+    cardRegistrations,
+    leads,
+    subscriptions,
+    contactMessages,
+    emails
+  ] = await Promise.all([
+    GameProgress.find({ userId }).lean(),
+    Transaction.find({ userId }).select('-webhookData').lean(),
+    FreeTrial.find({ userId }).lean(),
+    FreeTrial.find({ userId: { $ne: userId }, 'gamePlays.userId': userId }).select('uniqueCode gamePlays').lean(),
+    Transaction.find({ userId: { $ne: userId }, 'gamePlays.userId': userId }).select('uniqueCode gamePlays').lean(),
+    MemberRequest.find({ user: userId }).lean(),
+    Referral.find({ $or: [{ referrerUserId: userId }, { referredUserId: userId }] }).lean(),
+    CardRegistration.find({ userId }).lean(),
+    Lead.find({ email }).lean(),
+    Subscriber.find({ email }).lean(),
+    ContactMessage.find({ email: matchEmailCaseInsensitive(email) }).lean(),
+    EmailOutbox.find({ to: email }).select('category subject status sentAt createdAt tracking').sort({ createdAt: -1 }).lean()
+  ]);
+
+  const invoices = await Invoice.find({ transactionId: { $in: transactions.map(transaction => transaction._id) } }).lean();
+
+  // Plays with someone else's code: only the user's own entries
+  const ownPlays = (records) => records.map(record => ({
+    code: record.uniqueCode,
+    plays: record.gamePlays.filter(play => play.userId && play.userId.toString() === userId.toString())
+  }));
+
+  return {
+    exportedAt: new Date(),
+    user,
+    gameProgress,
+    transactions,
+    invoices,
+    freeTrials,
+    gamePlaysWithOtherCodes: [...ownPlays(trialPlays), ...ownPlays(codePlays)],
+    memberRequests,
+    referrals,
+    cardRegistrations,
+    leads,
+    subscriptions,
+    contactMessages,
+    emails
+  };
+};
+
+// Readable file names for the ZIP export
+const EXPORT_FILES = {
+  user: 'account.json',
+  gameProgress: 'game-progress.json',
+  transactions: 'transactions.json',
+  invoices: 'invoices.json',
+  freeTrials: 'free-trials.json',
+  gamePlaysWithOtherCodes: 'game-plays-with-other-codes.json',
+  memberRequests: 'member-requests.json',
+  referrals: 'referrals.json',
+  cardRegistrations: 'card-registrations.json',
+  leads: 'contact-and-sales-records.json',
+  subscriptions: 'newsletter-subscriptions.json',
+  contactMessages: 'contact-messages.json',
+  emails: 'emails-sent.json'
+};
+
+const buildExportZip = (data) => {
+  const files = Object.entries(EXPORT_FILES).map(([key, name]) => ({ name, content: JSON.stringify(data[key], null, 2) }));
+  files.unshift({
+    name: 'README.txt',
+    content: [
+      'Konfydence - export of your personal data',
+      `Created: ${data.exportedAt.toISOString()}`,
+      '',
+      'Each JSON file holds the records of one area of the platform:',
+      ...Object.entries(EXPORT_FILES).map(([key, name]) => `  ${name} (${Array.isArray(data[key]) ? data[key].length : 1})`)
+    ].join('\n')
+  });
+
+  if (data.user.profilePhoto) {
+    const photoPath = path.join(process.cwd(), data.user.profilePhoto);
+    if (fs.existsSync(photoPath)) {
+      files.push({ name: `profile-photo${path.extname(photoPath)}`, content: fs.readFileSync(photoPath) });
+    }
+  }
+  return createZip(files, data.exportedAt);
+};
+
+// Things an admin should look at before erasing (open invoices, owned organizations, running access)
+const getErasureWarnings = async (userId) => {
+  const user = await User.findById(userId).select('memberships');
+  if (!user) return [];
+
+  const transactionIds = await Transaction.find({ userId }).distinct('_id');
+  const [openInvoices, organizations, schools] = await Promise.all([
+    Invoice.find({ transactionId: { $in: transactionIds }, status: 'open' }).select('number total currency dueDate').lean(),
+    Organization.find({ ownerId: userId }).select('name').lean(),
+    School.find({ ownerId: userId }).select('name').lean()
+  ]);
+
+  const warnings = [];
+  openInvoices.forEach(invoice => warnings.push(`Unpaid invoice ${invoice.number}`));
+  [...organizations, ...schools].forEach(owned => warnings.push(`Owner of ${owned.name} - transfer ownership first`));
+  if ((user.memberships || []).some(membership => membership.status === 'active')) {
+    warnings.push('Has an active membership - access ends with the erasure');
+  }
+  return warnings;
+};
+
+// Deletes/anonymizes everything; see eraseUser
+const eraseUserData = async (user) => {
+  const { email } = user;
+  const erasedEmail = getErasedEmail(user._id);
+  const playFilter = { arrayFilters: [{ 'play.userId': user._id }] };
+  const referralFilter = { arrayFilters: [{ 'referral.referredUserId': user._id }] };
+
+  const [leads, subscribers, contactMessages, memberRequests, suppressions] = await Promise.all([
+    Lead.deleteMany({ email }),
+    Subscriber.deleteMany({ email }),
+    ContactMessage.deleteMany({ email: matchEmailCaseInsensitive(email) }),
+    MemberRequest.deleteMany({ user: user._id }),
+    EmailSuppression.deleteMany({ email })
+  ]);
+
+  // Plays and referrals on other people's codes keep counting, without the link to the person
+  await Promise.all([
+    FreeTrial.updateMany({ userId: { $ne: user._id }, 'gamePlays.userId': user._id }, { $unset: { 'gamePlays.$[play].userId': '' } }, playFilter),
+    Transaction.updateMany({ userId: { $ne: user._id }, 'gamePlays.userId': user._id }, { $unset: { 'gamePlays.$[play].userId': '' } }, playFilter),
+    FreeTrial.updateMany({ 'referrals.referredUserId': user._id }, { $unset: { 'referrals.$[referral].referredUserId': '' } }, referralFilter),
+    Transaction.updateMany({ 'referrals.referredUserId': user._id }, { $unset: { 'referrals.$[referral].referredUserId': '' } }, referralFilter)
+  ]);
+
+  // Provider payloads hold names, emails and addresses; the booking itself is kept
+  const transactions = await Transaction.updateMany({ userId: user._id }, { $unset: { webhookData: '' } });
+  const transactionIds = await Transaction.find({ userId: user._id }).distinct('_id');
+  const invoices = await Invoice.countDocuments({ transactionId: { $in: transactionIds } });
+
+  const emails = await EmailOutbox.updateMany(
+    { to: email },
+    { $set: { to: erasedEmail, subject: '[erased]', html: '', text: '', attachments: [], headers: null, replyTo: null } }
+  );
+  await RenewalReminder.updateMany({ email }, { $unset: { email: '' } });
+
+  if (user.profilePhoto) {
+    const photoPath = path.join(process.cwd(), user.profilePhoto);
+    if (fs.existsSync(photoPath)) {
+      fs.unlinkSync(photoPath);
+    }
+  }
+
+  const gameProgress = await GameProgress.countDocuments({ userId: user._id });
+
+  user.email = erasedEmail;
+  user.name = 'Deleted user';
+  user.profilePhoto = undefined;
+  user.passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+  user.isActive = false;
+  user.isEmailVerified = false;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpiry = undefined;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpiry = undefined;
+  user.referralCode = undefined;
+  user.referedBy = undefined;
+  user.erasedAt = new Date();
+  await user.save();
+
+  return {
+    deleted: {
+      leads: leads.deletedCount,
+      subscriptions: subscribers.deletedCount,
+      contactMessages: contactMessages.deletedCount,
+      memberRequests: memberRequests.deletedCount,
+      suppressions: suppressions.deletedCount
+    },
+    anonymized: {
+      account: 1,
+      gameProgress,
+      emails: emails.modifiedCount
+    },
+    retained: {
+      transactions: transactions.matchedCount,
+      invoices
+    }
+  };
+};
+
+// Erase the user's personal data. Transactions and invoices are kept (tax/commercial retention), but only point at
+// the anonymized account; progress stays for aggregate statistics. Returns what was done per collection.
+// The audit log keeps which fields were changed and by whom, without the values.
+const eraseUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+  if (user.erasedAt) return { alreadyErased: true };
+
+  const { email } = user;
+
+  // Records whose audit history is redacted afterwards
+  const [leadIds, subscriberIds, contactMessageIds, memberRequestIds] = await Promise.all([
+    Lead.find({ email }).distinct('_id'),
+    Subscriber.find({ email }).distinct('_id'),
+    ContactMessage.find({ email: matchEmailCaseInsensitive(email) }).distinct('_id'),
+    MemberRequest.find({ user: user._id }).distinct('_id')
+  ]);
+
+  const result = await withRedactedAudit(() => eraseUserData(user));
+
+  await redactAuditHistory({
+    User: [user._id],
+    Lead: leadIds,
+    Subscriber: subscriberIds,
+    ContactMessage: contactMessageIds,
+    MemberRequest: memberRequestIds,
+    Transaction: await Transaction.find({ userId: user._id }).distinct('_id')
+  }, user._id);
+
+  console.log('🗑️ User data erased:', { userId: user._id });
+  return result;
+};
+
+module.exports = {
+  collectUserData,
+  buildExportZip,
+  getErasureWarnings,
+  eraseUser
+};
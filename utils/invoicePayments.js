@@ -0,0 +1,294 @@
+const Transaction = require('../models/Transaction');
+const Invoice = require('../models/Invoice');
+const Organization = require('../models/Organization');
+const School = require('../models/School');
+const CustomPackage = require('../models/CustomPackage');
+const User = require('../models/User');
+const { calculateTax } = require('./tax');
+const { generateUniqueCode } = require('./uniqueCodes');
+const { ensureInvoiceForTransaction, renderInvoicePdf } = require('./invoices');
+
+// Days until a bank transfer invoice is due
+const PAYMENT_TERMS = {
+  net_30: 30,
+  net_60: 60
+};
+
+// Overdue invoices get at most one reminder per interval
+const REMINDER_INTERVAL_DAYS = parseInt(process.env.INVOICE_REMINDER_INTERVAL_DAYS, 10) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (amount) => Math.round((amount || 0) * 100) / 100;
+
+const generateFreeUniqueCode = async () => {
+  let code = generateUniqueCode();
+  while (await Transaction.exists({ uniqueCode: code })) {
+    code = generateUniqueCode();
+  }
+  return code;
+};
+
+// Contract end date from the package's expiry settings, at the end of that day
+const calculateContractEndDate = (customPackage, startDate) => {
+  if (!customPackage.expiryTime || !customPackage.expiryTimeUnit) {
+    return customPackage.contract?.endDate || null;
+  }
+  const endDate = new Date(startDate);
+  if (customPackage.expiryTimeUnit === 'months') {
+    endDate.setMonth(endDate.getMonth() + customPackage.expiryTime);
+  } else if (customPackage.expiryTimeUnit === 'years') {
+    endDate.setFullYear(endDate.getFullYear() + customPackage.expiryTime);
+  }
+  endDate.setHours(23, 59, 59, 999);
+  return endDate;
+};
+
+const getDaysOverdue = (dueDate, now = new Date()) => Math.max(0, Math.floor((now - new Date(dueDate)) / DAY_MS));
+
+// Email the open invoice (or a reminder for it) to the buyer
+const emailPayableInvoice = async (invoice, options = {}) => {
+  const { sendPayableInvoiceEmail } = require('./emailService');
+  const pdf = await renderInvoicePdf(invoice);
+  const result = await sendPayableInvoiceEmail(invoice, pdf, options);
+  if (result.success && !options.reminder) {
+    invoice.emailedAt = new Date();
+    await invoice.save();
+  }
+  return result;
+};
+
+// Create a pending bank transfer transaction for a custom package and send the payable invoice.
+// Returns { error, status } when the order is not possible.
+const createInvoiceOrder = async ({ customPackage, userId, paymentTerms, purchaseOrderNumber, country, vatId }) => {
+  const pricing = customPackage.contractPricing || {};
+  if (!(pricing.amount > 0)) {
+    return { status: 400, error: 'This custom package has no contract price' };
+  }
+  if (pricing.billingType === 'subscription') {
+    return { status: 400, error: 'Subscription contracts can only be paid by card' };
+  }
+
+  const paid = await Transaction.exists({ customPackageId: customPackage._id, status: 'paid' });
+  if (paid) {
+    return { status: 400, error: 'This custom package has already been purchased' };
+  }
+
+  // Invoices are never paid through Stripe, so tax always comes from the local VAT table
+  const tax = calculateTax({ country, vatId, mode: 'local' });
+  if (tax.error) {
+    return { status: 400, error: tax.error };
+  }
+
+  const netAmount = round(pricing.amount);
+  let taxAmount = round(netAmount * tax.rate / 100);
+  let total = round(netAmount + taxAmount);
+  if (tax.inclusive) {
+    total = netAmount;
+    taxAmount = round(total - total / (1 + tax.rate / 100));
+  }
+
+  let transactionType = 'b2e_contract';
+  if (customPackage.organizationId) {
+    const org = await Organization.findById(customPackage.organizationId).select('segment');
+    transactionType = org?.segment === 'B2B' ? 'b2b_contract' : 'b2e_contract';
+  }
+
+  const dueDate = new Date(Date.now() + PAYMENT_TERMS[paymentTerms] * DAY_MS);
+  dueDate.setHours(23, 59, 59, 999);
+
+  let transaction;
+  try {
+    transaction = await Transaction.create({
+      type: transactionType,
+      userId,
+      organizationId: customPackage.organizationId || undefined,
+      schoolId: customPackage.schoolId || undefined,
+      customPackageId: customPackage._id,
+      packageType: 'custom',
+      amount: total,
+      currency: pricing.currency || 'USD',
+      status: 'pending',
+      paymentMethod: 'bank_transfer',
+      invoicePayment: {
+        terms: paymentTerms,
+        dueDate,
+        purchaseOrderNumber: purchaseOrderNumber || undefined,
+        remindersSent: 0
+      },
+      tax: {
+        mode: tax.reverseCharge ? 'reverse_charge' : tax.mode,
+        amount: taxAmount,
+        rate: tax.rate,
+        country: tax.country,
+        vatId: tax.vatId,
+        reverseCharge: tax.reverseCharge
+      },
+      // Seats and the access code are only handed out once the payment is received
+      maxSeats: customPackage.seatLimit || 5
+    });
+  } catch (error) {
+    // The unique index on pending bank transfers: another order for this package is already awaiting payment
+    if (error.code === 11000) {
+      const pending = await Transaction.findOne({ customPackageId: customPackage._id, status: 'pending', paymentMethod: 'bank_transfer' }).select('_id');
+      return { status: 400, error: 'An invoice for this custom package is already awaiting payment', transactionId: pending?._id };
+    }
+    throw error;
+  }
+
+  const invoice = await ensureInvoiceForTransaction(transaction);
+  try {
+    await emailPayableInvoice(invoice);
+  } catch (emailError) {
+    console.error('Error sending payable invoice email:', emailError);
+  }
+
+  console.log('🏦 Bank transfer order created:', {
+    transactionId: transaction._id,
+    customPackageId: customPackage._id,
+    invoice: invoice.number,
+    total,
+    dueDate
+  });
+
+  return { transaction, invoice };
+};
+
+// Record the bank transfer for a pending invoice order and activate the contract, same as a card payment would.
+// Returns { error, status } when the transaction cannot be marked paid.
+const markInvoiceOrderPaid = async (transaction, { adminId, remittanceNote, paidAt, receivedAmount }) => {
+  if (transaction.paymentMethod !== 'bank_transfer') {
+    return { status: 400, error: 'Only bank transfer transactions can be marked as paid' };
+  }
+  if (transaction.status !== 'pending') {
+    return { status: 400, error: `Transaction is already ${transaction.status}` };
+  }
+
+  const customPackage = await CustomPackage.findById(transaction.customPackageId);
+  if (!customPackage) {
+    return { status: 404, error: 'Custom package not found' };
+  }
+
+  const paymentDate = paidAt ? new Date(paidAt) : new Date();
+  const contractEndDate = calculateContractEndDate(customPackage, paymentDate);
+
+  // Claim the transaction first so a double submit cannot activate it twice
+  const claimed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'pending' },
+    {
+      $set: {
+        status: 'paid',
+        uniqueCode: await generateFreeUniqueCode(),
+        maxSeats: customPackage.seatLimit || transaction.maxSeats,
+        contractPeriod: { startDate: paymentDate, endDate: contractEndDate },
+        'invoicePayment.paidAt': paymentDate,
+        'invoicePayment.receivedAmount': receivedAmount !== undefined ? round(receivedAmount) : transaction.amount,
+        'invoicePayment.remittanceNote': remittanceNote || undefined,
+        'invoicePayment.markedPaidBy': adminId
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return { status: 409, error: 'Transaction was updated by someone else' };
+  }
+
+  customPackage.status = 'active';
+  customPackage.contract.status = 'active';
+  customPackage.contract.startDate = paymentDate;
+  if (contractEndDate) {
+    customPackage.contract.endDate = contractEndDate;
+  }
+  await customPackage.save();
+
+  const CustomPackageRequest = require('../models/CustomPackageRequest');
+  const relatedRequest = customPackage.customPackageRequestId
+    ? await CustomPackageRequest.findById(customPackage.customPackageRequestId)
+    : await CustomPackageRequest.findOne({ customPackageId: customPackage._id });
+  if (relatedRequest) {
+    relatedRequest.status = 'completed';
+    await relatedRequest.save();
+  }
+
+  if (claimed.organizationId) {
+    await Organization.updateOne({ _id: claimed.organizationId }, { $addToSet: { transactionIds: claimed._id } });
+  }
+  if (claimed.schoolId) {
+    await School.updateOne({ _id: claimed.schoolId }, { $addToSet: { transactionIds: claimed._id } });
+  }
+
+  await Invoice.updateOne(
+    { transactionId: claimed._id, type: 'invoice' },
+    { $set: { status: 'paid', paidAt: paymentDate } }
+  );
+
+  console.log('✅ Bank transfer received, contract activated:', {
+    transactionId: claimed._id,
+    customPackageId: customPackage._id,
+    markedPaidBy: adminId,
+    contractEndDate
+  });
+
+  try {
+    const { sendTransactionSuccessEmail } = require('./emailService');
+    const user = await User.findById(claimed.userId);
+    if (user) {
+      const organization = claimed.organizationId ? await Organization.findById(claimed.organizationId) : null;
+      await sendTransactionSuccessEmail(claimed, user, customPackage, organization);
+    }
+  } catch (emailError) {
+    console.error('Error sending transaction success email:', emailError);
+  }
+
+  return { transaction: claimed, customPackage };
+};
+
+// Remind buyers of overdue bank transfer invoices (at most once per REMINDER_INTERVAL_DAYS)
+const sendOverdueInvoiceReminders = async (now = new Date()) => {
+  const reminderCutoff = new Date(now.getTime() - REMINDER_INTERVAL_DAYS * DAY_MS);
+  const overdue = await Transaction.find({
+    paymentMethod: 'bank_transfer',
+    status: 'pending',
+    'invoicePayment.dueDate': { $lt: now },
+    $or: [
+      { 'invoicePayment.lastReminderAt': { $exists: false } },
+      { 'invoicePayment.lastReminderAt': null },
+      { 'invoicePayment.lastReminderAt': { $lt: reminderCutoff } }
+    ]
+  });
+
+  let sent = 0;
+  for (const transaction of overdue) {
+    try {
+      const invoice = await Invoice.findOne({ transactionId: transaction._id, type: 'invoice' });
+      if (!invoice) continue;
+
+      const result = await emailPayableInvoice(invoice, {
+        reminder: true,
+        daysOverdue: getDaysOverdue(transaction.invoicePayment.dueDate, now)
+      });
+      if (result.success) {
+        await Transaction.updateOne(
+          { _id: transaction._id },
+          { $set: { 'invoicePayment.lastReminderAt': now }, $inc: { 'invoicePayment.remindersSent': 1 } }
+        );
+        sent += 1;
+      }
+    } catch (error) {
+      console.error('Error sending invoice reminder:', { transactionId: transaction._id, error: error.message });
+    }
+  }
+
+  if (overdue.length > 0) {
+    console.log(`🏦 Overdue invoice reminders: ${sent}/${overdue.length} sent`);
+  }
+  return { overdue: overdue.length, sent };
+};
+
+module.exports = {
+  PAYMENT_TERMS,
+  getDaysOverdue,
+  createInvoiceOrder,
+  markInvoiceOrderPaid,
+  sendOverdueInvoiceReminders
+};
@@ -0,0 +1,371 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Transaction = require('../models/Transaction');
+
+const round = (amount) => Math.round((amount || 0) * 100) / 100;
+
+// Our company details printed on every invoice (INVOICE_SELLER_ADDRESS lines separated by "|")
+const getSellerDetails = () => ({
+  name: process.env.INVOICE_SELLER_NAME || 'Konfydence',
+  address: (process.env.INVOICE_SELLER_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean).join('\n'),
+  country: process.env.TAX_ORIGIN_COUNTRY || 'DE',
+  vatId: process.env.INVOICE_SELLER_VAT_ID || '',
+  email: process.env.INVOICE_SELLER_EMAIL || process.env.MAIL_FROM || ''
+});
+
+// Sequential per year and type: INV-2026-000001, CN-2026-000001
+const nextInvoiceNumber = async (type, date = new Date()) => {
+  const prefix = type === 'credit_note' ? 'CN' : 'INV';
+  const year = date.getFullYear();
+  const seq = await Counter.next(`${type}-${year}`);
+  return `${prefix}-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+// Account bank transfer invoices are paid into
+const getBankDetails = () => ({
+  accountHolder: process.env.BANK_ACCOUNT_HOLDER || process.env.INVOICE_SELLER_NAME || 'Konfydence',
+  iban: process.env.BANK_IBAN || '',
+  bic: process.env.BANK_BIC || '',
+  bankName: process.env.BANK_NAME || ''
+});
+
+const isBankTransferPending = (transaction) => {
+  return transaction.paymentMethod === 'bank_transfer' && transaction.status === 'pending';
+};
+
+const getPaymentReference = (transaction) => {
+  return transaction.webhookData?.paymentIntentId || transaction.stripePaymentIntentId || transaction._id.toString();
+};
+
+const describePurchase = (transaction) => {
+  const customPackage = transaction.customPackageId;
+  const pkg = transaction.packageId;
+  const product = transaction.productId;
+
+  let description = customPackage?.name || pkg?.name || product?.title || product?.name || 'Konfydence purchase';
+  if (transaction.seatTopUp?.seats) {
+    description = `${description} - additional seats`;
+  }
+  if (transaction.contractPeriod?.endDate && transaction.packageType !== 'physical') {
+    const start = transaction.contractPeriod.startDate || transaction.createdAt;
+    description += ` (${new Date(start).toISOString().slice(0, 10)} - ${new Date(transaction.contractPeriod.endDate).toISOString().slice(0, 10)})`;
+  }
+  return description;
+};
+
+// Buyer: the organization/institute for contracts, otherwise the purchasing user
+const getBuyerDetails = (transaction) => {
+  const user = transaction.userId;
+  const tenant = transaction.organizationId || transaction.schoolId;
+  return {
+    name: tenant?.primaryContact?.name || user?.name || '',
+    organizationName: tenant?.name || '',
+    email: tenant?.primaryContact?.email || user?.email || '',
+    country: transaction.tax?.country || '',
+    vatId: transaction.tax?.vatId || ''
+  };
+};
+
+const populateForInvoice = (transactionOrId) => {
+  const id = transactionOrId._id || transactionOrId;
+  return Transaction.findById(id)
+    .populate('userId', 'name email')
+    .populate('organizationId', 'name primaryContact')
+    .populate('schoolId', 'name primaryContact')
+    .populate('packageId', 'name')
+    .populate('customPackageId', 'name')
+    .populate('productId', 'title name');
+};
+
+// The transaction's invoice, issued on first call. Only paid (or since refunded/disputed) transactions get one,
+// plus pending bank transfer orders, whose invoice is issued 'open' and is what the buyer pays against.
+const ensureInvoiceForTransaction = async (transactionOrId) => {
+  const transactionId = transactionOrId._id || transactionOrId;
+  const existing = await Invoice.findOne({ transactionId, type: 'invoice' });
+  if (existing) return existing;
+
+  const transaction = await populateForInvoice(transactionId);
+  if (!transaction) return null;
+  const payable = isBankTransferPending(transaction);
+  if (!payable && !['paid', 'refunded', 'disputed'].includes(transaction.status)) {
+    return null;
+  }
+
+  const total = round(transaction.amount);
+  const taxAmount = round(transaction.tax?.amount);
+  const subtotal = round(total - taxAmount);
+  const discount = round(transaction.coupon?.discountAmount);
+  const seats = transaction.seatTopUp?.seats || 1;
+  const grossLine = round(subtotal + discount);
+
+  const lineItems = [{
+    description: describePurchase(transaction),
+    quantity: seats,
+    unitPrice: round(grossLine / seats),
+    amount: grossLine
+  }];
+  if (discount > 0) {
+    lineItems.push({
+      description: `Discount (${transaction.coupon.code})`,
+      quantity: 1,
+      unitPrice: -discount,
+      amount: -discount
+    });
+  }
+
+  try {
+    const number = await nextInvoiceNumber('invoice');
+    const bankTransfer = transaction.paymentMethod === 'bank_transfer';
+    const invoice = await Invoice.create({
+      number,
+      type: 'invoice',
+      transactionId: transaction._id,
+      issuedAt: new Date(),
+      currency: transaction.currency || 'USD',
+      seller: getSellerDetails(),
+      buyer: getBuyerDetails(transaction),
+      lineItems,
+      subtotal,
+      taxAmount,
+      taxRate: transaction.tax?.rate ?? null,
+      reverseCharge: Boolean(transaction.tax?.reverseCharge),
+      total,
+      // Bank transfers are matched on the invoice number, so that is the reference the buyer quotes
+      paymentReference: bankTransfer ? number : getPaymentReference(transaction),
+      ...(bankTransfer && {
+        status: payable ? 'open' : 'paid',
+        paymentTerms: transaction.invoicePayment?.terms,
+        dueDate: transaction.invoicePayment?.dueDate,
+        purchaseOrderNumber: transaction.invoicePayment?.purchaseOrderNumber,
+        bankDetails: getBankDetails(),
+        paidAt: transaction.invoicePayment?.paidAt
+      })
+    });
+
+    await Transaction.updateOne({ _id: transaction._id }, { $set: { invoiceNumber: invoice.number } });
+    console.log('🧾 Invoice issued:', { number: invoice.number, transactionId: transaction._id, total });
+    return invoice;
+  } catch (error) {
+    // Issued concurrently (e.g. webhook retry) - use the one that won
+    if (error.code === 11000) {
+      return Invoice.findOne({ transactionId: transaction._id, type: 'invoice' });
+    }
+    throw error;
+  }
+};
+
+// Credit note for a succeeded refund, mirroring the original invoice's tax split
+const createCreditNote = async (transaction, refund) => {
+  const existing = await Invoice.findOne({ type: 'credit_note', stripeRefundId: refund.stripeRefundId });
+  if (existing) return { creditNote: existing, created: false };
+
+  const invoice = await ensureInvoiceForTransaction(transaction);
+  if (!invoice) return { creditNote: null, created: false };
+
+  const total = round(refund.amount);
+  const taxAmount = invoice.total > 0 ? round(total * (invoice.taxAmount / invoice.total)) : 0;
+  const subtotal = round(total - taxAmount);
+
+  try {
+    const creditNote = await Invoice.create({
+      number: await nextInvoiceNumber('credit_note'),
+      type: 'credit_note',
+      transactionId: invoice.transactionId,
+      originalInvoiceId: invoice._id,
+      stripeRefundId: refund.stripeRefundId,
+      issuedAt: new Date(),
+      currency: refund.currency || invoice.currency,
+      seller: invoice.seller,
+      buyer: invoice.buyer,
+      lineItems: [{
+        description: `Refund for invoice ${invoice.number}${refund.reason ? ` (${refund.reason})` : ''}`,
+        quantity: 1,
+        unitPrice: -subtotal,
+        amount: -subtotal
+      }],
+      subtotal: -subtotal,
+      taxAmount: -taxAmount,
+      taxRate: invoice.taxRate,
+      reverseCharge: invoice.reverseCharge,
+      total: -total,
+      paymentReference: refund.stripeRefundId
+    });
+
+    console.log('🧾 Credit note issued:', { number: creditNote.number, invoice: invoice.number, refundId: refund.stripeRefundId });
+    return { creditNote, created: true };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { creditNote: await Invoice.findOne({ type: 'credit_note', stripeRefundId: refund.stripeRefundId }), created: false };
+    }
+    throw error;
+  }
+};
+
+// Issue (and email) credit notes for every succeeded refund on the transaction that does not have one yet.
+// Failures are logged only - the refund itself is already recorded.
+const issueCreditNotesForRefunds = async (transaction) => {
+  const refunds = (transaction.refunds || []).filter(r => r.status === 'succeeded' && r.stripeRefundId);
+  for (const refund of refunds) {
+    try {
+      const { creditNote, created } = await createCreditNote(transaction, refund);
+      if (created && creditNote) {
+        const { sendCreditNoteEmail } = require('./emailService');
+        const pdf = await renderInvoicePdf(creditNote);
+        const result = await sendCreditNoteEmail(creditNote, pdf);
+        if (result.success) {
+          creditNote.emailedAt = new Date();
+          await creditNote.save();
+        }
+      }
+    } catch (error) {
+      console.error('Error issuing credit note:', { transactionId: transaction._id, refundId: refund.stripeRefundId, error: error.message });
+    }
+  }
+};
+
+const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount || 0);
+  } catch (e) {
+    return `${(amount || 0).toFixed(2)} ${currency || ''}`.trim();
+  }
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { year: 'numeric', month: 'long', day: 'numeric' });
+
+const partyLines = (party) => [
+  party.organizationName,
+  party.name,
+  party.address,
+  party.country,
+  party.vatId ? `VAT ID: ${party.vatId}` : null,
+  party.email
+].filter(Boolean);
+
+// Render an invoice or credit note to a PDF buffer
+const renderInvoicePdf = (invoice) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const isCreditNote = invoice.type === 'credit_note';
+    const isOpen = invoice.status === 'open';
+    const money = (amount) => formatMoney(amount, invoice.currency);
+
+    // Header
+    doc.fontSize(22).fillColor('#063C5E').text(isCreditNote ? 'Credit Note' : 'Invoice', 50, 50);
+    doc.fontSize(10).fillColor('#333333')
+      .text(`Number: ${invoice.number}`, 350, 55, { align: 'right' })
+      .text(`Date: ${formatDate(invoice.issuedAt)}`, 350, 70, { align: 'right' });
+    if (invoice.dueDate) {
+      doc.text(`Due date: ${formatDate(invoice.dueDate)}`, 350, 85, { align: 'right' });
+    }
+    if (invoice.purchaseOrderNumber) {
+      doc.text(`PO number: ${invoice.purchaseOrderNumber}`, 350, 100, { align: 'right' });
+    }
+
+    // Seller / buyer
+    doc.fontSize(9).fillColor('#888888').text('FROM', 50, 125).text('BILL TO', 320, 125);
+    doc.fontSize(10).fillColor('#333333');
+    doc.text([invoice.seller?.name, ...partyLines({ ...invoice.seller, name: null })].filter(Boolean).join('\n'), 50, 140, { width: 230 });
+    doc.text(partyLines(invoice.buyer || {}).join('\n') || '-', 320, 140, { width: 230 });
+
+    // Line items
+    let y = 230;
+    doc.fontSize(9).fillColor('#888888')
+      .text('DESCRIPTION', 50, y)
+      .text('QTY', 330, y, { width: 40, align: 'right' })
+      .text('UNIT PRICE', 380, y, { width: 80, align: 'right' })
+      .text('AMOUNT', 470, y, { width: 80, align: 'right' });
+    doc.moveTo(50, y + 14).lineTo(550, y + 14).strokeColor('#DDDDDD').stroke();
+    y += 22;
+
+    doc.fontSize(10).fillColor('#333333');
+    (invoice.lineItems || []).forEach(item => {
+      const height = doc.heightOfString(item.description || '', { width: 270 });
+      doc.text(item.description || '', 50, y, { width: 270 })
+        .text(String(item.quantity ?? 1), 330, y, { width: 40, align: 'right' })
+        .text(money(item.unitPrice), 380, y, { width: 80, align: 'right' })
+        .text(money(item.amount), 470, y, { width: 80, align: 'right' });
+      y += Math.max(height, 14) + 8;
+    });
+
+    // Totals
+    doc.moveTo(330, y).lineTo(550, y).strokeColor('#DDDDDD').stroke();
+    y += 10;
+    const totalRow = (label, value, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+        .text(label, 330, y, { width: 130, align: 'right' })
+        .text(value, 470, y, { width: 80, align: 'right' });
+      y += 18;
+    };
+    totalRow('Subtotal', money(invoice.subtotal));
+    totalRow(invoice.taxRate ? `VAT (${invoice.taxRate}%)` : 'VAT', money(invoice.taxAmount));
+    totalRow(isCreditNote ? 'Total credited' : 'Total', money(invoice.total), true);
+    doc.font('Helvetica');
+
+    // Notes
+    y += 20;
+    doc.fontSize(9).fillColor('#555555');
+    if (invoice.reverseCharge) {
+      doc.text('Reverse charge: VAT to be accounted for by the recipient (Art. 196 Council Directive 2006/112/EC).', 50, y, { width: 500 });
+      y += 24;
+    }
+    if (isCreditNote) {
+      doc.text('This credit note corrects a previously issued invoice. The refunded amount is returned to the original payment method.', 50, y, { width: 500 });
+      y += 24;
+    } else if (isOpen) {
+      const terms = invoice.paymentTerms ? ` (${invoice.paymentTerms.replace('_', ' ')})` : '';
+      doc.text(`Please transfer ${money(invoice.total)} by ${formatDate(invoice.dueDate)}${terms}, quoting the payment reference below.`, 50, y, { width: 500 });
+      y += 24;
+    } else {
+      doc.text(invoice.paidAt ? `Paid in full on ${formatDate(invoice.paidAt)} - thank you for your purchase.` : 'Paid in full - thank you for your purchase.', 50, y, { width: 500 });
+      y += 16;
+    }
+    if (invoice.paymentReference) {
+      doc.text(`Payment reference: ${invoice.paymentReference}`, 50, y, { width: 500 });
+      y += 16;
+    }
+    if (isOpen && invoice.bankDetails) {
+      const bank = invoice.bankDetails;
+      y += 8;
+      doc.font('Helvetica-Bold').text('Bank details', 50, y);
+      doc.font('Helvetica');
+      y += 14;
+      doc.text([
+        bank.accountHolder ? `Account holder: ${bank.accountHolder}` : null,
+        bank.iban ? `IBAN: ${bank.iban}` : null,
+        bank.bic ? `BIC/SWIFT: ${bank.bic}` : null,
+        bank.bankName ? `Bank: ${bank.bankName}` : null
+      ].filter(Boolean).join('\n'), 50, y, { width: 500 });
+    }
+
+    doc.fontSize(8).fillColor('#999999')
+      .text(`${invoice.seller?.name || 'Konfydence'} - Safer Digital Decisions`, 50, 780, { width: 500, align: 'center' });
+
+    doc.end();
+  });
+};
+
+// Attachment for nodemailer; null if the invoice cannot be issued
+const getInvoiceAttachment = async (transaction) => {
+  const invoice = await ensureInvoiceForTransaction(transaction);
+  if (!invoice) return null;
+  return {
+    filename: `${invoice.number}.pdf`,
+    content: await renderInvoicePdf(invoice),
+    contentType: 'application/pdf'
+  };
+};
+
+module.exports = {
+  getBankDetails,
+  ensureInvoiceForTransaction,
+  issueCreditNotesForRefunds,
+  renderInvoicePdf,
+  getInvoiceAttachment
+};
@@ -0,0 +1,90 @@
+const FreeTrial = require('../models/FreeTrial');
+const User = require('../models/User');
+const CustomPackage = require('../models/CustomPackage');
+const Transaction = require('../models/Transaction');
+const Organization = require('../models/Organization');
+const School = require('../models/School');
+
+// Access is valid until the end of its end date (see isTransactionExpired / the trial checks),
+// so a record has lapsed once its end date is before today
+const startOfToday = (now = new Date()) => {
+  const date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const expireFreeTrials = async (cutoff) => {
+  const result = await FreeTrial.updateMany(
+    { status: 'active', endDate: { $lt: cutoff } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+};
+
+// Counts users, not memberships - a user can have several lapse at once
+const expireMemberships = async (cutoff) => {
+  const result = await User.updateMany(
+    { memberships: { $elemMatch: { status: 'active', endDate: { $lt: cutoff } } } },
+    { $set: { 'memberships.$[m].status': 'expired' } },
+    { arrayFilters: [{ 'm.status': 'active', 'm.endDate': { $lt: cutoff } }] }
+  );
+  return result.modifiedCount;
+};
+
+const expireContracts = async (cutoff) => {
+  const result = await CustomPackage.updateMany(
+    { 'contract.status': 'active', 'contract.endDate': { $lt: cutoff } },
+    { $set: { 'contract.status': 'expired' } }
+  );
+  return result.modifiedCount;
+};
+
+// Organizations/institutes are 'active' while they have a running contract: an active custom package
+// or a paid purchase whose contract period has not ended. Tenants that never bought anything keep their status.
+const updateTenantStatuses = async (Model, tenantField, cutoff) => {
+  const [activeContracts, runningPurchases, contractHistory, purchaseHistory] = await Promise.all([
+    CustomPackage.distinct(tenantField, { 'contract.status': 'active' }),
+    Transaction.distinct(tenantField, { status: 'paid', 'contractPeriod.endDate': { $gte: cutoff } }),
+    CustomPackage.distinct(tenantField, { 'contract.status': { $in: ['active', 'expired'] } }),
+    Transaction.distinct(tenantField, { status: { $in: ['paid', 'refunded'] } })
+  ]);
+
+  const liveIds = [...activeContracts, ...runningPurchases].filter(Boolean);
+  const customerIds = [...contractHistory, ...purchaseHistory].filter(Boolean);
+
+  const expired = await Model.updateMany(
+    { status: 'active', _id: { $in: customerIds, $nin: liveIds } },
+    { $set: { status: 'expired' } }
+  );
+  const reactivated = await Model.updateMany(
+    { status: { $in: ['expired', 'prospect'] }, _id: { $in: liveIds } },
+    { $set: { status: 'active' } }
+  );
+
+  return { expired: expired.modifiedCount, activated: reactivated.modifiedCount };
+};
+
+// Nightly sweep: persist the expirations that are otherwise only evaluated when someone plays/redeems.
+// Contracts run before tenants so an organization whose last contract lapsed today is expired in the same run.
+const runLifecycleSweep = async () => {
+  const cutoff = startOfToday();
+
+  const freeTrials = await expireFreeTrials(cutoff);
+  const memberships = await expireMemberships(cutoff);
+  const contracts = await expireContracts(cutoff);
+  const organizations = await updateTenantStatuses(Organization, 'organizationId', cutoff);
+  const schools = await updateTenantStatuses(School, 'schoolId', cutoff);
+
+  return {
+    cutoff,
+    expiredFreeTrials: freeTrials,
+    usersWithExpiredMemberships: memberships,
+    expiredContracts: contracts,
+    organizations,
+    schools
+  };
+};
+
+module.exports = {
+  runLifecycleSweep
+};
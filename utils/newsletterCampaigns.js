@@ -0,0 +1,235 @@
+const BlogPost = require('../models/BlogPost');
+const EmailOutbox = require('../models/EmailOutbox');
+const NewsletterCampaign = require('../models/NewsletterCampaign');
+const Subscriber = require('../models/Subscriber');
+const { queueEmail } = require('./emailOutbox');
+const { renderTemplate } = require('./emailTemplates');
+const { escapeHtml } = require('./templateEngine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Subscriber query for a campaign audience - only confirmed (double opt-in) subscriptions are mailed
+const buildAudienceMatch = (audience = {}) => {
+  const match = { status: 'subscribed' };
+  if (audience.subscriptionTypes?.length) match.subscriptionType = { $in: audience.subscriptionTypes };
+  if (audience.sources?.length) match.source = { $in: audience.sources };
+  if (audience.engagedWithinDays) {
+    const since = new Date(Date.now() - audience.engagedWithinDays * DAY_MS);
+    match.$or = [{ lastOpenedAt: { $gte: since } }, { lastClickedAt: { $gte: since } }];
+  }
+  return match;
+};
+
+// Number of distinct addresses in the audience (someone on several lists gets one email)
+const countAudience = async (audience) => {
+  const [result] = await Subscriber.aggregate([
+    { $match: buildAudienceMatch(audience) },
+    { $group: { _id: '$email' } },
+    { $count: 'recipients' }
+  ]);
+  return result ? result.recipients : 0;
+};
+
+// Next recipients after `afterEmail`, in email order
+const getAudienceBatch = (audience, afterEmail, limit) => {
+  const match = buildAudienceMatch(audience);
+  if (afterEmail) match.email = { $gt: afterEmail };
+  return Subscriber.aggregate([
+    { $match: match },
+    { $group: { _id: '$email', subscriptionTypes: { $addToSet: '$subscriptionType' } } },
+    { $sort: { _id: 1 } },
+    { $limit: limit }
+  ]);
+};
+
+// Latest published blog posts for a digest
+const pickDigestPosts = async (digest = {}) => {
+  const query = { isPublished: true, 'review.status': 'published' };
+  if (digest.categories?.length) query.category = { $in: digest.categories };
+
+  const posts = await BlogPost.find(query)
+    .select('title excerpt slug featuredImage publishedAt')
+    .sort({ publishedAt: -1, createdAt: -1 })
+    .limit(digest.postCount || 5)
+    .lean();
+  return posts.map(post => ({
+    postId: post._id,
+    title: post.title,
+    excerpt: post.excerpt,
+    slug: post.slug,
+    featuredImage: post.featuredImage,
+    publishedAt: post.publishedAt
+  }));
+};
+
+const toPostVariables = (posts) => posts.map(post => ({
+  title: post.title,
+  excerpt: post.excerpt,
+  url: `${getFrontendUrl()}/blog/${post.slug}`,
+  imageUrl: post.featuredImage && /^https?:\/\//.test(post.featuredImage) ? post.featuredImage : null,
+  publishedAt: post.publishedAt
+}));
+
+// Default post list for {{{digest}}} (and for digest campaigns whose body does not place the posts itself)
+const renderDigestHtml = (posts) => posts.map(post => `
+  <div style="margin: 0 0 24px 0; padding-bottom: 16px; border-bottom: 1px solid #e0e0e0;">
+    ${post.imageUrl ? `<img src="${escapeHtml(post.imageUrl)}" alt="" style="width: 100%; max-width: 560px; border-radius: 6px; margin-bottom: 8px;" />` : ''}
+    <h3 style="margin: 0 0 8px 0;"><a href="${escapeHtml(post.url)}" style="color: #063C5E; text-decoration: none;">${escapeHtml(post.title)}</a></h3>
+    <p style="margin: 0; color: #555555;">${escapeHtml(post.excerpt || '')}</p>
+  </div>`).join('');
+
+const PLACES_POSTS = /\{\{\{?\s*[#^]?\s*(posts|digest)\b/;
+
+// Subject/html/text for one recipient. posts: digest posts (the campaign snapshot, or picked now for previews).
+const renderCampaign = (campaign, { email, subscriptionTypes = [], posts = [] } = {}) => {
+  const postVariables = toPostVariables(posts);
+  const digest = renderDigestHtml(postVariables);
+  const html = campaign.digest?.enabled && !PLACES_POSTS.test(campaign.html)
+    ? `${campaign.html}{{{digest}}}`
+    : campaign.html;
+
+  return renderTemplate(
+    { subject: campaign.subject, html, text: campaign.text, layout: true, locale: campaign.locale },
+    { email, subscriptionTypes, posts: postVariables, digest }
+  );
+};
+
+// Digest posts for previews and test sends before the campaign has its snapshot
+const getCampaignPosts = async (campaign) => {
+  if (!campaign.digest?.enabled) return [];
+  if (campaign.digest.posts?.length) return campaign.digest.posts;
+  return pickDigestPosts(campaign.digest);
+};
+
+// Send the campaign to a few addresses (not counted in the campaign stats, no unsubscribe footer)
+const sendTestEmails = async (campaign, emails, adminId) => {
+  const posts = await getCampaignPosts(campaign);
+  const results = [];
+  for (const email of emails) {
+    const content = renderCampaign(campaign, { email, posts });
+    const info = await queueEmail(
+      { to: email, subject: `[Test] ${content.subject}`, html: content.html, text: content.text },
+      { category: 'newsletter_test', meta: { campaignTestId: campaign._id }, createdBy: adminId }
+    );
+    results.push({ email, outboxId: info.outboxId });
+  }
+  return results;
+};
+
+// Scheduled campaigns whose time has come start sending; the digest posts are fixed at this point
+const startDueCampaigns = async () => {
+  let started = 0;
+  for (;;) {
+    const campaign = await NewsletterCampaign.findOneAndUpdate(
+      { status: 'scheduled', scheduledAt: { $lte: new Date() } },
+      { $set: { status: 'sending', startedAt: new Date() } },
+      { new: true, sort: { scheduledAt: 1 } }
+    );
+    if (!campaign) return started;
+
+    if (campaign.digest?.enabled) {
+      campaign.digest.posts = await pickDigestPosts(campaign.digest);
+      await campaign.save();
+    }
+    started += 1;
+    console.log('📰 Newsletter campaign started:', { id: campaign._id, name: campaign.name });
+  }
+};
+
+// Queue the next batch of one sending campaign. Progress is saved per recipient, so a crash resends nobody.
+const sendCampaignBatch = async (campaign) => {
+  const recipients = await getAudienceBatch(campaign.audience, campaign.progress?.lastEmail, campaign.batchSize);
+  const posts = campaign.digest?.enabled ? campaign.digest.posts : [];
+  let queued = 0;
+
+  for (const recipient of recipients) {
+    // Stop when the campaign was cancelled in the meantime
+    const current = await NewsletterCampaign.findOne({ _id: campaign._id, status: 'sending' }).select('_id');
+    if (!current) return { queued, done: true };
+
+    const content = renderCampaign(campaign, { email: recipient._id, subscriptionTypes: recipient.subscriptionTypes, posts });
+    await queueEmail(
+      { to: recipient._id, subject: content.subject, html: content.html, text: content.text },
+      { category: 'newsletter', meta: { campaignId: campaign._id }, locale: campaign.locale, track: true }
+    );
+    await NewsletterCampaign.updateOne(
+      { _id: campaign._id },
+      { $set: { 'progress.lastEmail': recipient._id }, $inc: { 'progress.queued': 1 } }
+    );
+    queued += 1;
+  }
+
+  const done = recipients.length < campaign.batchSize;
+  if (done) {
+    await NewsletterCampaign.updateOne(
+      { _id: campaign._id, status: 'sending' },
+      { $set: { status: 'sent', completedAt: new Date() } }
+    );
+    console.log('📰 Newsletter campaign completed:', { id: campaign._id, name: campaign.name, queued: (campaign.progress?.queued || 0) + queued });
+  }
+  return { queued, done };
+};
+
+// Job handler (newsletter-campaigns, every minute): start due campaigns and queue one batch per sending campaign
+const processCampaigns = async () => {
+  const started = await startDueCampaigns();
+  const sending = await NewsletterCampaign.find({ status: 'sending' }).sort({ startedAt: 1 });
+
+  let queued = 0;
+  let completed = 0;
+  for (const campaign of sending) {
+    const result = await sendCampaignBatch(campaign);
+    queued += result.queued;
+    if (result.done) completed += 1;
+  }
+  return { started, queued, completed };
+};
+
+// Delivery and engagement numbers from the outbox messages of a campaign
+const getCampaignStats = async (campaign) => {
+  const [messages] = await EmailOutbox.aggregate([
+    { $match: { 'meta.campaignId': campaign._id } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        queued: { $sum: { $cond: [{ $in: ['$status', ['queued', 'sending']] }, 1, 0] } },
+        sent: { $sum: { $cond: [{ $eq: ['$status', 'sent'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+        suppressed: { $sum: { $cond: [{ $eq: ['$status', 'suppressed'] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        uniqueOpens: { $sum: { $cond: [{ $gt: ['$tracking.opens', 0] }, 1, 0] } },
+        opens: { $sum: { $ifNull: ['$tracking.opens', 0] } },
+        uniqueClicks: { $sum: { $cond: [{ $gt: ['$tracking.clicks', 0] }, 1, 0] } },
+        clicks: { $sum: { $ifNull: ['$tracking.clicks', 0] } },
+        unsubscribes: { $sum: { $cond: [{ $ifNull: ['$tracking.unsubscribedAt', false] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const stats = messages || {
+    total: 0, queued: 0, sent: 0, failed: 0, suppressed: 0, cancelled: 0,
+    uniqueOpens: 0, opens: 0, uniqueClicks: 0, clicks: 0, unsubscribes: 0
+  };
+  delete stats._id;
+
+  const rate = (count) => (stats.sent ? Math.round((count / stats.sent) * 1000) / 10 : 0);
+  return {
+    ...stats,
+    openRate: rate(stats.uniqueOpens),
+    clickRate: rate(stats.uniqueClicks),
+    unsubscribeRate: rate(stats.unsubscribes)
+  };
+};
+
+module.exports = {
+  countAudience,
+  pickDigestPosts,
+  renderCampaign,
+  getCampaignPosts,
+  sendTestEmails,
+  processCampaigns,
+  getCampaignStats
+};
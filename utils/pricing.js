@@ -0,0 +1,117 @@
+// Currencies we keep price lists in and can charge in
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'CHF'];
+
+// EU member states (ISO 3166-1 alpha-2) - priced in EUR, including the non-euro members
+const EU_COUNTRIES = [
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU',
+  'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'
+];
+
+const COUNTRY_CURRENCIES = {
+  GB: 'GBP',
+  CH: 'CHF',
+  LI: 'CHF'
+};
+
+// Fallback rates to USD (1 unit of currency = n USD) for reporting.
+// Override with EXCHANGE_RATES='{"EUR":1.08,"GBP":1.27}' to keep them current.
+const DEFAULT_USD_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  CHF: 1.13
+};
+
+const getUsdRates = () => {
+  if (!process.env.EXCHANGE_RATES) return DEFAULT_USD_RATES;
+  try {
+    return { ...DEFAULT_USD_RATES, ...JSON.parse(process.env.EXCHANGE_RATES) };
+  } catch (error) {
+    console.error('Invalid EXCHANGE_RATES, using defaults:', error.message);
+    return DEFAULT_USD_RATES;
+  }
+};
+
+const getReportingCurrency = () => (process.env.REPORTING_CURRENCY || 'USD').toUpperCase();
+
+const normalizeCountry = (country) => {
+  if (typeof country !== 'string') return null;
+  const code = country.trim().toUpperCase();
+  // Greece is "EL" in VAT numbers
+  if (code === 'EL') return 'GR';
+  return /^[A-Z]{2}$/.test(code) ? code : null;
+};
+
+const isEuCountry = (country) => EU_COUNTRIES.includes(normalizeCountry(country));
+
+// Buyer's country: what they picked on the checkout page, else the CDN geo header
+const getBuyerCountry = (req) => {
+  return normalizeCountry(req.body?.country || req.query?.country) ||
+    normalizeCountry(req.headers['cf-ipcountry']) ||
+    normalizeCountry(req.headers['x-vercel-ip-country']) ||
+    null;
+};
+
+const getCurrencyForCountry = (country) => {
+  const code = normalizeCountry(country);
+  if (!code) return 'USD';
+  if (COUNTRY_CURRENCIES[code]) return COUNTRY_CURRENCIES[code];
+  if (EU_COUNTRIES.includes(code)) return 'EUR';
+  return 'USD';
+};
+
+// Currency a checkout is charged in: an explicitly requested supported currency, else the buyer's country currency
+const selectCurrency = (requestedCurrency, country) => {
+  const requested = typeof requestedCurrency === 'string' ? requestedCurrency.toUpperCase() : null;
+  if (requested && SUPPORTED_CURRENCIES.includes(requested)) return requested;
+  return getCurrencyForCountry(country);
+};
+
+// Price in the wanted currency from a price list, falling back to the base price (and its currency)
+const resolvePrice = (basePrice, prices, currency) => {
+  const entry = (prices || []).find(p => p.currency === currency && p.amount > 0);
+  if (entry) {
+    return { amount: entry.amount, currency };
+  }
+  return { amount: basePrice.amount, currency: (basePrice.currency || 'USD').toUpperCase() };
+};
+
+const convertAmount = (amount, fromCurrency, toCurrency = getReportingCurrency()) => {
+  const from = (fromCurrency || 'USD').toUpperCase();
+  const to = (toCurrency || 'USD').toUpperCase();
+  if (!amount || from === to) return amount || 0;
+
+  const rates = getUsdRates();
+  if (!rates[from] || !rates[to]) {
+    console.warn('⚠️ No exchange rate for currency, amount not converted:', { from, to });
+    return amount;
+  }
+  return Math.round((amount * rates[from] / rates[to]) * 100) / 100;
+};
+
+// Price list entries from an admin form: known currencies, positive amounts, one entry per currency
+const normalizePriceList = (prices) => {
+  if (!Array.isArray(prices)) return [];
+  const seen = new Set();
+  return prices
+    .map(p => ({ currency: (p?.currency || '').toUpperCase(), amount: parseFloat(p?.amount) }))
+    .filter(p => {
+      if (!SUPPORTED_CURRENCIES.includes(p.currency) || !(p.amount > 0) || seen.has(p.currency)) return false;
+      seen.add(p.currency);
+      return true;
+    });
+};
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  EU_COUNTRIES,
+  getReportingCurrency,
+  normalizeCountry,
+  isEuCountry,
+  getBuyerCountry,
+  getCurrencyForCountry,
+  selectCurrency,
+  resolvePrice,
+  convertAmount,
+  normalizePriceList
+};
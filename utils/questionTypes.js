@@ -0,0 +1,109 @@
+const Card = require('../models/Card');
+
+// Question types beyond single choice. Everything is expressed with question.answers and their scoring:
+// - single_choice: pick one of 4 answers, scored with the answer's scoring
+// - multi_select: pick all right answers (scoring above 0); points for each one, none when a wrong one is picked
+// - ordering: put the answers (stored in the right order) in order; each item scores when it is in its place
+// - true_false: pick one of 2 answers and say how sure you are (CONFIDENCE_FACTORS)
+// - hotspot: click the red flags (answers with a region and scoring above 0) on the question's image attachment
+
+const QUESTION_TYPES = Card.QUESTION_TYPES;
+const DEFAULT_QUESTION_TYPE = 'single_choice';
+
+// Share of the points for a true/false answer: being sure and right scores best, being unsure and wrong
+// still scores a little
+const CONFIDENCE_FACTORS = {
+  low: { right: 0.5, wrong: 0.25 },
+  medium: { right: 0.75, wrong: 0 },
+  high: { right: 1, wrong: 0 }
+};
+const CONFIDENCE_LEVELS = Object.keys(CONFIDENCE_FACTORS);
+
+const getQuestionType = (question) => question?.type || DEFAULT_QUESTION_TYPE;
+
+const isRightAnswer = (answer) => (answer.scoring || 0) > 0;
+
+const hasRegion = (answer) => {
+  const region = answer.region || {};
+  return ['x', 'y', 'width', 'height'].every(field => Number.isFinite(region[field]) && region[field] >= 0 && region[field] <= 100)
+    && region.width > 0 && region.height > 0;
+};
+
+// Rules of the question's type -> error messages (without the "Question: " prefix). The 4 answers of single
+// choice questions are checked where cards are created.
+const validateQuestionType = (question) => {
+  const type = getQuestionType(question);
+  const answers = question.answers || [];
+  const errors = [];
+
+  if (!QUESTION_TYPES.includes(type)) {
+    return [`Invalid question type "${type}" (${QUESTION_TYPES.join(', ')})`];
+  }
+  if (type === DEFAULT_QUESTION_TYPE) {
+    return errors;
+  }
+  if (answers.some(answer => !answer.text || !String(answer.text).trim())) {
+    errors.push('All answers must have text');
+  }
+
+  switch (type) {
+    case 'multi_select':
+      if (answers.length < 2) errors.push('Multi-select questions need at least 2 answers');
+      if (!answers.some(isRightAnswer)) errors.push('Give at least one right answer a scoring above 0');
+      break;
+    case 'ordering':
+      if (answers.length < 2) errors.push('Ordering questions need at least 2 items');
+      if (!answers.every(isRightAnswer)) errors.push('Every item needs a scoring above 0 (points for putting it in its place)');
+      break;
+    case 'true_false':
+      if (answers.length !== 2) errors.push('True/false questions must have exactly 2 answers');
+      if (answers.filter(isRightAnswer).length !== 1) errors.push('Exactly one answer of a true/false question needs a scoring above 0');
+      break;
+    case 'hotspot':
+      if (answers.length === 0) errors.push('Hotspot questions need at least one area');
+      if (!answers.every(hasRegion)) errors.push('Every area needs a region with x, y, width and height in percent (0-100) of the image');
+      if (!answers.some(isRightAnswer)) errors.push('Give at least one area (red flag) a scoring above 0');
+      if (!(question.attachments || []).some(attachment => attachment.type === 'image')) {
+        errors.push('Hotspot questions need an image attachment');
+      }
+      break;
+    default:
+      break;
+  }
+  return errors;
+};
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Question as sent to players: answers without their scoring and hotspot region (scored on the server), ordering
+// items are shuffled, true/false lists the confidence levels
+const toGameQuestion = (question) => {
+  const type = getQuestionType(question);
+  const answers = (question.answers || []).map(({ scoring, region, ...answer }) => answer);
+  const gameQuestion = { ...question, type, answers };
+  if (type === 'ordering') {
+    gameQuestion.answers = shuffle(answers);
+  }
+  if (type === 'true_false') {
+    gameQuestion.confidenceLevels = CONFIDENCE_LEVELS;
+  }
+  return gameQuestion;
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  DEFAULT_QUESTION_TYPE,
+  CONFIDENCE_FACTORS,
+  CONFIDENCE_LEVELS,
+  getQuestionType,
+  isRightAnswer,
+  validateQuestionType,
+  toGameQuestion
+};
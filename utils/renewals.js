@@ -0,0 +1,263 @@
+const User = require('../models/User');
+const CustomPackage = require('../models/CustomPackage');
+const FreeTrial = require('../models/FreeTrial');
+const Transaction = require('../models/Transaction');
+const Organization = require('../models/Organization');
+const School = require('../models/School');
+const RenewalReminder = require('../models/RenewalReminder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expiry notices go out for records that lapsed within this many days (covers missed job runs)
+const EXPIRY_NOTICE_WINDOW_DAYS = 7;
+
+// Days before the end date reminders are sent, e.g. RENEWAL_REMINDER_DAYS=30,7,1
+const getReminderOffsets = () => {
+  const offsets = (process.env.RENEWAL_REMINDER_DAYS || '30,7,1')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => value > 0);
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+// Renewal purchases are accepted from the first reminder onwards (and after expiry)
+const getRenewalWindowDays = () => Math.max(...getReminderOffsets(), 1);
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// Whole days of access left: 0 when it ends today (access lasts until the end of the end date)
+const getDaysLeft = (endDate, now = new Date()) => Math.round((startOfDay(endDate) - startOfDay(now)) / DAY_MS);
+
+const isWithinRenewalWindow = (endDate, now = new Date()) => {
+  if (!endDate) return false;
+  return getDaysLeft(endDate, now) <= getRenewalWindowDays();
+};
+
+// A renewal bought before the current period ends starts the day after it, so no paid days are lost
+const getRenewalStartDate = (currentEndDate, now = new Date()) => {
+  if (!currentEndDate || getDaysLeft(currentEndDate, now) < 0) return now;
+  const start = startOfDay(currentEndDate);
+  start.setDate(start.getDate() + 1);
+  return start > now ? start : now;
+};
+
+// Frontend page that starts create-checkout-session with these parameters and renewal: true
+const buildRenewalLink = ({ packageId, customPackageId, productId, urlType }) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const params = new URLSearchParams({ renewal: 'true' });
+  if (packageId) params.set('packageId', packageId.toString());
+  if (customPackageId) params.set('customPackageId', customPackageId.toString());
+  if (productId) params.set('productId', productId.toString());
+  if (urlType) params.set('urlType', urlType);
+  return `${frontendUrl}/renew?${params.toString()}`;
+};
+
+// Which reminder is due: the smallest offset not below the days left, or 0 (expiry notice) once lapsed
+const getDueOffset = (daysLeft, offsets) => {
+  if (daysLeft < 0) return 0;
+  const candidates = offsets.filter(offset => offset >= daysLeft);
+  return candidates.length > 0 ? Math.min(...candidates) : null;
+};
+
+// Subscriptions renew on their own - no reminder while one is running and not set to cancel
+const hasRunningSubscription = (query) => {
+  return Transaction.exists({
+    ...query,
+    status: 'paid',
+    stripeSubscriptionId: { $exists: true, $ne: null },
+    'subscription.status': { $in: ['active', 'trialing', 'past_due'] },
+    'subscription.cancelAtPeriodEnd': { $ne: true }
+  });
+};
+
+// Renewal already paid for: a paid transaction whose period runs past the given end date
+const hasPaidRenewal = (query, endDate) => {
+  return Transaction.exists({
+    ...query,
+    status: 'paid',
+    'contractPeriod.endDate': { $gt: endDate }
+  });
+};
+
+// Claim the reminder in the log, send it, and release the claim again if sending failed
+const sendOnce = async (entry, send) => {
+  let reminder;
+  try {
+    reminder = await RenewalReminder.create(entry);
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  const result = await send();
+  if (!result?.success) {
+    await RenewalReminder.deleteOne({ _id: reminder._id });
+    return false;
+  }
+  return true;
+};
+
+const getWindow = (now, offsets) => ({
+  from: new Date(startOfDay(now).getTime() - EXPIRY_NOTICE_WINDOW_DAYS * DAY_MS),
+  to: new Date(startOfDay(now).getTime() + (Math.max(...offsets) + 1) * DAY_MS)
+});
+
+// B2C memberships (org/institute access is covered by the contract reminders to owners)
+const remindMemberships = async (now, offsets, send) => {
+  const { from, to } = getWindow(now, offsets);
+  const users = await User.find({
+    memberships: { $elemMatch: { membershipType: 'b2c', status: { $ne: 'cancelled' }, endDate: { $gte: from, $lt: to } } }
+  })
+    .select('name email memberships')
+    .populate('memberships.packageId', 'name');
+
+  let sent = 0;
+  for (const user of users) {
+    for (const membership of user.memberships) {
+      if (membership.membershipType !== 'b2c' || membership.status === 'cancelled' || !membership.endDate) continue;
+      if (membership.endDate < from || membership.endDate >= to) continue;
+
+      const offset = getDueOffset(getDaysLeft(membership.endDate, now), offsets);
+      if (offset === null) continue;
+
+      const packageId = membership.packageId?._id || membership.packageId;
+      // Renewed: a newer membership for the same package runs past this one
+      const renewed = user.memberships.some(other =>
+        other !== membership &&
+        (other.packageId?._id || other.packageId)?.toString() === packageId?.toString() &&
+        other.status === 'active' &&
+        (!other.endDate || other.endDate > membership.endDate)
+      );
+      if (renewed || await hasRunningSubscription({ userId: user._id, packageId })) continue;
+      if (await hasPaidRenewal({ userId: user._id, packageId }, membership.endDate)) continue;
+
+      const delivered = await sendOnce(
+        { kind: 'membership', subjectId: membership._id, userId: user._id, email: user.email, endDate: membership.endDate, offsetDays: offset },
+        () => send({
+          to: user.email,
+          name: user.name,
+          itemName: membership.packageId?.name || 'Konfydence membership',
+          kind: 'membership',
+          endDate: membership.endDate,
+          daysLeft: getDaysLeft(membership.endDate, now),
+          renewalUrl: buildRenewalLink({ packageId, urlType: 'B2C' })
+        })
+      );
+      if (delivered) sent += 1;
+    }
+  }
+  return sent;
+};
+
+// Custom package contracts - sent to the organization/institute owner
+const remindContracts = async (now, offsets, send) => {
+  const { from, to } = getWindow(now, offsets);
+  const packages = await CustomPackage.find({
+    'contract.status': { $in: ['active', 'expired'] },
+    'contract.endDate': { $gte: from, $lt: to }
+  }).select('name organizationId schoolId contract');
+
+  let sent = 0;
+  for (const customPackage of packages) {
+    const endDate = customPackage.contract.endDate;
+    const offset = getDueOffset(getDaysLeft(endDate, now), offsets);
+    if (offset === null) continue;
+    if (await hasRunningSubscription({ customPackageId: customPackage._id })) continue;
+
+    const tenant = customPackage.organizationId
+      ? await Organization.findById(customPackage.organizationId).select('name ownerId primaryContact')
+      : await School.findById(customPackage.schoolId).select('name ownerId primaryContact');
+    if (!tenant) continue;
+
+    const owner = tenant.ownerId ? await User.findById(tenant.ownerId).select('name email') : null;
+    const recipient = owner?.email || tenant.primaryContact?.email;
+    if (!recipient) continue;
+
+    const delivered = await sendOnce(
+      { kind: 'contract', subjectId: customPackage._id, userId: owner?._id, email: recipient, endDate, offsetDays: offset },
+      () => send({
+        to: recipient,
+        name: owner?.name || tenant.primaryContact?.name,
+        itemName: `${customPackage.name} (${tenant.name})`,
+        kind: 'contract',
+        endDate,
+        daysLeft: getDaysLeft(endDate, now),
+        renewalUrl: buildRenewalLink({
+          customPackageId: customPackage._id,
+          urlType: customPackage.organizationId ? 'B2B' : 'B2E'
+        })
+      })
+    );
+    if (delivered) sent += 1;
+  }
+  return sent;
+};
+
+// Free trials / demos - the "renewal" is buying the package or product the trial was for
+const remindFreeTrials = async (now, offsets, send) => {
+  const { from, to } = getWindow(now, offsets);
+  const trials = await FreeTrial.find({
+    status: { $in: ['active', 'expired'] },
+    endDate: { $gte: from, $lt: to }
+  })
+    .populate('userId', 'name email')
+    .populate('packageId', 'name')
+    .populate('productId', 'title name');
+
+  let sent = 0;
+  for (const trial of trials) {
+    const user = trial.userId;
+    if (!user?.email) continue;
+
+    const offset = getDueOffset(getDaysLeft(trial.endDate, now), offsets);
+    if (offset === null) continue;
+
+    // Already bought something since the trial started
+    const purchased = await Transaction.exists({ userId: user._id, status: 'paid', createdAt: { $gte: trial.startDate } });
+    if (purchased) continue;
+
+    const delivered = await sendOnce(
+      { kind: 'free_trial', subjectId: trial._id, userId: user._id, email: user.email, endDate: trial.endDate, offsetDays: offset },
+      () => send({
+        to: user.email,
+        name: user.name,
+        itemName: trial.packageId?.name || trial.productId?.title || trial.productId?.name || 'Konfydence free trial',
+        kind: 'free_trial',
+        endDate: trial.endDate,
+        daysLeft: getDaysLeft(trial.endDate, now),
+        renewalUrl: buildRenewalLink({
+          packageId: trial.packageId?._id,
+          productId: trial.productId?._id,
+          urlType: trial.targetAudience
+        })
+      })
+    );
+    if (delivered) sent += 1;
+  }
+  return sent;
+};
+
+// Daily job: renewal reminders at the configured offsets plus an expiry notice once access has lapsed
+const sendRenewalReminders = async (now = new Date()) => {
+  const { sendRenewalReminderEmail } = require('./emailService');
+  const offsets = getReminderOffsets();
+
+  return {
+    offsets,
+    memberships: await remindMemberships(now, offsets, sendRenewalReminderEmail),
+    contracts: await remindContracts(now, offsets, sendRenewalReminderEmail),
+    freeTrials: await remindFreeTrials(now, offsets, sendRenewalReminderEmail)
+  };
+};
+
+module.exports = {
+  getRenewalWindowDays,
+  isWithinRenewalWindow,
+  getRenewalStartDate,
+  buildRenewalLink,
+  sendRenewalReminders
+};
@@ -0,0 +1,194 @@
+const os = require('os');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+
+// Identifies this server process in job locks and run history
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+
+// How often each instance checks for due jobs
+const TICK_MS = 60 * 1000;
+
+// A lock older than this is assumed to belong to a crashed run and may be taken over
+const DEFAULT_LOCK_MS = 30 * 60 * 1000;
+
+const jobs = new Map();
+let ticker = null;
+
+// Next run time for a job: every intervalMs, or daily at dailyAt ('HH:MM', server local time)
+const getNextRunAt = (job, from = new Date()) => {
+  if (job.intervalMs) {
+    return new Date(from.getTime() + job.intervalMs);
+  }
+
+  const [hours, minutes] = job.dailyAt.split(':').map(Number);
+  const next = new Date(from);
+  next.setHours(hours, minutes || 0, 0, 0);
+  if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+};
+
+// Register a job. Options: { description, dailyAt: 'HH:MM' | intervalMs, lockMs, handler }
+// The schedule can be overridden per job with JOB_<NAME>_AT, e.g. JOB_LIFECYCLE_SWEEP_AT=03:30
+const registerJob = (name, options) => {
+  if (typeof options.handler !== 'function') {
+    throw new Error(`Job ${name} needs a handler`);
+  }
+
+  const envAt = process.env[`JOB_${name.toUpperCase().replace(/-/g, '_')}_AT`];
+  const dailyAt = /^\d{1,2}:\d{2}$/.test(envAt || '') ? envAt : options.dailyAt;
+  if (!dailyAt && !options.intervalMs) {
+    throw new Error(`Job ${name} needs dailyAt or intervalMs`);
+  }
+
+  jobs.set(name, {
+    name,
+    description: options.description || '',
+    dailyAt: options.intervalMs ? null : dailyAt,
+    intervalMs: options.intervalMs || null,
+    lockMs: options.lockMs || DEFAULT_LOCK_MS,
+    handler: options.handler
+  });
+};
+
+// Run the handler under an already claimed lock, recording the run
+const execute = async (job, run, trigger) => {
+  const started = Date.now();
+  let update;
+
+  try {
+    const result = await job.handler({ run });
+    run.status = 'succeeded';
+    run.result = result === undefined ? null : result;
+    update = { lastStatus: 'succeeded', lastError: null };
+    console.log(`⏱️ Job ${job.name} succeeded in ${Date.now() - started}ms`, run.result || '');
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    update = { lastStatus: 'failed', lastError: error.message };
+    console.error(`❌ Job ${job.name} failed:`, error);
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  await run.save();
+
+  update.lastRunId = run._id;
+  // Manual runs leave the regular schedule untouched
+  if (trigger === 'scheduled') {
+    update.nextRunAt = getNextRunAt(job);
+  }
+  await Job.release(job.name, INSTANCE_ID, update);
+  return run;
+};
+
+const claimAndStart = async (job, { trigger, triggeredBy }) => {
+  const claimed = await Job.claim(job.name, {
+    instanceId: INSTANCE_ID,
+    lockMs: job.lockMs,
+    onlyIfDue: trigger === 'scheduled'
+  });
+  if (!claimed) return null;
+
+  const run = await JobRun.create({
+    job: job.name,
+    trigger,
+    triggeredBy,
+    instanceId: INSTANCE_ID,
+    startedAt: claimed.lastRunAt
+  });
+  return { run, done: execute(job, run, trigger) };
+};
+
+// Start a job now (admin "run now"). Returns { run, done } or { error, status } when it cannot start.
+const triggerJob = async (name, { triggeredBy } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    return { status: 404, error: 'Job not found' };
+  }
+
+  await Job.ensure(name, getNextRunAt(job));
+  const started = await claimAndStart(job, { trigger: 'manual', triggeredBy });
+  if (!started) {
+    return { status: 409, error: 'Job is already running' };
+  }
+  return started;
+};
+
+// Run every due job this instance can get the lock for (one at a time)
+const tick = async () => {
+  for (const job of jobs.values()) {
+    try {
+      const started = await claimAndStart(job, { trigger: 'scheduled' });
+      if (started) {
+        await started.done;
+      }
+    } catch (error) {
+      console.error(`❌ Error running job ${job.name}:`, error);
+    }
+  }
+};
+
+// Create state documents for registered jobs and start checking for due ones.
+// Set JOBS_ENABLED=false on instances that should not run scheduled jobs (manual runs still work).
+const startScheduler = async () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('⏸️ Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+  if (ticker) return;
+
+  for (const job of jobs.values()) {
+    await Job.ensure(job.name, getNextRunAt(job));
+  }
+
+  ticker = setInterval(() => {
+    tick().catch(err => console.error('❌ Job scheduler tick failed:', err));
+  }, TICK_MS);
+  ticker.unref();
+  console.log(`⏱️ Job scheduler started (${jobs.size} job(s), instance ${INSTANCE_ID})`);
+};
+
+const stopScheduler = () => {
+  if (ticker) {
+    clearInterval(ticker);
+    ticker = null;
+  }
+};
+
+// Registered jobs with their persisted state, for the admin API
+const listJobs = async () => {
+  const states = await Job.find({ _id: { $in: [...jobs.keys()] } }).lean();
+  const stateByName = new Map(states.map(state => [state._id, state]));
+  const now = new Date();
+
+  return [...jobs.values()].map(job => {
+    const state = stateByName.get(job.name) || {};
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.intervalMs ? { intervalMs: job.intervalMs } : { dailyAt: job.dailyAt },
+      nextRunAt: state.nextRunAt || null,
+      running: Boolean(state.lockedUntil && state.lockedUntil > now),
+      lockedBy: state.lockedUntil && state.lockedUntil > now ? state.lockedBy : null,
+      lastRunAt: state.lastRunAt || null,
+      lastFinishedAt: state.lastFinishedAt || null,
+      lastStatus: state.lastStatus || null,
+      lastError: state.lastError || null,
+      lastRunId: state.lastRunId || null
+    };
+  });
+};
+
+const hasJob = (name) => jobs.has(name);
+
+module.exports = {
+  INSTANCE_ID,
+  registerJob,
+  triggerJob,
+  startScheduler,
+  stopScheduler,
+  listJobs,
+  hasJob
+};
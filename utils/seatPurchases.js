@@ -0,0 +1,301 @@
+const Transaction = require('../models/Transaction');
+const Organization = require('../models/Organization');
+const School = require('../models/School');
+const CustomPackage = require('../models/CustomPackage');
+const Package = require('../models/Package');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { stripe, isStripeConfigured } = require('./stripe');
+
+const SEAT_TOPUP_PURCHASE_TYPE = 'seat_topup';
+
+const getTenantModel = (tenantType) => (tenantType === 'school' ? School : Organization);
+
+// How the tenant is named in error messages
+const getTenantLabel = (tenantType) => (tenantType === 'school' ? 'Institute' : 'Organization');
+
+// Per-seat price of a custom package: its own contract pricing, or its base package's pricing, when billed per seat
+const getPerSeatPricing = async (customPackage) => {
+  if (customPackage.contractPricing?.billingType === 'per_seat') {
+    return {
+      amount: customPackage.contractPricing.amount,
+      currency: customPackage.contractPricing.currency || 'USD'
+    };
+  }
+
+  if (customPackage.basePackageId) {
+    const basePackage = await Package.findById(customPackage.basePackageId).select('pricing');
+    if (basePackage?.pricing?.billingType === 'per_seat') {
+      return {
+        amount: basePackage.pricing.amount,
+        currency: basePackage.pricing.currency || 'USD'
+      };
+    }
+  }
+
+  return null;
+};
+
+// Share of the contract that is still left (1 when the contract has no end date)
+const getProrationFactor = (contract, now = new Date()) => {
+  const endDate = contract?.endDate ? new Date(contract.endDate) : null;
+  if (!endDate) return 1;
+
+  const startDate = contract.startDate ? new Date(contract.startDate) : now;
+  const totalMs = endDate - startDate;
+  const remainingMs = endDate - now;
+  if (totalMs <= 0 || remainingMs <= 0) return 0;
+
+  return Math.min(1, remainingMs / totalMs);
+};
+
+// Custom package the seats are bought for: the one requested, or the tenant's latest active package
+const findSeatPackage = async (tenantType, tenantId, customPackageId) => {
+  const tenantField = tenantType === 'school' ? 'schoolId' : 'organizationId';
+
+  if (customPackageId) {
+    return CustomPackage.findOne({ _id: customPackageId, [tenantField]: tenantId });
+  }
+
+  return CustomPackage.findOne({
+    [tenantField]: tenantId,
+    'contract.status': 'active'
+  }).sort({ createdAt: -1 });
+};
+
+// Create a Checkout session for N extra seats, prorated to the contract end date.
+// Returns { error, status } when the purchase is not possible.
+const createSeatPurchaseSession = async ({ tenantType, tenant, customPackageId, seats, user }) => {
+  const customPackage = await findSeatPackage(tenantType, tenant._id, customPackageId);
+  if (!customPackage) {
+    return { status: 404, error: 'No active package found to add seats to' };
+  }
+
+  if (customPackage.contract?.status !== 'active') {
+    return { status: 400, error: 'Seats can only be added to an active contract' };
+  }
+
+  const pricing = await getPerSeatPricing(customPackage);
+  if (!pricing || !(pricing.amount > 0)) {
+    return { status: 400, error: 'This package is not billed per seat' };
+  }
+
+  const prorationFactor = getProrationFactor(customPackage.contract);
+  if (prorationFactor <= 0) {
+    return { status: 400, error: 'The contract has already ended' };
+  }
+
+  const unitAmountCents = Math.max(1, Math.round(pricing.amount * prorationFactor * 100));
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  const metadata = {
+    purchaseType: SEAT_TOPUP_PURCHASE_TYPE,
+    userId: user._id.toString(),
+    tenantType,
+    tenantId: tenant._id.toString(),
+    customPackageId: customPackage._id.toString(),
+    seats: seats.toString(),
+    unitPrice: pricing.amount.toString(),
+    prorationFactor: prorationFactor.toFixed(4)
+  };
+
+  const session = await stripe.checkout.sessions.create({
+    payment_method_types: ['card'],
+    line_items: [
+      {
+        price_data: {
+          currency: pricing.currency.toLowerCase(),
+          product_data: {
+            name: `${customPackage.name || 'Package'} - additional seats`,
+            description: prorationFactor < 1
+              ? `Prorated until ${new Date(customPackage.contract.endDate).toDateString()}`
+              : 'Additional seats'
+          },
+          unit_amount: unitAmountCents
+        },
+        quantity: seats
+      }
+    ],
+    mode: 'payment',
+    success_url: `${frontendUrl}/payment-success?session_id={CHECKOUT_SESSION_ID}&seatPurchase=true`,
+    cancel_url: `${frontendUrl}/dashboard?seatPurchase=canceled`,
+    metadata,
+    customer_email: user.email
+  });
+
+  return {
+    session,
+    customPackage,
+    seats,
+    unitPrice: pricing.amount,
+    proratedUnitPrice: unitAmountCents / 100,
+    totalAmount: (unitAmountCents * seats) / 100,
+    currency: pricing.currency,
+    prorationFactor
+  };
+};
+
+// checkout.session.completed for a seat top-up: record the purchase and raise the seat limits
+const handleSeatPurchaseCompleted = async (session, event) => {
+  if (session.payment_status !== 'paid') {
+    return { received: true, message: 'Payment not completed yet', paymentStatus: session.payment_status };
+  }
+
+  const paymentRef = session.payment_intent || session.id;
+  const existing = await Transaction.findOne({ stripePaymentIntentId: { $in: [session.payment_intent, session.id].filter(Boolean) } });
+  if (existing) {
+    return { received: true, processed: true, duplicate: true, transactionId: existing._id };
+  }
+
+  const { tenantType, tenantId, customPackageId, userId } = session.metadata;
+  const seats = parseInt(session.metadata.seats);
+  if (!seats || seats < 1) {
+    return { received: true, error: 'Seat count missing in session metadata', sessionId: session.id };
+  }
+
+  const TenantModel = getTenantModel(tenantType);
+  const [tenant, customPackage] = await Promise.all([
+    TenantModel.findById(tenantId),
+    CustomPackage.findById(customPackageId)
+  ]);
+  if (!tenant || !customPackage) {
+    return { received: true, error: 'Organization/institute or package not found for seat purchase', sessionId: session.id };
+  }
+
+  const isSchool = tenantType === 'school';
+  const transaction = await Transaction.create({
+    type: isSchool ? 'b2e_contract' : 'b2b_contract',
+    userId,
+    organizationId: isSchool ? undefined : tenant._id,
+    schoolId: isSchool ? tenant._id : undefined,
+    customPackageId: customPackage._id,
+    packageType: 'custom',
+    amount: (session.amount_total || 0) / 100,
+    currency: session.currency ? session.currency.toUpperCase() : 'USD',
+    status: 'paid',
+    stripePaymentIntentId: paymentRef,
+    maxSeats: 0,
+    usedSeats: 0,
+    seatTopUp: {
+      seats,
+      unitPrice: parseFloat(session.metadata.unitPrice) || null,
+      prorationFactor: parseFloat(session.metadata.prorationFactor) || null
+    },
+    contractPeriod: {
+      startDate: new Date(),
+      endDate: customPackage.contract?.endDate || null
+    },
+    webhookData: {
+      paymentIntentId: session.payment_intent || null,
+      userId,
+      productPrice: (session.amount_total || 0) / 100,
+      currency: session.currency ? session.currency.toUpperCase() : 'USD',
+      paymentStatus: session.payment_status,
+      webhookEventId: event.id,
+      webhookEventType: event.type,
+      receivedAt: new Date()
+    },
+    webhookEventType: event.type,
+    webhookReceivedAt: new Date()
+  });
+
+  await applySeatChange(transaction, seats);
+
+  await TenantModel.updateOne({ _id: tenant._id }, { $addToSet: { transactionIds: transaction._id } });
+
+  console.log('✅ Seat top-up completed:', {
+    transactionId: transaction._id,
+    tenantType,
+    tenantId,
+    customPackageId,
+    seats
+  });
+
+  return { received: true, processed: true, transactionId: transaction._id };
+};
+
+// Raise (or, for a refunded top-up, lower) the seat limits a top-up transaction paid for:
+// the organization/school limit, the custom package limit and the seats on its purchase code
+const applySeatChange = async (transaction, seats) => {
+  const TenantModel = transaction.schoolId ? School : Organization;
+  const tenantId = transaction.schoolId || transaction.organizationId;
+
+  await TenantModel.updateOne({ _id: tenantId }, { $inc: { 'seatUsage.seatLimit': seats } });
+  await CustomPackage.updateOne({ _id: transaction.customPackageId }, { $inc: { seatLimit: seats } });
+
+  // Members join with the code of the original package purchase, so its seat count is what gates access
+  const codeTransaction = await Transaction.findOne({
+    _id: { $ne: transaction._id },
+    customPackageId: transaction.customPackageId,
+    status: 'paid',
+    uniqueCode: { $exists: true, $ne: null }
+  }).sort({ createdAt: 1 });
+
+  if (codeTransaction) {
+    await Transaction.updateOne({ _id: codeTransaction._id }, { $inc: { maxSeats: seats } });
+    transaction.seatTopUp.parentTransactionId = codeTransaction._id;
+    await transaction.save();
+  }
+};
+
+// Route handler for POST /:id/seats/purchase of organizations and schools: starts the Stripe Checkout for the
+// extra seats. The tenant owner pays; admins change the seat limit directly.
+const purchaseSeats = (tenantType) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const label = getTenantLabel(tenantType);
+    if (req.admin) {
+      return res.status(403).json({ error: `Seats are purchased by the ${label.toLowerCase()} owner. Admins can change the seat limit directly.` });
+    }
+
+    if (!isStripeConfigured()) {
+      return res.status(500).json({ error: 'Stripe is not configured' });
+    }
+
+    const tenant = await getTenantModel(tenantType).findById(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+
+    const user = await User.findById(req.userId).select('email');
+
+    const seats = parseInt(req.body.seats);
+    const result = await createSeatPurchaseSession({
+      tenantType,
+      tenant,
+      customPackageId: req.body.customPackageId,
+      seats,
+      user
+    });
+
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    res.json({
+      sessionId: result.session.id,
+      url: result.session.url,
+      seats,
+      unitPrice: result.unitPrice,
+      proratedUnitPrice: result.proratedUnitPrice,
+      totalAmount: result.totalAmount,
+      currency: result.currency,
+      contractEndDate: result.customPackage.contract?.endDate || null
+    });
+  } catch (error) {
+    console.error('Error creating seat purchase session:', error);
+    res.status(500).json({ error: error.message || 'Failed to create seat purchase' });
+  }
+};
+
+module.exports = {
+  SEAT_TOPUP_PURCHASE_TYPE,
+  createSeatPurchaseSession,
+  purchaseSeats,
+  handleSeatPurchaseCompleted,
+  applySeatChange
+};
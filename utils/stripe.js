@@ -0,0 +1,13 @@
+// Shared Stripe client - initialized only if a secret key is provided
+let stripe = null;
+if (process.env.STRIPE_SECRET_KEY) {
+  const stripeLib = require('stripe');
+  stripe = stripeLib(process.env.STRIPE_SECRET_KEY);
+}
+
+// Check if Stripe is configured
+const isStripeConfigured = () => {
+  return stripe !== null && Boolean(process.env.STRIPE_SECRET_KEY);
+};
+
+module.exports = { stripe, isStripeConfigured };
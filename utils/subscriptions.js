@@ -0,0 +1,253 @@
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const CustomPackage = require('../models/CustomPackage');
+const { stripe, isStripeConfigured } = require('./stripe');
+
+// Stripe caps recurring intervals at 3 years / 36 months
+const MAX_INTERVAL_COUNT = { month: 36, year: 3 };
+
+// Billing interval for a subscription package or custom package, taken from its expiryTime/expiryTimeUnit
+// (one expiry period = one billing period). Defaults to monthly.
+const getSubscriptionInterval = (source) => {
+  const interval = source?.expiryTimeUnit === 'years' ? 'year' : 'month';
+  const count = source?.expiryTime && source.expiryTime > 0 ? Math.floor(source.expiryTime) : 1;
+  return {
+    interval,
+    interval_count: Math.min(Math.max(count, 1), MAX_INTERVAL_COUNT[interval])
+  };
+};
+
+const toDate = (timestamp) => (timestamp ? new Date(timestamp * 1000) : null);
+
+// current_period_end moved from the subscription to its items in newer Stripe API versions
+const getPeriodEndFromSubscription = (subscription) => {
+  return toDate(subscription?.current_period_end || subscription?.items?.data?.[0]?.current_period_end);
+};
+
+const getSubscriptionPeriodEnd = async (subscriptionId) => {
+  if (!subscriptionId || !isStripeConfigured()) return null;
+  try {
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    return getPeriodEndFromSubscription(subscription);
+  } catch (error) {
+    console.error('Error retrieving subscription period end:', { subscriptionId, error: error.message });
+    return null;
+  }
+};
+
+// invoice.subscription moved to invoice.parent.subscription_details in newer Stripe API versions
+const getInvoiceSubscriptionId = (invoice) => {
+  const subscription = invoice.subscription || invoice.parent?.subscription_details?.subscription;
+  return typeof subscription === 'object' && subscription !== null ? subscription.id : subscription || null;
+};
+
+// The period paid for by an invoice ends at the latest line item period end
+const getInvoicePeriodEnd = (invoice) => {
+  const ends = (invoice.lines?.data || []).map(line => line.period?.end).filter(Boolean);
+  return ends.length > 0 ? toDate(Math.max(...ends)) : toDate(invoice.period_end);
+};
+
+// Find the transaction for a subscription. Transactions created before the subscription id was
+// stored are matched through their Checkout session and linked on the way.
+const findTransactionForSubscription = async (subscriptionId) => {
+  if (!subscriptionId) return null;
+
+  let transaction = await Transaction.findOne({ stripeSubscriptionId: subscriptionId });
+  if (transaction || !isStripeConfigured()) return transaction;
+
+  const sessions = await stripe.checkout.sessions.list({ subscription: subscriptionId, limit: 1 });
+  const session = sessions.data[0];
+  if (!session) return null;
+
+  transaction = await Transaction.findOne({ stripePaymentIntentId: session.id });
+  if (transaction) {
+    transaction.stripeSubscriptionId = subscriptionId;
+    transaction.stripeCustomerId = transaction.stripeCustomerId || session.customer || null;
+    await transaction.save();
+  }
+  return transaction;
+};
+
+// Subscription id for a transaction (older transactions only stored the Checkout session id)
+const resolveSubscriptionId = async (transaction) => {
+  if (transaction.stripeSubscriptionId) return transaction.stripeSubscriptionId;
+
+  const sessionId = transaction.stripePaymentIntentId;
+  if (!sessionId || !sessionId.startsWith('cs_') || !isStripeConfigured()) return null;
+
+  const session = await stripe.checkout.sessions.retrieve(sessionId);
+  if (!session.subscription) return null;
+
+  transaction.stripeSubscriptionId = typeof session.subscription === 'string' ? session.subscription : session.subscription.id;
+  transaction.stripeCustomerId = transaction.stripeCustomerId || session.customer || null;
+  await transaction.save();
+  return transaction.stripeSubscriptionId;
+};
+
+// Move the transaction's contract end, the purchaser's membership and the custom package contract to a new period end
+const extendSubscriptionAccess = async (transaction, periodEnd) => {
+  if (!transaction.contractPeriod) {
+    transaction.contractPeriod = {};
+  }
+  transaction.contractPeriod.endDate = periodEnd;
+  transaction.set('subscription.currentPeriodEnd', periodEnd);
+
+  if (transaction.userId && transaction.packageId) {
+    await User.updateOne(
+      { _id: transaction.userId },
+      { $set: { 'memberships.$[m].endDate': periodEnd, 'memberships.$[m].status': 'active' } },
+      { arrayFilters: [{ 'm.packageId': transaction.packageId, 'm.status': { $in: ['active', 'expired'] } }] }
+    );
+  }
+
+  if (transaction.customPackageId) {
+    await CustomPackage.updateOne(
+      { _id: transaction.customPackageId },
+      { $set: { 'contract.endDate': periodEnd, 'contract.status': 'active' } }
+    );
+  }
+};
+
+// invoice.paid - every renewal extends access to the end of the newly paid period
+const handleInvoicePaid = async (invoice) => {
+  const subscriptionId = getInvoiceSubscriptionId(invoice);
+  if (!subscriptionId) {
+    return { received: true, processed: false, message: 'Invoice is not for a subscription' };
+  }
+
+  const transaction = await findTransactionForSubscription(subscriptionId);
+  if (!transaction) {
+    // The first invoice is paid during Checkout - checkout.session.completed creates the transaction
+    if (invoice.billing_reason === 'subscription_create') {
+      return { received: true, processed: false, message: 'Initial invoice - transaction is created by checkout.session.completed' };
+    }
+    return { received: true, error: 'Transaction not found for subscription', subscriptionId };
+  }
+
+  if (transaction.subscription?.lastInvoiceId === invoice.id) {
+    return { received: true, processed: true, transactionId: transaction._id, duplicate: true };
+  }
+
+  const periodEnd = getInvoicePeriodEnd(invoice);
+  if (periodEnd) {
+    await extendSubscriptionAccess(transaction, periodEnd);
+  }
+
+  transaction.set('subscription.status', 'active');
+  transaction.set('subscription.lastInvoiceId', invoice.id);
+  if (invoice.billing_reason === 'subscription_cycle') {
+    transaction.set('subscription.renewalCount', (transaction.subscription?.renewalCount || 0) + 1);
+  }
+  if (transaction.status === 'pending' || transaction.status === 'failed') {
+    transaction.status = 'paid';
+  }
+  await transaction.save();
+
+  console.log('✅ Subscription renewed:', {
+    transactionId: transaction._id,
+    subscriptionId,
+    invoiceId: invoice.id,
+    billingReason: invoice.billing_reason,
+    periodEnd
+  });
+  return { received: true, processed: true, transactionId: transaction._id };
+};
+
+// invoice.payment_failed - Stripe keeps retrying; access runs until the already paid period ends
+const handleInvoicePaymentFailed = async (invoice) => {
+  const subscriptionId = getInvoiceSubscriptionId(invoice);
+  if (!subscriptionId) {
+    return { received: true, processed: false, message: 'Invoice is not for a subscription' };
+  }
+
+  const transaction = await findTransactionForSubscription(subscriptionId);
+  if (!transaction) {
+    return { received: true, error: 'Transaction not found for subscription', subscriptionId };
+  }
+
+  transaction.set('subscription.status', 'past_due');
+  transaction.set('subscription.lastPaymentFailedAt', new Date());
+  await transaction.save();
+
+  console.warn('⚠️ Subscription payment failed:', {
+    transactionId: transaction._id,
+    subscriptionId,
+    invoiceId: invoice.id,
+    attemptCount: invoice.attempt_count
+  });
+  return { received: true, processed: true, transactionId: transaction._id };
+};
+
+// The subscription has ended: access stops at endDate. Memberships and the contract are expired right away
+// instead of waiting for the nightly sweep.
+const endSubscriptionAccess = async (transaction, endDate) => {
+  if (!transaction.contractPeriod) {
+    transaction.contractPeriod = {};
+  }
+  transaction.contractPeriod.endDate = endDate;
+
+  if (transaction.userId && transaction.packageId) {
+    await User.updateOne(
+      { _id: transaction.userId },
+      { $set: { 'memberships.$[m].endDate': endDate, 'memberships.$[m].status': 'expired' } },
+      { arrayFilters: [{ 'm.packageId': transaction.packageId, 'm.status': 'active' }] }
+    );
+  }
+
+  if (transaction.customPackageId) {
+    await CustomPackage.updateOne(
+      { _id: transaction.customPackageId },
+      { $set: { 'contract.endDate': endDate, 'contract.status': 'expired' } }
+    );
+  }
+};
+
+// customer.subscription.deleted - no further renewals; access ends with the subscription
+const handleSubscriptionDeleted = async (subscription) => {
+  const transaction = await findTransactionForSubscription(subscription.id);
+  if (!transaction) {
+    return { received: true, error: 'Transaction not found for subscription', subscriptionId: subscription.id };
+  }
+
+  const endedAt = toDate(subscription.ended_at || subscription.canceled_at) || new Date();
+  const currentEnd = transaction.contractPeriod?.endDate;
+  await endSubscriptionAccess(transaction, currentEnd && currentEnd < endedAt ? currentEnd : endedAt);
+
+  transaction.set('subscription.status', 'canceled');
+  transaction.set('subscription.cancelAtPeriodEnd', false);
+  transaction.set('subscription.canceledAt', endedAt);
+  await transaction.save();
+
+  console.log('✅ Subscription ended:', { transactionId: transaction._id, subscriptionId: subscription.id, endedAt });
+  return { received: true, processed: true, transactionId: transaction._id };
+};
+
+// Cancel at period end (cancel = true) or undo a pending cancellation (cancel = false)
+const setCancelAtPeriodEnd = async (transaction, cancel) => {
+  const subscriptionId = await resolveSubscriptionId(transaction);
+  if (!subscriptionId) {
+    throw new Error('Transaction is not linked to a Stripe subscription');
+  }
+
+  const subscription = await stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: cancel });
+
+  transaction.set('subscription.status', subscription.status);
+  transaction.set('subscription.cancelAtPeriodEnd', subscription.cancel_at_period_end);
+  const periodEnd = getPeriodEndFromSubscription(subscription);
+  if (periodEnd) {
+    transaction.set('subscription.currentPeriodEnd', periodEnd);
+  }
+  await transaction.save();
+
+  return subscription;
+};
+
+module.exports = {
+  getSubscriptionInterval,
+  getSubscriptionPeriodEnd,
+  handleInvoicePaid,
+  handleInvoicePaymentFailed,
+  handleSubscriptionDeleted,
+  resolveSubscriptionId,
+  setCancelAtPeriodEnd
+};
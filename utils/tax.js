@@ -0,0 +1,167 @@
+const { stripe } = require('./stripe');
+const { normalizeCountry, isEuCountry } = require('./pricing');
+
+// Standard VAT rates (%) for EU member states - used when TAX_MODE=local
+const EU_VAT_RATES = {
+  AT: 20, BE: 21, BG: 20, CY: 19, CZ: 21, DE: 19, DK: 25, EE: 24, ES: 21,
+  FI: 25.5, FR: 20, GR: 24, HR: 25, HU: 27, IE: 23, IT: 22, LT: 21, LU: 17,
+  LV: 21, MT: 18, NL: 21, PL: 23, PT: 23, RO: 21, SE: 25, SI: 22, SK: 23
+};
+
+// local = EU_VAT_RATES above, stripe = Stripe Tax, none = no tax on checkouts (default)
+const getTaxMode = () => {
+  const mode = (process.env.TAX_MODE || 'none').toLowerCase();
+  return ['local', 'stripe', 'none'].includes(mode) ? mode : 'none';
+};
+
+// Country we are VAT registered in - B2B buyers elsewhere in the EU are reverse charged
+const getOriginCountry = () => normalizeCountry(process.env.TAX_ORIGIN_COUNTRY) || 'DE';
+
+const pricesIncludeTax = () => process.env.PRICES_INCLUDE_TAX === 'true';
+
+// Format check only (country prefix + 2-13 characters); VIES lookups are done by Stripe Tax when enabled
+const normalizeVatId = (vatId) => {
+  if (typeof vatId !== 'string') return null;
+  const value = vatId.replace(/[\s.-]/g, '').toUpperCase();
+  return /^[A-Z]{2}[0-9A-Z+*]{2,13}$/.test(value) ? value : null;
+};
+
+// Tax treatment of a purchase. Returns { error } for an unusable VAT ID.
+// mode overrides TAX_MODE (invoice orders never go through Stripe, so they always use the local table).
+const calculateTax = ({ country, vatId, mode = getTaxMode() }) => {
+  let buyerCountry = normalizeCountry(country);
+  let buyerVatId = null;
+
+  if (vatId) {
+    buyerVatId = normalizeVatId(vatId);
+    if (!buyerVatId) {
+      return { error: 'Invalid VAT ID format' };
+    }
+    const vatCountry = normalizeCountry(buyerVatId.slice(0, 2));
+    if (buyerCountry && vatCountry !== buyerCountry) {
+      return { error: 'VAT ID does not match the selected country' };
+    }
+    buyerCountry = buyerCountry || vatCountry;
+  }
+
+  const result = {
+    mode,
+    country: buyerCountry,
+    vatId: buyerVatId,
+    rate: 0,
+    reverseCharge: false,
+    inclusive: pricesIncludeTax()
+  };
+
+  // Stripe Tax works the rate out from the billing address collected on the Checkout page
+  if (mode !== 'local') {
+    return result;
+  }
+
+  // No rate without a known country in the EU
+  if (!buyerCountry || !isEuCountry(buyerCountry)) {
+    return result;
+  }
+
+  if (buyerVatId && buyerCountry !== getOriginCountry()) {
+    result.reverseCharge = true;
+    return result;
+  }
+
+  result.rate = EU_VAT_RATES[buyerCountry] || 0;
+  return result;
+};
+
+// Stripe tax rate objects are reused - one per country/rate/inclusive combination
+const taxRateCache = new Map();
+
+const getStripeTaxRateId = async (tax) => {
+  const key = `${tax.country}-${tax.rate}-${tax.inclusive}`;
+  if (taxRateCache.has(key)) {
+    return taxRateCache.get(key);
+  }
+
+  const existing = await stripe.taxRates.list({ active: true, limit: 100 });
+  let taxRate = existing.data.find(rate =>
+    rate.country === tax.country &&
+    rate.percentage === tax.rate &&
+    rate.inclusive === tax.inclusive &&
+    rate.tax_type === 'vat'
+  );
+
+  if (!taxRate) {
+    taxRate = await stripe.taxRates.create({
+      display_name: 'VAT',
+      description: `VAT ${tax.country} ${tax.rate}%`,
+      percentage: tax.rate,
+      inclusive: tax.inclusive,
+      country: tax.country,
+      jurisdiction: tax.country,
+      tax_type: 'vat'
+    });
+  }
+
+  taxRateCache.set(key, taxRate.id);
+  return taxRate.id;
+};
+
+// Extra Checkout session params and line item tax rates for a tax result
+const getCheckoutTaxParams = async (tax, isSubscription) => {
+  if (tax.mode === 'stripe') {
+    return {
+      lineItemTaxRates: null,
+      taxBehavior: tax.inclusive ? 'inclusive' : 'exclusive',
+      sessionParams: {
+        automatic_tax: { enabled: true },
+        billing_address_collection: 'required',
+        tax_id_collection: { enabled: true },
+        // Tax ID collection needs a customer; subscriptions always create one
+        ...(!isSubscription && { customer_creation: 'always' })
+      }
+    };
+  }
+
+  if (tax.mode === 'local' && tax.rate > 0) {
+    return {
+      lineItemTaxRates: [await getStripeTaxRateId(tax)],
+      taxBehavior: null,
+      sessionParams: {}
+    };
+  }
+
+  return { lineItemTaxRates: null, taxBehavior: null, sessionParams: {} };
+};
+
+// Checkout session metadata so the webhook can record how tax was applied
+const getTaxMetadata = (tax) => ({
+  taxMode: tax.reverseCharge ? 'reverse_charge' : tax.mode,
+  taxRate: tax.rate.toString(),
+  taxCountry: tax.country || '',
+  vatId: tax.vatId || ''
+});
+
+// Tax details to store on a transaction, from the completed Checkout session
+const getTaxFromSession = (session) => {
+  const metadata = session.metadata || {};
+  const customerDetails = session.customer_details || {};
+  const amount = (session.total_details?.amount_tax || 0) / 100;
+  const stripeMode = metadata.taxMode === 'stripe';
+
+  return {
+    mode: metadata.taxMode || 'none',
+    amount,
+    rate: !stripeMode && metadata.taxRate ? parseFloat(metadata.taxRate) : null,
+    country: metadata.taxCountry || customerDetails.address?.country || null,
+    vatId: metadata.vatId || customerDetails.tax_ids?.[0]?.value || null,
+    reverseCharge: metadata.taxMode === 'reverse_charge' || customerDetails.tax_exempt === 'reverse'
+  };
+};
+
+module.exports = {
+  EU_VAT_RATES,
+  getTaxMode,
+  calculateTax,
+  getCheckoutTaxParams,
+  getTaxMetadata,
+  getTaxFromSession
+};
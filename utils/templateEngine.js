@@ -0,0 +1,114 @@
+// Minimal mustache-style renderer for admin-edited email templates:
+//   {{name}}                  value (HTML-escaped when rendering html)
+//   {{{name}}}                value without escaping
+//   {{#name}}...{{/name}}     section: rendered when name is truthy, once per item for arrays
+//   {{^name}}...{{/name}}     inverted section: rendered when name is falsy or an empty array
+// Names can be dotted paths (buyer.name); {{.}} is the current array item.
+
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/]?)\s*([\w.]+|\.)\s*\}\}/g;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Parse into a tree of text, variable and section nodes. Throws on unbalanced sections.
+const parse = (template) => {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(template)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > last) {
+      current.children.push({ type: 'text', value: template.slice(last, match.index) });
+    }
+    last = TAG.lastIndex;
+
+    if (match[1]) {
+      current.children.push({ type: 'raw', name: match[1] });
+      continue;
+    }
+
+    const [, , sigil, name] = match;
+    if (sigil === '#' || sigil === '^') {
+      const section = { type: 'section', inverted: sigil === '^', name, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected {{/${name}}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'variable', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (last < template.length) {
+    root.children.push({ type: 'text', value: template.slice(last) });
+  }
+  return root.children;
+};
+
+// Innermost context that has the first path segment wins, like mustache
+const lookup = (contexts, name) => {
+  if (name === '.') return contexts[contexts.length - 1];
+
+  const parts = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && parts[0] in context) {
+      return parts.reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), context);
+    }
+  }
+  return undefined;
+};
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+const renderNodes = (nodes, contexts, escape) => nodes.map(node => {
+  if (node.type === 'text') return node.value;
+  if (node.type === 'raw') return toText(lookup(contexts, node.name));
+  if (node.type === 'variable') return escape(toText(lookup(contexts, node.name)));
+
+  const value = lookup(contexts, node.name);
+  const empty = !value || (Array.isArray(value) && value.length === 0);
+  if (node.inverted) {
+    return empty ? renderNodes(node.children, contexts, escape) : '';
+  }
+  if (empty) return '';
+  if (Array.isArray(value)) {
+    return value.map(item => renderNodes(node.children, [...contexts, item], escape)).join('');
+  }
+  return renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts, escape);
+}).join('');
+
+// Render a template string. Options: { html } escapes values for HTML output.
+const render = (template, data = {}, { html = false } = {}) => {
+  if (!template) return '';
+  return renderNodes(parse(template), [data], html ? escapeHtml : (value) => value);
+};
+
+// Syntax error message for a template, or null when it parses
+const validate = (template) => {
+  try {
+    parse(template || '');
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+module.exports = {
+  escapeHtml,
+  render,
+  validate
+};
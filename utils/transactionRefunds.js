@@ -0,0 +1,298 @@
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const School = require('../models/School');
+const CustomPackage = require('../models/CustomPackage');
+const FreeTrial = require('../models/FreeTrial');
+const { stripe, isStripeConfigured } = require('./stripe');
+const { applySeatChange } = require('./seatPurchases');
+const { issueCreditNotesForRefunds } = require('./invoices');
+
+// Refund reasons Stripe accepts; any other admin note is stored on the transaction only
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+// Disputes closed with these statuses leave the money with us, so access is restored
+const DISPUTE_WON_STATUSES = ['won', 'warning_closed'];
+
+const toMajorUnits = (amountInCents) => Math.round(amountInCents || 0) / 100;
+
+// Transactions created from a Checkout session may store the session id instead of the payment intent
+const findTransactionByPaymentIntent = async (paymentIntentId) => {
+  if (!paymentIntentId) return null;
+  return Transaction.findOne({
+    $or: [
+      { stripePaymentIntentId: paymentIntentId },
+      { 'webhookData.paymentIntentId': paymentIntentId }
+    ]
+  });
+};
+
+const resolvePaymentIntentId = async (transaction) => {
+  const storedId = transaction.stripePaymentIntentId || transaction.webhookData?.paymentIntentId;
+  if (storedId && storedId.startsWith('cs_')) {
+    const session = await stripe.checkout.sessions.retrieve(storedId);
+    return session.payment_intent || null;
+  }
+  return storedId || null;
+};
+
+// Add or update a refund entry from a Stripe Refund object
+const upsertRefund = (transaction, refund, { refundedBy = null, reason = null } = {}) => {
+  const existing = transaction.refunds.find(r => r.stripeRefundId === refund.id);
+  if (existing) {
+    existing.status = refund.status;
+    existing.amount = toMajorUnits(refund.amount);
+    return existing;
+  }
+
+  transaction.refunds.push({
+    stripeRefundId: refund.id,
+    amount: toMajorUnits(refund.amount),
+    currency: refund.currency ? refund.currency.toUpperCase() : transaction.currency,
+    status: refund.status,
+    reason: reason || refund.reason || null,
+    refundedBy,
+    createdAt: refund.created ? new Date(refund.created * 1000) : new Date()
+  });
+  return transaction.refunds[transaction.refunds.length - 1];
+};
+
+// Recalculate used seats for the transaction's organization/school from its remaining paid transactions
+const recalculateSeatUsage = async (transaction) => {
+  if (transaction.organizationId) {
+    try {
+      const organization = await Organization.findById(transaction.organizationId);
+      if (organization) {
+        const orgTransactions = await Transaction.find({ organizationId: organization._id, status: 'paid' });
+        const orgFreeTrials = await FreeTrial.find({ organizationId: organization._id });
+        const transactionUsedSeats = orgTransactions.reduce((sum, tx) => sum + (tx.usedSeats || 0), 0);
+        const freeTrialUsedSeats = orgFreeTrials.reduce((sum, ft) => sum + (ft.usedSeats || 0), 0);
+
+        if (!organization.seatUsage) {
+          organization.seatUsage = { seatLimit: 0, usedSeats: 0 };
+        }
+        organization.seatUsage.usedSeats = transactionUsedSeats + freeTrialUsedSeats;
+        await organization.save();
+      }
+    } catch (err) {
+      console.error('Error updating organization seatUsage after refund:', err);
+    }
+  }
+
+  if (transaction.schoolId) {
+    try {
+      const school = await School.findById(transaction.schoolId);
+      if (school) {
+        const schoolTransactions = await Transaction.find({ schoolId: school._id, status: 'paid' });
+        if (!school.seatUsage) {
+          school.seatUsage = { seatLimit: 0, usedSeats: 0 };
+        }
+        school.seatUsage.usedSeats = schoolTransactions.reduce((sum, tx) => sum + (tx.usedSeats || 0), 0);
+        await school.save();
+      }
+    } catch (err) {
+      console.error('Error updating school seatUsage after refund:', err);
+    }
+  }
+};
+
+// Remove everything a paid transaction granted. The purchase code stops working on its own
+// because code checks require status 'paid'; memberships, custom package contracts and
+// organization/school seat usage are updated here.
+const revokeTransactionAccess = async (transaction) => {
+  const now = new Date();
+
+  if (transaction.userId && transaction.packageId) {
+    const result = await User.updateOne(
+      { _id: transaction.userId },
+      { $set: { 'memberships.$[m].status': 'cancelled', 'memberships.$[m].endDate': now } },
+      { arrayFilters: [{ 'm.packageId': transaction.packageId, 'm.status': 'active' }] }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`✅ Membership cancelled for user ${transaction.userId} (transaction ${transaction._id})`);
+    }
+  }
+
+  if (transaction.seatTopUp?.seats) {
+    // Seat top-ups only added seats to an existing contract - take those seats back
+    await applySeatChange(transaction, -transaction.seatTopUp.seats);
+  } else if (transaction.customPackageId) {
+    // Seat top-ups only add to the contract, they do not keep it running on their own
+    const otherPaidTransaction = await Transaction.exists({
+      _id: { $ne: transaction._id },
+      customPackageId: transaction.customPackageId,
+      status: 'paid',
+      'seatTopUp.seats': { $not: { $gt: 0 } }
+    });
+    if (!otherPaidTransaction) {
+      await CustomPackage.updateOne(
+        { _id: transaction.customPackageId },
+        { $set: { 'contract.status': 'expired', 'contract.endDate': now } }
+      );
+    }
+  }
+
+  await recalculateSeatUsage(transaction);
+
+  transaction.accessRevokedAt = now;
+  await transaction.save();
+};
+
+// Store the refunded total; once the full amount is refunded the transaction is marked refunded and access revoked
+const applyRefundedAmount = async (transaction, amountRefunded, fullyRefunded) => {
+  transaction.amountRefunded = amountRefunded;
+
+  if (!fullyRefunded || transaction.status === 'refunded') {
+    await transaction.save();
+    return transaction;
+  }
+
+  transaction.status = 'refunded';
+  transaction.refundedAt = new Date();
+  await transaction.save();
+  await revokeTransactionAccess(transaction);
+
+  console.log('✅ Transaction fully refunded and access revoked:', {
+    transactionId: transaction._id,
+    amountRefunded
+  });
+  return transaction;
+};
+
+// Issue a full or partial refund through Stripe (amount in major units; defaults to the remaining balance)
+const issueRefund = async (transaction, { amount, reason, refundedBy } = {}) => {
+  if (!isStripeConfigured()) {
+    throw new Error('Stripe is not configured');
+  }
+
+  const paymentIntentId = await resolvePaymentIntentId(transaction);
+  if (!paymentIntentId) {
+    throw new Error('Transaction has no Stripe payment to refund');
+  }
+
+  const remaining = Math.round((transaction.amount - (transaction.amountRefunded || 0)) * 100) / 100;
+  const refundAmount = amount !== undefined && amount !== null ? Number(amount) : remaining;
+  if (!(refundAmount > 0) || refundAmount > remaining) {
+    throw new Error(`Refund amount must be between 0 and ${remaining}`);
+  }
+
+  const refund = await stripe.refunds.create({
+    payment_intent: paymentIntentId,
+    amount: Math.round(refundAmount * 100),
+    ...(STRIPE_REFUND_REASONS.includes(reason) ? { reason } : {}),
+    metadata: {
+      transactionId: transaction._id.toString(),
+      refundedBy: refundedBy ? refundedBy.toString() : ''
+    }
+  });
+
+  upsertRefund(transaction, refund, { refundedBy, reason });
+
+  if (refund.status === 'succeeded') {
+    const succeededTotal = transaction.refunds
+      .filter(r => r.status === 'succeeded')
+      .reduce((sum, r) => sum + r.amount, 0);
+    await applyRefundedAmount(transaction, succeededTotal, succeededTotal >= transaction.amount);
+    await issueCreditNotesForRefunds(transaction);
+  } else {
+    await transaction.save();
+  }
+
+  return refund;
+};
+
+// charge.refunded webhook - charge.refunds is only expanded on older API versions, so list refunds otherwise
+const handleChargeRefunded = async (charge) => {
+  const transaction = await findTransactionByPaymentIntent(charge.payment_intent);
+  if (!transaction) {
+    return { received: true, error: 'Transaction not found for refunded charge', chargeId: charge.id };
+  }
+
+  let refunds = charge.refunds?.data;
+  if (!refunds && isStripeConfigured()) {
+    const list = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+    refunds = list.data;
+  }
+  (refunds || []).forEach(refund => upsertRefund(transaction, refund));
+
+  await applyRefundedAmount(transaction, toMajorUnits(charge.amount_refunded), charge.refunded === true);
+  await issueCreditNotesForRefunds(transaction);
+
+  return {
+    received: true,
+    processed: true,
+    transactionId: transaction._id,
+    refunded: transaction.status === 'refunded'
+  };
+};
+
+// Dispute objects carry payment_intent on current API versions; fall back to the charge on older ones
+const findTransactionForDispute = async (dispute) => {
+  let paymentIntentId = dispute.payment_intent;
+  if (!paymentIntentId && dispute.charge && isStripeConfigured()) {
+    const charge = await stripe.charges.retrieve(typeof dispute.charge === 'string' ? dispute.charge : dispute.charge.id);
+    paymentIntentId = charge.payment_intent;
+  }
+  return findTransactionByPaymentIntent(paymentIntentId);
+};
+
+// charge.dispute.created - suspend purchase code access while the dispute is open
+const handleDisputeCreated = async (dispute) => {
+  const transaction = await findTransactionForDispute(dispute);
+  if (!transaction) {
+    return { received: true, error: 'Transaction not found for disputed charge', disputeId: dispute.id };
+  }
+
+  transaction.dispute = {
+    stripeDisputeId: dispute.id,
+    status: dispute.status,
+    reason: dispute.reason,
+    amount: toMajorUnits(dispute.amount),
+    openedAt: dispute.created ? new Date(dispute.created * 1000) : new Date(),
+    closedAt: null
+  };
+  if (transaction.status === 'paid') {
+    transaction.status = 'disputed';
+  }
+  await transaction.save();
+
+  console.log('⚠️ Transaction disputed:', { transactionId: transaction._id, disputeId: dispute.id, reason: dispute.reason });
+  return { received: true, processed: true, transactionId: transaction._id };
+};
+
+// charge.dispute.closed - restore access if we won, otherwise treat the charge as refunded
+const handleDisputeClosed = async (dispute) => {
+  const transaction = await findTransactionForDispute(dispute);
+  if (!transaction) {
+    return { received: true, error: 'Transaction not found for disputed charge', disputeId: dispute.id };
+  }
+
+  transaction.set('dispute.stripeDisputeId', dispute.id);
+  transaction.set('dispute.status', dispute.status);
+  transaction.set('dispute.reason', dispute.reason);
+  transaction.set('dispute.amount', toMajorUnits(dispute.amount));
+  transaction.set('dispute.closedAt', new Date());
+
+  if (DISPUTE_WON_STATUSES.includes(dispute.status)) {
+    if (transaction.status === 'disputed') {
+      transaction.status = 'paid';
+    }
+    await transaction.save();
+  } else if (transaction.status !== 'refunded') {
+    await applyRefundedAmount(transaction, transaction.amount, true);
+  } else {
+    await transaction.save();
+  }
+
+  console.log('✅ Dispute closed:', { transactionId: transaction._id, disputeId: dispute.id, status: dispute.status });
+  return { received: true, processed: true, transactionId: transaction._id };
+};
+
+module.exports = {
+  STRIPE_REFUND_REASONS,
+  issueRefund,
+  revokeTransactionAccess,
+  handleChargeRefunded,
+  handleDisputeCreated,
+  handleDisputeClosed
+};
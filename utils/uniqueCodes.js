@@ -0,0 +1,21 @@
+// Generate unique code in format: 4573-DTE2-R232 (4 digits - 3 letters + 1 digit - 1 letter + 3 digits)
+const generateUniqueCode = () => {
+  const getRandomDigits = (length) => {
+    return Array.from({ length }, () => Math.floor(Math.random() * 10)).join('');
+  };
+
+  const getRandomLetters = (length) => {
+    const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    return Array.from({ length }, () => letters[Math.floor(Math.random() * letters.length)]).join('');
+  };
+
+  const part1 = getRandomDigits(4); // 4 digits
+  const part2 = getRandomLetters(3) + getRandomDigits(1); // 3 letters + 1 digit
+  const part3 = getRandomLetters(1) + getRandomDigits(3); // 1 letter + 3 digits
+
+  return `${part1}-${part2}-${part3}`;
+};
+
+module.exports = {
+  generateUniqueCode
+};